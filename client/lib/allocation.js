@@ -99,6 +99,8 @@ class StorageAllocation {
   async recordStorageUsed(peerId, bytes, backupId) {
     const existing = this.allocation.allocations.get(peerId) || { offered: 0, used: 0, backups: [] };
     existing.used += bytes;
+    existing.backups = existing.backups || [];
+    existing.backups.push({ id: backupId, size: bytes, timestamp: Date.now(), direction: 'used' });
     existing.timestamp = Date.now();
     
     this.allocation.allocations.set(peerId, existing);
@@ -108,11 +110,22 @@ class StorageAllocation {
     console.log(`Using ${this.formatBytes(bytes)} from peer ${peerId.slice(0, 12)}...`);
   }
   
-  // Release storage allocation when backup is deleted
-  async releaseAllocation(peerId, bytes, isOffered = true) {
+  // Release storage allocation when backup data is deleted (e.g. pruned).
+  // With a backupId the per-backup entry shrinks too, and goes once empty.
+  async releaseAllocation(peerId, bytes, isOffered = true, backupId = null) {
     const existing = this.allocation.allocations.get(peerId);
     if (!existing) return;
     
+    if (backupId && Array.isArray(existing.backups)) {
+      const entry = existing.backups.find(backup => backup.id === backupId);
+      if (entry) {
+        entry.size = Math.max(0, entry.size - bytes);
+        if (entry.size === 0) {
+          existing.backups = existing.backups.filter(backup => backup !== entry);
+        }
+      }
+    }
+    
     if (isOffered) {
       existing.offered = Math.max(0, existing.offered - bytes);
       this.allocation.storageOffered = Math.max(0, this.allocation.storageOffered - bytes);
@@ -133,6 +146,25 @@ class StorageAllocation {
     console.log(`Released ${this.formatBytes(bytes)} ${isOffered ? 'offered to' : 'used from'} peer ${peerId.slice(0, 12)}...`);
   }
   
+  // Carry the storage agreed with a peer over to the identity it rotated
+  // its key to
+  async transferPeer(oldPeerId, newPeerId) {
+    const previous = this.allocation.allocations.get(oldPeerId);
+    if (!previous) return false;
+    
+    const current = this.allocation.allocations.get(newPeerId);
+    this.allocation.allocations.set(newPeerId, current ? {
+      offered: previous.offered + current.offered,
+      used: previous.used + current.used,
+      backups: [...(previous.backups || []), ...(current.backups || [])],
+      timestamp: Math.max(previous.timestamp || 0, current.timestamp || 0)
+    } : previous);
+    this.allocation.allocations.delete(oldPeerId);
+    
+    await this.saveAllocation();
+    return true;
+  }
+  
   // Get current storage ratio
   getCurrentRatio() {
     const offered = this.allocation.storageOffered;
@@ -4,12 +4,18 @@ const path = require('path');
 const BackupCrypto = require('./crypto');
 const FileTransfer = require('./transfer');
 const Database = require('./database');
+const SnapshotManager = require('./snapshot');
+const FileMetadata = require('./file-metadata');
+const Config = require('./config');
+const BackupHooks = require('./hooks');
 
 class BackupWorker {
   constructor(workerData) {
     this.backupId = workerData.backupId;
     this.backupData = workerData.backupData;
     this.configDir = workerData.configDir;
+    this.secrets = workerData.secrets || null; // unlocked keys handed over by the service
+    this.databaseKey = workerData.databaseKey || null;
     
     this.isPaused = false;
     this.isCancelled = false;
@@ -17,6 +23,13 @@ class BackupWorker {
     this.bytesTransferred = 0;
     this.totalBytes = 0;
     
+    // Snapshot state: only files changed since the parent snapshot are sent
+    this.source = null;
+    this.plan = null;
+    this.files = [];
+    this.sentFiles = [];
+    this.hooks = null; // pre/post-backup hooks of the source
+    
     // Components
     this.crypto = null;
     this.transfer = null;
@@ -25,16 +38,44 @@ class BackupWorker {
 
   async initialize() {
     this.crypto = new BackupCrypto();
-    await this.crypto.initializeKeys(this.configDir);
+    await this.crypto.initializeKeys(this.configDir, { secrets: this.secrets });
+    if (this.secrets) {
+      this.secrets.fill(0); // the keys now live in secure memory
+      this.secrets = null;
+    }
     
-    this.database = new Database(this.configDir);
+    this.database = new Database(this.configDir, { dataKey: this.databaseKey });
+    this.databaseKey = null;
     await this.database.initialize();
     
+    // The pre-backup hook (e.g. a database dump) runs before the files are
+    // collected; if it fails, the backup is aborted
+    this.source = SnapshotManager.getSourceId(this.backupData.files);
+    const config = await new Config(this.configDir).load();
+    this.hooks = BackupHooks.forSource(config, this.source, {
+      log: (message, level) => this.log(message, level),
+      env: { BACKUPPEER_BACKUP_ID: this.backupId, BACKUPPEER_BACKUP_NAME: this.backupData.name || '' }
+    });
+    await this.hooks.runPre();
+    
+    // Compare against the last snapshot of this source on the same peer
+    const snapshots = new SnapshotManager(this.database);
+    const sourceFiles = await snapshots.collectFiles(this.backupData.files);
+    this.plan = await snapshots.planSnapshot(this.source, this.backupData.peerId, sourceFiles);
+    this.files = this.plan.changed.map(file => file.path);
+    
+    if (this.plan.parentId) {
+      this.log(`Incremental snapshot of ${this.plan.parentId}: ${this.plan.changed.length} changed, ` +
+        `${this.plan.unchanged.length} unchanged, ${this.plan.removed.length} removed`);
+    }
+    
     // Calculate total size
-    for (const file of this.backupData.files) {
+    for (const file of this.files) {
       try {
-        const stats = await fs.stat(file);
-        this.totalBytes += stats.size;
+        const stats = await fs.lstat(file);
+        if (stats.isFile()) {
+          this.totalBytes += stats.size;
+        }
       } catch (error) {
         this.log(`Failed to stat file ${file}: ${error.message}`, 'warn');
       }
@@ -59,12 +100,12 @@ class BackupWorker {
       }
       
       // Process files
-      for (let i = this.currentFileIndex; i < this.backupData.files.length; i++) {
+      for (let i = this.currentFileIndex; i < this.files.length; i++) {
         if (this.isCancelled) break;
         
         await this.waitIfPaused();
         
-        const file = this.backupData.files[i];
+        const file = this.files[i];
         this.currentFileIndex = i;
         
         try {
@@ -74,10 +115,11 @@ class BackupWorker {
             type: 'file_complete',
             file,
             index: i,
-            total: this.backupData.files.length
+            total: this.files.length
           });
           
         } catch (error) {
+          this.sentFiles.push({ path: file, name: path.basename(file), transferStatus: 'failed' });
           this.log(`Failed to backup ${file}: ${error.message}`, 'error');
           this.sendMessage({
             type: 'error',
@@ -92,15 +134,29 @@ class BackupWorker {
         }
       }
       
+      const failed = this.sentFiles.some(file => file.transferStatus === 'failed');
+      await this.hooks.runPost(this.isCancelled ? 'cancelled' : (failed ? 'partial' : 'success'));
+      
+      // No snapshot is recorded: processChunk does not upload anything yet,
+      // and files in a snapshot count as stored on the peer, so later
+      // snapshots would skip them
       if (!this.isCancelled) {
         this.sendMessage({
           type: 'backup_complete',
-          totalFiles: this.backupData.files.length,
-          totalBytes: this.bytesTransferred
+          totalFiles: this.files.length + this.plan.unchanged.length,
+          changedFiles: this.files.length,
+          unchangedFiles: this.plan.unchanged.length,
+          source: this.source,
+          parentId: this.plan.parentId,
+          totalBytes: this.bytesTransferred,
+          hooks: this.hooks.results
         });
       }
       
     } catch (error) {
+      if (this.hooks) {
+        await this.hooks.runPost('failed');
+      }
       this.sendMessage({
         type: 'error',
         error: error.message
@@ -113,7 +169,25 @@ class BackupWorker {
   }
 
   async backupFile(filePath) {
-    const stats = await fs.stat(filePath);
+    const { stats, type, target, attributes } = await FileMetadata.capture(filePath);
+    
+    // Directories and symlinks only go into the manifest
+    if (type !== 'file') {
+      if (type !== 'special') {
+        this.sentFiles.push({
+          path: filePath,
+          name: path.basename(filePath),
+          type,
+          size: 0,
+          modified: stats.mtime.toISOString(),
+          target,
+          attributes,
+          transferStatus: 'completed'
+        });
+      }
+      return;
+    }
+    
     const fileSize = stats.size;
     const chunkSize = 64 * 1024; // 64KB chunks
     
@@ -127,6 +201,7 @@ class BackupWorker {
     
     // Simulate file transfer with progress
     const stream = fs.createReadStream(filePath, { highWaterMark: chunkSize });
+    const hash = require('crypto').createHash('sha256');
     let fileBytes = 0;
     
     for await (const chunk of stream) {
@@ -137,6 +212,7 @@ class BackupWorker {
       // This is where you'd integrate with FileTransfer
       await this.processChunk(chunk, filePath);
       
+      hash.update(chunk);
       fileBytes += chunk.length;
       this.bytesTransferred += chunk.length;
       
@@ -151,6 +227,18 @@ class BackupWorker {
         });
       }
     }
+    
+    if (!this.isCancelled) {
+      this.sentFiles.push({
+        path: filePath,
+        name: path.basename(filePath),
+        size: fileSize,
+        modified: stats.mtime.toISOString(),
+        hash: hash.digest('hex'),
+        attributes,
+        transferStatus: 'completed'
+      });
+    }
   }
 
   async processChunk(chunk, filePath) {
@@ -0,0 +1,204 @@
+const zlib = require('zlib');
+const SnapshotManager = require('./snapshot');
+
+const CATALOG_VERSION = 1;
+const CATALOG_CONTEXT = 'catalog';
+const MAX_CATALOG_BYTES = 1024 * 1024; // sealed size a host accepts
+
+// The owner's catalog: which snapshots exist, which peers host them (or
+// which shard of them) and the Merkle roots we signed - everything the local
+// backups table knows that the peers do not. It is sealed with a key derived
+// from the owner secret and pushed to every hosting peer, which keeps the
+// newest copy per owner. After a recovery the newest catalog any reachable
+// peer holds repopulates the database; file manifests are not in it, they
+// come from the hosts' sealed manifests.
+class BackupCatalog {
+  constructor(database, storage, crypto) {
+    this.database = database;
+    this.storage = storage;
+    this.crypto = crypto;
+  }
+  
+  static get MAX_BYTES() {
+    return MAX_CATALOG_BYTES;
+  }
+  
+  // Catalog of the sent backups recorded in the database
+  async build() {
+    const backups = await this.database.listBackups('sent', -1);
+    
+    return {
+      version: CATALOG_VERSION,
+      created: Date.now(),
+      publicKey: this.crypto.getPublicKeyHex(),
+      backups: backups.map(backup => ({
+        id: backup.id,
+        name: backup.name,
+        timestamp: backup.timestamp,
+        status: backup.status,
+        source: backup.source || null,
+        parentId: backup.parent_id || null,
+        peerId: backup.peer_id,
+        hostPeerId: backup.hostPeerId || null,
+        hooks: backup.hooks || null
+      })),
+      shardPlacements: (await this.database.listShardPlacements()).map(placement => ({
+        backupId: placement.backup_id,
+        shardIndex: placement.shard_index,
+        dataShards: placement.data_shards,
+        totalShards: placement.total_shards,
+        peerId: placement.peer_id,
+        hostPeerId: placement.host_peer_id,
+        status: placement.status,
+        storedSize: placement.stored_size
+      })),
+      merkleRoots: await this.database.listMerkleRoots()
+    };
+  }
+  
+  // Peers to push the catalog to: every host of a backup or shard
+  static getHosts(catalog) {
+    const hosts = new Set();
+    catalog.backups.forEach(backup => backup.hostPeerId && hosts.add(backup.hostPeerId));
+    catalog.shardPlacements.forEach(placement => placement.hostPeerId && hosts.add(placement.hostPeerId));
+    return [...hosts];
+  }
+  
+  // Compress and seal a catalog for the hosts
+  seal(catalog) {
+    const compressed = zlib.gzipSync(Buffer.from(JSON.stringify(catalog), 'utf8'));
+    const sealed = this.crypto.sealForOwner(compressed, this.deriveKey(), CATALOG_CONTEXT);
+    
+    if (sealed.length > MAX_CATALOG_BYTES) {
+      throw new Error(`Catalog is ${sealed.length} bytes, more than hosts accept (${MAX_CATALOG_BYTES})`);
+    }
+    return sealed;
+  }
+  
+  // Open a sealed catalog; throws if it was not sealed with our owner secret
+  open(sealed) {
+    const compressed = this.crypto.openForOwner(sealed, this.deriveKey(), CATALOG_CONTEXT);
+    const catalog = JSON.parse(zlib.gunzipSync(compressed).toString('utf8'));
+    
+    if (catalog.version !== CATALOG_VERSION) {
+      throw new Error(`Unsupported catalog version ${catalog.version}`);
+    }
+    return catalog;
+  }
+  
+  deriveKey() {
+    return this.crypto.deriveCatalogKey();
+  }
+  
+  // Build, seal and push the catalog to every hosting peer. connectToHost
+  // opens a verified P2PConnection to a host peer id.
+  async push(connectToHost) {
+    const catalog = await this.build();
+    const results = { hosts: BackupCatalog.getHosts(catalog), pushed: [], failed: [] };
+    if (catalog.backups.length === 0) return results;
+    
+    const sealed = this.seal(catalog);
+    
+    for (const hostPeerId of results.hosts) {
+      let connection = null;
+      try {
+        connection = await connectToHost(hostPeerId);
+        await connection.pushCatalog(sealed, catalog.created);
+        results.pushed.push(hostPeerId);
+      } catch (error) {
+        results.failed.push({ hostPeerId, error: error.message });
+      } finally {
+        if (connection) {
+          await connection.close();
+        }
+      }
+    }
+    
+    return results;
+  }
+  
+  // Newest catalog among the ones fetched from peers, or null
+  newest(sealedCatalogs) {
+    let newest = null;
+    
+    for (const sealed of sealedCatalogs) {
+      try {
+        const catalog = this.open(sealed);
+        if (!newest || catalog.created > newest.created) {
+          newest = catalog;
+        }
+      } catch (error) {
+        console.warn('Ignoring a catalog that does not open with our owner secret:', error.message);
+      }
+    }
+    return newest;
+  }
+  
+  // Repopulate the database and backup records from a catalog. Backups
+  // already recorded are left as they are.
+  async apply(catalog) {
+    let added = 0;
+    
+    for (const backup of catalog.backups) {
+      if (await this.database.getBackup(backup.id)) continue;
+      
+      await this.database.saveBackup({ ...backup, type: 'sent', files: [] });
+      if (!this.storage.getBackup(backup.id)) {
+        await this.storage.recordBackup(backup.id, { ...backup, files: [] });
+      }
+      added++;
+    }
+    
+    for (const placement of catalog.shardPlacements) {
+      await this.database.saveShardPlacement(placement);
+    }
+    for (const merkle of catalog.merkleRoots) {
+      await this.database.saveMerkleRoot(merkle.backupId, merkle.peerId, merkle);
+    }
+    
+    return added;
+  }
+  
+  // Record the manifest of a backup a host listed for us (see
+  // RestoreManager.listHostedBackups). A backup the catalog did not know
+  // is added with what the manifest tells; hosts are { peerId, hostPeerId }
+  // of the peer that listed it.
+  async recordHostedBackup(hosted, hosts) {
+    const { metadata } = hosted;
+    const known = await this.database.getBackup(hosted.backupId);
+    const files = metadata.files.map(file => ({
+      ...file,
+      chunks: Array.isArray(file.chunks) ? file.chunks.length : file.chunks
+    }));
+    
+    const record = known
+      ? {
+        name: known.name,
+        timestamp: known.timestamp,
+        status: known.status,
+        source: known.source,
+        parentId: known.parent_id,
+        peerId: known.peer_id,
+        hostPeerId: known.hostPeerId,
+        hooks: known.hooks
+      }
+      : {
+        name: hosted.name,
+        timestamp: metadata.timestamp || hosted.timestamp,
+        source: SnapshotManager.getManifestSourceId(metadata.files),
+        ...hosts
+      };
+    
+    await this.database.saveBackup({ ...record, id: hosted.backupId, type: 'sent', files });
+    await this.database.saveBackupFiles(hosted.backupId, metadata.files);
+    
+    if (this.storage.getBackup(hosted.backupId)) {
+      await this.storage.updateBackup(hosted.backupId, { files });
+    } else {
+      await this.storage.recordBackup(hosted.backupId, { ...record, files });
+    }
+    return !known;
+  }
+}
+
+module.exports = BackupCatalog;
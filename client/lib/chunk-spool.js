@@ -0,0 +1,118 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// On-disk store for the chunks of a transfer that is still arriving. Chunks
+// are appended to a spool file as they come in and only their positions
+// stay in memory, so receiving a 100GB disk image needs no more memory than
+// receiving a small file. A chunk the owner first sent as a reference and
+// then as data arrives out of order, so chunks are read back by index.
+class ChunkSpool {
+  constructor(spoolPath) {
+    this.path = spoolPath;
+    this.fd = null;
+    this.size = 0; // bytes appended so far
+    this.chunks = new Map(); // chunkIndex -> { offset, length }
+    this.opening = null;
+    this.pending = new Set(); // chunks still being stored
+  }
+  
+  // Create the spool file on first use
+  open() {
+    if (!this.opening) {
+      this.opening = fs.ensureDir(path.dirname(this.path))
+        .then(() => fs.open(this.path, 'w+', 0o600))
+        .then(fd => {
+          this.fd = fd;
+        });
+    }
+    return this.opening;
+  }
+  
+  get count() {
+    return this.chunks.size;
+  }
+  
+  has(chunkIndex) {
+    return this.chunks.has(chunkIndex);
+  }
+  
+  // Append a chunk; the position is reserved before the write, so chunks
+  // handled concurrently never overlap
+  async write(chunkIndex, data) {
+    const offset = this.size;
+    this.size += data.length;
+    await this.open();
+    await fs.write(this.fd, data, 0, data.length, offset);
+    this.chunks.set(chunkIndex, { offset, length: data.length });
+  }
+  
+  async read(chunkIndex) {
+    const location = this.chunks.get(chunkIndex);
+    if (!location) {
+      throw new Error(`Missing chunk ${chunkIndex}`);
+    }
+    
+    const buffer = Buffer.alloc(location.length);
+    await this.open();
+    await fs.read(this.fd, buffer, 0, location.length, location.offset);
+    return buffer;
+  }
+  
+  // Remember a chunk that is still being received
+  track(promise) {
+    const settled = promise.then(() => {}, () => {});
+    this.pending.add(settled);
+    settled.then(() => this.pending.delete(settled));
+  }
+  
+  // Wait until every tracked chunk is stored (or failed)
+  async settle() {
+    while (this.pending.size > 0) {
+      await Promise.all(this.pending);
+    }
+  }
+  
+  // Chunks 0..totalChunks-1 in order, one at a time
+  async *readAll(totalChunks) {
+    for (let i = 0; i < totalChunks; i++) {
+      yield await this.read(i);
+    }
+  }
+  
+  // Whether the spool file already holds the chunks back to back in index
+  // order, i.e. is the reassembled object
+  isContiguous(totalChunks) {
+    let expected = 0;
+    for (let i = 0; i < totalChunks; i++) {
+      const location = this.chunks.get(i);
+      if (!location || location.offset !== expected) return false;
+      expected += location.length;
+    }
+    return expected === this.size;
+  }
+  
+  async close() {
+    if (this.opening) {
+      await this.opening.catch(() => {});
+    }
+    if (this.fd !== null) {
+      const fd = this.fd;
+      this.fd = null;
+      await fs.close(fd);
+    }
+  }
+  
+  // Turn the spool file into the received file
+  async moveTo(targetPath) {
+    await this.close();
+    await fs.ensureDir(path.dirname(targetPath));
+    await fs.move(this.path, targetPath, { overwrite: true });
+  }
+  
+  async discard() {
+    await this.close();
+    await fs.remove(this.path);
+  }
+}
+
+module.exports = ChunkSpool;
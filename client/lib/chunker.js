@@ -0,0 +1,149 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const BinaryFraming = require('./framing');
+
+// Gear table for the rolling hash - fixed so every client cuts identical
+// chunk boundaries for identical content
+const GEAR = new Uint32Array(256);
+for (let i = 0; i < 256; i++) {
+  GEAR[i] = crypto.createHash('sha256').update(`backup-peer-gear-${i}`).digest().readUInt32BE(0);
+}
+
+// Content-defined chunking (FastCDC style). Boundaries depend on the data
+// itself, so an insertion only changes the chunks around it instead of
+// shifting every fixed-size chunk after it.
+class ContentChunker {
+  constructor(options = {}) {
+    this.minSize = options.minSize || 16 * 1024; // 16KB
+    this.avgSize = options.avgSize || 64 * 1024; // 64KB
+    this.maxSize = options.maxSize || BinaryFraming.MAX_CHUNK_SIZE; // ~185KB, one data channel message
+    this.readSize = options.readSize || 1024 * 1024; // 1MB reads
+    
+    if (!(this.minSize < this.avgSize && this.avgSize < this.maxSize)) {
+      throw new Error('Chunk sizes must satisfy min < avg < max');
+    }
+    if (this.maxSize > BinaryFraming.MAX_CHUNK_SIZE) {
+      throw new Error(`Chunks over ${BinaryFraming.MAX_CHUNK_SIZE} bytes do not fit in one message`);
+    }
+    
+    // Normalized chunking: a stricter mask before the average size and a
+    // looser one after it keeps chunk sizes close to avgSize
+    const bits = Math.round(Math.log2(this.avgSize));
+    this.maskS = ContentChunker.highMask(bits + 2);
+    this.maskL = ContentChunker.highMask(bits - 2);
+  }
+  
+  // Mask with the top `bits` bits set (the gear hash mixes into high bits)
+  static highMask(bits) {
+    return (0xFFFFFFFF << (32 - bits)) >>> 0;
+  }
+  
+  // Length of the next chunk starting at `start`
+  findCutPoint(buffer, start, end) {
+    let length = end - start;
+    if (length <= this.minSize) {
+      return length;
+    }
+    if (length > this.maxSize) {
+      length = this.maxSize;
+    }
+    
+    const normalSize = Math.min(this.avgSize, length);
+    let hash = 0;
+    let i = this.minSize;
+    
+    for (; i < normalSize; i++) {
+      hash = ((hash << 1) + GEAR[buffer[start + i]]) >>> 0;
+      if ((hash & this.maskS) === 0) {
+        return i + 1;
+      }
+    }
+    
+    for (; i < length; i++) {
+      hash = ((hash << 1) + GEAR[buffer[start + i]]) >>> 0;
+      if ((hash & this.maskL) === 0) {
+        return i + 1;
+      }
+    }
+    
+    return length;
+  }
+  
+  // Split an in-memory buffer into chunks
+  chunkBuffer(buffer) {
+    const chunks = [];
+    let offset = 0;
+    
+    while (offset < buffer.length) {
+      const length = this.findCutPoint(buffer, offset, buffer.length);
+      chunks.push({ index: chunks.length, offset, data: buffer.slice(offset, offset + length) });
+      offset += length;
+    }
+    
+    return chunks;
+  }
+  
+  // Stream a file as { index, offset, data } chunks. With ranges
+  // ([{ offset, length }], e.g. the data extents of a sparse file) only
+  // those bytes are chunked, and no chunk spans two ranges.
+  async *chunkFile(filePath, ranges = null) {
+    if (!ranges) {
+      yield* this.chunkStream(fs.createReadStream(filePath, { highWaterMark: this.readSize }), 0, 0);
+      return;
+    }
+    
+    let index = 0;
+    for (const range of ranges) {
+      if (range.length === 0) continue;
+      const stream = fs.createReadStream(filePath, {
+        highWaterMark: this.readSize,
+        start: range.offset,
+        end: range.offset + range.length - 1
+      });
+      for await (const chunk of this.chunkStream(stream, range.offset, index)) {
+        index = chunk.index + 1;
+        yield chunk;
+      }
+    }
+  }
+  
+  // Chunks of a readable stream whose first byte is at `offset` in the file
+  async *chunkStream(stream, offset, index) {
+    let pending = Buffer.alloc(0);
+    
+    for await (const data of stream) {
+      pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+      
+      // Only cut once a full max-size window is available, so boundaries
+      // never depend on how the stream happened to be split into reads
+      let start = 0;
+      while (pending.length - start >= this.maxSize) {
+        const length = this.findCutPoint(pending, start, pending.length);
+        yield { index: index++, offset, data: pending.slice(start, start + length) };
+        start += length;
+        offset += length;
+      }
+      pending = pending.slice(start);
+    }
+    
+    let start = 0;
+    while (start < pending.length) {
+      const length = this.findCutPoint(pending, start, pending.length);
+      yield { index: index++, offset, data: pending.slice(start, start + length) };
+      start += length;
+      offset += length;
+    }
+  }
+  
+  // Find a single chunk by index (used when re-sending a failed chunk)
+  async readChunk(filePath, chunkIndex) {
+    for await (const chunk of this.chunkFile(filePath)) {
+      if (chunk.index === chunkIndex) {
+        return chunk;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = ContentChunker;
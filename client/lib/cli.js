@@ -7,16 +7,28 @@ const { v4: uuidv4 } = require('uuid');
 const fetch = require('node-fetch');
 const P2PConnection = require('./p2p');
 const BackupCrypto = require('./crypto');
-const FileTransfer = require('./transfer');
 const StorageManager = require('./storage');
 const StorageVerification = require('./verification');
 const ReputationSystem = require('./reputation');
 const Database = require('./database');
+const SnapshotManager = require('./snapshot');
+const RetentionManager = require('./retention');
+const StorageAllocation = require('./allocation');
+const Config = require('./config');
+const RedundancyManager = require('./redundancy');
+const RepairManager = require('./repair');
+const BandwidthThrottle = require('./throttle');
+const BackupHooks = require('./hooks');
+const RestoreTarget = require('./restore-target');
+const KeyStore = require('./keystore');
+const BackupCatalog = require('./catalog');
+const DatabaseEncryption = require('./db-encryption');
 const BackupPeerTUI = require('./tui');
 const TradeAuthenticator = require('./auth');
 const logger = require('./logger');
 const blessed = require('blessed');
 const path = require('path');
+const fs = require('fs-extra');
 
 const program = new Command();
 
@@ -28,32 +40,102 @@ logger.info('BackupPeer CLI started');
 program
   .name('backup-peer')
   .description('Privacy-focused P2P backup exchange')
-  .version('0.1.0');
+  .version('0.1.0')
+  .option('--key-file <path>', 'unlock the encrypted keystore with a key file (or set BACKUPPEER_KEY_FILE)');
+
+// Commands that use the identity keys unlock an encrypted keystore before
+// they start, so the passphrase is asked for once and before any spinner
+const KEY_COMMANDS = new Set([
+  'init', 'recovery-secret', 'recover', 'passphrase', 'rotate-key', 'test', 'listen', 'backup', 'restore',
+  'prune', 'repair', 'catalog', 'challenge', 'monitor', 'host', 'connect', 'ui'
+]);
+
+// Database passphrase typed in by unlockDatabaseKey, for a service started
+// from this process. It never goes into the environment, which hooks and
+// other child processes inherit.
+let databasePassphrase = null;
+
+program.hook('preAction', async (thisCommand, actionCommand) => {
+  const { keyFile } = program.opts();
+  if (keyFile) {
+    process.env.BACKUPPEER_KEY_FILE = path.resolve(keyFile); // also reaches a service started from here
+  }
+  
+  try {
+    if (KEY_COMMANDS.has(actionCommand.name())) {
+      await unlockKeyStore(actionCommand.opts().dir);
+    }
+    await unlockDatabaseKey(actionCommand.opts().dir);
+  } catch (error) {
+    console.error(chalk.red('Error:'), error.message);
+    process.exit(1);
+  }
+});
 
 // Initialize command - setup keys and config
 program
   .command('init')
   .description('Initialize BackupPeer with encryption keys')
   .option('-d, --dir <directory>', 'config directory', '~/.backup-peer')
+  .option('--recovery-secret <secret>', 'restore the owner secret exported from another machine')
   .action(async (options) => {
+    // New keys are encrypted with a passphrase when there is one to ask for
+    let passphrase = null;
+    const keyPath = path.join(options.dir.replace('~', require('os').homedir()), 'keys');
+    const newKeys = !await fs.pathExists(path.join(keyPath, 'public.key'));
+    if (process.stdin.isTTY && newKeys && !await KeyStore.resolvePassphrase()) {
+      console.log(chalk.blue('Choose a passphrase to encrypt your keys (leave empty to store them unencrypted).'));
+      passphrase = await promptNewPassphrase({ allowEmpty: true });
+    }
+    
     const spinner = ora('Initializing BackupPeer...').start();
     
     try {
       const crypto = new BackupCrypto();
       const storage = new StorageManager(options.dir);
       
+      // New keys come from a recovery phrase that rebuilds all of them; an
+      // owner secret imported from elsewhere would not match it
+      const mnemonic = newKeys && !options.recoverySecret ? BackupCrypto.generateMnemonic() : null;
+      
       // Initialize crypto keys
-      await crypto.initializeKeys(options.dir);
+      await crypto.initializeKeys(options.dir, { passphrase, mnemonic });
+      
+      if (options.recoverySecret) {
+        // A database key wrapped with the old owner secret moves to the new one
+        const databaseKey = new DatabaseEncryption(options.dir);
+        const databaseUnlocked = await databaseKey.initialize();
+        
+        await crypto.importRecoverySecret(options.recoverySecret, options.dir);
+        
+        if (databaseUnlocked && databaseKey.stored.kek === 'keystore') {
+          await databaseKey.rewrap('keystore');
+        }
+      }
       
       // Initialize storage
       await storage.initialize();
       
       spinner.succeed('BackupPeer initialized successfully!');
       console.log(chalk.green('✓ Encryption keys generated'));
+      console.log(crypto.keyStore
+        ? chalk.green('✓ Keys encrypted with your passphrase')
+        : chalk.yellow('⚠ Keys stored unencrypted - run "backup-peer passphrase" to protect them'));
+      console.log(chalk.green(options.recoverySecret ? '✓ Owner secret recovered' : '✓ Owner secret ready'));
       console.log(chalk.green('✓ Storage directories created'));
       console.log(chalk.blue(`Public key: ${crypto.getPublicKeyHex()}`));
       console.log(chalk.gray(`Config directory: ${options.dir.replace('~', require('os').homedir())}`));
       
+      if (mnemonic) {
+        console.log(chalk.yellow('\n⚠️  Your recovery phrase - write it down and keep it offline:\n'));
+        console.log(formatMnemonic(mnemonic));
+        console.log(chalk.yellow('\n   It rebuilds your keys and finds your backups on a new machine with'));
+        console.log(chalk.yellow('   "backup-peer recover". It is shown only this once.'));
+      } else if (!options.recoverySecret) {
+        console.log(chalk.yellow('\n⚠️  Backups can only be decrypted with your owner secret.'));
+        console.log(chalk.yellow('   Run "backup-peer recovery-secret" and store the output offline.'));
+      }
+      
     } catch (error) {
       spinner.fail('Initialization failed');
       console.error(chalk.red('Error:'), error.message);
@@ -61,6 +143,300 @@ program
     }
   });
 
+// Recovery secret command - export the owner secret for safekeeping
+program
+  .command('recovery-secret')
+  .description('Show the owner secret needed to decrypt backups on a new machine')
+  .option('-d, --dir <directory>', 'config directory', '~/.backup-peer')
+  .action(async (options) => {
+    try {
+      const crypto = new BackupCrypto();
+      await crypto.initializeKeys(options.dir);
+      
+      console.log(chalk.yellow('⚠️  Anyone holding this secret can decrypt all of your backups.'));
+      console.log(chalk.yellow('   Store it offline; on a new machine run:'));
+      console.log(chalk.gray('   backup-peer init --recovery-secret <secret>\n'));
+      console.log(crypto.getRecoverySecret());
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Recover command - rebuild the identity from the recovery phrase on a new machine
+program
+  .command('recover')
+  .description('Rebuild your keys from the recovery phrase and find your backups on peers')
+  .option('-d, --dir <directory>', 'config directory', '~/.backup-peer')
+  .option('-s, --server <url>', 'signaling server URL', 'wss://backup01.wiuf.net')
+  .option('-p, --peer <peerId>', 'peer that hosts your backups (repeatable) - its catalog names the others', collectOption, [])
+  .option('--phrase-file <path>', 'read the recovery phrase from a file instead of asking for it')
+  .option('--key-generation <n>', 'signing key generation to rebuild, if the key was rotated ("backup-peer rotate-key")', '0')
+  .action(async (options) => {
+    let spinner;
+    
+    try {
+      const keyGeneration = parseInt(options.keyGeneration, 10);
+      if (!Number.isInteger(keyGeneration) || keyGeneration < 0) {
+        throw new Error('--key-generation must be a whole number');
+      }
+      
+      const mnemonic = options.phraseFile
+        ? await fs.readFile(options.phraseFile, 'utf8')
+        : await promptSecret('Recovery phrase: ');
+      const publicKey = BackupCrypto.publicKeyFromMnemonic(mnemonic); // checks the words first
+      const crypto = new BackupCrypto();
+      const keyPath = path.join(options.dir.replace('~', require('os').homedir()), 'keys');
+      
+      // Running it again (e.g. with more --peer) keeps keys already rebuilt
+      // from the same phrase
+      if (await fs.pathExists(path.join(keyPath, 'public.key'))) {
+        await crypto.initializeKeys(options.dir);
+        if (crypto.getPublicKeyHex() !== publicKey) {
+          throw new Error(`Keys already exist in ${keyPath} and were not made from this phrase - move them away first`);
+        }
+        console.log(chalk.green('✓ Keys already match the recovery phrase'));
+      } else {
+        let passphrase = null;
+        if (process.stdin.isTTY && !await KeyStore.resolvePassphrase()) {
+          console.log(chalk.blue('Choose a passphrase to encrypt your keys (leave empty to store them unencrypted).'));
+          passphrase = await promptNewPassphrase({ allowEmpty: true });
+        }
+        
+        spinner = ora('Rebuilding keys from the recovery phrase...').start();
+        await crypto.initializeKeys(options.dir, { mnemonic, passphrase });
+        spinner.succeed('Keys recovered');
+      }
+      
+      // Key rotations are derived from the owner secret, so they replay
+      // to the same keys and succession statements
+      while (crypto.getKeyGeneration() < keyGeneration) {
+        await crypto.rotateSigningKey();
+      }
+      if (keyGeneration > 0) {
+        console.log(chalk.green(`✓ Signing key at generation ${crypto.getKeyGeneration()}`));
+      }
+      
+      const storage = new StorageManager(options.dir);
+      await storage.initialize();
+      console.log(chalk.blue(`Public key: ${crypto.getPublicKeyHex()}`));
+      
+      if (options.peer.length === 0) {
+        console.log(chalk.gray('\nRun "backup-peer recover --peer <peerId>" with the peers that host your backups to find them,'));
+        console.log(chalk.gray('or "backup-peer restore <backup-id> --peer <peerId>" if you know the backup id.'));
+        return;
+      }
+      
+      const database = new Database(options.dir);
+      await database.initialize();
+      const catalog = new BackupCatalog(database, storage, crypto);
+      
+      // Run one step against a peer, reporting instead of failing
+      const withPeer = async (peerId, text, step) => {
+        spinner = ora(text).start();
+        const connection = new P2PConnection({
+          peerId: `recover-${Date.now()}`,
+          signalingUrl: options.server
+        });
+        
+        try {
+          await connection.connectToPeer(peerId);
+          spinner.succeed(await step(connection, await connection.waitForPeerIdentity()));
+        } catch (error) {
+          spinner.warn(`${peerId}: ${error.message}`);
+        } finally {
+          await connection.close();
+        }
+      };
+      
+      // The newest catalog escrowed with any of the given peers names every
+      // backup and the other peers that host them
+      const sealedCatalogs = [];
+      for (const peerId of options.peer) {
+        await withPeer(peerId, `Fetching your catalog from ${peerId}...`, async (connection) => {
+          const sealed = await connection.fetchCatalog();
+          if (sealed) sealedCatalogs.push(sealed);
+          return sealed ? `${peerId} holds a catalog` : `${peerId} holds no catalog`;
+        });
+      }
+      
+      const hosts = new Set(options.peer);
+      const newest = catalog.newest(sealedCatalogs);
+      let found = 0;
+      if (newest) {
+        const added = await catalog.apply(newest);
+        found += added;
+        BackupCatalog.getHosts(newest).forEach(host => hosts.add(host));
+        console.log(chalk.green(`✓ Catalog of ${new Date(newest.created).toLocaleString()}: ` +
+          `${newest.backups.length} backups on ${hosts.size} peers (${added} added)`));
+      }
+      
+      // Each host's sealed manifests fill in the files, and turn up backups
+      // newer than the catalog
+      for (const peerId of hosts) {
+        await withPeer(peerId, `Asking ${peerId} for your backups...`, async (connection, hostPeerIdHash) => {
+          const hosted = await connection.listHostedBackups();
+          for (const backup of hosted) {
+            if (await catalog.recordHostedBackup(backup, { peerId: hostPeerIdHash, hostPeerId: peerId })) {
+              found++;
+            }
+          }
+          return `${peerId} holds ${hosted.length} of your backups`;
+        });
+      }
+      
+      await database.close();
+      console.log(chalk.green(`\n✓ Found ${found} backups - see them with "backup-peer list"`));
+      if (found > 0) {
+        console.log(chalk.gray('Restore one with "backup-peer restore <backup-id> <directory>"'));
+      }
+      process.exit(0);
+      
+    } catch (error) {
+      if (spinner) {
+        spinner.fail('Recovery failed');
+      }
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Passphrase command - encrypt the keys, change the passphrase or switch to a key file
+program
+  .command('passphrase')
+  .description('Encrypt the identity keys and owner secret with a passphrase, or change it')
+  .option('-d, --dir <directory>', 'config directory', '~/.backup-peer')
+  .option('--new-key-file <path>', 'unlock with this key file from now on instead of a passphrase (created if missing)')
+  .action(async (options) => {
+    try {
+      const crypto = new BackupCrypto();
+      await crypto.initializeKeys(options.dir);
+      const wasEncrypted = !!crypto.keyStore;
+      
+      let passphrase;
+      if (options.newKeyFile) {
+        if (!await fs.pathExists(options.newKeyFile)) {
+          await KeyStore.createKeyFile(options.newKeyFile);
+          console.log(chalk.green(`✓ Created key file ${path.resolve(options.newKeyFile)}`));
+        }
+        passphrase = await KeyStore.readKeyFile(options.newKeyFile);
+      } else {
+        passphrase = await promptNewPassphrase({ allowEmpty: false });
+      }
+      
+      const spinner = ora('Encrypting keystore...').start();
+      await crypto.setPassphrase(passphrase);
+      spinner.succeed(wasEncrypted ? 'Keystore passphrase changed' : 'Private keys moved into an encrypted keystore');
+      
+      if (options.newKeyFile) {
+        console.log(chalk.gray(`Run unattended with --key-file ${path.resolve(options.newKeyFile)} ` +
+          `or BACKUPPEER_KEY_FILE=${path.resolve(options.newKeyFile)}`));
+        console.log(chalk.yellow('Keep the key file off the disk the keystore lives on, or it protects nothing.'));
+      }
+      console.log(chalk.gray('A running service keeps the keys it unlocked; restart it to use the new passphrase.'));
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Rotate key command - replace the signing key without losing the peers' trust
+program
+  .command('rotate-key')
+  .description('Replace the signing key; the old key signs the new one so peers keep your reputation and storage')
+  .option('-d, --dir <directory>', 'config directory', '~/.backup-peer')
+  .action(async (options) => {
+    try {
+      const crypto = new BackupCrypto();
+      await crypto.initializeKeys(options.dir);
+      const previousPeerIdHash = crypto.getMyPeerIdHash();
+      
+      const spinner = ora('Rotating signing key...').start();
+      const statement = await crypto.rotateSigningKey();
+      spinner.succeed(`Signing key rotated to generation ${statement.generation}`);
+      
+      console.log(chalk.blue(`Peer ID hash: ${previousPeerIdHash} → ${statement.peerIdHash}`));
+      console.log(chalk.gray('Peers move your reputation, cached connection and storage agreements to the new key'));
+      console.log(chalk.gray('the next time you connect to them, and refuse the old key from then on.'));
+      console.log(chalk.yellow(`The recovery phrase rebuilds this key with "backup-peer recover --key-generation ${statement.generation}".`));
+      console.log(chalk.gray('A running service keeps the old key; restart it to use the new one.'));
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Database key command - show or change what protects the database key
+program
+  .command('db-key')
+  .description('Show how the database encryption key is protected, or re-wrap it')
+  .option('-d, --dir <directory>', 'config directory', '~/.backup-peer')
+  .option('--passphrase', 'wrap it with a database passphrase of its own')
+  .option('--keystore', 'wrap it with a key derived from the owner secret (default)')
+  .action(async (options) => {
+    try {
+      if (options.passphrase && options.keystore) {
+        throw new Error('Choose either --passphrase or --keystore');
+      }
+      
+      const database = new Database(options.dir);
+      await database.initialize();
+      const encryption = database.encryption;
+      
+      if (!encryption.masterKey) {
+        throw new Error(encryption.stored
+          ? 'Database key is locked - unlock the keystore or set BACKUPPEER_DB_PASSPHRASE'
+          : 'There is no database key yet - run "backup-peer init" first');
+      }
+      
+      if (!options.passphrase && !options.keystore) {
+        const { stored } = encryption;
+        console.log(chalk.blue('🔑 Database Key\n'));
+        console.log('Protected by:', stored.kek === 'passphrase'
+          ? 'database passphrase (Argon2id)'
+          : 'key derived from the owner secret');
+        console.log('Created:', new Date(stored.created).toLocaleString());
+        if (stored.rewrapped) {
+          console.log('Re-wrapped:', new Date(stored.rewrapped).toLocaleString());
+        }
+        if (stored.legacyMigrated) {
+          console.log('Old fields re-encrypted:', new Date(stored.legacyMigrated).toLocaleString());
+        }
+        await database.close();
+        return;
+      }
+      
+      let passphrase = null;
+      if (options.passphrase) {
+        passphrase = process.stdin.isTTY
+          ? await promptNewPassphrase({ allowEmpty: false })
+          : process.env.BACKUPPEER_DB_PASSPHRASE;
+        if (!passphrase) {
+          throw new Error('No terminal to ask for the passphrase - set BACKUPPEER_DB_PASSPHRASE');
+        }
+      }
+      
+      const spinner = ora('Re-wrapping database key...').start();
+      await encryption.rewrap(options.passphrase ? 'passphrase' : 'keystore', { passphrase });
+      await database.close();
+      spinner.succeed(options.passphrase
+        ? 'Database key now wrapped with its own passphrase'
+        : 'Database key now wrapped with the owner secret');
+      
+      if (options.passphrase) {
+        console.log(chalk.gray('Commands ask for it; set BACKUPPEER_DB_PASSPHRASE for unattended runs.'));
+      }
+      console.log(chalk.gray('Restart a running service for it to use the new wrapping.'));
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Test command - establish P2P connection and ping
 program
   .command('test')
@@ -219,6 +595,8 @@ program
   .option('-w, --watch', 'watch progress in real-time')
   .option('--accept-terms', 'automatically accept terms of use (for testing)')
   .option('--auto', 'automatically select first available peer')
+  .option('--peers <peerIds>', 'comma-separated peers to spread erasure-coded shards across')
+  .option('-k, --data-shards <k>', 'shards needed to rebuild an erasure-coded backup (default: peers - 1)')
   .action(async (files, options) => {
     console.log(chalk.blue('🔥 Starting sovereign backup process...'));
     
@@ -271,6 +649,7 @@ program
     // Continue with foreground mode
     console.log(chalk.green('Breaking free from Big Tech surveillance!'));
     let spinner;
+    let hooks = null;
     try {
       // Handle terms acceptance
       if (options.acceptTerms) {
@@ -301,6 +680,38 @@ program
       await crypto.initializeKeys();
       await storage.initialize();
       
+      // Expand source directories; unchanged files are filtered out once the
+      // peer is known, since snapshots are tracked per source and peer
+      const source = SnapshotManager.getSourceId(files);
+      
+      // The pre-backup hook (e.g. a database dump) runs before the files
+      // are collected; if it fails, the backup is aborted
+      hooks = BackupHooks.forSource(await new Config().load(), source, {
+        env: { BACKUPPEER_BACKUP_NAME: options.name || '' }
+      });
+      if (hooks.pre) {
+        spinner.text = 'Running pre-backup hook...';
+      }
+      await hooks.runPre();
+      
+      const sourceFiles = await new SnapshotManager(null, storage).collectFiles(files);
+      if (sourceFiles.length === 0) {
+        throw new Error('No files to back up');
+      }
+      
+      // Erasure-coded backups are spread over several peers at once
+      if (options.peers) {
+        try {
+          await runErasureBackup({ source, sourceFiles, storage, options, spinner, hooks });
+          process.exit(0);
+        } catch (error) {
+          spinner.fail('Erasure-coded backup failed');
+          console.error(chalk.red('Error:'), error.message);
+          await hooks.runPost('failed');
+          process.exit(1);
+        }
+      }
+      
 // DIAGNOSTIC: Add initial logging
 console.log('\n🔍 DIAGNOSTIC: Checking backup prerequisites...');
 console.log(`- options.peer: ${options.peer}`);
@@ -387,9 +798,6 @@ const connection = new P2PConnection({
   }
 });
 
-// Initialize file transfer
-const transfer = new FileTransfer(connection, crypto);
-
 // Set up connection event handlers
 connection.on('waiting', () => {
   spinner.text = 'Waiting for peer connection...';
@@ -408,23 +816,89 @@ connection.on('connected', async () => {
     spinner = ora('Encrypting and sending files...').start();
     
     const backupName = options.name || `backup-${Date.now()}`;
-    const result = await transfer.sendBackup(files, connection.currentPeerId, backupName);
+    const peerIdHash = await connection.waitForPeerIdentity();
+    
+    // Compare against the last snapshot of this source on this peer
+    const snapshotDb = new Database();
+    await snapshotDb.initialize();
+    const snapshots = new SnapshotManager(snapshotDb, storage);
+    const plan = await snapshots.planSnapshot(source, peerIdHash, sourceFiles);
+    
+    if (plan.parentId) {
+      spinner.text = `Sending snapshot: ${plan.changed.length} changed, ${plan.unchanged.length} unchanged files...`;
+    }
+    
+    const result = await connection.sendBackup(plan.changed, backupName, {
+      unchangedFiles: plan.unchanged
+    });
+    const failed = result.results.filter(r => r.status !== 'success').length;
+    await hooks.runPost(failed > 0 ? 'partial' : 'success');
+    
+    // Record the snapshot manifest (with chunk lists) in the database
+    await snapshots.recordSnapshot({
+      id: result.backupId,
+      name: backupName,
+      source,
+      parentId: plan.parentId,
+      peerId: peerIdHash,
+      hostPeerId: peerId,
+      files: result.metadata.files,
+      hooks: hooks.results,
+      status: failed > 0 ? 'partial' : 'active'
+    });
+    
+    // Escrow the updated catalog with this peer, so a new machine can find
+    // this snapshot again
+    try {
+      const catalog = new BackupCatalog(snapshotDb, storage, connection.crypto);
+      const contents = await catalog.build();
+      await connection.pushCatalog(catalog.seal(contents), contents.created);
+    } catch (error) {
+      console.warn(chalk.yellow(`Catalog not escrowed with the peer: ${error.message}`));
+    }
+    await snapshotDb.close();
+    
+    // Count what the peer now stores for us towards our storage ratio
+    const storedBytes = result.results.reduce((sum, r) => sum + (r.storedSize || 0), 0);
+    const allocation = new StorageAllocation();
+    await allocation.initialize();
+    await allocation.recordStorageUsed(peerIdHash, storedBytes, result.backupId);
     
-    // Record backup in storage
+    // Record backup in storage - the plaintext manifest only lives here
+    // (chunk lists stay in the database and the sealed copy on the peer)
     await storage.recordBackup(result.backupId, {
       name: backupName,
-      files: files.map(f => ({ path: f, name: path.basename(f) })),
-      peerId: connection.currentPeerId,
+      files: result.metadata.files.map(file => ({
+        ...file,
+        chunks: Array.isArray(file.chunks) ? file.chunks.length : file.chunks
+      })),
+      peerId: peerIdHash,
+      hostPeerId: peerId,
+      source,
+      parentId: plan.parentId,
+      hooks: hooks.results,
       timestamp: Date.now()
     });
     
     spinner.succeed('🎉 DIGITAL LIBERATION COMPLETE!');
     console.log(chalk.green(`✅ Backup ID: ${result.backupId}`));
+    printHookResults(hooks.results);
+    if (plan.parentId) {
+      console.log(chalk.gray(`📸 Snapshot of ${plan.parentId}: ${plan.changed.length} changed, ` +
+        `${plan.unchanged.length} unchanged, ${plan.removed.length} removed`));
+    }
+    if (failed > 0) {
+      console.log(chalk.yellow(`⚠️  ${failed} files failed to send - they will be retried next run`));
+    }
+    if (result.dedup.chunks > 0) {
+      console.log(chalk.gray(`♻️  ${result.dedup.chunks} chunks (${formatBytes(result.dedup.bytes)}) already on peer - not re-sent`));
+    }
     console.log(chalk.blue('💪 Your data is now sovereign!'));
     
   } catch (error) {
     spinner.fail('Backup transfer failed');
     console.error(chalk.red('Transfer error:'), error.message);
+    await hooks.runPost('failed');
   } finally {
     // Close connection after transfer
     await connection.close();
@@ -432,9 +906,10 @@ connection.on('connected', async () => {
   }
 });
 
-connection.on('error', (error) => {
+connection.on('error', async (error) => {
   spinner.fail('Connection failed');
   console.error(chalk.red('Error:'), error.message);
+  await hooks.runPost('failed');
   process.exit(1);
 });
 
@@ -442,13 +917,6 @@ connection.on('disconnected', () => {
   console.log(chalk.yellow('Connection closed'));
 });
 
-// Handle file transfer messages
-connection.on('message', (message) => {
-  if (transfer.isTransferMessage(message.type)) {
-    transfer.handleTransferMessage(message, connection.currentPeerId);
-  }
-});
-
 // Await the connection to be fully established before proceeding
 try {
   spinner = ora('Connecting to peer...').start();
@@ -463,6 +931,7 @@ try {
   console.error(chalk.red('Connection error:'), error.message);
   console.log('\n💡 Hint: Make sure the peer is online and hosting a backup slot');
   console.log('💡 Try: backup-peer browse to see available peers');
+  await hooks.runPost('failed');
   process.exit(1);
 }
 
@@ -470,131 +939,677 @@ try {
       
     } catch (error) {
       if (spinner) {
-        spinner.fail('Backup initialization failed');
-      } else {
-        console.error(chalk.red('Backup initialization failed'));
+        spinner.fail('Backup initialization failed');
+      } else {
+        console.error(chalk.red('Backup initialization failed'));
+      }
+      console.error(chalk.red('Error:'), error.message);
+      if (hooks) {
+        await hooks.runPost('failed');
+      }
+      process.exit(1);
+    }
+  });
+
+// Restore command - pull a backup back from the peer hosting it
+program
+  .command('restore [backupId] [targetDirectory]')
+  .description('Restore a backup snapshot, or only some of its files, by fetching it from its hosting peer (or shard peers)')
+  .option('-s, --server <url>', 'signaling server URL', 'wss://backup01.wiuf.net')
+  .option('-p, --peer <peerId>', 'hosting peer ID (defaults to the peer used for the backup)')
+  .option('--overwrite', 'overwrite existing files (same as --conflict overwrite)')
+  .option('--in-place', 'restore files to the paths they were backed up from instead of a target directory')
+  .option('--conflict <policy>', `what to do with files already there: ${RestoreTarget.POLICIES.join(', ')}`)
+  .option('--dry-run', 'list which files would be created, replaced, renamed or skipped without restoring')
+  .option('--snapshot <id|date>', 'snapshot to restore instead of <backupId>: an id, or the newest one taken at or before a date ("2026-10-01", "2026-10-01 14:30")')
+  .option('--source <path>', 'backed-up directory to pick the --snapshot from when there are several')
+  .option('-i, --include <glob>', 'only restore matching files and folders, e.g. \'docs/**\' (repeatable)', collectOption, [])
+  .option('-x, --exclude <glob>', 'skip matching files and folders, e.g. \'*.tmp\' (repeatable)', collectOption, [])
+  .action(async (backupId, targetDirectory, options) => {
+    console.log(chalk.blue('Starting restore...'));
+    let spinner;
+    
+    try {
+      const storage = new StorageManager();
+      await storage.initialize();
+      
+      const database = new Database();
+      await database.initialize();
+      
+      // With --snapshot the only positional argument is the target directory
+      if (options.snapshot) {
+        if (targetDirectory) {
+          throw new Error('Give either a backup id or --snapshot, not both');
+        }
+        targetDirectory = backupId;
+        
+        const source = options.source ? SnapshotManager.getSourceId([options.source]) : null;
+        const snapshot = await new SnapshotManager(database).resolveSnapshot(options.snapshot, source);
+        backupId = snapshot.id;
+        console.log(chalk.gray(`Snapshot ${backupId} of ${snapshot.source} (${new Date(snapshot.timestamp).toLocaleString()})`));
+      } else if (!backupId) {
+        throw new Error('Specify a backup id or --snapshot <id|date>');
+      }
+      
+      if (options.inPlace && targetDirectory) {
+        throw new Error('--in-place restores to the original paths - leave out the target directory');
+      }
+      
+      const backup = storage.getBackup(backupId);
+      if (backup && backup.type !== 'sent') {
+        throw new Error('Only backups we sent can be pulled back; received backups are already local');
+      }
+      
+      const target = options.inPlace ? null : path.resolve(targetDirectory || `restore-${backupId}`);
+      const restoreOptions = {
+        include: options.include,
+        exclude: options.exclude,
+        inPlace: !!options.inPlace,
+        conflict: options.conflict || (options.overwrite ? 'overwrite' : 'skip')
+      };
+      if (!RestoreTarget.POLICIES.includes(restoreOptions.conflict)) {
+        throw new Error(`Unknown conflict policy ${restoreOptions.conflict} - use ${RestoreTarget.POLICIES.join(', ')}`);
+      }
+      
+      // The plan comes from the local copy of the manifest, so no peer is needed
+      if (options.dryRun) {
+        await database.close();
+        if (!backup) {
+          throw new Error(`No local manifest for ${backupId} - a dry run needs the backup in "backup-peer list"`);
+        }
+        printRestorePlan(await storage.getRestorePreview(backupId, target, restoreOptions));
+        process.exit(0);
+      }
+      
+      // Erasure-coded backups are rebuilt from the shards of several peers
+      const placements = await database.getShardPlacements(backupId);
+      await database.close();
+      
+      const hostPeerId = options.peer || (backup && backup.hostPeerId);
+      if (!hostPeerId && placements.length === 0) {
+        throw new Error('Unknown hosting peer for this backup. Use --peer <peerId>.');
+      }
+      
+      const connections = [];
+      
+      if (placements.length > 0 && !options.peer) {
+        const { k, n } = RedundancyManager.summarizeHealth(placements);
+        
+        for (const placement of placements.filter(p => p.status !== 'failed' && p.host_peer_id)) {
+          spinner = ora(`Connecting to shard ${placement.shard_index + 1}/${n} on ${placement.host_peer_id}...`).start();
+          try {
+            const connection = new P2PConnection({
+              peerId: `restore-${Date.now()}`,
+              signalingUrl: options.server
+            });
+            await connection.connectToPeer(placement.host_peer_id);
+            await connection.waitForPeerIdentity();
+            connections.push(connection);
+            spinner.succeed(`Shard ${placement.shard_index + 1}/${n} peer connected`);
+          } catch (error) {
+            spinner.warn(`Shard ${placement.shard_index + 1}/${n} unavailable: ${error.message}`);
+          }
+        }
+        
+        if (connections.length < k) {
+          throw new Error(`Only ${connections.length} shard peers reachable - ${k} are needed to rebuild this backup`);
+        }
+        spinner = ora().start();
+      } else {
+        const connection = new P2PConnection({
+          peerId: `restore-${Date.now()}`,
+          signalingUrl: options.server
+        });
+        
+        spinner = ora(`Connecting to hosting peer ${hostPeerId}...`).start();
+        await connection.connectToPeer(hostPeerId);
+        connections.push(connection);
+        
+        const peerIdHash = await connection.waitForPeerIdentity();
+        if (backup && backup.peerId && backup.peerId !== peerIdHash) {
+          spinner.warn(`Peer identity ${peerIdHash} differs from the one recorded at backup time`);
+          spinner = ora().start();
+        }
+      }
+      
+      spinner.text = 'Fetching backup manifest...';
+      
+      const [connection, ...shardConnections] = connections;
+      const results = await connection.restoreBackup(backupId, target, {
+        shardSources: shardConnections.map(c => c.restoreManager),
+        ...restoreOptions,
+        onProgress: (progress) => {
+          spinner.text = `Restoring ${progress.fileName} ${createProgressBar(progress.progress)}% ` +
+            `(${formatBytes(progress.bytesRestored)}/${formatBytes(progress.totalBytes)})`;
+        },
+        onFileComplete: ({ file, success, error }) => {
+          if (!success) {
+            spinner.warn(`${file.name}: ${error}`);
+            spinner = ora('Continuing restore...').start();
+          }
+        }
+      });
+      
+      const destination = target || 'their original paths';
+      if (results.failedFiles > 0) {
+        spinner.warn(`Restored ${results.restoredFiles}/${results.totalFiles} files to ${destination}`);
+        console.log(chalk.yellow('Run the same command again to resume the failed files.'));
+      } else {
+        spinner.succeed(`Restored ${results.restoredFiles}/${results.totalFiles} files to ${destination}`);
+      }
+      
+      if (results.renamedFiles > 0) {
+        console.log(chalk.gray(`Restored ${results.renamedFiles} files next to existing ones with a .restored suffix`));
+      }
+      if (results.skippedFiles > 0) {
+        console.log(chalk.gray(`Skipped ${results.skippedFiles} existing files (see --conflict to replace or rename them)`));
+      }
+      
+      for (const open of connections) {
+        await open.close();
+      }
+      process.exit(results.failedFiles > 0 ? 1 : 0);
+      
+    } catch (error) {
+      if (spinner) {
+        spinner.fail('Restore failed');
+      }
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// List backups command
+program
+  .command('list')
+  .description('List all backups')
+  .option('-t, --type <type>', 'backup type (sent|received|all)', 'all')
+  .action(async (options) => {
+    try {
+      const storage = new StorageManager();
+      await storage.initialize();
+      
+      const backups = storage.listBackups(options.type);
+      const usage = await storage.getStorageUsage();
+      
+      console.log(chalk.blue('BackupPeer Storage Summary'));
+      console.log(chalk.gray('═'.repeat(40)));
+      console.log(`Total backups: ${usage.totalBackups}`);
+      console.log(`Sent: ${usage.sentBackups} (${(usage.sentSize / 1024 / 1024).toFixed(1)} MB)`);
+      console.log(`Received: ${usage.receivedBackups} (${(usage.receivedSize / 1024 / 1024).toFixed(1)} MB)`);
+      console.log('');
+      
+      if (backups.length === 0) {
+        console.log(chalk.yellow('No backups found'));
+        return;
+      }
+      
+      backups.forEach(backup => {
+        const date = new Date(backup.timestamp).toLocaleDateString();
+        const size = backup.files.reduce((sum, f) => sum + (f.size || 0), 0);
+        const sizeStr = (size / 1024 / 1024).toFixed(1) + ' MB';
+        
+        console.log(`${backup.type === 'sent' ? '📤' : '📥'} ${backup.name}`);
+        console.log(`   ID: ${backup.id}`);
+        console.log(`   Date: ${date}`);
+        console.log(`   Files: ${backup.files.length} (${sizeStr})`);
+        console.log(`   Status: ${backup.status}`);
+        console.log('');
+      });
+      
+      if (options.type === 'received') {
+        return;
+      }
+      
+      // Snapshot history per source directory
+      const database = new Database();
+      await database.initialize();
+      const chains = await new SnapshotManager(database).getSnapshotChains();
+      const redundancy = await new RedundancyManager(database).listHealth();
+      await database.close();
+      
+      if (chains.size === 0) {
+        return;
+      }
+      
+      console.log(chalk.blue('Snapshot Chains'));
+      console.log(chalk.gray('═'.repeat(40)));
+      
+      for (const [source, snapshots] of chains) {
+        console.log(chalk.cyan(source.split(path.delimiter).join(', ')));
+        
+        snapshots.forEach((snapshot, index) => {
+          const connector = index === snapshots.length - 1 ? '└─' : '├─';
+          const date = new Date(snapshot.timestamp).toLocaleString();
+          const kind = snapshot.parent_id ? 'incremental' : 'full';
+          
+          console.log(`  ${connector} ${snapshot.id} ${chalk.gray(date)}`);
+          const health = redundancy.get(snapshot.id);
+          console.log(`  ${index === snapshots.length - 1 ? '  ' : '│ '}   ${kind}, ` +
+            `${snapshot.changed_files}/${snapshot.file_count} files sent, ` +
+            `${formatBytes(snapshot.total_size)} total, ${snapshot.status}` +
+            (health ? `, ${formatRedundancy(health)}` : ''));
+        });
+        console.log('');
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Redundancy command - shard health of erasure-coded backups
+program
+  .command('redundancy [backupId]')
+  .description('Show where the shards of erasure-coded backups live and how many peers can still be lost')
+  .action(async (backupId) => {
+    try {
+      const database = new Database();
+      await database.initialize();
+      const health = await new RedundancyManager(database).listHealth();
+      await database.close();
+      
+      const entries = Array.from(health.entries()).filter(([id]) => !backupId || id === backupId);
+      if (entries.length === 0) {
+        console.log(chalk.yellow(backupId ? `${backupId} is not erasure coded` : 'No erasure-coded backups'));
+        console.log(chalk.gray('Create one with "backup-peer backup <dir> --peers <a,b,c>"'));
+        return;
+      }
+      
+      console.log(chalk.blue('Backup Redundancy'));
+      console.log(chalk.gray('═'.repeat(40)));
+      
+      for (const [id, backupHealth] of entries) {
+        console.log(`${id}: ${formatRedundancy(backupHealth)}`);
+        backupHealth.placements.forEach(placement => {
+          const statusColor = placement.status === 'active' ? chalk.green : chalk.red;
+          console.log(`  shard ${placement.shard_index + 1}/${placement.total_shards} ` +
+            `${(placement.peer_id || 'unknown').slice(0, 16)}... via ${placement.host_peer_id || '?'} ` +
+            `${statusColor(placement.status)} ${formatBytes(placement.stored_size || 0)}`);
+        });
+      }
+      
+      const atRisk = entries.filter(([, h]) => h.state === 'critical' || h.state === 'lost').length;
+      if (atRisk > 0) {
+        console.log(chalk.red(`\n${atRisk} backups cannot lose another peer`));
+      }
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Retention command - show or set how many snapshots a source keeps
+program
+  .command('retention [source...]')
+  .description('Show or set the snapshot retention policy of a backup source')
+  .option('--keep-last <n>', 'keep the most recent n snapshots')
+  .option('--keep-daily <n>', 'keep the newest snapshot of each of the last n days')
+  .option('--keep-weekly <n>', 'keep the newest snapshot of each of the last n weeks')
+  .option('--keep-monthly <n>', 'keep the newest snapshot of each of the last n months')
+  .option('--keep-within <duration>', 'keep every snapshot newer than a duration (e.g. 30d, 6w, 1y)')
+  .option('--default', 'set the default policy for sources without their own')
+  .option('--clear', 'remove the policy')
+  .action(async (source, options) => {
+    try {
+      const config = await new Config().load();
+      const policy = parseRetentionOptions(options);
+      const sourceId = source.length > 0 ? SnapshotManager.getSourceId(source) : null;
+      
+      if (policy || options.clear) {
+        if (options.default) {
+          await config.set('retention', policy || {});
+          console.log(chalk.green(`✓ Default retention: ${RetentionManager.describePolicy(policy)}`));
+        } else if (sourceId) {
+          await config.updateSource(sourceId, { retention: policy || {} });
+          console.log(chalk.green(`✓ Retention for ${sourceId}: ${RetentionManager.describePolicy(config.getRetentionPolicy(sourceId))}`));
+        } else {
+          throw new Error('Specify a source path or --default');
+        }
+        return;
+      }
+      
+      console.log(chalk.blue('Retention Policies'));
+      console.log(chalk.gray('═'.repeat(40)));
+      console.log(`Default: ${RetentionManager.describePolicy(config.get('retention'))}`);
+      
+      const sources = sourceId ? [sourceId] : config.listSources();
+      sources.forEach(id => {
+        console.log(`${chalk.cyan(id)}: ${RetentionManager.describePolicy(config.getRetentionPolicy(id))}`);
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Hooks command - show or set the commands run around a source's backups
+program
+  .command('hooks [source...]')
+  .description('Show or set pre/post-backup hook commands of a backup source')
+  .option('--pre <command>', 'run before the files are read; a non-zero exit aborts the backup')
+  .option('--post <command>', 'run after the backup, also when it failed (status in $BACKUPPEER_STATUS)')
+  .option('--timeout <seconds>', 'stop a hook that runs longer than this (default 1800)')
+  .option('--clear', 'remove the hooks')
+  .action(async (source, options) => {
+    try {
+      const config = await new Config().load();
+      const sourceId = source.length > 0 ? SnapshotManager.getSourceId(source) : null;
+      const changing = options.pre !== undefined || options.post !== undefined ||
+        options.timeout !== undefined || options.clear;
+      
+      if (changing) {
+        if (!sourceId) {
+          throw new Error('Specify the source path the hooks belong to');
+        }
+        
+        const hooks = options.clear ? {} : { ...config.getSource(sourceId).hooks };
+        ['pre', 'post'].forEach(stage => {
+          if (options[stage]) {
+            hooks[stage] = options[stage];
+          } else if (options[stage] !== undefined) {
+            delete hooks[stage]; // an empty command removes the hook
+          }
+        });
+        if (options.timeout !== undefined) {
+          const timeout = parseInt(options.timeout, 10);
+          if (!(timeout > 0)) {
+            throw new Error('Timeout must be a positive number of seconds');
+          }
+          hooks.timeout = timeout;
+        }
+        
+        await config.updateSource(sourceId, { hooks });
+        console.log(chalk.green(`✓ Hooks for ${sourceId} updated`));
+      }
+      
+      console.log(chalk.blue('Backup Hooks'));
+      console.log(chalk.gray('═'.repeat(40)));
+      
+      const sources = (sourceId ? [sourceId] : config.listSources())
+        .filter(id => sourceId || Object.keys(config.getSource(id).hooks || {}).length > 0);
+      if (sources.length === 0) {
+        console.log(chalk.gray('No hooks configured'));
+      }
+      sources.forEach(id => {
+        const hooks = config.getSource(id).hooks || {};
+        console.log(chalk.cyan(id));
+        console.log(`  pre:  ${hooks.pre || chalk.gray('none')}`);
+        console.log(`  post: ${hooks.post || chalk.gray('none')}`);
+        if (hooks.timeout) {
+          console.log(`  timeout: ${hooks.timeout}s`);
+        }
+      });
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Prune command - apply retention policies and release data on hosting peers
+program
+  .command('prune [source...]')
+  .description('Remove snapshots that fall outside their retention policy')
+  .option('-s, --server <url>', 'signaling server URL', 'wss://backup01.wiuf.net')
+  .option('--keep-last <n>', 'override: keep the most recent n snapshots')
+  .option('--keep-daily <n>', 'override: keep n daily snapshots')
+  .option('--keep-weekly <n>', 'override: keep n weekly snapshots')
+  .option('--keep-monthly <n>', 'override: keep n monthly snapshots')
+  .option('--keep-within <duration>', 'override: keep every snapshot newer than a duration')
+  .option('--dry-run', 'show what would be pruned without removing anything')
+  .action(async (source, options) => {
+    let spinner;
+    
+    try {
+      const database = new Database();
+      const storage = new StorageManager();
+      const allocation = new StorageAllocation();
+      await database.initialize();
+      await storage.initialize();
+      await allocation.initialize();
+      
+      const config = await new Config().load();
+      const retention = new RetentionManager(database, storage, allocation);
+      const plans = await retention.planPrune(config, {
+        source: source.length > 0 ? SnapshotManager.getSourceId(source) : null,
+        policy: parseRetentionOptions(options)
+      });
+      
+      if (plans.length === 0) {
+        console.log(chalk.yellow('No retention policy applies - nothing to prune'));
+        console.log(chalk.gray('Set one with "backup-peer retention <source> --keep-daily 7"'));
+        await database.close();
+        return;
+      }
+      
+      for (const plan of plans) {
+        console.log(chalk.cyan(`${plan.source} on ${plan.peerId.slice(0, 16)}...`));
+        console.log(chalk.gray(`  Policy: ${RetentionManager.describePolicy(plan.policy)}`));
+        plan.keep.forEach(({ snapshot, reasons }) => {
+          console.log(chalk.green(`  keep  ${snapshot.id} ${new Date(snapshot.timestamp).toLocaleString()} (${reasons.join(', ')})`));
+        });
+        plan.prune.forEach(snapshot => {
+          console.log(chalk.red(`  prune ${snapshot.id} ${new Date(snapshot.timestamp).toLocaleString()}`));
+        });
+      }
+      
+      const pruneCount = plans.reduce((sum, plan) => sum + plan.prune.length, 0);
+      if (options.dryRun || pruneCount === 0) {
+        console.log(chalk.gray(pruneCount === 0 ? '\nNothing to prune' : `\nDry run: ${pruneCount} snapshots would be pruned`));
+        await database.close();
+        return;
+      }
+      
+      spinner = ora(`Pruning ${pruneCount} snapshots...`).start();
+      
+      const results = await retention.prune(plans, async (hostPeerId) => {
+        spinner.text = `Connecting to hosting peer ${hostPeerId}...`;
+        const connection = new P2PConnection({
+          peerId: `prune-${Date.now()}`,
+          signalingUrl: options.server
+        });
+        await connection.connectToPeer(hostPeerId);
+        await connection.waitForPeerIdentity();
+        spinner.text = 'Releasing pruned data...';
+        return connection;
+      });
+      
+      await database.close();
+      
+      if (results.failed.length > 0) {
+        spinner.warn(`Pruned ${results.pruned.length}/${pruneCount} snapshots, freed ${formatBytes(results.releasedBytes)}`);
+        results.failed.forEach(failure => console.log(chalk.yellow(`  ${failure.id}: ${failure.error}`)));
+        process.exit(1);
+      }
+      
+      spinner.succeed(`Pruned ${results.pruned.length} snapshots, freed ${formatBytes(results.releasedBytes)}`);
+      process.exit(0);
+      
+    } catch (error) {
+      if (spinner) {
+        spinner.fail('Prune failed');
+      }
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
+// Repair command - move data off failing peers
+program
+  .command('repair')
+  .description('Re-replicate data held by peers that fail challenges, are blacklisted or stay offline')
+  .option('-s, --server <url>', 'signaling server URL', 'wss://backup01.wiuf.net')
+  .option('--max-failed-challenges <n>', 'consecutive failed challenges before a peer is replaced', '3')
+  .option('--offline-grace <hours>', 'hours a peer may stay unreachable before it is replaced', '72')
+  .option('--no-probe', 'judge peers by recorded history only, without contacting them')
+  .option('--dry-run', 'show affected backups without repairing anything')
+  .action(async (options) => {
+    let spinner;
+    
+    try {
+      const database = new Database();
+      const storage = new StorageManager();
+      const allocation = new StorageAllocation();
+      const reputation = new ReputationSystem();
+      await database.initialize();
+      await storage.initialize();
+      await allocation.initialize();
+      await reputation.initialize();
+      
+      const repair = new RepairManager(database, storage, reputation, {
+        allocation,
+        maxFailedChallenges: parseInt(options.maxFailedChallenges, 10),
+        offlineGracePeriod: parseFloat(options.offlineGrace) * 60 * 60 * 1000
+      });
+      const serverUrl = options.server.replace('wss://', 'https://').replace('ws://', 'http://');
+      
+      spinner = ora('Checking hosting peers...').start();
+      const results = await repair.runRepair({
+        dryRun: options.dryRun,
+        probe: options.probe,
+        connectToHost: async (hostPeerId) => {
+          spinner.text = `Connecting to peer ${hostPeerId}...`;
+          const connection = new P2PConnection({
+            peerId: `repair-${Date.now()}`,
+            signalingUrl: options.server
+          });
+          await connection.connectToPeer(hostPeerId);
+          await connection.waitForPeerIdentity();
+          return connection;
+        },
+        findCandidates: () => RepairManager.findCandidates(serverUrl, database)
+      });
+      await database.close();
+      
+      if (results.affected.length === 0) {
+        spinner.succeed('All hosting peers are healthy - nothing to repair');
+        process.exit(0);
+      }
+      
+      spinner.stop();
+      console.log(chalk.yellow(`${results.affected.length} holdings on failing peers:`));
+      results.affected.forEach(item => {
+        const shard = item.shardIndex === null ? '' : ` shard ${item.shardIndex + 1}`;
+        console.log(`  ${item.backupId}${shard} on ${item.peerId.slice(0, 16)}... - ${item.reason}`);
+      });
+      
+      if (options.dryRun) {
+        console.log(chalk.gray('\nDry run: nothing was repaired'));
+        process.exit(0);
+      }
+      
+      results.repaired.forEach(item => {
+        const color = item.status === 'active' ? chalk.green : chalk.yellow;
+        console.log(color(`✓ ${item.backupId} moved to ${item.replacementPeerId.slice(0, 16)}...` +
+          (item.failedFiles > 0 ? ` (${item.failedFiles} files could not be restored)` : '')));
+      });
+      results.failed.forEach(item => {
+        console.log(chalk.red(`✗ ${item.backupId}: ${item.error || item.details}`));
+      });
+      
+      process.exit(results.failed.length > 0 ? 1 : 0);
+      
+    } catch (error) {
+      if (spinner) {
+        spinner.fail('Repair failed');
       }
       console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
-// Restore command - receive files from peer
+// Repair log command - what automatic re-replication has done
 program
-  .command('restore')
-  .description('Wait to receive backup files from a peer')
-  .option('-s, --server <url>', 'signaling server URL', 'ws://localhost:3000')
-  .option('--storage <size>', 'storage offering in GB', '10')
-  .action(async (options) => {
-    console.log(chalk.blue('Starting restore mode...'));
-    
+  .command('repair-log [backupId]')
+  .description('Show the repair actions taken for failing peers')
+  .option('-n, --limit <n>', 'number of entries to show', '50')
+  .action(async (backupId, options) => {
     try {
-      const crypto = new BackupCrypto();
-      const storage = new StorageManager();
-      
-      await crypto.initializeKeys();
-      await storage.initialize();
-      
-      const connection = new P2PConnection({
-        peerId: `restore-${Date.now()}`,
-        signalingUrl: options.server,
-        requirements: {
-          storage: parseInt(options.storage) * 1024 * 1024 * 1024
-        }
-      });
+      const database = new Database();
+      await database.initialize();
+      const entries = await database.getRepairLog(backupId || null, parseInt(options.limit, 10));
+      await database.close();
       
-      const transfer = new FileTransfer(connection, crypto);
+      if (entries.length === 0) {
+        console.log(chalk.yellow('No repair actions recorded'));
+        return;
+      }
       
-      const spinner = ora('Waiting for backup partner...').start();
+      console.log(chalk.blue('Repair Log'));
+      console.log(chalk.gray('═'.repeat(40)));
       
-      connection.on('matched', async (peer) => {
-        spinner.text = 'Establishing secure connection...';
-        
-        if (!peer.publicKey) {
-          throw new Error('Peer must provide valid public key for secure restoration');
+      const statusColors = { completed: chalk.green, partial: chalk.yellow, failed: chalk.red, lost: chalk.red };
+      entries.forEach(entry => {
+        const color = statusColors[entry.status] || chalk.gray;
+        const shard = entry.shard_index === null ? '' : ` shard ${entry.shard_index + 1}`;
+        console.log(`${new Date(entry.timestamp).toLocaleString()} ${entry.action} ${entry.backup_id || ''}${shard} ${color(entry.status)}`);
+        if (entry.failed_peer_id || entry.replacement_peer_id) {
+          console.log(chalk.gray(`  ${(entry.failed_peer_id || '?').slice(0, 16)}... → ${(entry.replacement_peer_id || '-').slice(0, 16)}`));
         }
-        const peerPublicKey = BackupCrypto.publicKeyFromHex(peer.publicKey);
-        crypto.generateSharedSecret(peerPublicKey, peer.peerId);
-      });
-      
-      connection.on('connected', () => {
-        spinner.succeed('Connected! Ready to receive backups.');
-        console.log(chalk.green('✓ Secure connection established'));
-        console.log(chalk.blue('Waiting for files...'));
-      });
-      
-      // Handle incoming messages
-      connection.on('message', async (message) => {
-        if (message.type === 'backup_start') {
-          console.log(chalk.yellow(`Receiving backup: ${message.backupName}`));
-        } else if (message.type === 'backup_complete') {
-          console.log(chalk.green('✓ Backup received successfully!'));
-          
-          // Record received backup
-          await storage.recordReceivedBackup(message.backupId, {
-            name: message.backupName,
-            peerId: connection.peerId
-          });
-          
-          connection.close();
+        if (entry.details) {
+          console.log(chalk.gray(`  ${entry.details}`));
         }
-        
-        transfer.handleTransferMessage(message, connection.peerId);
-      });
-      
-      connection.on('error', (error) => {
-        spinner.fail('Connection failed');
-        console.error(chalk.red('Error:'), error.message);
       });
       
-      await connection.connect();
-      
     } catch (error) {
-      console.error(chalk.red('Restore failed:'), error.message);
+      console.error(chalk.red('Error:'), error.message);
       process.exit(1);
     }
   });
 
-// List backups command
+// Catalog command - escrow the encrypted backup catalog with every hosting peer
 program
-  .command('list')
-  .description('List all backups')
-  .option('-t, --type <type>', 'backup type (sent|received|all)', 'all')
+  .command('catalog')
+  .description('Push the encrypted backup catalog to every peer that hosts your backups')
+  .option('-s, --server <url>', 'signaling server URL', 'wss://backup01.wiuf.net')
   .action(async (options) => {
+    let spinner;
+    
     try {
+      const crypto = new BackupCrypto();
+      const database = new Database();
       const storage = new StorageManager();
+      await crypto.initializeKeys();
+      await database.initialize();
       await storage.initialize();
       
-      const backups = storage.listBackups(options.type);
-      const usage = await storage.getStorageUsage();
+      spinner = ora('Pushing catalog...').start();
+      const catalog = new BackupCatalog(database, storage, crypto);
+      const results = await catalog.push(async (hostPeerId) => {
+        spinner.text = `Pushing catalog to ${hostPeerId}...`;
+        const connection = new P2PConnection({
+          peerId: `catalog-${Date.now()}`,
+          signalingUrl: options.server
+        });
+        await connection.connectToPeer(hostPeerId);
+        await connection.waitForPeerIdentity();
+        return connection;
+      });
+      await database.close();
       
-      console.log(chalk.blue('BackupPeer Storage Summary'));
-      console.log(chalk.gray('═'.repeat(40)));
-      console.log(`Total backups: ${usage.totalBackups}`);
-      console.log(`Sent: ${usage.sentBackups} (${(usage.sentSize / 1024 / 1024).toFixed(1)} MB)`);
-      console.log(`Received: ${usage.receivedBackups} (${(usage.receivedSize / 1024 / 1024).toFixed(1)} MB)`);
-      console.log('');
+      if (results.hosts.length === 0) {
+        spinner.info('No peer hosts your backups yet - nothing to push');
+        process.exit(0);
+      }
       
-      if (backups.length === 0) {
-        console.log(chalk.yellow('No backups found'));
-        return;
+      if (results.failed.length > 0) {
+        spinner.warn(`Catalog pushed to ${results.pushed.length}/${results.hosts.length} peers`);
+        results.failed.forEach(failure => console.log(chalk.yellow(`  ${failure.hostPeerId}: ${failure.error}`)));
+        process.exit(1);
       }
       
-      backups.forEach(backup => {
-        const date = new Date(backup.timestamp).toLocaleDateString();
-        const size = backup.files.reduce((sum, f) => sum + (f.size || 0), 0);
-        const sizeStr = (size / 1024 / 1024).toFixed(1) + ' MB';
-        
-        console.log(`${backup.type === 'sent' ? '📤' : '📥'} ${backup.name}`);
-        console.log(`   ID: ${backup.id}`);
-        console.log(`   Date: ${date}`);
-        console.log(`   Files: ${backup.files.length} (${sizeStr})`);
-        console.log(`   Status: ${backup.status}`);
-        console.log('');
-      });
+      spinner.succeed(`Catalog pushed to ${results.pushed.length} peers`);
+      process.exit(0);
       
     } catch (error) {
+      if (spinner) {
+        spinner.fail('Catalog push failed');
+      }
       console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
     }
   });
 
@@ -612,12 +1627,20 @@ program
       console.log('Version:', chalk.green('0.2.0 Sprint 2'));
       console.log('Features:', chalk.green('✓ Encrypted file transfer'));
       
+      const keyStore = new KeyStore(path.join(require('os').homedir(), '.backup-peer', 'keys'));
       try {
         await crypto.initializeKeys();
-        console.log('Encryption:', chalk.green('✓ Keys initialized'));
+        console.log('Encryption:', chalk.green(crypto.keyStore ? '✓ Keys initialized (encrypted keystore)' : '✓ Keys initialized'));
         console.log('Public Key:', chalk.gray(crypto.getPublicKeyHex().slice(0, 16) + '...'));
+        if (crypto.getKeyGeneration() > 0) {
+          console.log('Signing Key:', chalk.gray(`generation ${crypto.getKeyGeneration()}, peer ID hash ${crypto.getMyPeerIdHash()}`));
+        }
       } catch (error) {
-        console.log('Encryption:', chalk.red('✗ Run \'backup-peer init\' first'));
+        if (await keyStore.exists()) {
+          console.log('Encryption:', chalk.yellow('🔒 Encrypted keystore (locked)'));
+        } else {
+          console.log('Encryption:', chalk.red('✗ Run \'backup-peer init\' first'));
+        }
       }
       
       try {
@@ -628,8 +1651,79 @@ program
         console.log('Storage:', chalk.yellow('⚠ Storage not initialized'));
       }
       
+      // Live caps from the service when it runs, else what the config says
+      const ServiceClient = require('./service-client');
+      const client = new ServiceClient();
+      let bandwidth = null;
+      if (await client.isServiceRunning()) {
+        try {
+          await client.connect();
+          bandwidth = (await client.sendCommand('get_status')).bandwidth;
+        } catch (error) {
+          // fall back to the config
+        } finally {
+          client.close();
+        }
+      }
+      if (!bandwidth) {
+        bandwidth = (await BandwidthThrottle.load()).getStatus();
+      }
+      displayBandwidth(bandwidth);
+      
+    } catch (error) {
+      console.error(chalk.red('Error:'), error.message);
+    }
+  });
+
+// Bandwidth caps - live through the service, or saved to the config
+program
+  .command('bandwidth')
+  .description('Show or change upload/download rate caps (e.g. 1MB, 512KB, unlimited)')
+  .option('-u, --upload <rate>', 'upload cap')
+  .option('-d, --download <rate>', 'download cap')
+  .option('--save', 'store the caps in the config as the new defaults')
+  .option('--reset', 'drop live caps set on the service and go back to the config')
+  .action(async (options) => {
+    const ServiceClient = require('./service-client');
+    const client = new ServiceClient();
+    
+    try {
+      const changes = {};
+      ['upload', 'download'].forEach(direction => {
+        if (options[direction] !== undefined) {
+          BandwidthThrottle.parseRate(options[direction]); // validate
+          changes[direction] = options[direction];
+        }
+      });
+      const changing = Object.keys(changes).length > 0 || options.reset;
+      
+      if (await client.isServiceRunning()) {
+        await client.connect();
+        const result = changing
+          ? await client.sendCommand('set_bandwidth', { ...changes, save: !!options.save, reset: !!options.reset })
+          : await client.sendCommand('get_status');
+        if (result.error) {
+          throw new Error(result.error);
+        }
+        displayBandwidth(result.bandwidth);
+        return;
+      }
+      
+      // No service: only saved caps mean anything
+      const config = await new Config().load();
+      if (Object.keys(changes).length > 0) {
+        if (!options.save) {
+          console.log(chalk.yellow('Service not running - saving the caps to the config'));
+        }
+        await config.set('bandwidth', { ...config.get('bandwidth', {}), ...changes });
+      }
+      displayBandwidth((await BandwidthThrottle.load(config)).getStatus());
+      
     } catch (error) {
       console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    } finally {
+      client.close();
     }
   });
 
@@ -666,6 +1760,9 @@ program
           console.log(`Active Backups: ${status.activeBackups}`);
           console.log(`Connections: ${status.connections}`);
           console.log(`Memory: ${status.memory.rss} (heap: ${status.memory.heapUsed})`);
+          if (status.bandwidth) {
+            displayBandwidth(status.bandwidth);
+          }
           break;
           
         case 'restart':
@@ -781,32 +1878,94 @@ program
     }
   });
 
+// Repack command - host-side pack file maintenance
+program
+  .command('repack')
+  .description('Move hosted data into pack files and rewrite packs left sparse by pruning')
+  .option('--threshold <percent>', 'rewrite packs whose live data fills less than this', '90')
+  .action(async (options) => {
+    const spinner = ora('Repacking hosted data...').start();
+    
+    try {
+      const threshold = parseFloat(options.threshold);
+      if (!(threshold >= 0 && threshold <= 100)) {
+        throw new Error(`Invalid threshold: ${options.threshold}`);
+      }
+      
+      const storage = new StorageManager();
+      await storage.initialize();
+      const result = await storage.repack({ threshold: threshold / 100 });
+      
+      spinner.succeed(`Repacked: ${result.migratedObjects} objects moved into packs, ${result.packsRewritten} packs rewritten, ${formatBytes(result.bytesReclaimed)} reclaimed`);
+      console.log(chalk.gray(`  ${result.packs} packs of ${formatBytes(result.packSize)}, ${result.records} chunks`));
+      console.log(chalk.gray(`  ${formatBytes(result.liveBytes)} live of ${formatBytes(result.diskBytes)} on disk (${Math.round(result.utilization * 100)}% used)`));
+      
+    } catch (error) {
+      spinner.fail('Repack failed');
+      console.error(chalk.red('Error:'), error.message);
+      process.exit(1);
+    }
+  });
+
 // Challenge command - send storage verification challenge
 program
   .command('challenge <peerId> <backupId>')
-  .description('Send storage verification challenge to peer')
-  .option('-t, --type <type>', 'challenge type (random_blocks|file_hash|metadata_proof)', 'random_blocks')
+  .description('Challenge a hosting peer to prove it still stores a backup')
+  .option('-t, --type <type>', 'challenge type (random_blocks|file_hash|chunk_proof|metadata_proof)', 'random_blocks')
+  .option('-s, --server <url>', 'signaling server URL', 'wss://backup01.wiuf.net')
   .action(async (peerId, backupId, options) => {
+    const spinner = ora(`Connecting to peer ${peerId}...`).start();
+    let connection;
+    
     try {
-      const crypto = new BackupCrypto();
-      const db = new Database();
+      connection = new P2PConnection({
+        peerId: `challenge-${Date.now()}`,
+        signalingUrl: options.server
+      });
+      await connection.connectToPeer(peerId);
+      const hostPeerId = await connection.waitForPeerIdentity();
       
-      await crypto.initializeKeys();
-      await db.initialize();
+      if (!connection.verification) {
+        throw new Error('Verification system not initialized');
+      }
+      
+      spinner.text = `Sending ${options.type} challenge for ${backupId}...`;
+      const result = await new Promise((resolve, reject) => {
+        let challengeId = null;
+        const onResult = (verificationResult) => {
+          if (verificationResult.challengeId !== challengeId) return;
+          connection.verification.off('verification_result', onResult);
+          resolve(verificationResult);
+        };
+        connection.verification.on('verification_result', onResult);
+        
+        connection.sendStorageChallenge(backupId, options.type)
+          .then(id => { challengeId = id; })
+          .catch(error => {
+            connection.verification.off('verification_result', onResult);
+            reject(error);
+          });
+      });
       
-      // This would normally require an active P2P connection
-      console.log(chalk.yellow('Note: Challenge requires active P2P connection'));
-      console.log(chalk.blue(`Would send ${options.type} challenge to ${peerId} for backup ${backupId}`));
+      if (result.success) {
+        spinner.succeed(`${hostPeerId.slice(0, 16)}... proved it stores ${backupId} (${result.responseTime}ms)`);
+      } else {
+        spinner.fail(`${hostPeerId.slice(0, 16)}... failed the challenge: ${result.error}`);
+      }
       
-      // For demonstration, show what challenge would look like
-      const verification = new StorageVerification(null, null);
-      const challenge = verification.generateChallenge(backupId, options.type);
+      const remaining = await connection.database.countChallengeTokens(backupId, hostPeerId);
+      console.log(chalk.gray(`Unused challenge tokens left for this backup: ${remaining}`));
       
-      console.log(chalk.gray('Challenge data:'));
-      console.log(JSON.stringify(challenge, null, 2));
+      await connection.close();
+      process.exit(result.success ? 0 : 1);
       
     } catch (error) {
-      console.error(chalk.red('Challenge failed:'), error.message);
+      spinner.fail('Challenge failed');
+      console.error(chalk.red('Error:'), error.message);
+      if (connection) {
+        await connection.close();
+      }
+      process.exit(1);
     }
   });
 
@@ -943,6 +2102,16 @@ program
       console.log(`  Sent: ${storageStats.sentBackups} (${(storageStats.sentSize / 1024 / 1024).toFixed(1)} MB)`);
       console.log(`  Received: ${storageStats.receivedBackups} (${(storageStats.receivedSize / 1024 / 1024).toFixed(1)} MB)`);
       
+      const compression = await db.getCompressionStats();
+      if (compression.length > 0) {
+        console.log('');
+        console.log(chalk.yellow('Compression (new data per backup):'));
+        compression.forEach(backup => {
+          console.log(`  ${backup.name || backup.id}: ${formatBytes(backup.originalSize)} → ${formatBytes(backup.compressedSize)} ` +
+            `(${backup.ratio.toFixed(2)}x, ${backup.compressedChunks}/${backup.totalChunks} chunks compressed)`);
+        });
+      }
+      
       console.log('');
       console.log(chalk.yellow('Peer Network:'));
       console.log(`  Total Peers: ${reputationStats.totalPeers}`);
@@ -1485,12 +2654,30 @@ async function startService() {
   const { spawn } = require('child_process');
   const servicePath = path.join(__dirname, 'service.js');
   
+  // The detached service has no terminal: passphrases asked for here go
+  // to it over stdin, one line each (a key file or BACKUPPEER_DB_PASSPHRASE
+  // reach it through the environment)
+  const passphrase = await unlockKeyStore();
+  const lines = [];
+  const args = [servicePath];
+  if (passphrase) {
+    lines.push(passphrase);
+    args.push('--passphrase-stdin');
+  }
+  if (databasePassphrase) {
+    lines.push(databasePassphrase);
+    args.push('--db-passphrase-stdin');
+  }
+  
   console.log(chalk.blue('Starting BackupPeer service...'));
   
-  const service = spawn('node', [servicePath], {
+  const service = spawn('node', args, {
     detached: true,
-    stdio: 'ignore'
+    stdio: [lines.length > 0 ? 'pipe' : 'ignore', 'ignore', 'ignore']
   });
+  if (lines.length > 0) {
+    service.stdin.end(lines.join('\n') + '\n');
+  }
   
   service.unref();
   
@@ -1510,6 +2697,82 @@ async function startService() {
   }
 }
 
+// Unlock an encrypted keystore for this process, asking for the passphrase
+// unless a key file provides it. Returns the passphrase if one was typed in.
+async function unlockKeyStore(configDir = '~/.backup-peer') {
+  const keyStore = new KeyStore(path.join(configDir.replace('~', require('os').homedir()), 'keys'));
+  if (!await keyStore.exists() || keyStore.isUnlocked()) {
+    return null;
+  }
+  
+  if (await KeyStore.resolvePassphrase()) {
+    await keyStore.unlock();
+    return null;
+  }
+  
+  const passphrase = await promptSecret('Keystore passphrase: ');
+  await keyStore.unlock({ passphrase });
+  return passphrase;
+}
+
+// Unlock a database key wrapped with its own passphrase, asking for it
+// unless BACKUPPEER_DB_PASSPHRASE is set. The unwrapped key serves every
+// database this process opens; the passphrase is kept for startService.
+async function unlockDatabaseKey(configDir = '~/.backup-peer') {
+  const encryption = new DatabaseEncryption(configDir);
+  if (!await fs.pathExists(encryption.keyFile) || process.env.BACKUPPEER_DB_PASSPHRASE || !process.stdin.isTTY) {
+    return;
+  }
+  if ((await fs.readJson(encryption.keyFile)).kek !== 'passphrase') {
+    return;
+  }
+  
+  const passphrase = await promptSecret('Database passphrase: ');
+  await encryption.initialize({ passphrase });
+  databasePassphrase = passphrase;
+}
+
+// Ask twice for a new passphrase; with allowEmpty, an empty one means none
+async function promptNewPassphrase({ allowEmpty }) {
+  const passphrase = await promptSecret('New passphrase: ');
+  if (!passphrase && allowEmpty) {
+    return null;
+  }
+  if (passphrase.length < 8) {
+    throw new Error('Use a passphrase of at least 8 characters');
+  }
+  if (await promptSecret('Repeat the passphrase: ') !== passphrase) {
+    throw new Error('The passphrases do not match');
+  }
+  return passphrase;
+}
+
+// Read a line from the terminal without echoing it
+function promptSecret(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error('No terminal to ask for the passphrase - use --key-file or BACKUPPEER_KEY_FILE'));
+  }
+  
+  const readline = require('readline');
+  const { Writable } = require('stream');
+  const muted = new Writable({ write: (chunk, encoding, callback) => callback() });
+  
+  return new Promise((resolve, reject) => {
+    const rl = readline.createInterface({ input: process.stdin, output: muted, terminal: true });
+    process.stderr.write(question);
+    rl.on('SIGINT', () => {
+      rl.close();
+      process.stderr.write('\n');
+      reject(new Error('Cancelled'));
+    });
+    rl.question('', answer => {
+      rl.close();
+      process.stderr.write('\n');
+      resolve(answer);
+    });
+  });
+}
+
 function formatUptime(seconds) {
   const days = Math.floor(seconds / 86400);
   const hours = Math.floor((seconds % 86400) / 3600);
@@ -1557,6 +2820,187 @@ function displayBackupProgress(progress) {
   }
 }
 
+// Send an erasure-coded backup: connect to every peer in --peers, then send
+// each the shard with its index and record the placement
+async function runErasureBackup({ source, sourceFiles, storage, options, spinner, hooks }) {
+  const hostPeerIds = options.peers.split(',').map(id => id.trim()).filter(Boolean);
+  const dataShards = options.dataShards ? parseInt(options.dataShards, 10) : hostPeerIds.length - 1;
+  
+  if (hostPeerIds.length < 2 || !(dataShards >= 1 && dataShards < hostPeerIds.length)) {
+    throw new Error('Erasure coding needs at least 2 peers and 1 <= --data-shards < number of peers');
+  }
+  if (new Set(hostPeerIds).size !== hostPeerIds.length) {
+    throw new Error('Every shard needs a different peer');
+  }
+  
+  const database = new Database();
+  await database.initialize();
+  const hosts = [];
+  
+  try {
+    for (const hostPeerId of hostPeerIds) {
+      spinner.text = `Connecting to peer ${hostPeerId} (${hosts.length + 1}/${hostPeerIds.length})...`;
+      const connection = new P2PConnection({
+        peerId: `backup-${Date.now()}`,
+        signalingUrl: options.server,
+        requirements: {
+          storage: parseInt(options.storage) * 1024 * 1024 * 1024
+        }
+      });
+      hosts.push({ connection, hostPeerId, peerId: null });
+      
+      await connection.connectToPeer(hostPeerId);
+      hosts[hosts.length - 1].peerId = await connection.waitForPeerIdentity();
+    }
+    
+    if (new Set(hosts.map(host => host.peerId)).size !== hosts.length) {
+      throw new Error('Two of the given peers share an identity - every shard needs a different peer');
+    }
+    
+    // Snapshots chain per ordered peer group, so unchanged files keep
+    // their shards on the same peers
+    const groupId = RedundancyManager.getGroupId(dataShards, hosts.map(host => host.peerId));
+    const snapshots = new SnapshotManager(database, storage);
+    const plan = await snapshots.planSnapshot(source, groupId, sourceFiles);
+    const backupName = options.name || `backup-${Date.now()}`;
+    
+    const redundancy = new RedundancyManager(database);
+    const result = await redundancy.sendBackup(hosts, plan.changed, backupName, {
+      dataShards,
+      unchangedFiles: plan.unchanged,
+      onShard: (index, host) => {
+        spinner.text = `Sending shard ${index + 1}/${hosts.length} to ${host.hostPeerId}...`;
+      }
+    });
+    
+    const failed = result.metadata.files.filter(file => file.transferStatus === 'failed').length;
+    await hooks.runPost(failed > 0 ? 'partial' : 'success');
+    await snapshots.recordSnapshot({
+      id: result.backupId,
+      name: backupName,
+      source,
+      parentId: plan.parentId,
+      peerId: groupId,
+      files: result.metadata.files,
+      hooks: hooks.results,
+      status: failed > 0 ? 'partial' : 'active'
+    });
+    await redundancy.recordPlacements(result.backupId, result.coder, result.shards);
+    
+    const allocation = new StorageAllocation();
+    await allocation.initialize();
+    for (const shard of result.shards.filter(shard => shard.storedSize > 0)) {
+      await allocation.recordStorageUsed(shard.peerId, shard.storedSize, result.backupId);
+    }
+    
+    await storage.recordBackup(result.backupId, {
+      name: backupName,
+      files: result.metadata.files.map(file => ({
+        ...file,
+        chunks: Array.isArray(file.chunks) ? file.chunks.length : file.chunks
+      })),
+      peerId: groupId,
+      source,
+      parentId: plan.parentId,
+      hooks: hooks.results,
+      timestamp: Date.now()
+    });
+    
+    const health = await redundancy.getHealth(result.backupId);
+    spinner.succeed('🎉 DIGITAL LIBERATION COMPLETE!');
+    console.log(chalk.green(`✅ Backup ID: ${result.backupId}`));
+    printHookResults(hooks.results);
+    console.log(chalk.gray(`🧩 ${formatRedundancy(health)}`));
+    result.shards.filter(shard => shard.status !== 'active').forEach(shard => {
+      console.log(chalk.yellow(`⚠️  Shard ${shard.index + 1} on ${shard.hostPeerId}: ${shard.error || shard.status}`));
+    });
+    if (failed > 0) {
+      console.log(chalk.yellow(`⚠️  ${failed} files reached fewer than ${dataShards} peers - they will be retried next run`));
+    }
+    
+  } finally {
+    for (const host of hosts) {
+      await host.connection.close();
+    }
+    await database.close();
+  }
+}
+
+// Exit status of the pre/post-backup hooks that ran for a backup
+function printHookResults(results) {
+  Object.entries(results || {}).forEach(([stage, result]) => {
+    const color = result.exitCode === 0 ? chalk.gray : chalk.yellow;
+    console.log(color(`🪝 ${stage}-backup hook: ${BackupHooks.describe(result)}`));
+  });
+}
+
+// Dry-run report of a restore: what happens to every entry, then totals
+function printRestorePlan(preview) {
+  const labels = {
+    create: chalk.green('create '),
+    replace: chalk.yellow('replace'),
+    rename: chalk.cyan('rename '),
+    skip: chalk.gray('skip   ')
+  };
+  
+  console.log(chalk.blue(`Restore plan for ${preview.backupName} (${preview.backupDate}) - nothing is written`));
+  for (const { action, targetPath, reason } of preview.actions) {
+    const detail = action === 'skip' ? chalk.gray(` (${reason})`) : '';
+    console.log(`  ${labels[action]} ${targetPath}${detail}`);
+  }
+  
+  const { create, replace, rename, skip } = preview.summary;
+  console.log(`${preview.totalFiles} entries, ${preview.formattedSize}: ` +
+    `${create} created, ${replace} replaced, ${rename} renamed, ${skip} skipped`);
+}
+
+// Commander option parser for options that may be given more than once
+function collectOption(value, previous) {
+  return previous.concat([value]);
+}
+
+// Recovery phrase as numbered words, six to a line
+function formatMnemonic(mnemonic) {
+  const words = mnemonic.split(' ').map((word, i) => `${String(i + 1).padStart(2)}. ${word.padEnd(9)}`);
+  const lines = [];
+  for (let i = 0; i < words.length; i += 6) {
+    lines.push('   ' + words.slice(i, i + 6).join(' '));
+  }
+  return lines.join('\n');
+}
+
+// One-line summary of an erasure-coded backup's shard health
+function formatRedundancy(health) {
+  const colors = { healthy: chalk.green, degraded: chalk.yellow, critical: chalk.red, lost: chalk.red };
+  const spare = health.margin > 0
+    ? `can lose ${health.margin} more`
+    : (health.margin === 0 ? 'no spare shards' : 'cannot be rebuilt');
+  return `${health.available}/${health.n} shards (${health.k} needed), ` +
+    `${(colors[health.state] || chalk.white)(health.state)}, ${spare}`;
+}
+
+// Build a retention policy from --keep-* options (null if none were given)
+function parseRetentionOptions(options) {
+  const policy = {};
+  
+  ['keepLast', 'keepDaily', 'keepWeekly', 'keepMonthly'].forEach(rule => {
+    if (options[rule] !== undefined) {
+      const count = parseInt(options[rule], 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error(`--${rule.replace(/[A-Z]/g, c => '-' + c.toLowerCase())} must be a positive number`);
+      }
+      policy[rule] = count;
+    }
+  });
+  
+  if (options.keepWithin !== undefined) {
+    RetentionManager.parseDuration(options.keepWithin); // validate
+    policy.keepWithin = options.keepWithin;
+  }
+  
+  return Object.keys(policy).length > 0 ? policy : null;
+}
+
 function formatBytes(bytes) {
   const units = ['B', 'KB', 'MB', 'GB', 'TB'];
   let size = bytes;
@@ -1570,6 +3014,13 @@ function formatBytes(bytes) {
   return `${size.toFixed(1)} ${units[unitIndex]}`;
 }
 
+function displayBandwidth(bandwidth) {
+  console.log(`Bandwidth: ↑ ${BandwidthThrottle.formatRate(bandwidth.upload)}  ↓ ${BandwidthThrottle.formatRate(bandwidth.download)} ${chalk.gray(`(${bandwidth.source})`)}`);
+  bandwidth.schedule.forEach(rule => {
+    console.log(chalk.gray(`  ${rule.when}: ↑ ${BandwidthThrottle.formatRate(rule.upload)}  ↓ ${BandwidthThrottle.formatRate(rule.download)}`));
+  });
+}
+
 async function watchBackupProgress(client, backupId) {
   const updateInterval = setInterval(async () => {
     try {
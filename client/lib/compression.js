@@ -0,0 +1,108 @@
+const zlib = require('zlib');
+const Config = require('./config');
+
+// Compressors for chunk plaintext; the short names travel in the manifest
+const CODECS = {
+  br: {
+    compress: data => zlib.brotliCompressSync(data, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_QUALITY]: 5,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: data.length
+      }
+    }),
+    decompress: data => zlib.brotliDecompressSync(data)
+  },
+  deflate: {
+    compress: data => zlib.deflateRawSync(data, { level: 6 }),
+    decompress: data => zlib.inflateRawSync(data)
+  }
+};
+const CONFIG_NAMES = { brotli: 'br', br: 'br', deflate: 'deflate' };
+
+const SAMPLE_SIZE = 4096; // bytes looked at per sample
+const SAMPLE_COUNT = 3; // spread over the start, middle and end of a chunk
+const MAX_ENTROPY = 7.5; // bits per byte; above this the data is already dense
+const MIN_SAVING = 0.05; // keep the raw chunk unless compression saves this much
+
+// Compression of chunk plaintext before it is sealed - ciphertext does not
+// compress, so this is the only place it can happen. Peers list the codecs
+// they understand in their identity message and a sender only uses one both
+// sides know. Chunks that look incompressible (JPEG, ZIP, video, ...) by a
+// byte entropy sample are sealed as they are.
+//
+// The codec is chosen with the `compression` config key: "brotli" (default),
+// "deflate" or "off".
+class ChunkCompressor {
+  constructor(preference = 'brotli') {
+    const codec = CONFIG_NAMES[String(preference).toLowerCase()];
+    if (preference !== 'off' && !codec) {
+      throw new Error(`Unknown compression codec: ${preference}`);
+    }
+    
+    // Preferred codec first, the others as fallbacks for older peers
+    this.codecs = codec ? [codec, ...Object.keys(CODECS).filter(name => name !== codec)] : [];
+  }
+  
+  static async load(config = null) {
+    config = config || await new Config().load();
+    return new ChunkCompressor(config.get('compression', 'brotli'));
+  }
+  
+  // Capabilities for the identity message: every codec we can decompress
+  static get CAPABILITIES() {
+    return Object.keys(CODECS).map(name => `compress:${name}`);
+  }
+  
+  // First codec of ours the peer supports, or null to send chunks raw
+  negotiate(peerSupports) {
+    return this.codecs.find(name => peerSupports(`compress:${name}`)) || null;
+  }
+  
+  // Compress a chunk with codec unless it looks incompressible or does not
+  // shrink enough; returns { codec, data } with codec null for raw data
+  compress(data, codec) {
+    if (!codec || data.length < 64 || ChunkCompressor.sampleEntropy(data) > MAX_ENTROPY) {
+      return { codec: null, data };
+    }
+    
+    const compressed = CODECS[codec].compress(data);
+    if (compressed.length > data.length * (1 - MIN_SAVING)) {
+      return { codec: null, data };
+    }
+    return { codec, data: compressed };
+  }
+  
+  static decompress(codec, data) {
+    if (!CODECS[codec]) {
+      throw new Error(`Unknown compression codec: ${codec}`);
+    }
+    return CODECS[codec].decompress(data);
+  }
+  
+  // Shannon entropy in bits per byte over a few samples of the data
+  static sampleEntropy(data) {
+    const counts = new Array(256).fill(0);
+    let total = 0;
+    
+    const step = Math.max(0, Math.floor((data.length - SAMPLE_SIZE) / (SAMPLE_COUNT - 1)));
+    for (let i = 0; i < SAMPLE_COUNT; i++) {
+      const sample = data.subarray(i * step, i * step + SAMPLE_SIZE);
+      for (const byte of sample) {
+        counts[byte]++;
+      }
+      total += sample.length;
+      if (step === 0) break; // small chunk: the one sample covered it
+    }
+    
+    let entropy = 0;
+    for (const count of counts) {
+      if (count > 0) {
+        const p = count / total;
+        entropy -= p * Math.log2(p);
+      }
+    }
+    return entropy;
+  }
+}
+
+module.exports = ChunkCompressor;
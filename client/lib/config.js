@@ -0,0 +1,65 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// User settings stored in ~/.backup-peer/config.json. Settings that apply to
+// one backup source live under sources[sourceId], where sourceId is the id
+// SnapshotManager.getSourceId gives the backed-up paths.
+class Config {
+  constructor(configDir = '~/.backup-peer') {
+    this.configDir = configDir.replace('~', require('os').homedir());
+    this.configFile = path.join(this.configDir, 'config.json');
+    this.config = {
+      retention: {}, // default retention policy for sources without their own
+      sources: {}
+    };
+  }
+  
+  async load() {
+    try {
+      if (await fs.pathExists(this.configFile)) {
+        const data = await fs.readJSON(this.configFile);
+        this.config = { ...this.config, ...data };
+      }
+    } catch (error) {
+      console.warn('Could not load config:', error.message);
+    }
+    return this;
+  }
+  
+  async save() {
+    await fs.ensureDir(this.configDir);
+    await fs.writeJSON(this.configFile, this.config, { spaces: 2 });
+  }
+  
+  get(key, defaultValue = undefined) {
+    return this.config[key] !== undefined ? this.config[key] : defaultValue;
+  }
+  
+  async set(key, value) {
+    this.config[key] = value;
+    await this.save();
+  }
+  
+  // Settings for one source (empty object if none)
+  getSource(source) {
+    return this.config.sources[source] || {};
+  }
+  
+  async updateSource(source, updates) {
+    this.config.sources[source] = { ...this.getSource(source), ...updates };
+    await this.save();
+    return this.config.sources[source];
+  }
+  
+  listSources() {
+    return Object.keys(this.config.sources);
+  }
+  
+  // Effective retention policy: the source's own policy, else the default
+  getRetentionPolicy(source) {
+    const own = this.getSource(source).retention;
+    return own && Object.keys(own).length > 0 ? own : (this.config.retention || {});
+  }
+}
+
+module.exports = Config;
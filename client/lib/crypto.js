@@ -1,95 +1,459 @@
 const sodium = require('sodium-native');
 const crypto = require('crypto');
+const bip39 = require('bip39');
 const fs = require('fs-extra');
 const path = require('path');
+const ChunkCompressor = require('./compression');
+const KeyStore = require('./keystore');
+
+const SALSA20_SIGMA = Buffer.from('expand 32-byte k', 'ascii'); // constant words of a Salsa20 block
 
 class BackupCrypto {
   constructor() {
     this.keyPair = null; // crypto_box keypair for encryption
     this.signingKeyPair = null; // crypto_sign keypair for signatures
     this.sharedSecrets = new Map(); // peer_id -> shared_secret
+    this.ownerSecret = null; // owner-only secret that backup content keys derive from
+    this.chunkKey = null; // derived from ownerSecret on first use
+    this.chunkIdKey = null;
+    this.keyPath = null;
+    this.keyStore = null; // set when the private keys come from an encrypted keystore
+    this.successions = []; // signed statements of each signing key rotation, oldest first
   }
   
-  // Generate or load both encryption and signing keypairs
-  async initializeKeys(configDir = '~/.backup-peer') {
+  // Generate or load both encryption and signing keypairs. Private keys
+  // and the owner secret are kept in secure memory. If they are in an
+  // encrypted keystore (see KeyStore), options unlock it: passphrase or
+  // keyFile - or secrets, handed over by the service daemon that already
+  // unlocked it. New keys go into a keystore when a passphrase is given.
+  // New keys are derived from options.mnemonic (a recovery phrase) if
+  // given, so the same phrase rebuilds them on another machine.
+  async initializeKeys(configDir = '~/.backup-peer', options = {}) {
     const expandedDir = configDir.replace('~', require('os').homedir());
     const keyPath = path.join(expandedDir, 'keys');
+    this.keyPath = keyPath;
     
     await fs.ensureDir(keyPath);
     
+    if (options.mnemonic && (await fs.pathExists(path.join(keyPath, 'public.key')) ||
+        await fs.pathExists(path.join(keyPath, 'keystore.json')))) {
+      throw new Error(`Keys already exist in ${keyPath} - move them away to recover from a phrase`);
+    }
+    
+    const successionFile = path.join(keyPath, 'succession.json');
+    this.successions = await fs.pathExists(successionFile)
+      ? (await fs.readJSON(successionFile)).successions || []
+      : [];
+    
     const publicKeyFile = path.join(keyPath, 'public.key');
     const privateKeyFile = path.join(keyPath, 'private.key');
     const signingPublicKeyFile = path.join(keyPath, 'signing_public.key');
     const signingPrivateKeyFile = path.join(keyPath, 'signing_private.key');
     
-    try {
-      // Try to load existing keys
-      if (await fs.pathExists(publicKeyFile) && await fs.pathExists(privateKeyFile) &&
-          await fs.pathExists(signingPublicKeyFile) && await fs.pathExists(signingPrivateKeyFile)) {
-        const publicKey = await fs.readFile(publicKeyFile);
-        const privateKey = await fs.readFile(privateKeyFile);
-        const signingPublicKey = await fs.readFile(signingPublicKeyFile);
-        const signingPrivateKey = await fs.readFile(signingPrivateKeyFile);
-        
-        this.keyPair = {
-          publicKey: Buffer.from(publicKey),
-          privateKey: Buffer.from(privateKey)
-        };
-        
-        this.signingKeyPair = {
-          publicKey: Buffer.from(signingPublicKey),
-          privateKey: Buffer.from(signingPrivateKey)
-        };
-        
-        console.log('Loaded existing keypairs');
-        return { encryption: this.keyPair, signing: this.signingKeyPair };
+    // Encrypted keystore - a wrong passphrase must never lead to new keys
+    const keyStore = new KeyStore(keyPath);
+    if (options.secrets || await keyStore.exists()) {
+      const secrets = options.secrets
+        ? KeyStore.decode(KeyStore.secureCopy(
+          Buffer.from(options.secrets.buffer, options.secrets.byteOffset, options.secrets.byteLength)
+        ))
+        : await keyStore.unlock(options);
+      
+      this.keyPair = {
+        publicKey: await fs.readFile(publicKeyFile),
+        privateKey: secrets.get('box')
+      };
+      this.signingKeyPair = { publicKey: null, privateKey: secrets.get('sign') };
+      this.ownerSecret = secrets.get('owner');
+      this.keyStore = options.secrets ? null : keyStore;
+      
+      if (!this.keyPair.privateKey || !this.signingKeyPair.privateKey || !this.ownerSecret) {
+        throw new Error('Keystore is missing keys');
       }
-    } catch (error) {
-      console.log('Could not load existing keys, generating new ones...');
+      // A service worker only gets the secrets; the files are the main process's
+      await this.checkSigningKey(!options.secrets);
+      return { encryption: this.keyPair, signing: this.signingKeyPair };
     }
     
-    // Generate new encryption keypair (X25519)
-    const publicKey = Buffer.alloc(sodium.crypto_box_PUBLICKEYBYTES);
-    const privateKey = Buffer.alloc(sodium.crypto_box_SECRETKEYBYTES);
-    sodium.crypto_box_keypair(publicKey, privateKey);
-    this.keyPair = { publicKey, privateKey };
+    // Load existing keys. A key file that cannot be read is an error, never
+    // a reason to replace the identity with a new one.
+    const keyFiles = [publicKeyFile, privateKeyFile, signingPublicKeyFile, signingPrivateKeyFile];
+    const missing = [];
+    for (const file of keyFiles) {
+      if (!await fs.pathExists(file)) missing.push(path.basename(file));
+    }
     
-    // Generate new signing keypair (Ed25519)
+    if (missing.length === 0) {
+      const publicKey = await fs.readFile(publicKeyFile);
+      const privateKey = await fs.readFile(privateKeyFile);
+      const signingPrivateKey = await fs.readFile(signingPrivateKeyFile);
+      
+      this.keyPair = {
+        publicKey: Buffer.from(publicKey),
+        privateKey: KeyStore.secureCopy(privateKey)
+      };
+      
+      this.signingKeyPair = { publicKey: null, privateKey: KeyStore.secureCopy(signingPrivateKey) };
+      sodium.sodium_memzero(privateKey);
+      sodium.sodium_memzero(signingPrivateKey);
+      
+      await this.initializeOwnerSecret(keyPath);
+      await this.checkSigningKey(true);
+      
+      console.log('Loaded existing keypairs');
+      return { encryption: this.keyPair, signing: this.signingKeyPair };
+    }
+    
+    if (missing.length < keyFiles.length) {
+      throw new Error(`Incomplete keys in ${keyPath} - missing ${missing.join(', ')}`);
+    }
+    
+    // Generate new keypairs (X25519 and Ed25519), from the recovery phrase if any
+    const seed = options.mnemonic ? BackupCrypto.seedFromMnemonic(options.mnemonic) : null;
+    const publicKey = Buffer.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+    const privateKey = sodium.sodium_malloc(sodium.crypto_box_SECRETKEYBYTES);
     const signingPublicKey = Buffer.alloc(sodium.crypto_sign_PUBLICKEYBYTES);
-    const signingPrivateKey = Buffer.alloc(sodium.crypto_sign_SECRETKEYBYTES);
-    sodium.crypto_sign_keypair(signingPublicKey, signingPrivateKey);
+    const signingPrivateKey = sodium.sodium_malloc(sodium.crypto_sign_SECRETKEYBYTES);
+    
+    if (seed) {
+      const keySeed = BackupCrypto.deriveFromSeed(seed, 'identity-box', sodium.crypto_box_SEEDBYTES);
+      sodium.crypto_box_seed_keypair(publicKey, privateKey, keySeed);
+      sodium.sodium_memzero(keySeed);
+      
+      const signingSeed = BackupCrypto.deriveFromSeed(seed, 'identity-sign', sodium.crypto_sign_SEEDBYTES);
+      sodium.crypto_sign_seed_keypair(signingPublicKey, signingPrivateKey, signingSeed);
+      sodium.sodium_memzero(signingSeed);
+      
+      this.ownerSecret = BackupCrypto.deriveFromSeed(seed, 'owner-secret', BackupCrypto.OWNER_SECRET_BYTES);
+      sodium.sodium_memzero(seed);
+    } else {
+      sodium.crypto_box_keypair(publicKey, privateKey);
+      sodium.crypto_sign_keypair(signingPublicKey, signingPrivateKey);
+    }
+    this.keyPair = { publicKey, privateKey };
     this.signingKeyPair = { publicKey: signingPublicKey, privateKey: signingPrivateKey };
+    this.successions = [];
+    await fs.remove(successionFile); // rotations of an identity these keys replace
     
-    // Save encryption keys to disk
+    // Save public keys to disk
     await fs.writeFile(publicKeyFile, publicKey);
-    await fs.writeFile(privateKeyFile, privateKey);
-    
-    // Save signing keys to disk
     await fs.writeFile(signingPublicKeyFile, signingPublicKey);
-    await fs.writeFile(signingPrivateKeyFile, signingPrivateKey);
+    await fs.chmod(publicKeyFile, 0o644);
+    await fs.chmod(signingPublicKeyFile, 0o644);
     
-    // Set restrictive permissions
+    // Private keys go into a keystore if there is a passphrase for one
+    const passphrase = await KeyStore.resolvePassphrase(options);
+    if (passphrase) {
+      if (!seed) {
+        this.ownerSecret = sodium.sodium_malloc(BackupCrypto.OWNER_SECRET_BYTES);
+        sodium.randombytes_buf(this.ownerSecret);
+      }
+      await this.setPassphrase(passphrase);
+      
+      console.log(seed ? 'Recovered keypairs into an encrypted keystore' : 'Generated new keypairs in an encrypted keystore');
+      return { encryption: this.keyPair, signing: this.signingKeyPair };
+    }
+    
+    // Save private keys to disk with restrictive permissions
+    await fs.writeFile(privateKeyFile, privateKey, { mode: 0o600 });
+    await fs.writeFile(signingPrivateKeyFile, signingPrivateKey, { mode: 0o600 });
     await fs.chmod(privateKeyFile, 0o600);
-    await fs.chmod(publicKeyFile, 0o644);
     await fs.chmod(signingPrivateKeyFile, 0o600);
-    await fs.chmod(signingPublicKeyFile, 0o644);
     
-    console.log('Generated new keypairs');
+    if (seed) {
+      const ownerKeyFile = path.join(keyPath, 'owner.key');
+      await fs.writeFile(ownerKeyFile, this.ownerSecret, { mode: 0o600 });
+      await fs.chmod(ownerKeyFile, 0o600);
+    } else {
+      await this.initializeOwnerSecret(keyPath);
+    }
+    
+    console.log(seed ? 'Recovered keypairs' : 'Generated new keypairs');
     return { encryption: this.keyPair, signing: this.signingKeyPair };
   }
   
+  // New 24-word BIP39 recovery phrase. Keys created from it with
+  // initializeKeys({ mnemonic }) can be rebuilt from it alone.
+  static generateMnemonic() {
+    return bip39.generateMnemonic(256);
+  }
+  
+  // BIP39 seed of a recovery phrase, in secure memory. The words are
+  // checked against the word list and checksum first.
+  static seedFromMnemonic(mnemonic) {
+    const words = BackupCrypto.normalizeMnemonic(mnemonic);
+    if (!bip39.validateMnemonic(words)) {
+      throw new Error('Invalid recovery phrase - check the words and their order');
+    }
+    
+    const seed = bip39.mnemonicToSeedSync(words);
+    const secureSeed = KeyStore.secureCopy(seed);
+    sodium.sodium_memzero(seed);
+    return secureSeed;
+  }
+  
+  // Public encryption key the keys of a recovery phrase have, as hex
+  static publicKeyFromMnemonic(mnemonic) {
+    const seed = BackupCrypto.seedFromMnemonic(mnemonic);
+    const keySeed = BackupCrypto.deriveFromSeed(seed, 'identity-box', sodium.crypto_box_SEEDBYTES);
+    const publicKey = Buffer.alloc(sodium.crypto_box_PUBLICKEYBYTES);
+    const privateKey = sodium.sodium_malloc(sodium.crypto_box_SECRETKEYBYTES);
+    
+    sodium.crypto_box_seed_keypair(publicKey, privateKey, keySeed);
+    sodium.sodium_memzero(seed);
+    sodium.sodium_memzero(keySeed);
+    sodium.sodium_memzero(privateKey);
+    return publicKey.toString('hex');
+  }
+  
+  static normalizeMnemonic(mnemonic) {
+    return mnemonic.trim().toLowerCase().split(/\s+/).join(' ');
+  }
+  
+  // One key from the recovery seed, separated by purpose
+  static deriveFromSeed(seed, purpose, length) {
+    const key = sodium.sodium_malloc(length);
+    sodium.crypto_generichash(key, Buffer.from(`recovery:${purpose}`, 'utf8'), seed);
+    return key;
+  }
+  
+  // The secrets a keystore holds
+  getSecrets() {
+    return new Map([
+      ['box', this.keyPair.privateKey],
+      ['sign', this.signingKeyPair.privateKey],
+      ['owner', this.ownerSecret]
+    ]);
+  }
+  
+  // Encrypt the private keys and owner secret under a new passphrase (or
+  // key file contents). Plaintext key files are wiped once the keystore is
+  // written; an existing keystore is re-encrypted.
+  async setPassphrase(passphrase) {
+    if (!this.keyPair || !this.ownerSecret) {
+      throw new Error('Keys not initialized');
+    }
+    
+    const keyStore = this.keyStore || new KeyStore(this.keyPath);
+    await keyStore.save(this.getSecrets(), passphrase);
+    this.keyStore = keyStore;
+    
+    await KeyStore.wipeFiles(['private.key', 'signing_private.key', 'owner.key']
+      .map(name => path.join(this.keyPath, name)));
+  }
+  
+  // Copy of the secrets for a backup worker thread, which cannot unlock
+  // the keystore itself. The caller zeroes it once the worker has it.
+  exportSecrets() {
+    return Buffer.from(KeyStore.encode(this.getSecrets()));
+  }
+  
+  // Load or generate the owner secret used to derive backup content keys.
+  // It never leaves this machine except as the user's recovery secret.
+  async initializeOwnerSecret(keyPath) {
+    const ownerKeyFile = path.join(keyPath, 'owner.key');
+    
+    if (await fs.pathExists(ownerKeyFile)) {
+      const ownerSecret = await fs.readFile(ownerKeyFile);
+      if (ownerSecret.length !== BackupCrypto.OWNER_SECRET_BYTES) {
+        throw new Error('Owner secret file is corrupt');
+      }
+      this.ownerSecret = KeyStore.secureCopy(ownerSecret);
+      sodium.sodium_memzero(ownerSecret);
+      return this.ownerSecret;
+    }
+    
+    const ownerSecret = sodium.sodium_malloc(BackupCrypto.OWNER_SECRET_BYTES);
+    sodium.randombytes_buf(ownerSecret);
+    
+    await fs.writeFile(ownerKeyFile, ownerSecret, { mode: 0o600 });
+    await fs.chmod(ownerKeyFile, 0o600);
+    
+    this.ownerSecret = ownerSecret;
+    console.log('Generated new owner secret - export it with "backup-peer recovery-secret"');
+    return this.ownerSecret;
+  }
+  
+  // Replace the owner secret with one recovered from another machine
+  async importRecoverySecret(recoverySecret, configDir = '~/.backup-peer') {
+    const secret = Buffer.from(recoverySecret.trim(), 'hex');
+    if (secret.length !== BackupCrypto.OWNER_SECRET_BYTES) {
+      throw new Error(`Recovery secret must be ${BackupCrypto.OWNER_SECRET_BYTES * 2} hex characters`);
+    }
+    
+    this.ownerSecret = KeyStore.secureCopy(secret);
+    sodium.sodium_memzero(secret);
+    
+    if (this.keyStore) {
+      await this.keyStore.save(this.getSecrets());
+    } else {
+      const expandedDir = configDir.replace('~', require('os').homedir());
+      const keyPath = path.join(expandedDir, 'keys');
+      await fs.ensureDir(keyPath);
+      
+      const ownerKeyFile = path.join(keyPath, 'owner.key');
+      await fs.writeFile(ownerKeyFile, this.ownerSecret, { mode: 0o600 });
+      await fs.chmod(ownerKeyFile, 0o600);
+    }
+    
+    this.chunkKey = null;
+    this.chunkIdKey = null;
+    return this.getRecoverySecret();
+  }
+  
+  // Get the owner secret as a hex string the user can store offline
+  getRecoverySecret() {
+    if (!this.ownerSecret) {
+      throw new Error('Owner secret not initialized');
+    }
+    return this.ownerSecret.toString('hex');
+  }
+  
+  // Derive the content key for one backup from the owner secret
+  deriveBackupKey(backupId) {
+    if (!this.ownerSecret) {
+      throw new Error('Owner secret not initialized');
+    }
+    
+    const key = Buffer.alloc(sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES);
+    sodium.crypto_generichash(key, Buffer.from(`backup-content:${backupId}`, 'utf8'), this.ownerSecret);
+    return key;
+  }
+  
+  // Derive the owner-wide key that deduplicated chunks are sealed with.
+  // Chunks are shared between backups, so they cannot use a per-backup key.
+  deriveChunkKey() {
+    if (!this.ownerSecret) {
+      throw new Error('Owner secret not initialized');
+    }
+    
+    if (!this.chunkKey) {
+      this.chunkKey = Buffer.alloc(sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES);
+      sodium.crypto_generichash(this.chunkKey, Buffer.from('chunk-content', 'utf8'), this.ownerSecret);
+    }
+    return this.chunkKey;
+  }
+  
+  // Derive the key the owner's catalog escrowed on hosting peers is sealed with
+  deriveCatalogKey() {
+    if (!this.ownerSecret) {
+      throw new Error('Owner secret not initialized');
+    }
+    
+    const key = Buffer.alloc(sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES);
+    sodium.crypto_generichash(key, Buffer.from('owner-catalog', 'utf8'), this.ownerSecret);
+    return key;
+  }
+  
+  // Identify a plaintext chunk with a keyed hash, so peers cannot confirm
+  // whether a known file is part of a backup by hashing it themselves
+  computeChunkId(data) {
+    if (!this.ownerSecret) {
+      throw new Error('Owner secret not initialized');
+    }
+    
+    if (!this.chunkIdKey) {
+      this.chunkIdKey = Buffer.alloc(sodium.crypto_generichash_KEYBYTES);
+      sodium.crypto_generichash(this.chunkIdKey, Buffer.from('chunk-id', 'utf8'), this.ownerSecret);
+    }
+    
+    const id = Buffer.alloc(32);
+    sodium.crypto_generichash(id, data, this.chunkIdKey);
+    return id.toString('hex');
+  }
+  
+  // Seal a content-defined chunk for storage on a peer. A chunk compressed
+  // with codec (see ChunkCompressor) carries the codec in the additional
+  // data, so it cannot be opened as if it were raw.
+  sealChunk(data, chunkId, codec = null) {
+    return this.sealForOwner(data, this.deriveChunkKey(), BackupCrypto.chunkAdditionalData(chunkId, codec));
+  }
+  
+  // Open a chunk sealed with sealChunk, decompress it and check it matches
+  // its id
+  openChunk(sealedData, chunkId, codec = null) {
+    const opened = this.openForOwner(sealedData, this.deriveChunkKey(), BackupCrypto.chunkAdditionalData(chunkId, codec));
+    const plaintext = codec ? ChunkCompressor.decompress(codec, opened) : opened;
+    if (this.computeChunkId(plaintext) !== chunkId) {
+      throw new Error(`Chunk ${chunkId} does not match its id`);
+    }
+    return plaintext;
+  }
+  
+  static chunkAdditionalData(chunkId, codec) {
+    return codec ? `chunk:${chunkId}:${codec}` : `chunk:${chunkId}`;
+  }
+  
+  // Encrypt data with an owner content key before it is handed to a peer.
+  // The nonce is derived from the key, additional data and plaintext, so a
+  // re-sent chunk produces exactly the ciphertext the peer already verified.
+  sealForOwner(data, key, additionalData = null) {
+    const ad = additionalData ? Buffer.from(additionalData) : null;
+    const nonce = Buffer.alloc(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+    const nonceInput = ad ? Buffer.concat([ad, Buffer.from([0]), data]) : data;
+    sodium.crypto_generichash(nonce, nonceInput, key);
+    
+    const ciphertext = Buffer.alloc(data.length + sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES);
+    sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(ciphertext, data, ad, null, nonce, key);
+    
+    // Return nonce + ciphertext
+    return Buffer.concat([nonce, ciphertext]);
+  }
+  
+  // Decrypt data sealed with an owner content key
+  openForOwner(sealedData, key, additionalData = null) {
+    const nonceBytes = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES;
+    if (sealedData.length < nonceBytes + sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES) {
+      throw new Error('Invalid sealed data length');
+    }
+    
+    const ad = additionalData ? Buffer.from(additionalData) : null;
+    const nonce = sealedData.slice(0, nonceBytes);
+    const ciphertext = sealedData.slice(nonceBytes);
+    const plaintext = Buffer.alloc(ciphertext.length - sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES);
+    
+    try {
+      sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(plaintext, null, ciphertext, ad, nonce, key);
+    } catch (error) {
+      throw new Error('Owner decryption failed - wrong recovery secret or tampered data');
+    }
+    
+    return plaintext;
+  }
+  
   // Generate shared secret with peer's public key
   generateSharedSecret(peerPublicKey, peerId) {
     if (!this.keyPair) {
       throw new Error('Keys not initialized');
     }
     
-    const sharedSecret = Buffer.alloc(sodium.crypto_box_BEFORENMBYTES);
-    sodium.crypto_box_beforenm(sharedSecret, peerPublicKey, this.keyPair.privateKey);
+    const sharedSecret = BackupCrypto.boxBeforeNm(peerPublicKey, this.keyPair.privateKey);
     
     this.sharedSecrets.set(peerId, sharedSecret);
     return sharedSecret;
   }
+  
+  // The crypto_box_beforenm key - HSalsa20 of the X25519 agreement - that
+  // every client's transport encryption uses. sodium-native does not expose
+  // it: HSalsa20 over a zero input is the first Salsa20 block of the
+  // agreement under a zero nonce, minus the constants the block started from.
+  static boxBeforeNm(publicKey, privateKey) {
+    const agreement = sodium.sodium_malloc(sodium.crypto_scalarmult_BYTES);
+    sodium.crypto_scalarmult(agreement, privateKey, publicKey);
+    
+    const block = sodium.sodium_malloc(64);
+    sodium.crypto_stream_salsa20_xor(block, Buffer.alloc(64), Buffer.alloc(sodium.crypto_stream_salsa20_NONCEBYTES), agreement);
+    
+    const key = Buffer.alloc(sodium.crypto_secretbox_KEYBYTES);
+    [0, 5, 10, 15].forEach((word, i) => {
+      key.writeUInt32LE((block.readUInt32LE(word * 4) - SALSA20_SIGMA.readUInt32LE(i * 4)) >>> 0, i * 4);
+    });
+    block.copy(key, 16, 24, 40); // words 6-9 started out as zero nonce and counter
+    
+    sodium.sodium_memzero(agreement);
+    sodium.sodium_memzero(block);
+    return key;
+  }
 
   // Generate SHA-256 hash of Ed25519 signing public key for compact peer ID
   generatePeerIdHash(publicKey = null) {
@@ -221,6 +585,226 @@ class BackupCrypto {
     }
   }
 
+  // Sign the Merkle root of a backup's stored chunks on one peer (shardIndex
+  // is null unless the peer holds one shard of an erasure-coded backup)
+  signMerkleRoot(backupId, shardIndex, leafCount, root) {
+    const message = Buffer.from(`backuppeer-merkle:${backupId}:${shardIndex === null ? '-' : shardIndex}:${leafCount}:${root}`);
+    const signature = Buffer.alloc(sodium.crypto_sign_BYTES);
+    sodium.crypto_sign_detached(signature, message, this.signingKeyPair.privateKey);
+    
+    return { root, leafCount, shardIndex, signature: signature.toString('hex') };
+  }
+  
+  // Check a signed Merkle root against our own signing key - only the owner
+  // can have produced it. Roots signed before a key rotation verify with
+  // the key they were signed with.
+  verifyMerkleRoot(backupId, merkle) {
+    try {
+      const { root, leafCount, shardIndex = null, signature } = merkle;
+      const message = Buffer.from(`backuppeer-merkle:${backupId}:${shardIndex === null ? '-' : shardIndex}:${leafCount}:${root}`);
+      const sig = Buffer.from(signature, 'hex');
+      const publicKeys = [
+        this.signingKeyPair.publicKey,
+        ...this.successions.map(statement => Buffer.from(statement.previousPublicKey, 'hex'))
+      ];
+      
+      return sig.length === sodium.crypto_sign_BYTES &&
+        publicKeys.some(publicKey => sodium.crypto_sign_verify_detached(sig, message, publicKey));
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Replace the signing key - and with it the peer ID hash - by the next
+  // generation. It is derived from the owner secret, so the recovery phrase
+  // rebuilds it, and the old key signs a succession statement for it that
+  // peers check before they move the old identity's records to the new one.
+  // Each file is replaced atomically, the private key last, and the key in
+  // memory only changes once all of them are written.
+  async rotateSigningKey() {
+    if (!this.signingKeyPair || !this.ownerSecret) {
+      throw new Error('Keys not initialized');
+    }
+    
+    const generation = this.successions.length + 1;
+    const { publicKey, privateKey } = this.deriveSigningKey(generation);
+    
+    const statement = this.signSuccession(generation, publicKey);
+    const successions = [...this.successions, statement];
+    
+    // The statement is written first: if we stop before the private key is
+    // replaced, checkSigningKey rebuilds the new key from it on next start
+    try {
+      if (this.keyPath) {
+        await BackupCrypto.replaceFile(path.join(this.keyPath, 'succession.json'),
+          `${JSON.stringify({ successions }, null, 2)}\n`, 0o644);
+      }
+      await this.saveSigningKey({ publicKey, privateKey });
+    } catch (error) {
+      sodium.sodium_memzero(privateKey);
+      throw error;
+    }
+    
+    const previous = this.signingKeyPair;
+    this.signingKeyPair = { publicKey, privateKey };
+    this.successions = successions;
+    sodium.sodium_memzero(previous.privateKey);
+    return statement;
+  }
+  
+  // Signing key pair of a rotation generation, derived from the owner secret
+  deriveSigningKey(generation) {
+    const seed = sodium.sodium_malloc(sodium.crypto_sign_SEEDBYTES);
+    sodium.crypto_generichash(seed, Buffer.from(`identity-sign:${generation}`, 'utf8'), this.ownerSecret);
+    
+    const publicKey = Buffer.alloc(sodium.crypto_sign_PUBLICKEYBYTES);
+    const privateKey = sodium.sodium_malloc(sodium.crypto_sign_SECRETKEYBYTES);
+    sodium.crypto_sign_seed_keypair(publicKey, privateKey, seed);
+    sodium.sodium_memzero(seed);
+    return { publicKey, privateKey };
+  }
+  
+  // Store a signing key pair, private key first; the public key file is
+  // only a copy for other tools, as loading derives it from the private key
+  async saveSigningKey({ publicKey, privateKey }) {
+    if (this.keyStore) {
+      await this.keyStore.save(new Map([...this.getSecrets(), ['sign', privateKey]]));
+    } else if (this.keyPath) {
+      await BackupCrypto.replaceFile(path.join(this.keyPath, 'signing_private.key'), privateKey, 0o600);
+    }
+    if (this.keyPath) {
+      await BackupCrypto.replaceFile(path.join(this.keyPath, 'signing_public.key'), publicKey, 0o644);
+    }
+  }
+  
+  // Take the signing public key from the loaded private key, so key files
+  // left by an interrupted rotation never pair mismatched keys, and finish
+  // a rotation whose succession statement was written but whose key was not
+  async checkSigningKey(persist) {
+    const { privateKey } = this.signingKeyPair;
+    if (privateKey.length !== sodium.crypto_sign_SECRETKEYBYTES) {
+      throw new Error('Signing private key has the wrong length');
+    }
+    const publicKey = Buffer.alloc(sodium.crypto_sign_PUBLICKEYBYTES);
+    sodium.crypto_sign_ed25519_sk_to_pk(publicKey, privateKey);
+    this.signingKeyPair = { publicKey, privateKey };
+    
+    const last = this.successions[this.successions.length - 1];
+    if (last && last.publicKey !== publicKey.toString('hex')) {
+      const next = this.deriveSigningKey(last.generation);
+      if (next.publicKey.toString('hex') !== last.publicKey) {
+        sodium.sodium_memzero(next.privateKey);
+        throw new Error(`Signing key does not match generation ${last.generation} of the key succession`);
+      }
+      
+      if (persist) {
+        await this.saveSigningKey(next);
+      }
+      this.signingKeyPair = next;
+      sodium.sodium_memzero(privateKey);
+      console.log(`Finished the interrupted rotation to signing key generation ${last.generation}`);
+      return;
+    }
+    
+    const publicKeyFile = this.keyPath && path.join(this.keyPath, 'signing_public.key');
+    if (persist && publicKeyFile &&
+        !(await fs.pathExists(publicKeyFile) && publicKey.equals(await fs.readFile(publicKeyFile)))) {
+      await BackupCrypto.replaceFile(publicKeyFile, publicKey, 0o644);
+    }
+  }
+  
+  // Write a key file beside its final name and rename it into place, so a
+  // crash leaves either the old file or the new one
+  static async replaceFile(file, data, mode) {
+    const temporary = `${file}.tmp`;
+    await fs.writeFile(temporary, data, { mode });
+    await fs.chmod(temporary, mode);
+    await fs.rename(temporary, file);
+  }
+  
+  // Sign the handover from our current signing key to the key of a new
+  // generation. The signed message leaves out the time, so rebuilding the
+  // keys from the recovery phrase rebuilds the same statements.
+  signSuccession(generation, publicKey) {
+    const previousPublicKey = this.signingKeyPair.publicKey;
+    const message = BackupCrypto.successionMessage(generation, previousPublicKey.toString('hex'), publicKey.toString('hex'));
+    const signature = Buffer.alloc(sodium.crypto_sign_BYTES);
+    sodium.crypto_sign_detached(signature, message, this.signingKeyPair.privateKey);
+    
+    return {
+      version: 1,
+      generation,
+      previousPublicKey: previousPublicKey.toString('hex'),
+      previousPeerIdHash: this.generatePeerIdHash(previousPublicKey),
+      publicKey: publicKey.toString('hex'),
+      peerIdHash: this.generatePeerIdHash(publicKey),
+      signature: signature.toString('hex'),
+      created: Date.now()
+    };
+  }
+  
+  // Verify the succession chain a peer announces with its identity: each
+  // statement signed by the key the one before handed over to, ending at
+  // the identity it proved it holds the key of
+  verifySuccession(successions, peerIdHash) {
+    try {
+      if (!Array.isArray(successions) || successions.length === 0) {
+        return { valid: false, reason: 'No succession statements' };
+      }
+      
+      const seen = new Set([successions[0].previousPublicKey]);
+      for (let i = 0; i < successions.length; i++) {
+        const { version, generation, previousPublicKey, previousPeerIdHash, publicKey, signature } = successions[i];
+        const pubKey = Buffer.from(publicKey, 'hex');
+        const previousKey = Buffer.from(previousPublicKey, 'hex');
+        const sig = Buffer.from(signature, 'hex');
+        
+        if (version !== 1 || generation !== i + 1) {
+          return { valid: false, reason: `Unsupported or out of order succession statement ${i + 1}` };
+        }
+        if (i > 0 && previousPublicKey !== successions[i - 1].publicKey) {
+          return { valid: false, reason: `Succession statement ${generation} does not follow the one before` };
+        }
+        if (seen.has(publicKey)) {
+          return { valid: false, reason: `Succession statement ${generation} returns to an earlier key` };
+        }
+        seen.add(publicKey);
+        if (pubKey.length !== sodium.crypto_sign_PUBLICKEYBYTES || previousKey.length !== sodium.crypto_sign_PUBLICKEYBYTES ||
+            sig.length !== sodium.crypto_sign_BYTES) {
+          return { valid: false, reason: `Malformed succession statement ${generation}` };
+        }
+        if (this.generatePeerIdHash(previousKey) !== previousPeerIdHash ||
+            this.generatePeerIdHash(pubKey) !== successions[i].peerIdHash) {
+          return { valid: false, reason: `Succession statement ${generation} names the wrong peer ID hash` };
+        }
+        if (!sodium.crypto_sign_verify_detached(sig, BackupCrypto.successionMessage(generation, previousPublicKey, publicKey), previousKey)) {
+          return { valid: false, reason: `Invalid signature on succession statement ${generation}` };
+        }
+      }
+      
+      if (successions[successions.length - 1].peerIdHash !== peerIdHash) {
+        return { valid: false, reason: 'Succession chain does not end at the verified identity' };
+      }
+      return { valid: true, reason: 'Valid succession chain', successions };
+    } catch (error) {
+      return { valid: false, reason: `Succession verification failed: ${error.message}` };
+    }
+  }
+  
+  static successionMessage(generation, previousPublicKey, publicKey) {
+    return Buffer.from(`backuppeer-succession:${generation}:${previousPublicKey}:${publicKey}`);
+  }
+  
+  // Signed statements of our own key rotations, oldest first
+  getSuccessions() {
+    return this.successions;
+  }
+  
+  // Number of times the signing key was rotated
+  getKeyGeneration() {
+    return this.successions.length;
+  }
+  
   // Get my peer ID hash for sharing
   getMyPeerIdHash() {
     if (!this.signingKeyPair) {
@@ -269,11 +853,11 @@ class BackupCrypto {
       throw new Error(`No shared secret for peer: ${peerId}`);
     }
     
-    const nonce = Buffer.alloc(sodium.crypto_box_NONCEBYTES);
+    const nonce = Buffer.alloc(sodium.crypto_secretbox_NONCEBYTES);
     sodium.randombytes_buf(nonce);
     
-    const ciphertext = Buffer.alloc(data.length + sodium.crypto_box_MACBYTES);
-    sodium.crypto_box_easy_afternm(ciphertext, data, nonce, sharedSecret);
+    const ciphertext = Buffer.alloc(data.length + sodium.crypto_secretbox_MACBYTES);
+    sodium.crypto_secretbox_easy(ciphertext, data, nonce, sharedSecret);
     
     // Return nonce + ciphertext
     return Buffer.concat([nonce, ciphertext]);
@@ -286,16 +870,16 @@ class BackupCrypto {
       throw new Error(`No shared secret for peer: ${peerId}`);
     }
     
-    if (encryptedData.length < sodium.crypto_box_NONCEBYTES + sodium.crypto_box_MACBYTES) {
+    if (encryptedData.length < sodium.crypto_secretbox_NONCEBYTES + sodium.crypto_secretbox_MACBYTES) {
       throw new Error('Invalid encrypted data length');
     }
     
-    const nonce = encryptedData.slice(0, sodium.crypto_box_NONCEBYTES);
-    const ciphertext = encryptedData.slice(sodium.crypto_box_NONCEBYTES);
+    const nonce = encryptedData.slice(0, sodium.crypto_secretbox_NONCEBYTES);
+    const ciphertext = encryptedData.slice(sodium.crypto_secretbox_NONCEBYTES);
     
-    const plaintext = Buffer.alloc(ciphertext.length - sodium.crypto_box_MACBYTES);
+    const plaintext = Buffer.alloc(ciphertext.length - sodium.crypto_secretbox_MACBYTES);
     
-    if (!sodium.crypto_box_open_easy_afternm(plaintext, ciphertext, nonce, sharedSecret)) {
+    if (!sodium.crypto_secretbox_open_easy(plaintext, ciphertext, nonce, sharedSecret)) {
       throw new Error('Decryption failed - invalid ciphertext or key');
     }
     
@@ -346,34 +930,54 @@ class BackupCrypto {
     return Buffer.from(hexKey, 'hex');
   }
   
-  // Create encrypted backup metadata
-  createBackupMetadata(fileList, peerId) {
+  // Create backup metadata sealed with the backup's owner content key
+  createBackupMetadata(fileList, backupId, options = {}) {
     const metadata = {
+      backupId,
       timestamp: Date.now(),
+      erasure: options.erasure || null, // { k, n } when chunks are erasure coded across peers
       files: fileList.map(file => ({
         path: file.path,
+        name: file.name,
+        relativePath: file.relativePath || file.name,
+        type: file.type || 'file', // file, directory, symlink or hardlink
         size: file.size,
+        modified: file.modified,
         hash: file.hash,
-        chunks: file.chunks || 1
+        objectId: file.objectId,
+        originBackupId: file.originBackupId || backupId, // snapshot that uploaded the object
+        transferStatus: file.transferStatus || 'completed',
+        pack: file.pack || null, // { chunk, offset } of a small file inside a pack object
+        target: file.target || null, // symlink target, or the relativePath a hard link shares data with
+        attributes: file.attributes || null, // { mode, uid, gid, xattrs }
+        chunks: file.chunks || []
       })),
-      version: '0.1.0'
+      version: '0.3.0'
     };
     
     const metadataJson = JSON.stringify(metadata);
     const metadataBuffer = Buffer.from(metadataJson, 'utf8');
+    const key = this.deriveBackupKey(backupId);
     
     return {
       metadata,
-      encrypted: this.encrypt(metadataBuffer, peerId)
+      encrypted: this.sealForOwner(metadataBuffer, key, `manifest:${backupId}`)
     };
   }
   
   // Decrypt and parse backup metadata
-  parseBackupMetadata(encryptedMetadata, peerId) {
-    const decryptedBuffer = this.decrypt(encryptedMetadata, peerId);
+  parseBackupMetadata(encryptedMetadata, backupId) {
+    const key = this.deriveBackupKey(backupId);
+    const decryptedBuffer = this.openForOwner(encryptedMetadata, key, `manifest:${backupId}`);
     const metadataJson = decryptedBuffer.toString('utf8');
     return JSON.parse(metadataJson);
   }
 }
 
+BackupCrypto.OWNER_SECRET_BYTES = 32;
+
+// Bytes added to every chunk sealed with sealForOwner (nonce + auth tag)
+BackupCrypto.SEAL_OVERHEAD = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES +
+  sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES;
+
 module.exports = BackupCrypto;
\ No newline at end of file
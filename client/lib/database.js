@@ -4,13 +4,17 @@ const fs = require('fs-extra');
 const DatabaseEncryption = require('./db-encryption');
 
 class Database {
-  constructor(configDir = '~/.backup-peer') {
+  constructor(configDir = '~/.backup-peer', options = {}) {
     this.configDir = configDir.replace('~', require('os').homedir());
     this.dbPath = path.join(this.configDir, 'backuppeer.db');
     this.db = null;
     
-    // Initialize database encryption for sensitive fields
-    this.encryption = new DatabaseEncryption();
+    // Initialize database encryption for sensitive fields. A worker thread
+    // gets the data key from the service instead of unwrapping it; the
+    // service may get the database passphrase from the CLI that started it.
+    this.encryption = new DatabaseEncryption(this.configDir);
+    this.dataKey = options.dataKey || null;
+    this.passphrase = options.passphrase || null;
     
     // Define which fields should be encrypted
     this.sensitiveFields = {
@@ -33,7 +37,10 @@ class Database {
         }
         
         console.log('Connected to SQLite database');
-        this.createTables().then(resolve).catch(reject);
+        this.createTables()
+          .then(() => this.initializeEncryption())
+          .then(resolve)
+          .catch(reject);
       });
     });
   }
@@ -52,6 +59,8 @@ class Database {
         file_count INTEGER DEFAULT 0,
         total_size INTEGER DEFAULT 0,
         metadata TEXT,
+        source TEXT,
+        parent_id TEXT,
         created_at INTEGER DEFAULT (strftime('%s', 'now'))
       )`,
       
@@ -65,6 +74,10 @@ class Database {
         file_hash TEXT,
         chunk_count INTEGER DEFAULT 1,
         transfer_status TEXT DEFAULT 'pending',
+        modified INTEGER,
+        object_id TEXT,
+        origin_backup_id TEXT,
+        chunks TEXT, -- JSON array of { id, size } content-defined chunks
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         FOREIGN KEY (backup_id) REFERENCES backups (id) ON DELETE CASCADE
       )`,
@@ -184,6 +197,98 @@ class Database {
         created_at INTEGER DEFAULT (strftime('%s', 'now')),
         updated_at INTEGER DEFAULT (strftime('%s', 'now')),
         FOREIGN KEY (peer_id_hash) REFERENCES cached_peer_connections (peer_id_hash) ON DELETE CASCADE
+      )`,
+
+      // Content-defined chunks each peer already holds, for deduplication
+      `CREATE TABLE IF NOT EXISTS chunk_index (
+        chunk_id TEXT NOT NULL,
+        peer_id TEXT NOT NULL,
+        plain_size INTEGER NOT NULL,
+        stored_size INTEGER NOT NULL,
+        stored_hash TEXT NOT NULL,
+        first_backup_id TEXT,
+        ref_count INTEGER DEFAULT 1,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        last_used INTEGER DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (chunk_id, peer_id)
+      )`,
+      
+      // Stored chunks of objects being uploaded, written as they are sealed;
+      // they enter chunk_index once the peer confirms the object
+      `CREATE TABLE IF NOT EXISTS upload_chunks (
+        peer_id TEXT NOT NULL,
+        object_id TEXT NOT NULL,
+        chunk_index INTEGER NOT NULL,
+        chunk_id TEXT NOT NULL,
+        plain_size INTEGER NOT NULL,
+        stored_size INTEGER NOT NULL,
+        stored_hash TEXT NOT NULL,
+        PRIMARY KEY (peer_id, object_id, chunk_index)
+      )`,
+
+      // Which peer holds each shard of an erasure-coded backup
+      `CREATE TABLE IF NOT EXISTS shard_placements (
+        backup_id TEXT NOT NULL,
+        shard_index INTEGER NOT NULL,
+        data_shards INTEGER NOT NULL,
+        total_shards INTEGER NOT NULL,
+        peer_id TEXT,
+        host_peer_id TEXT,
+        status TEXT DEFAULT 'active',
+        stored_size INTEGER DEFAULT 0,
+        updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (backup_id, shard_index),
+        FOREIGN KEY (backup_id) REFERENCES backups (id) ON DELETE CASCADE
+      )`,
+
+      // Every automatic repair step taken for data on a failing peer
+      `CREATE TABLE IF NOT EXISTS repair_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        backup_id TEXT,
+        shard_index INTEGER,
+        failed_peer_id TEXT,
+        replacement_peer_id TEXT,
+        action TEXT NOT NULL,
+        status TEXT NOT NULL,
+        details TEXT,
+        timestamp INTEGER NOT NULL
+      )`,
+      
+      // Precomputed storage challenge answers for objects we uploaded
+      `CREATE TABLE IF NOT EXISTS challenge_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        backup_id TEXT NOT NULL,
+        peer_id TEXT NOT NULL,
+        object_id TEXT NOT NULL,
+        kind TEXT NOT NULL,
+        chunk_index INTEGER,
+        range_offset INTEGER,
+        range_length INTEGER,
+        nonce TEXT NOT NULL,
+        expected TEXT NOT NULL,
+        used_at INTEGER,
+        created_at INTEGER DEFAULT (strftime('%s', 'now'))
+      )`,
+      
+      // Signed Merkle roots over the chunks each peer stores of our backups
+      `CREATE TABLE IF NOT EXISTS merkle_roots (
+        backup_id TEXT NOT NULL,
+        peer_id TEXT NOT NULL,
+        shard_index INTEGER,
+        root TEXT NOT NULL,
+        leaf_count INTEGER NOT NULL,
+        signature TEXT NOT NULL,
+        created_at INTEGER DEFAULT (strftime('%s', 'now')),
+        PRIMARY KEY (backup_id, peer_id)
+      )`,
+      
+      // Peer identities retired by a signed key rotation, and their successor
+      `CREATE TABLE IF NOT EXISTS peer_successions (
+        peer_id_hash TEXT PRIMARY KEY,
+        successor_id_hash TEXT NOT NULL,
+        generation INTEGER NOT NULL,
+        statement TEXT NOT NULL,
+        recorded_at INTEGER NOT NULL
       )`
     ];
     
@@ -191,6 +296,8 @@ class Database {
       await this.run(query);
     }
     
+    await this.migrateColumns();
+    
     // Create indexes for better performance  
     const indexes = [
       'CREATE INDEX IF NOT EXISTS idx_backups_peer_id ON backups (peer_id)',
@@ -206,7 +313,14 @@ class Database {
       'CREATE INDEX IF NOT EXISTS idx_transfer_chunks_backup_id ON transfer_chunk_states (backup_id)',
       'CREATE INDEX IF NOT EXISTS idx_transfer_chunks_state ON transfer_chunk_states (transfer_state)',
       'CREATE INDEX IF NOT EXISTS idx_sync_schedules_peer_hash ON sync_schedules (peer_id_hash)',
-      'CREATE INDEX IF NOT EXISTS idx_sync_schedules_next_sync ON sync_schedules (next_sync_time)'
+      'CREATE INDEX IF NOT EXISTS idx_sync_schedules_next_sync ON sync_schedules (next_sync_time)',
+      'CREATE INDEX IF NOT EXISTS idx_chunk_index_peer_id ON chunk_index (peer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_backups_source ON backups (source)',
+      'CREATE INDEX IF NOT EXISTS idx_backup_files_path ON backup_files (file_path)',
+      'CREATE INDEX IF NOT EXISTS idx_shard_placements_peer_id ON shard_placements (peer_id)',
+      'CREATE INDEX IF NOT EXISTS idx_repair_log_backup_id ON repair_log (backup_id)',
+      'CREATE INDEX IF NOT EXISTS idx_repair_log_timestamp ON repair_log (timestamp)',
+      'CREATE INDEX IF NOT EXISTS idx_challenge_tokens_backup_peer ON challenge_tokens (backup_id, peer_id)'
     ];
     
     for (const index of indexes) {
@@ -216,6 +330,97 @@ class Database {
     console.log('Database schema initialized');
   }
   
+  // Add columns introduced after a table was first created
+  async migrateColumns() {
+    const columns = {
+      backups: {
+        source: 'TEXT',
+        parent_id: 'TEXT'
+      },
+      backup_files: {
+        modified: 'INTEGER',
+        object_id: 'TEXT',
+        origin_backup_id: 'TEXT',
+        chunks: 'TEXT',
+        relative_path: 'TEXT',
+        pack: 'TEXT',
+        entry_type: 'TEXT',
+        link_target: 'TEXT',
+        attributes: 'TEXT'
+      }
+    };
+    
+    for (const [table, tableColumns] of Object.entries(columns)) {
+      const existing = (await this.all(`PRAGMA table_info(${table})`)).map(column => column.name);
+      
+      for (const [name, type] of Object.entries(tableColumns)) {
+        if (!existing.includes(name)) {
+          await this.run(`ALTER TABLE ${table} ADD COLUMN ${name} ${type}`);
+        }
+      }
+    }
+  }
+  
+  // Unwrap the key sensitive fields are encrypted with; the first time,
+  // re-encrypt fields still sealed with the host-derived key of older versions
+  async initializeEncryption() {
+    const unlocked = await this.encryption.initialize({ dataKey: this.dataKey, passphrase: this.passphrase });
+    if (this.dataKey) {
+      this.dataKey.fill(0);
+      this.dataKey = null;
+    }
+    this.passphrase = null;
+    
+    if (unlocked && this.encryption.stored && !this.encryption.stored.legacyMigrated) {
+      await this.migrateEncryptedFields();
+    }
+  }
+  
+  // Re-encrypt sensitive fields from the host-derived key to the data key.
+  // Fields the host-derived key no longer opens (the host was renamed) are
+  // left as they are.
+  async migrateEncryptedFields() {
+    let migrated = 0;
+    let failed = 0;
+    
+    for (const [table, fields] of Object.entries(this.sensitiveFields)) {
+      const rows = await this.all(`SELECT rowid AS row_id, ${fields.join(', ')} FROM ${table}`);
+      
+      for (const row of rows) {
+        for (const field of fields) {
+          let encryptedData;
+          try {
+            encryptedData = JSON.parse(row[field]);
+          } catch (error) {
+            continue; // not encrypted
+          }
+          if (!encryptedData || !encryptedData.encrypted || !DatabaseEncryption.isLegacy(encryptedData)) {
+            continue;
+          }
+          
+          try {
+            const plaintext = this.encryption.decrypt(encryptedData);
+            await this.run(`UPDATE ${table} SET ${field} = ? WHERE rowid = ?`, [
+              JSON.stringify(this.encryption.encrypt(plaintext)),
+              row.row_id
+            ]);
+            migrated++;
+          } catch (error) {
+            failed++;
+          }
+        }
+      }
+    }
+    
+    await this.encryption.markLegacyMigrated();
+    if (migrated > 0) {
+      console.log(`Re-encrypted ${migrated} database fields with the new database key`);
+    }
+    if (failed > 0) {
+      console.warn(`${failed} database fields could not be decrypted with the old host-derived key and were left as they are`);
+    }
+  }
+  
   // Encrypt record before storage
   encryptRecord(tableName, record) {
     const sensitiveFields = this.sensitiveFields[tableName] || [];
@@ -273,18 +478,44 @@ class Database {
     });
   }
   
+  // Call onRow for each row as it is read, without loading them all
+  each(query, params, onRow) {
+    return new Promise((resolve, reject) => {
+      let failure = null;
+      this.db.each(query, params, (err, row) => {
+        if (err || failure) {
+          failure = failure || err;
+          return;
+        }
+        try {
+          onRow(row);
+        } catch (error) {
+          failure = error;
+        }
+      }, (err, count) => {
+        if (err || failure) {
+          reject(failure || err);
+        } else {
+          resolve(count);
+        }
+      });
+    });
+  }
+  
   // Backup operations
   async saveBackup(backup) {
     const query = `
       INSERT OR REPLACE INTO backups 
-      (id, name, type, peer_id, timestamp, status, file_count, total_size, metadata)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      (id, name, type, peer_id, timestamp, status, file_count, total_size, metadata, source, parent_id)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     `;
     
     const metadata = JSON.stringify({
       files: backup.files || [],
       location: backup.location || null,
-      originalPath: backup.originalPath || null
+      originalPath: backup.originalPath || null,
+      hostPeerId: backup.hostPeerId || null,
+      hooks: backup.hooks || null
     });
     
     return this.run(query, [
@@ -296,10 +527,99 @@ class Database {
       backup.status || 'active',
       backup.files ? backup.files.length : 0,
       backup.files ? backup.files.reduce((sum, f) => sum + (f.size || 0), 0) : 0,
-      metadata
+      metadata,
+      backup.source || null,
+      backup.parentId || null
     ]);
   }
   
+  // Snapshot file manifest operations
+  async saveBackupFiles(backupId, files) {
+    await this.run('DELETE FROM backup_files WHERE backup_id = ?', [backupId]);
+    
+    const query = `
+      INSERT INTO backup_files 
+      (backup_id, file_path, file_name, file_size, file_hash, chunk_count, transfer_status,
+       modified, object_id, origin_backup_id, chunks, relative_path, pack,
+       entry_type, link_target, attributes)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const file of files) {
+      const chunks = Array.isArray(file.chunks) ? file.chunks : null;
+      await this.run(query, [
+        backupId,
+        file.path,
+        file.name,
+        file.size,
+        file.hash,
+        chunks ? chunks.length : (file.chunks || 0),
+        file.transferStatus || 'completed',
+        file.modified ? new Date(file.modified).getTime() : null,
+        file.objectId || null,
+        file.originBackupId || backupId,
+        chunks ? JSON.stringify(chunks) : null,
+        file.relativePath || null,
+        file.pack ? JSON.stringify(file.pack) : null,
+        file.type || 'file',
+        file.target || null,
+        file.attributes ? JSON.stringify(file.attributes) : null
+      ]);
+    }
+  }
+  
+  async getBackupFiles(backupId) {
+    const rows = await this.all(
+      'SELECT * FROM backup_files WHERE backup_id = ? ORDER BY file_path',
+      [backupId]
+    );
+    
+    return rows.map(row => ({
+      path: row.file_path,
+      name: row.file_name,
+      relativePath: row.relative_path || row.file_name,
+      size: row.file_size,
+      hash: row.file_hash,
+      modified: row.modified ? new Date(row.modified).toISOString() : null,
+      objectId: row.object_id,
+      originBackupId: row.origin_backup_id,
+      chunks: row.chunks ? JSON.parse(row.chunks) : row.chunk_count,
+      pack: row.pack ? JSON.parse(row.pack) : null,
+      type: row.entry_type || 'file',
+      target: row.link_target,
+      attributes: row.attributes ? JSON.parse(row.attributes) : null,
+      transferStatus: row.transfer_status
+    }));
+  }
+  
+  // Most recent completed snapshot of a source stored on a given peer
+  async getLatestSnapshot(source, peerId) {
+    return this.get(`
+      SELECT * FROM backups 
+      WHERE type = 'sent' AND source = ? AND peer_id = ? AND status IN ('active', 'partial')
+      ORDER BY timestamp DESC LIMIT 1
+    `, [source, peerId]);
+  }
+  
+  // Snapshots whose manifests point at objects uploaded by originBackupId
+  async getObjectReferences(originBackupId) {
+    return this.all(
+      'SELECT backup_id, object_id FROM backup_files WHERE origin_backup_id = ?',
+      [originBackupId]
+    );
+  }
+  
+  async listSnapshots(source = null) {
+    const where = source ? 'AND source = ?' : '';
+    return this.all(`
+      SELECT b.id, b.name, b.peer_id, b.timestamp, b.status, b.file_count, b.total_size, b.source, b.parent_id,
+        (SELECT COUNT(*) FROM backup_files f WHERE f.backup_id = b.id AND f.origin_backup_id = b.id) as changed_files
+      FROM backups b
+      WHERE b.type = 'sent' AND b.source IS NOT NULL ${where}
+      ORDER BY b.source, b.timestamp
+    `, source ? [source] : []);
+  }
+  
   async getBackup(backupId) {
     const backup = await this.get('SELECT * FROM backups WHERE id = ?', [backupId]);
     if (!backup) return null;
@@ -311,6 +631,8 @@ class Database {
         backup.files = metadata.files || [];
         backup.location = metadata.location;
         backup.originalPath = metadata.originalPath;
+        backup.hostPeerId = metadata.hostPeerId || null;
+        backup.hooks = metadata.hooks || null;
       } catch (error) {
         console.warn('Failed to parse backup metadata:', error.message);
         backup.files = [];
@@ -342,6 +664,8 @@ class Database {
           backup.files = metadata.files || [];
           backup.location = metadata.location;
           backup.originalPath = metadata.originalPath;
+          backup.hostPeerId = metadata.hostPeerId || null;
+          backup.hooks = metadata.hooks || null;
         } catch (error) {
           backup.files = [];
         }
@@ -350,7 +674,30 @@ class Database {
     });
   }
   
+  // Point a backup at a different hosting peer, keeping everything else
+  async reassignBackup(backupId, peerId, hostPeerId = null) {
+    const backup = await this.get('SELECT metadata FROM backups WHERE id = ?', [backupId]);
+    if (!backup) {
+      throw new Error(`Backup not found: ${backupId}`);
+    }
+    
+    const metadata = backup.metadata ? JSON.parse(backup.metadata) : {};
+    metadata.hostPeerId = hostPeerId;
+    
+    return this.run(
+      'UPDATE backups SET peer_id = ?, metadata = ? WHERE id = ?',
+      [peerId, JSON.stringify(metadata), backupId]
+    );
+  }
+  
+  async updateBackupStatus(backupId, status) {
+    return this.run('UPDATE backups SET status = ? WHERE id = ?', [status, backupId]);
+  }
+  
   async deleteBackup(backupId) {
+    await this.run('DELETE FROM backup_files WHERE backup_id = ?', [backupId]);
+    await this.run('DELETE FROM shard_placements WHERE backup_id = ?', [backupId]);
+    await this.run('DELETE FROM merkle_roots WHERE backup_id = ?', [backupId]);
     return this.run('DELETE FROM backups WHERE id = ?', [backupId]);
   }
   
@@ -522,6 +869,37 @@ class Database {
     };
   }
   
+  // Plaintext and compressed bytes of the chunks each sent backup added
+  // (files carried over unchanged from an earlier snapshot are not counted)
+  async getCompressionStats() {
+    const rows = await this.all(`
+      SELECT b.id, b.name, b.timestamp, f.chunks
+      FROM backups b JOIN backup_files f ON f.backup_id = b.id
+      WHERE b.type = 'sent' AND b.status IN ('active', 'partial') AND f.chunks IS NOT NULL
+        AND (f.origin_backup_id IS NULL OR f.origin_backup_id = b.id)
+      ORDER BY b.timestamp DESC
+    `);
+    
+    const backups = new Map();
+    for (const row of rows) {
+      if (!backups.has(row.id)) {
+        backups.set(row.id, { id: row.id, name: row.name, timestamp: row.timestamp, originalSize: 0, compressedSize: 0, compressedChunks: 0, totalChunks: 0 });
+      }
+      const entry = backups.get(row.id);
+      for (const chunk of JSON.parse(row.chunks)) {
+        entry.originalSize += chunk.size;
+        entry.compressedSize += chunk.codec ? chunk.compressedSize : chunk.size;
+        entry.compressedChunks += chunk.codec ? 1 : 0;
+        entry.totalChunks++;
+      }
+    }
+    
+    return Array.from(backups.values()).map(entry => ({
+      ...entry,
+      ratio: entry.compressedSize > 0 ? entry.originalSize / entry.compressedSize : 1
+    }));
+  }
+  
   async getReputationStats() {
     const stats = await this.get(`
       SELECT 
@@ -707,6 +1085,296 @@ class Database {
     };
   }
 
+  async getCompletedChunks(backupId) {
+    const query = `
+      SELECT chunk_index, chunk_hash, chunk_size
+      FROM transfer_chunk_states 
+      WHERE backup_id = ? AND transfer_state IN ('completed', 'verified')
+      ORDER BY chunk_index
+    `;
+    
+    return this.all(query, [backupId]);
+  }
+
+  async clearChunkStates(backupId) {
+    return this.run('DELETE FROM transfer_chunk_states WHERE backup_id = ?', [backupId]);
+  }
+
+  // Chunk index operations for deduplication
+  async getIndexedChunk(chunkId, peerId) {
+    return this.get(
+      'SELECT * FROM chunk_index WHERE chunk_id = ? AND peer_id = ?',
+      [chunkId, peerId]
+    );
+  }
+
+  // Upload chunk operations
+  async saveUploadChunk(peerId, objectId, chunkIndex, chunk) {
+    const query = `
+      INSERT OR REPLACE INTO upload_chunks
+      (peer_id, object_id, chunk_index, chunk_id, plain_size, stored_size, stored_hash)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    return this.run(query, [
+      peerId, objectId, chunkIndex, chunk.id, chunk.size, chunk.storedSize, chunk.storedHash
+    ]);
+  }
+
+  async clearUploadChunks(peerId, objectId) {
+    return this.run('DELETE FROM upload_chunks WHERE peer_id = ? AND object_id = ?', [peerId, objectId]);
+  }
+
+  // Stored chunk hashes of an uploaded object in chunk order, one call each
+  async eachUploadChunkHash(peerId, objectId, onHash) {
+    return this.each(
+      'SELECT stored_hash FROM upload_chunks WHERE peer_id = ? AND object_id = ? ORDER BY chunk_index',
+      [peerId, objectId],
+      row => onHash(row.stored_hash)
+    );
+  }
+
+  // Record the chunks of an object a peer has confirmed storing
+  async indexUploadChunks(peerId, objectId, backupId = null) {
+    const query = `
+      INSERT INTO chunk_index (chunk_id, peer_id, plain_size, stored_size, stored_hash, first_backup_id)
+      SELECT chunk_id, peer_id, plain_size, stored_size, stored_hash, ?
+      FROM upload_chunks
+      WHERE peer_id = ? AND object_id = ?
+      ORDER BY chunk_index
+      ON CONFLICT(chunk_id, peer_id) DO UPDATE SET
+        ref_count = ref_count + 1,
+        last_used = strftime('%s', 'now')
+    `;
+    
+    return this.run(query, [backupId, peerId, objectId]);
+  }
+
+  // Forget chunks a peer no longer holds (e.g. it reported them missing)
+  async removeIndexedChunks(peerId, chunkIds = null) {
+    if (!chunkIds) {
+      return this.run('DELETE FROM chunk_index WHERE peer_id = ?', [peerId]);
+    }
+    
+    for (const chunkId of chunkIds) {
+      await this.run('DELETE FROM chunk_index WHERE chunk_id = ? AND peer_id = ?', [chunkId, peerId]);
+    }
+  }
+
+  // Erasure-coded shard placement operations
+  async saveShardPlacement(placement) {
+    const query = `
+      INSERT OR REPLACE INTO shard_placements 
+      (backup_id, shard_index, data_shards, total_shards, peer_id, host_peer_id, status, stored_size, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+    `;
+    
+    return this.run(query, [
+      placement.backupId,
+      placement.shardIndex,
+      placement.dataShards,
+      placement.totalShards,
+      placement.peerId || null,
+      placement.hostPeerId || null,
+      placement.status || 'active',
+      placement.storedSize || 0
+    ]);
+  }
+  
+  async getShardPlacements(backupId) {
+    return this.all('SELECT * FROM shard_placements WHERE backup_id = ? ORDER BY shard_index', [backupId]);
+  }
+  
+  // All placements, or only those of shards held by one peer
+  async listShardPlacements(peerId = null) {
+    const where = peerId ? 'WHERE peer_id = ?' : '';
+    return this.all(
+      `SELECT * FROM shard_placements ${where} ORDER BY backup_id, shard_index`,
+      peerId ? [peerId] : []
+    );
+  }
+  
+  async updateShardStatus(backupId, shardIndex, status) {
+    return this.run(
+      `UPDATE shard_placements SET status = ?, updated_at = strftime('%s', 'now') WHERE backup_id = ? AND shard_index = ?`,
+      [status, backupId, shardIndex]
+    );
+  }
+  
+  // Storage challenge token operations
+  async saveChallengeTokens(backupId, peerId, objectId, tokens) {
+    const query = `
+      INSERT INTO challenge_tokens 
+      (backup_id, peer_id, object_id, kind, chunk_index, range_offset, range_length, nonce, expected)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    for (const token of tokens) {
+      await this.run(query, [
+        backupId,
+        peerId,
+        objectId,
+        token.kind,
+        token.chunkIndex,
+        token.offset,
+        token.length,
+        token.nonce,
+        token.expected
+      ]);
+    }
+  }
+  
+  // Pick unused tokens of one kind at random and mark them used - a token
+  // is worthless once its nonce has been revealed to the host
+  async takeChallengeTokens(backupId, peerId, kind, count) {
+    const tokens = await this.all(`
+      SELECT * FROM challenge_tokens
+      WHERE backup_id = ? AND peer_id = ? AND kind = ? AND used_at IS NULL
+      ORDER BY RANDOM() LIMIT ?
+    `, [backupId, peerId, kind, count]);
+    
+    for (const token of tokens) {
+      await this.run(
+        `UPDATE challenge_tokens SET used_at = strftime('%s', 'now') WHERE id = ?`,
+        [token.id]
+      );
+    }
+    
+    return tokens;
+  }
+  
+  async countChallengeTokens(backupId, peerId = null) {
+    const row = await this.get(`
+      SELECT COUNT(*) as count FROM challenge_tokens
+      WHERE backup_id = ? AND used_at IS NULL ${peerId ? 'AND peer_id = ?' : ''}
+    `, peerId ? [backupId, peerId] : [backupId]);
+    return row ? row.count : 0;
+  }
+  
+  // Backups a peer holds for us that can still be challenged
+  async listChallengeableBackups(peerId) {
+    const rows = await this.all(
+      'SELECT DISTINCT backup_id FROM challenge_tokens WHERE peer_id = ? AND used_at IS NULL',
+      [peerId]
+    );
+    return rows.map(row => row.backup_id);
+  }
+  
+  // Drop tokens of objects a peer no longer stores (all of the backup's
+  // objects on that peer without objectIds)
+  async deleteChallengeTokens(backupId, peerId, objectIds = null) {
+    if (!objectIds) {
+      return this.run('DELETE FROM challenge_tokens WHERE backup_id = ? AND peer_id = ?', [backupId, peerId]);
+    }
+    
+    for (const objectId of objectIds) {
+      await this.run(
+        'DELETE FROM challenge_tokens WHERE backup_id = ? AND peer_id = ? AND object_id = ?',
+        [backupId, peerId, objectId]
+      );
+    }
+  }
+  
+  // Merkle root operations
+  async saveMerkleRoot(backupId, peerId, merkle) {
+    return this.run(`
+      INSERT OR REPLACE INTO merkle_roots 
+      (backup_id, peer_id, shard_index, root, leaf_count, signature)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `, [backupId, peerId, merkle.shardIndex, merkle.root, merkle.leafCount, merkle.signature]);
+  }
+  
+  async getMerkleRoot(backupId, peerId) {
+    const row = await this.get(
+      'SELECT * FROM merkle_roots WHERE backup_id = ? AND peer_id = ?',
+      [backupId, peerId]
+    );
+    if (!row) return null;
+    
+    return {
+      root: row.root,
+      leafCount: row.leaf_count,
+      shardIndex: row.shard_index,
+      signature: row.signature
+    };
+  }
+  
+  async deleteMerkleRoot(backupId, peerId) {
+    return this.run('DELETE FROM merkle_roots WHERE backup_id = ? AND peer_id = ?', [backupId, peerId]);
+  }
+  
+  async listMerkleRoots() {
+    const rows = await this.all('SELECT * FROM merkle_roots ORDER BY backup_id');
+    return rows.map(row => ({
+      backupId: row.backup_id,
+      peerId: row.peer_id,
+      shardIndex: row.shard_index,
+      root: row.root,
+      leafCount: row.leaf_count,
+      signature: row.signature
+    }));
+  }
+  
+  // Backups a peer holds for us under a signed Merkle root
+  async listMerkleBackups(peerId) {
+    const rows = await this.all(
+      'SELECT backup_id FROM merkle_roots WHERE peer_id = ? AND leaf_count > 0',
+      [peerId]
+    );
+    return rows.map(row => row.backup_id);
+  }
+  
+  // Repair log operations
+  async logRepair(entry) {
+    const query = `
+      INSERT INTO repair_log 
+      (backup_id, shard_index, failed_peer_id, replacement_peer_id, action, status, details, timestamp)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    
+    return this.run(query, [
+      entry.backupId || null,
+      entry.shardIndex === undefined ? null : entry.shardIndex,
+      entry.failedPeerId || null,
+      entry.replacementPeerId || null,
+      entry.action,
+      entry.status,
+      entry.details || null,
+      entry.timestamp || Date.now()
+    ]);
+  }
+  
+  async getRepairLog(backupId = null, limit = 100) {
+    const where = backupId ? 'WHERE backup_id = ?' : '';
+    return this.all(
+      `SELECT * FROM repair_log ${where} ORDER BY timestamp DESC, id DESC LIMIT ?`,
+      backupId ? [backupId, limit] : [limit]
+    );
+  }
+  
+  async getChunkIndexStats(peerId = null) {
+    const where = peerId ? 'WHERE peer_id = ?' : '';
+    const result = await this.get(`
+      SELECT 
+        COUNT(*) as unique_chunks,
+        SUM(ref_count) as total_references,
+        SUM(plain_size) as unique_bytes,
+        SUM(plain_size * ref_count) as referenced_bytes
+      FROM chunk_index ${where}
+    `, peerId ? [peerId] : []);
+    
+    const uniqueBytes = result.unique_bytes || 0;
+    const referencedBytes = result.referenced_bytes || 0;
+    return {
+      uniqueChunks: result.unique_chunks || 0,
+      totalReferences: result.total_references || 0,
+      uniqueBytes,
+      referencedBytes,
+      savedBytes: referencedBytes - uniqueBytes,
+      dedupRatio: uniqueBytes > 0 ? referencedBytes / uniqueBytes : 1
+    };
+  }
+
   // Sync schedule operations
   async saveSyncSchedule(peerIdHash, scheduleData) {
     const query = `
@@ -777,6 +1445,71 @@ class Database {
     };
   }
 
+  // Peer identity succession operations
+  async savePeerSuccession(statement) {
+    return this.run(`
+      INSERT OR REPLACE INTO peer_successions
+      (peer_id_hash, successor_id_hash, generation, statement, recorded_at)
+      VALUES (?, ?, ?, ?, ?)
+    `, [statement.previousPeerIdHash, statement.peerIdHash, statement.generation, JSON.stringify(statement), Date.now()]);
+  }
+  
+  // Succession statement that retired a peer ID hash, or null
+  async getPeerSuccessor(peerIdHash) {
+    const row = await this.get('SELECT statement FROM peer_successions WHERE peer_id_hash = ?', [peerIdHash]);
+    return row ? JSON.parse(row.statement) : null;
+  }
+  
+  // Move everything recorded under a retired peer ID hash to its successor:
+  // the cached connection, backups and shards it hosts, signed roots,
+  // challenge tokens and history, in one transaction. A cached connection
+  // already kept under the new hash takes over the old one's counters and
+  // newest sighting; elsewhere rows already kept under the new hash win.
+  async transferPeerRecords(oldPeerIdHash, newPeerIdHash, publicKey) {
+    const retired = column => `(SELECT ${column} FROM cached_peer_connections WHERE peer_id_hash = ?)`;
+    const updates = [
+      [`UPDATE cached_peer_connections SET
+          connection_attempts = connection_attempts + COALESCE(${retired('connection_attempts')}, 0),
+          successful_connections = successful_connections + COALESCE(${retired('successful_connections')}, 0),
+          last_seen = MAX(last_seen, COALESCE(${retired('last_seen')}, 0)),
+          last_connection_success = NULLIF(MAX(COALESCE(last_connection_success, 0),
+            COALESCE(${retired('last_connection_success')}, 0)), 0),
+          created_at = MIN(created_at, COALESCE(${retired('created_at')}, created_at)),
+          public_key = ?, updated_at = strftime('%s', 'now')
+        WHERE peer_id_hash = ?`,
+      [oldPeerIdHash, oldPeerIdHash, oldPeerIdHash, oldPeerIdHash, oldPeerIdHash, publicKey, newPeerIdHash]],
+      [`UPDATE OR IGNORE cached_peer_connections SET peer_id_hash = ?, public_key = ?, updated_at = strftime('%s', 'now')
+        WHERE peer_id_hash = ?`, [newPeerIdHash, publicKey, oldPeerIdHash]],
+      ['DELETE FROM cached_peer_connections WHERE peer_id_hash = ?', [oldPeerIdHash]],
+      ['UPDATE sync_schedules SET peer_id_hash = ? WHERE peer_id_hash = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE OR IGNORE peers SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE backups SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE shard_placements SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE OR IGNORE merkle_roots SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE OR IGNORE chunk_index SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE challenge_tokens SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE storage_commitments SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE verification_challenges SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['UPDATE transfer_sessions SET peer_id = ? WHERE peer_id = ?', [newPeerIdHash, oldPeerIdHash]],
+      ['DELETE FROM peers WHERE peer_id = ?', [oldPeerIdHash]],
+      ['DELETE FROM merkle_roots WHERE peer_id = ?', [oldPeerIdHash]],
+      ['DELETE FROM chunk_index WHERE peer_id = ?', [oldPeerIdHash]]
+    ];
+    
+    await this.run('BEGIN');
+    try {
+      let changes = 0;
+      for (const [query, params] of updates) {
+        changes += (await this.run(query, params)).changes;
+      }
+      await this.run('COMMIT');
+      return changes;
+    } catch (error) {
+      await this.run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+
   // Remove stale peer connections
   async removeStalePeerConnections(maxAge = 2592000000) { // 30 days default
     const cutoff = Date.now() - maxAge;
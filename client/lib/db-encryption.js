@@ -1,27 +1,271 @@
 const crypto = require('crypto');
 const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const sodium = require('sodium-native');
+const KeyStore = require('./keystore');
+
+const KEY_FILE = 'database-key.json';
+const KEY_FILE_VERSION = 1;
+const FIELD_VERSION = 2; // fields sealed with the data key; older ones used the host-derived key
+const KEK_SOURCES = ['keystore', 'passphrase'];
+const ADDITIONAL_DATA = Buffer.from('backuppeer-database-key-v1', 'utf8');
+
+// Data keys unwrapped by this process (key file -> secure buffer), shared by
+// every Database instance, and unwraps in progress (key file -> promise)
+const dataKeys = new Map();
+const loading = new Map();
 
 /**
  * Database encryption utilities for sensitive data storage
  * Encrypts sensitive fields before storing in SQLite
+ *
+ * Fields are encrypted with a random data key (DEK). The data key is kept in
+ * keys/database-key.json wrapped by a key-encryption key (KEK), which is
+ * either derived from the owner secret in the identity keystore (the
+ * default) or stretched from a database passphrase with Argon2id
+ * (BACKUPPEER_DB_PASSPHRASE). Re-wrapping changes the KEK without touching
+ * the encrypted fields.
  */
 class DatabaseEncryption {
-  constructor() {
+  constructor(configDir = '~/.backup-peer') {
     this.algorithm = 'aes-256-gcm';
     this.keyLength = 32; // 256 bits
     this.ivLength = 16; // 128 bits
     this.tagLength = 16; // 128 bits
     this.iterations = 100000; // PBKDF2 iterations
     
-    // Derive master key from system info + user data (not perfect, but better than plaintext)
-    this.masterKey = this.deriveMasterKey();
+    this.keyPath = path.join(configDir.replace('~', os.homedir()), 'keys');
+    this.keyFile = path.join(this.keyPath, KEY_FILE);
+    this.masterKey = null; // the data key, set by initialize()
+    this.legacyKey = null; // host-derived key of older databases, only to read old fields
+    this.stored = null; // contents of the key file
+  }
+  
+  static get KEK_SOURCES() {
+    return KEK_SOURCES;
+  }
+  
+  /**
+   * Unwrap the data key, or create one if there is none yet. Leaves the
+   * database locked (encrypt throws, decryptRecord keeps fields as they
+   * are) when the KEK is not available - the keystore is locked, the
+   * database passphrase is not set, or the keys do not exist yet.
+   * @param {object} options - dataKey handed over by the service, or passphrase
+   * @returns {boolean} - Whether the data key is available
+   */
+  async initialize(options = {}) {
+    if (options.dataKey && !dataKeys.has(this.keyFile)) {
+      dataKeys.set(this.keyFile, KeyStore.secureCopy(
+        Buffer.from(options.dataKey.buffer, options.dataKey.byteOffset, options.dataKey.byteLength)
+      ));
+    }
+    
+    // Database instances opened side by side wait for one unwrap
+    if (!dataKeys.has(this.keyFile)) {
+      if (!loading.has(this.keyFile)) {
+        loading.set(this.keyFile, this.loadDataKey(options).finally(() => loading.delete(this.keyFile)));
+      }
+      await loading.get(this.keyFile);
+    }
+    
+    if (await fs.pathExists(this.keyFile)) {
+      this.stored = await fs.readJson(this.keyFile);
+    }
+    this.masterKey = dataKeys.get(this.keyFile) || null;
+    return !!this.masterKey;
+  }
+  
+  /**
+   * Unwrap the data key from the key file, or create and wrap a new one
+   * under the keystore KEK
+   */
+  async loadDataKey(options) {
+    if (!await fs.pathExists(this.keyFile)) {
+      const kek = await this.deriveKek({ kek: 'keystore' }, options);
+      if (!kek) return;
+      
+      const dataKey = sodium.sodium_malloc(this.keyLength);
+      sodium.randombytes_buf(dataKey);
+      const created = await this.writeKeyFile(dataKey, { kek: 'keystore' }, kek, { exclusive: true });
+      sodium.sodium_memzero(kek);
+      
+      if (created) {
+        dataKeys.set(this.keyFile, dataKey);
+        return;
+      }
+      // Another process created it first - use that one
+    }
+    
+    const stored = await fs.readJson(this.keyFile);
+    const kek = await this.deriveKek(stored, options);
+    if (!kek) return;
+    
+    dataKeys.set(this.keyFile, DatabaseEncryption.unwrap(stored, kek));
+    sodium.sodium_memzero(kek);
+  }
+  
+  /**
+   * Wrap the data key under a new KEK; the encrypted fields stay as they are
+   * @param {string} source - 'keystore' or 'passphrase'
+   * @param {object} options - passphrase for the 'passphrase' source
+   */
+  async rewrap(source, options = {}) {
+    if (!KEK_SOURCES.includes(source)) {
+      throw new Error(`Unknown key source ${source} - use ${KEK_SOURCES.join(' or ')}`);
+    }
+    if (!this.masterKey) {
+      throw new Error('Database key is locked');
+    }
+    
+    const wrapping = { kek: source };
+    if (source === 'passphrase') {
+      if (!options.passphrase) {
+        throw new Error('A passphrase is needed to wrap the database key');
+      }
+      wrapping.kdf = {
+        algorithm: 'argon2id13',
+        salt: KeyStore.randomHex(sodium.crypto_pwhash_SALTBYTES),
+        opslimit: sodium.crypto_pwhash_OPSLIMIT_MODERATE,
+        memlimit: sodium.crypto_pwhash_MEMLIMIT_MODERATE
+      };
+    }
+    
+    const kek = await this.deriveKek(wrapping, options);
+    if (!kek) {
+      throw new Error('The owner secret is not available - unlock the keystore first');
+    }
+    await this.writeKeyFile(this.masterKey, wrapping, kek);
+    sodium.sodium_memzero(kek);
+  }
+  
+  /**
+   * Key-encryption key for a wrapping, or null if it cannot be had now
+   * @param {object} wrapping - { kek, kdf } from the key file
+   * @param {object} options - passphrase overriding BACKUPPEER_DB_PASSPHRASE
+   * @returns {Buffer|null} - KEK in secure memory
+   */
+  async deriveKek(wrapping, options = {}) {
+    if (wrapping.kek === 'passphrase') {
+      const passphrase = options.passphrase || process.env.BACKUPPEER_DB_PASSPHRASE;
+      return passphrase ? KeyStore.deriveKey(passphrase, wrapping.kdf) : null;
+    }
+    if (wrapping.kek !== 'keystore') {
+      throw new Error(`Unknown database key source ${wrapping.kek}`);
+    }
+    
+    // The owner secret comes from the unlocked keystore, or from the
+    // plaintext owner.key of an unencrypted setup
+    const keyStore = new KeyStore(this.keyPath);
+    const ownerKeyFile = path.join(this.keyPath, 'owner.key');
+    let ownerSecret = null;
+    let fromFile = false;
+    
+    if (await keyStore.exists()) {
+      try {
+        ownerSecret = (await keyStore.unlock()).get('owner');
+      } catch (error) {
+        return null; // locked
+      }
+    } else if (await fs.pathExists(ownerKeyFile)) {
+      ownerSecret = await fs.readFile(ownerKeyFile);
+      fromFile = true;
+    }
+    if (!ownerSecret) return null;
+    
+    const kek = sodium.sodium_malloc(this.keyLength);
+    sodium.crypto_generichash(kek, Buffer.from('database-kek', 'utf8'), ownerSecret);
+    if (fromFile) {
+      sodium.sodium_memzero(ownerSecret);
+    }
+    return kek;
   }
   
   /**
-   * Derive master encryption key from system characteristics
-   * In production, this should use user-provided password or hardware security
+   * Seal the data key under a KEK and write the key file atomically. With
+   * exclusive, an existing key file is kept and false returned.
    */
-  deriveMasterKey() {
+  async writeKeyFile(dataKey, wrapping, kek, { exclusive = false } = {}) {
+    const nonce = Buffer.alloc(sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES);
+    sodium.randombytes_buf(nonce);
+    const wrapped = Buffer.alloc(dataKey.length + sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES);
+    sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(wrapped, dataKey, ADDITIONAL_DATA, null, nonce, kek);
+    
+    const stored = {
+      version: KEY_FILE_VERSION,
+      kek: wrapping.kek,
+      kdf: wrapping.kdf || null,
+      nonce: nonce.toString('hex'),
+      wrapped: wrapped.toString('base64'),
+      created: this.stored ? this.stored.created : Date.now(),
+      rewrapped: this.stored ? Date.now() : null,
+      legacyMigrated: this.stored ? this.stored.legacyMigrated : null
+    };
+    
+    const temporary = `${this.keyFile}.${process.pid}.tmp`;
+    await fs.ensureDir(this.keyPath);
+    await fs.writeJson(temporary, stored, { spaces: 2, mode: 0o600 });
+    
+    if (exclusive) {
+      try {
+        await fs.link(temporary, this.keyFile); // fails if the key file exists
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+        return false;
+      } finally {
+        await fs.remove(temporary);
+      }
+    } else {
+      await fs.rename(temporary, this.keyFile);
+    }
+    
+    this.stored = stored;
+    return true;
+  }
+  
+  /**
+   * Record that fields of the host-derived key have been re-encrypted
+   */
+  async markLegacyMigrated() {
+    const temporary = `${this.keyFile}.${process.pid}.tmp`;
+    this.stored = { ...await fs.readJson(this.keyFile), legacyMigrated: Date.now() };
+    await fs.writeJson(temporary, this.stored, { spaces: 2, mode: 0o600 });
+    await fs.rename(temporary, this.keyFile);
+  }
+  
+  /**
+   * Data key in a copy the caller zeroes, for a worker thread
+   * @returns {Buffer|null}
+   */
+  exportKey() {
+    return this.masterKey ? Buffer.from(this.masterKey) : null;
+  }
+  
+  static unwrap(stored, kek) {
+    if (stored.version !== KEY_FILE_VERSION) {
+      throw new Error(`Unsupported database key file version ${stored.version}`);
+    }
+    
+    const wrapped = Buffer.from(stored.wrapped, 'base64');
+    const dataKey = sodium.sodium_malloc(wrapped.length - sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES);
+    try {
+      sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+        dataKey, null, wrapped, ADDITIONAL_DATA, Buffer.from(stored.nonce, 'hex'), kek
+      );
+    } catch (error) {
+      throw new Error(stored.kek === 'passphrase'
+        ? 'Wrong database passphrase or damaged database key'
+        : 'Database key does not match the owner secret');
+    }
+    return dataKey;
+  }
+  
+  /**
+   * Derive the key older versions encrypted fields with, from system
+   * characteristics. Anyone knowing these can rebuild it, so it is only
+   * used to read and re-encrypt fields written before the data key.
+   */
+  deriveLegacyKey() {
     const systemInfo = [
       os.hostname(),
       os.platform(),
@@ -44,6 +288,10 @@ class DatabaseEncryption {
       const plaintext = typeof data === 'string' ? data : JSON.stringify(data);
       const iv = crypto.randomBytes(this.ivLength);
       
+      if (!this.masterKey) {
+        throw new Error('Database key is locked');
+      }
+      
       const cipher = crypto.createCipheriv(this.algorithm, this.masterKey, iv);
       
       let encrypted = cipher.update(plaintext, 'utf8', 'hex');
@@ -55,7 +303,8 @@ class DatabaseEncryption {
         encrypted: encrypted,
         iv: iv.toString('hex'),
         tag: tag.toString('hex'),
-        algorithm: this.algorithm
+        algorithm: this.algorithm,
+        version: FIELD_VERSION
       };
       
     } catch (error) {
@@ -77,7 +326,8 @@ class DatabaseEncryption {
       const iv = Buffer.from(encryptedData.iv, 'hex');
       const tag = Buffer.from(encryptedData.tag, 'hex');
       
-      const decipher = crypto.createDecipheriv(this.algorithm, this.masterKey, iv);
+      const key = this.keyFor(encryptedData);
+      const decipher = crypto.createDecipheriv(this.algorithm, key, iv);
       decipher.setAuthTag(tag);
       
       let decrypted = decipher.update(encryptedData.encrypted, 'hex', 'utf8');
@@ -90,6 +340,34 @@ class DatabaseEncryption {
     }
   }
   
+  /**
+   * Key an encrypted package was sealed with
+   * @param {object} encryptedData - Encrypted data package
+   * @returns {Buffer} - Data key, or the legacy host-derived key
+   */
+  keyFor(encryptedData) {
+    if (!DatabaseEncryption.isLegacy(encryptedData)) {
+      if (!this.masterKey) {
+        throw new Error('Database key is locked');
+      }
+      return this.masterKey;
+    }
+    
+    if (!this.legacyKey) {
+      this.legacyKey = this.deriveLegacyKey();
+    }
+    return this.legacyKey;
+  }
+  
+  /**
+   * Whether a package predates the data key
+   * @param {object} encryptedData - Encrypted data package
+   * @returns {boolean}
+   */
+  static isLegacy(encryptedData) {
+    return !encryptedData.version || encryptedData.version < FIELD_VERSION;
+  }
+  
   /**
    * Encrypt sensitive fields in a database record
    * @param {object} record - Database record
@@ -0,0 +1,220 @@
+// GF(2^8) arithmetic with the 0x11d polynomial used by most Reed-Solomon codes
+const GF_EXP = new Uint8Array(512);
+const GF_LOG = new Uint8Array(256);
+(() => {
+  let x = 1;
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x;
+    GF_LOG[x] = i;
+    x <<= 1;
+    if (x & 0x100) {
+      x ^= 0x11d;
+    }
+  }
+  for (let i = 255; i < 512; i++) {
+    GF_EXP[i] = GF_EXP[i - 255];
+  }
+})();
+
+function gfMul(a, b) {
+  if (a === 0 || b === 0) return 0;
+  return GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+function gfInverse(a) {
+  if (a === 0) {
+    throw new Error('Zero has no inverse in GF(256)');
+  }
+  return GF_EXP[255 - GF_LOG[a]];
+}
+
+function gfPow(a, n) {
+  if (n === 0) return 1;
+  if (a === 0) return 0;
+  return GF_EXP[(GF_LOG[a] * n) % 255];
+}
+
+// Invert a square matrix (array of Uint8Array rows) by Gauss-Jordan elimination
+function invertMatrix(matrix) {
+  const size = matrix.length;
+  const work = matrix.map((row, i) => {
+    const extended = new Uint8Array(size * 2);
+    extended.set(row);
+    extended[size + i] = 1;
+    return extended;
+  });
+  
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    while (pivot < size && work[pivot][col] === 0) pivot++;
+    if (pivot === size) {
+      throw new Error('Matrix is singular');
+    }
+    [work[col], work[pivot]] = [work[pivot], work[col]];
+    
+    const scale = gfInverse(work[col][col]);
+    for (let j = 0; j < size * 2; j++) {
+      work[col][j] = gfMul(work[col][j], scale);
+    }
+    
+    for (let row = 0; row < size; row++) {
+      const factor = work[row][col];
+      if (row === col || factor === 0) continue;
+      for (let j = 0; j < size * 2; j++) {
+        work[row][j] ^= gfMul(factor, work[col][j]);
+      }
+    }
+  }
+  
+  return work.map(row => row.slice(size));
+}
+
+// Systematic Reed-Solomon k-of-n code. A sealed chunk is split into k data
+// shards (plain slices, zero padded) and n-k parity shards; any k of the n
+// shards rebuild the chunk. Shard i of every chunk goes to the i-th peer.
+class ErasureCoder {
+  constructor(dataShards, totalShards) {
+    this.k = dataShards;
+    this.n = totalShards;
+    
+    if (!Number.isInteger(this.k) || !Number.isInteger(this.n) || this.k < 1 || this.n <= this.k) {
+      throw new Error('Erasure coding needs 1 <= k < n');
+    }
+    if (this.n > 255) {
+      throw new Error('Erasure coding supports at most 255 shards');
+    }
+    
+    // Vandermonde rows turned systematic: the top k rows become the identity,
+    // and any k rows of the result stay invertible
+    const vandermonde = [];
+    for (let r = 0; r < this.n; r++) {
+      const row = new Uint8Array(this.k);
+      for (let c = 0; c < this.k; c++) {
+        row[c] = gfPow(r, c);
+      }
+      vandermonde.push(row);
+    }
+    
+    const topInverse = invertMatrix(vandermonde.slice(0, this.k));
+    this.matrix = vandermonde.map(row => {
+      const out = new Uint8Array(this.k);
+      for (let c = 0; c < this.k; c++) {
+        let value = 0;
+        for (let j = 0; j < this.k; j++) {
+          value ^= gfMul(row[j], topInverse[j][c]);
+        }
+        out[c] = value;
+      }
+      return out;
+    });
+    
+    this.decodeMatrices = new Map(); // "i,j,..." -> inverse of those rows
+  }
+  
+  // Shard id under which a peer stores shard `index` of a chunk
+  static shardId(chunkId, coder, index) {
+    return `${chunkId}.rs${coder.k}-${coder.n}.${index}`;
+  }
+  
+  shardSize(length) {
+    return Math.ceil(length / this.k);
+  }
+  
+  // Multiply-accumulate `source` scaled by `factor` into `target`
+  static addScaled(target, source, factor) {
+    if (factor === 0) return;
+    if (factor === 1) {
+      for (let i = 0; i < source.length; i++) target[i] ^= source[i];
+      return;
+    }
+    const logFactor = GF_LOG[factor];
+    for (let i = 0; i < source.length; i++) {
+      const value = source[i];
+      if (value !== 0) {
+        target[i] ^= GF_EXP[logFactor + GF_LOG[value]];
+      }
+    }
+  }
+  
+  // Data shard i of a buffer (zero padded to the shard size)
+  dataShard(buffer, index) {
+    const size = this.shardSize(buffer.length);
+    const shard = Buffer.alloc(size);
+    buffer.copy(shard, 0, index * size, Math.min(buffer.length, (index + 1) * size));
+    return shard;
+  }
+  
+  // Compute a single shard of a buffer without building the others
+  encodeShard(buffer, index) {
+    if (index < 0 || index >= this.n) {
+      throw new Error(`Shard index ${index} out of range`);
+    }
+    if (index < this.k) {
+      return this.dataShard(buffer, index);
+    }
+    
+    const shard = Buffer.alloc(this.shardSize(buffer.length));
+    const row = this.matrix[index];
+    for (let c = 0; c < this.k; c++) {
+      ErasureCoder.addScaled(shard, this.dataShard(buffer, c), row[c]);
+    }
+    return shard;
+  }
+  
+  // All n shards of a buffer
+  encode(buffer) {
+    const data = [];
+    for (let c = 0; c < this.k; c++) {
+      data.push(this.dataShard(buffer, c));
+    }
+    
+    const shards = data.slice();
+    for (let index = this.k; index < this.n; index++) {
+      const shard = Buffer.alloc(data[0].length);
+      const row = this.matrix[index];
+      for (let c = 0; c < this.k; c++) {
+        ErasureCoder.addScaled(shard, data[c], row[c]);
+      }
+      shards.push(shard);
+    }
+    return shards;
+  }
+  
+  // Rebuild the original buffer from any k shards (Map index -> shard)
+  decode(shards, length) {
+    const indices = Array.from(shards.keys()).sort((a, b) => a - b).slice(0, this.k);
+    if (indices.length < this.k) {
+      throw new Error(`Need ${this.k} shards to rebuild, have ${indices.length}`);
+    }
+    
+    const size = this.shardSize(length);
+    const output = Buffer.alloc(size * this.k);
+    
+    // Only data shards present - nothing to solve
+    if (indices[this.k - 1] < this.k) {
+      indices.forEach(index => shards.get(index).copy(output, index * size, 0, size));
+      return output.slice(0, length);
+    }
+    
+    const key = indices.join(',');
+    if (!this.decodeMatrices.has(key)) {
+      this.decodeMatrices.set(key, invertMatrix(indices.map(index => this.matrix[index])));
+    }
+    const inverse = this.decodeMatrices.get(key);
+    
+    for (let c = 0; c < this.k; c++) {
+      const target = output.subarray(c * size, (c + 1) * size);
+      indices.forEach((index, j) => {
+        const shard = shards.get(index);
+        if (shard.length !== size) {
+          throw new Error(`Shard ${index} has an unexpected size`);
+        }
+        ErasureCoder.addScaled(target, shard, inverse[c][j]);
+      });
+    }
+    
+    return output.slice(0, length);
+  }
+}
+
+module.exports = ErasureCoder;
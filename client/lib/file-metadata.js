@@ -0,0 +1,220 @@
+const fs = require('fs-extra');
+const path = require('path');
+const minimatch = require('minimatch');
+
+// Extended attributes need a native module; without it they are skipped
+let xattr = null;
+try {
+  xattr = require('fs-xattr');
+} catch (error) {
+  xattr = null;
+}
+
+// Order entries are restored in: directories before what they contain,
+// hard links after the file they point at
+const RESTORE_ORDER = { directory: 0, file: 1, symlink: 1, hardlink: 2 };
+
+// POSIX metadata of backed-up entries. Besides regular files a manifest
+// lists directories (so empty ones come back), symlinks with their target
+// and hard links to a file already in the backup. Every entry carries its
+// mode bits, owner and extended attributes; POSIX ACLs are stored as
+// system.posix_acl_* attributes, so they travel the same way.
+class FileMetadata {
+  // lstat a path and describe it the way the manifest stores it
+  static async capture(filePath) {
+    const stats = await fs.lstat(filePath);
+    const type = FileMetadata.getType(stats);
+    
+    return {
+      stats,
+      type,
+      target: type === 'symlink' ? await fs.readlink(filePath) : null,
+      attributes: {
+        mode: stats.mode & 0o7777,
+        uid: stats.uid,
+        gid: stats.gid,
+        xattrs: type === 'symlink' ? null : await FileMetadata.readXattrs(filePath)
+      }
+    };
+  }
+  
+  // Entry type of an lstat result; 'special' covers FIFOs, sockets and
+  // devices, which are not backed up
+  static getType(stats) {
+    if (stats.isSymbolicLink()) return 'symlink';
+    if (stats.isDirectory()) return 'directory';
+    if (stats.isFile()) return 'file';
+    return 'special';
+  }
+  
+  // Extended attributes as { name: base64 value }, or null if there are none
+  static async readXattrs(filePath) {
+    if (!xattr) return null;
+    
+    try {
+      const names = await xattr.list(filePath);
+      if (names.length === 0) return null;
+      
+      const values = {};
+      for (const name of names) {
+        values[name] = (await xattr.get(filePath, name)).toString('base64');
+      }
+      return values;
+    } catch (error) {
+      // Filesystems without xattr support report ENOTSUP
+      return null;
+    }
+  }
+  
+  static isRoot() {
+    return typeof process.getuid === 'function' && process.getuid() === 0;
+  }
+  
+  // Whether anything - even a dangling symlink - exists at a path
+  static async exists(targetPath) {
+    try {
+      await fs.lstat(targetPath);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Create a directory, symlink or hard link entry. linkSource is where the
+  // file a hard link points at was restored to.
+  static async createEntry(targetPath, entry, linkSource = null) {
+    if (entry.type === 'directory') {
+      await fs.ensureDir(targetPath);
+      return;
+    }
+    
+    await fs.ensureDir(path.dirname(targetPath));
+    if (entry.type === 'symlink') {
+      await fs.remove(targetPath);
+      await fs.symlink(entry.target, targetPath);
+    } else if (entry.type === 'hardlink') {
+      if (!linkSource || !await FileMetadata.exists(linkSource)) {
+        throw new Error(`Link target ${entry.target} was not restored`);
+      }
+      await fs.remove(targetPath);
+      await fs.link(linkSource, targetPath);
+    } else {
+      throw new Error(`Cannot restore ${entry.type} entries`);
+    }
+  }
+  
+  // Put back extended attributes, owner (only as root - nobody else can give
+  // files away), mode and mtime of a restored entry. Failures are warnings:
+  // the content is already in place.
+  static async apply(targetPath, entry) {
+    const attributes = entry.attributes || {};
+    const symlink = entry.type === 'symlink';
+    const warnings = [];
+    
+    if (attributes.xattrs && !symlink) {
+      if (!xattr) {
+        warnings.push('extended attributes skipped - fs-xattr is not installed');
+      } else {
+        for (const [name, value] of Object.entries(attributes.xattrs)) {
+          try {
+            await xattr.set(targetPath, name, Buffer.from(value, 'base64'));
+          } catch (error) {
+            warnings.push(`could not set ${name}: ${error.message}`);
+          }
+        }
+      }
+    }
+    
+    // chown clears setuid/setgid bits, so the mode goes after it
+    if (FileMetadata.isRoot() && attributes.uid !== undefined && attributes.uid !== null) {
+      try {
+        await (symlink ? fs.lchown : fs.chown)(targetPath, attributes.uid, attributes.gid);
+      } catch (error) {
+        warnings.push(`could not change owner: ${error.message}`);
+      }
+    }
+    
+    if (attributes.mode !== undefined && attributes.mode !== null && !symlink) {
+      try {
+        await fs.chmod(targetPath, attributes.mode);
+      } catch (error) {
+        warnings.push(`could not change mode: ${error.message}`);
+      }
+    }
+    
+    if (entry.modified) {
+      try {
+        const stats = await fs.lstat(targetPath);
+        await (symlink ? fs.lutimes : fs.utimes)(targetPath, stats.atime, new Date(entry.modified));
+      } catch (error) {
+        warnings.push(`could not set modification time: ${error.message}`);
+      }
+    }
+    
+    warnings.forEach(warning => console.warn(`${targetPath}: ${warning}`));
+    return warnings;
+  }
+  
+  // Manifest entries in the order they can be restored in
+  static sortForRestore(files) {
+    const rank = file => RESTORE_ORDER[file.type || 'file'] ?? 1;
+    return files
+      .map((file, index) => ({ file, index }))
+      .sort((a, b) => rank(a.file) - rank(b.file) || a.index - b.index)
+      .map(({ file }) => file);
+  }
+  
+  // Manifest entries picked by glob patterns. A file is restored if it
+  // matches an include pattern (or none are given) and no exclude pattern;
+  // a pattern matching a directory covers everything below it. A hard link
+  // whose file is left out comes back as a copy of that file.
+  static select(files, { include = [], exclude = [], filter = null } = {}) {
+    const selected = files.filter(file => {
+      const relativePath = file.relativePath || file.name;
+      if (include.length > 0 && !FileMetadata.matchesPath(relativePath, include)) return false;
+      if (exclude.length > 0 && FileMetadata.matchesPath(relativePath, exclude)) return false;
+      return !filter || filter(file);
+    });
+    
+    const selectedPaths = new Set(selected.map(file => file.relativePath || file.name));
+    return selected.map(file => {
+      if (file.type !== 'hardlink' || selectedPaths.has(file.target)) return file;
+      
+      const linked = files.find(other => (other.relativePath || other.name) === file.target);
+      return linked ? { ...linked, path: file.path, name: file.name, relativePath: file.relativePath } : file;
+    });
+  }
+  
+  // Whether a manifest path, or a directory above it, matches one of the
+  // patterns. Manifest paths start with the source directory's name, which
+  // patterns may leave out: 'docs/**' matches 'project/docs/notes.txt'.
+  static matchesPath(relativePath, patterns) {
+    const segments = relativePath.split(/[\\/]/).filter(Boolean);
+    const candidates = [];
+    for (let end = segments.length; end > 0; end--) {
+      candidates.push(segments.slice(0, end).join('/'));
+      if (end > 1) {
+        candidates.push(segments.slice(1, end).join('/'));
+      }
+    }
+    
+    return patterns.some(pattern =>
+      candidates.some(candidate => minimatch(candidate, pattern, { dot: true, matchBase: true }))
+    );
+  }
+  
+  // Directories get their attributes once their contents are restored (that
+  // changes their mtime, and a read-only mode would have blocked it),
+  // innermost first
+  static async finishDirectories(directories) {
+    const ordered = directories
+      .slice()
+      .sort((a, b) => b.targetPath.split(path.sep).length - a.targetPath.split(path.sep).length);
+    
+    for (const { targetPath, file } of ordered) {
+      await FileMetadata.apply(targetPath, file);
+    }
+  }
+}
+
+module.exports = FileMetadata;
@@ -0,0 +1,151 @@
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+
+// Sliding-window flow control for chunks sent over the data channel. A
+// sender acquires a slot before every chunk and the peer's chunk_ack frees
+// it, so at most `size` chunks are unacknowledged at a time. Sending also
+// pauses while the channel's own send buffer is above the high watermark.
+// The window tracks the bandwidth-delay product: the ack rate times the
+// round-trip time measured by keepalive pings (handlePong), with headroom.
+class SendWindow {
+  constructor(options = {}) {
+    this.minSize = options.minSize || 4;
+    this.maxSize = options.maxSize || 256;
+    this.size = options.initialSize || 16;
+    this.highWaterMark = options.highWaterMark || 4 * 1024 * 1024; // bytes queued in the channel
+    this.lowWaterMark = options.lowWaterMark || 1024 * 1024;
+    this.ackTimeout = options.ackTimeout || 60000; // no ack for this long means the peer is gone
+    this.pollInterval = options.pollInterval || 20;
+    
+    this.inFlight = new Map(); // `${transferId}:${chunkIndex}` -> { bytes, sentAt }
+    this.waiters = []; // resolvers waiting for a free slot
+    this.rtt = null; // smoothed round-trip time in ms
+    this.rate = null; // smoothed acknowledged bytes per ms
+    this.sample = { bytes: 0, chunks: 0, since: Date.now() };
+    this.lastAckAt = Date.now();
+  }
+  
+  // Wait for a free slot and for the channel buffer to drain below the
+  // high watermark
+  async acquire(connection) {
+    while (this.inFlight.size >= this.size) {
+      await this.waitForAck();
+      this.checkConnection(connection);
+    }
+    await SendWindow.drain(connection, this.highWaterMark, this.lowWaterMark, this.pollInterval);
+  }
+  
+  // Record a chunk as sent and unacknowledged
+  track(transferId, chunkIndex, bytes) {
+    this.inFlight.set(`${transferId}:${chunkIndex}`, { bytes, sentAt: Date.now() });
+  }
+  
+  // Free the slot of an acknowledged chunk (or a rejected one)
+  release(transferId, chunkIndex) {
+    const key = `${transferId}:${chunkIndex}`;
+    const entry = this.inFlight.get(key);
+    if (!entry) return;
+    
+    this.inFlight.delete(key);
+    this.lastAckAt = Date.now();
+    if (entry.bytes > 0) {
+      this.sample.bytes += entry.bytes;
+      this.sample.chunks++;
+      this.adapt();
+    }
+    
+    const waiter = this.waiters.shift();
+    if (waiter) waiter();
+  }
+  
+  // Forget everything still in flight for a transfer that ended
+  drop(transferId) {
+    for (const key of this.inFlight.keys()) {
+      if (key.startsWith(`${transferId}:`)) {
+        this.inFlight.delete(key);
+      }
+    }
+    this.waiters.splice(0).forEach(waiter => waiter());
+  }
+  
+  // New round-trip sample from a ping/pong exchange
+  updateRtt(latency) {
+    if (!(latency >= 0)) return;
+    this.rtt = this.rtt === null ? latency : 0.875 * this.rtt + 0.125 * latency;
+    this.adapt();
+  }
+  
+  // Resize the window to the measured bandwidth-delay product, at least
+  // once per round trip
+  adapt() {
+    const elapsed = Date.now() - this.sample.since;
+    if (this.rtt === null || this.sample.chunks === 0 || elapsed < Math.max(this.rtt, 100)) {
+      return;
+    }
+    
+    const rate = this.sample.bytes / elapsed;
+    this.rate = this.rate === null ? rate : 0.75 * this.rate + 0.25 * rate;
+    const chunkSize = this.sample.bytes / this.sample.chunks || DEFAULT_CHUNK_SIZE;
+    this.sample = { bytes: 0, chunks: 0, since: Date.now() };
+    
+    // Twice the bandwidth-delay product keeps the pipe full while acks
+    // for the previous round trip are still on their way back
+    const target = Math.ceil((2 * this.rate * Math.max(this.rtt, 1)) / chunkSize);
+    this.size = Math.max(this.minSize, Math.min(this.maxSize, target));
+  }
+  
+  // Resolve once a slot may be free; fail if nothing was acknowledged
+  // within the ack timeout
+  waitForAck() {
+    return new Promise((resolve, reject) => {
+      // A throttled receiver acks slowly but steadily; only silence counts
+      const oldest = Math.min(...Array.from(this.inFlight.values(), entry => entry.sentAt));
+      const since = Math.max(oldest, this.lastAckAt);
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(waiter => waiter !== done);
+        this.size = Math.max(this.minSize, Math.floor(this.size / 2));
+        reject(new Error(`Peer acknowledged no chunk for ${Math.round(this.ackTimeout / 1000)}s`));
+      }, Math.max(0, since + this.ackTimeout - Date.now()));
+      
+      const done = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      this.waiters.push(done);
+    });
+  }
+  
+  checkConnection(connection) {
+    if (connection && connection.connected === false) {
+      throw new Error('Connection lost while waiting for chunk acknowledgments');
+    }
+  }
+  
+  // Wait while more than highWaterMark bytes are queued in the data
+  // channel, until they drop below lowWaterMark. Also used for sends that
+  // get no per-chunk ack, such as serving a restore.
+  static async drain(connection, highWaterMark = 4 * 1024 * 1024, lowWaterMark = 1024 * 1024, pollInterval = 20) {
+    const buffered = () => (connection && typeof connection.getBufferedAmount === 'function'
+      ? connection.getBufferedAmount()
+      : 0);
+    
+    if (buffered() <= highWaterMark) return;
+    
+    while (buffered() > lowWaterMark) {
+      if (connection.connected === false) {
+        throw new Error('Connection lost while the send buffer drained');
+      }
+      await new Promise(resolve => setTimeout(resolve, pollInterval));
+    }
+  }
+  
+  getStats() {
+    return {
+      window: this.size,
+      inFlight: this.inFlight.size,
+      rtt: this.rtt === null ? null : Math.round(this.rtt),
+      rate: this.rate === null ? null : Math.round(this.rate * 1000) // bytes per second
+    };
+  }
+}
+
+module.exports = SendWindow;
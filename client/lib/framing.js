@@ -0,0 +1,155 @@
+// Binary framing for chunk messages on the data channel. Control messages
+// stay JSON; file_chunk and restore_chunk carry a sealed chunk each, which
+// as base64 inside JSON costs a third more bytes and a parse of the whole
+// string. A frame is a compact header followed by the raw payload:
+//
+//   magic (1) | version (1) | message code (1) | flags (1) | chunk index (u32)
+//   | chunk hash (32) | strings (u16 length + utf8 each) | [proof] | payload
+//
+// The magic byte can never start a JSON text, so both kinds of message share
+// the channel. Peers only send frames once both advertised the capability.
+const FRAME_MAGIC = 0xb1;
+const FRAME_VERSION = 1;
+const FLAG_PROOF = 0x01;
+const HASH_BYTES = 32;
+
+// Data channel messages are not split, and 256KB is the largest message
+// WebRTC peers commonly accept. Chunk plaintext is capped so a chunk message
+// stays below it even as base64 JSON to a peer without frames: the envelope
+// covers the other fields and a Merkle proof, the overhead the owner seal
+// and transport box (compression is only kept when it shrinks a chunk).
+const MAX_MESSAGE_SIZE = 256 * 1024;
+const ENVELOPE_SIZE = 8 * 1024;
+const SEAL_OVERHEAD = 1024;
+const MAX_CHUNK_SIZE = Math.floor((MAX_MESSAGE_SIZE - ENVELOPE_SIZE) * 3 / 4) - SEAL_OVERHEAD;
+
+// Header strings of every framed message type, in wire order
+const MESSAGE_TYPES = {
+  file_chunk: { code: 1, strings: ['transferId', 'chunkId'] },
+  restore_chunk: { code: 2, strings: ['requestId', 'objectId'] }
+};
+
+class BinaryFraming {
+  static get CAPABILITY() {
+    return 'binary-frames';
+  }
+  
+  // Largest message sent as one data channel message
+  static get MAX_MESSAGE_SIZE() {
+    return MAX_MESSAGE_SIZE;
+  }
+  
+  // Largest chunk plaintext that still fits in one chunk message
+  static get MAX_CHUNK_SIZE() {
+    return MAX_CHUNK_SIZE;
+  }
+  
+  // Whether data received from the channel is a frame rather than JSON
+  static isFrame(data) {
+    return Buffer.isBuffer(data) && data.length > 0 && data[0] === FRAME_MAGIC;
+  }
+  
+  // Frame a message whose encryptedData is a Buffer; null if the message
+  // does not fit the frame layout and has to go as JSON instead
+  static encode(message) {
+    const type = MESSAGE_TYPES[message.type];
+    if (!type || !Buffer.isBuffer(message.encryptedData) || !BinaryFraming.isHash(message.chunkHash)) {
+      return null;
+    }
+    if (!Number.isInteger(message.chunkIndex) || message.chunkIndex < 0 || message.chunkIndex > 0xffffffff) {
+      return null;
+    }
+    
+    const parts = [];
+    const header = Buffer.alloc(8);
+    header[0] = FRAME_MAGIC;
+    header[1] = FRAME_VERSION;
+    header[2] = type.code;
+    header[3] = Array.isArray(message.proof) ? FLAG_PROOF : 0;
+    header.writeUInt32BE(message.chunkIndex, 4);
+    parts.push(header, Buffer.from(message.chunkHash, 'hex'));
+    
+    for (const field of type.strings) {
+      const value = Buffer.from(message[field] == null ? '' : String(message[field]), 'utf8');
+      if (value.length > 0xffff) return null;
+      
+      const length = Buffer.alloc(2);
+      length.writeUInt16BE(value.length);
+      parts.push(length, value);
+    }
+    
+    // Merkle proof steps: a side byte ('l' or 'r') and a 32-byte hash each
+    if (Array.isArray(message.proof)) {
+      if (message.proof.length > 0xff) return null;
+      parts.push(Buffer.from([message.proof.length]));
+      for (const step of message.proof) {
+        if (typeof step !== 'string' || !'lr'.includes(step[0]) || !BinaryFraming.isHash(step.slice(1))) {
+          return null;
+        }
+        parts.push(Buffer.from(step[0]), Buffer.from(step.slice(1), 'hex'));
+      }
+    }
+    
+    parts.push(message.encryptedData);
+    const frame = Buffer.concat(parts);
+    if (frame.length > MAX_MESSAGE_SIZE) {
+      throw new Error(`Frame of ${frame.length} bytes exceeds the ${MAX_MESSAGE_SIZE} byte message limit`);
+    }
+    return frame;
+  }
+  
+  // Turn a frame back into the message it was built from, with
+  // encryptedData as a Buffer
+  static decode(frame) {
+    if (!BinaryFraming.isFrame(frame) || frame.length < 8 + HASH_BYTES) {
+      throw new Error('Truncated frame');
+    }
+    if (frame[1] !== FRAME_VERSION) {
+      throw new Error(`Unsupported frame version ${frame[1]}`);
+    }
+    
+    const typeName = Object.keys(MESSAGE_TYPES).find(name => MESSAGE_TYPES[name].code === frame[2]);
+    if (!typeName) {
+      throw new Error(`Unknown frame message code ${frame[2]}`);
+    }
+    
+    const message = {
+      type: typeName,
+      chunkIndex: frame.readUInt32BE(4),
+      chunkHash: frame.subarray(8, 8 + HASH_BYTES).toString('hex')
+    };
+    let offset = 8 + HASH_BYTES;
+    
+    const take = (length) => {
+      if (offset + length > frame.length) {
+        throw new Error('Truncated frame');
+      }
+      const value = frame.subarray(offset, offset + length);
+      offset += length;
+      return value;
+    };
+    
+    for (const field of MESSAGE_TYPES[typeName].strings) {
+      const value = take(take(2).readUInt16BE(0)).toString('utf8');
+      message[field] = value === '' ? null : value;
+    }
+    
+    if (frame[3] & FLAG_PROOF) {
+      const steps = take(1)[0];
+      message.proof = [];
+      for (let i = 0; i < steps; i++) {
+        const side = take(1).toString();
+        message.proof.push(side + take(HASH_BYTES).toString('hex'));
+      }
+    }
+    
+    message.encryptedData = frame.subarray(offset);
+    return message;
+  }
+  
+  static isHash(value) {
+    return typeof value === 'string' && /^[0-9a-f]{64}$/.test(value);
+  }
+}
+
+module.exports = BinaryFraming;
@@ -0,0 +1,124 @@
+const { spawn } = require('child_process');
+const logger = require('./logger');
+
+const DEFAULT_TIMEOUT = 30 * 60; // seconds a hook may run
+
+// Commands run around the backup of one source, configured per source in
+// config.json as hooks: { pre, post, timeout }. A pre-backup hook dumps a
+// database or freezes a service so the files are consistent while they are
+// read; a failing pre hook aborts the backup. The post-backup hook runs once
+// the pre hook has succeeded, even if the backup itself failed, so a frozen
+// service is always thawed. Hook output goes to the log and the exit status
+// of every hook is kept in `results` for the backup record. Hooks see the
+// source in BACKUPPEER_SOURCE and the stage in BACKUPPEER_HOOK.
+class BackupHooks {
+  constructor(hooks = {}, options = {}) {
+    this.pre = hooks.pre || null;
+    this.post = hooks.post || null;
+    this.timeout = (hooks.timeout || DEFAULT_TIMEOUT) * 1000;
+    this.env = options.env || {}; // extra environment, e.g. BACKUPPEER_BACKUP_ID
+    this.log = options.log || ((message, level) => logger[level](message));
+    this.results = {}; // stage -> { command, exitCode, signal, timedOut, duration }
+    this.preFailed = false;
+  }
+  
+  // Hooks configured for a source in a loaded Config
+  static forSource(config, source, options = {}) {
+    return new BackupHooks(config.getSource(source).hooks || {}, {
+      ...options,
+      env: { BACKUPPEER_SOURCE: source, ...options.env }
+    });
+  }
+  
+  // Run the pre-backup hook; throws if it does not exit with status 0
+  async runPre() {
+    if (!this.pre) return null;
+    
+    const result = await this.run('pre', this.pre, {});
+    if (result.exitCode !== 0) {
+      this.preFailed = true;
+      throw new Error(`Pre-backup hook failed (${BackupHooks.describe(result)}) - backup aborted`);
+    }
+    return result;
+  }
+  
+  // Run the post-backup hook once, with the backup's outcome in
+  // BACKUPPEER_STATUS (success, partial, failed or cancelled). Its failure
+  // is logged but does not fail the backup.
+  async runPost(status) {
+    if (!this.post || this.preFailed || this.results.post) return this.results.post || null;
+    
+    return this.run('post', this.post, { BACKUPPEER_STATUS: status });
+  }
+  
+  // Run a command through the shell, forwarding its output line by line
+  run(stage, command, env) {
+    const startTime = Date.now();
+    this.log(`Running ${stage}-backup hook: ${command}`, 'info');
+    
+    return new Promise(resolve => {
+      const child = spawn(command, {
+        shell: true,
+        detached: true, // own process group, so a timeout also stops what the shell started
+        stdio: ['ignore', 'pipe', 'pipe'],
+        env: { ...process.env, ...this.env, ...env, BACKUPPEER_HOOK: stage }
+      });
+      
+      let timedOut = false;
+      let settled = false;
+      const timer = setTimeout(() => {
+        timedOut = true;
+        this.log(`${stage}-backup hook timed out after ${this.timeout / 1000}s - stopping it`, 'warn');
+        try {
+          process.kill(-child.pid, 'SIGTERM');
+        } catch (error) {
+          child.kill('SIGTERM');
+        }
+      }, this.timeout);
+      
+      const finish = (exitCode, signal, error = null) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        
+        const result = { command, exitCode, signal, timedOut, duration: Date.now() - startTime };
+        if (error) {
+          result.error = error.message;
+        }
+        this.results[stage] = result;
+        this.log(`${stage}-backup hook finished: ${BackupHooks.describe(result)}`, exitCode === 0 ? 'info' : 'error');
+        resolve(result);
+      };
+      
+      this.forward(child.stdout, stage, 'info');
+      this.forward(child.stderr, stage, 'warn');
+      child.on('error', error => finish(null, null, error));
+      child.on('close', (exitCode, signal) => finish(exitCode, signal));
+    });
+  }
+  
+  // Log a stream's output one line at a time
+  forward(stream, stage, level) {
+    let pending = '';
+    stream.setEncoding('utf8');
+    stream.on('data', data => {
+      const lines = (pending + data).split('\n');
+      pending = lines.pop();
+      lines.forEach(line => this.log(`[${stage}-backup hook] ${line}`, level));
+    });
+    stream.on('end', () => {
+      if (pending) {
+        this.log(`[${stage}-backup hook] ${pending}`, level);
+      }
+    });
+  }
+  
+  // "exit status 1", "killed by SIGTERM (timed out)", ...
+  static describe(result) {
+    if (result.error) return result.error;
+    const outcome = result.signal ? `killed by ${result.signal}` : `exit status ${result.exitCode}`;
+    return result.timedOut ? `${outcome} (timed out)` : outcome;
+  }
+}
+
+module.exports = BackupHooks;
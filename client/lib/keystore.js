@@ -0,0 +1,236 @@
+const sodium = require('sodium-native');
+const fs = require('fs-extra');
+const path = require('path');
+
+const KEYSTORE_FILE = 'keystore.json';
+const KEYSTORE_VERSION = 1;
+const ADDITIONAL_DATA = Buffer.from('backuppeer-keystore-v1', 'utf8');
+const KEY_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES;
+const NONCE_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES;
+
+// Keystores unlocked by this process (keystore file -> { secrets, key, kdf }),
+// so every component that loads the keys shares one unlock
+const unlocked = new Map();
+
+// Passphrase-protected store for the identity private keys and the owner
+// secret. The secrets are sealed with XChaCha20-Poly1305 under a key
+// stretched from the passphrase with Argon2id (crypto_pwhash); the Argon2id
+// salt and limits are kept in the file next to the sealed secrets. Unlocked
+// secrets live in sodium secure memory - locked into RAM so they never reach
+// swap, and zeroed when freed. A key file can stand in for the passphrase
+// for unattended use: its contents are the passphrase.
+class KeyStore {
+  constructor(keyPath) {
+    this.keyPath = keyPath;
+    this.file = path.join(keyPath, KEYSTORE_FILE);
+  }
+  
+  async exists() {
+    return fs.pathExists(this.file);
+  }
+  
+  // Whether this process already holds the unlocked secrets
+  isUnlocked() {
+    return unlocked.has(this.file);
+  }
+  
+  // Passphrase from options.passphrase, or the contents of options.keyFile
+  // or the key file BACKUPPEER_KEY_FILE names; null if none is given. A
+  // passphrase itself never comes from the environment, where other
+  // processes of the user can read it.
+  static async resolvePassphrase(options = {}) {
+    if (options.passphrase) return options.passphrase;
+    
+    const keyFile = options.keyFile || process.env.BACKUPPEER_KEY_FILE;
+    if (keyFile) {
+      return KeyStore.readKeyFile(keyFile);
+    }
+    return null;
+  }
+  
+  // Key file contents without a trailing newline
+  static async readKeyFile(keyFile) {
+    const contents = await fs.readFile(keyFile.replace(/^~/, require('os').homedir()));
+    let end = contents.length;
+    while (end > 0 && (contents[end - 1] === 0x0a || contents[end - 1] === 0x0d)) end--;
+    
+    if (end === 0) {
+      throw new Error(`Key file ${keyFile} is empty`);
+    }
+    return contents.subarray(0, end);
+  }
+  
+  // Create a key file of random bytes for unattended unlocking
+  static async createKeyFile(keyFile) {
+    const target = keyFile.replace(/^~/, require('os').homedir());
+    if (await fs.pathExists(target)) {
+      throw new Error(`${keyFile} already exists`);
+    }
+    
+    const key = Buffer.alloc(32);
+    sodium.randombytes_buf(key);
+    await fs.ensureDir(path.dirname(target));
+    await fs.writeFile(target, key.toString('hex') + '\n', { mode: 0o600 });
+    sodium.sodium_memzero(key);
+    return target;
+  }
+  
+  // Open the keystore: secrets as a Map of name -> secure buffer. options are
+  // those of resolvePassphrase; a keystore this process already unlocked
+  // needs none.
+  async unlock(options = {}) {
+    if (unlocked.has(this.file)) {
+      return unlocked.get(this.file).secrets;
+    }
+    
+    const passphrase = await KeyStore.resolvePassphrase(options);
+    if (!passphrase) {
+      throw new Error('Keystore is locked - enter the passphrase, or use --key-file for unattended use');
+    }
+    
+    const stored = await fs.readJson(this.file);
+    if (stored.version !== KEYSTORE_VERSION) {
+      throw new Error(`Unsupported keystore version ${stored.version}`);
+    }
+    
+    const key = await KeyStore.deriveKey(passphrase, stored.kdf);
+    const sealed = Buffer.from(stored.sealed, 'base64');
+    const plaintext = sodium.sodium_malloc(sealed.length - sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES);
+    
+    try {
+      sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+        plaintext, null, sealed, ADDITIONAL_DATA, Buffer.from(stored.nonce, 'hex'), key
+      );
+    } catch (error) {
+      throw new Error('Wrong passphrase or damaged keystore');
+    }
+    
+    const secrets = KeyStore.decode(plaintext);
+    unlocked.set(this.file, { secrets, key, kdf: stored.kdf });
+    return secrets;
+  }
+  
+  // Seal secrets (Map of name -> buffer) into the keystore. A new
+  // passphrase gets a fresh salt; without one the key of the unlocked
+  // keystore is reused.
+  async save(secrets, passphrase = null) {
+    let key;
+    let kdf;
+    
+    if (passphrase) {
+      kdf = {
+        algorithm: 'argon2id13',
+        salt: KeyStore.randomHex(sodium.crypto_pwhash_SALTBYTES),
+        opslimit: sodium.crypto_pwhash_OPSLIMIT_MODERATE,
+        memlimit: sodium.crypto_pwhash_MEMLIMIT_MODERATE
+      };
+      key = await KeyStore.deriveKey(passphrase, kdf);
+    } else if (unlocked.has(this.file)) {
+      ({ key, kdf } = unlocked.get(this.file));
+    } else {
+      throw new Error('Keystore must be unlocked before it can be updated');
+    }
+    
+    const plaintext = KeyStore.encode(secrets);
+    const nonce = Buffer.alloc(NONCE_BYTES);
+    sodium.randombytes_buf(nonce);
+    const sealed = Buffer.alloc(plaintext.length + sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES);
+    sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(sealed, plaintext, ADDITIONAL_DATA, null, nonce, key);
+    
+    // Written beside the keystore and renamed over it, so a crash never
+    // leaves a half-written keystore behind
+    const temporary = `${this.file}.tmp`;
+    await fs.ensureDir(this.keyPath);
+    await fs.writeJson(temporary, {
+      version: KEYSTORE_VERSION,
+      kdf,
+      cipher: 'xchacha20poly1305-ietf',
+      nonce: nonce.toString('hex'),
+      sealed: sealed.toString('base64')
+    }, { spaces: 2, mode: 0o600 });
+    await fs.rename(temporary, this.file);
+    
+    unlocked.set(this.file, { secrets: KeyStore.decode(plaintext), key, kdf });
+  }
+  
+  // Argon2id key for a passphrase, in secure memory. Runs on the libuv
+  // thread pool, so a daemon keeps serving while it works.
+  static deriveKey(passphrase, kdf) {
+    if (kdf.algorithm !== 'argon2id13') {
+      throw new Error(`Unsupported key derivation ${kdf.algorithm}`);
+    }
+    
+    const key = sodium.sodium_malloc(KEY_BYTES);
+    const password = Buffer.isBuffer(passphrase) ? passphrase : Buffer.from(passphrase, 'utf8');
+    
+    return new Promise((resolve, reject) => {
+      sodium.crypto_pwhash_async(
+        key, password, Buffer.from(kdf.salt, 'hex'), kdf.opslimit, kdf.memlimit,
+        sodium.crypto_pwhash_ALG_ARGON2ID13,
+        error => (error ? reject(error) : resolve(key))
+      );
+    });
+  }
+  
+  // Secrets as one buffer: per entry a name length byte, the name, a
+  // two-byte length and the value
+  static encode(secrets) {
+    let length = 0;
+    for (const [name, value] of secrets) {
+      length += 1 + Buffer.byteLength(name) + 2 + value.length;
+    }
+    
+    const buffer = sodium.sodium_malloc(length);
+    let offset = 0;
+    for (const [name, value] of secrets) {
+      offset = buffer.writeUInt8(Buffer.byteLength(name), offset);
+      offset += buffer.write(name, offset);
+      offset = buffer.writeUInt16BE(value.length, offset);
+      offset += value.copy(buffer, offset);
+    }
+    return buffer;
+  }
+  
+  // Map of name -> value, the values being views into the secure buffer
+  static decode(buffer) {
+    const secrets = new Map();
+    let offset = 0;
+    
+    while (offset < buffer.length) {
+      const nameLength = buffer.readUInt8(offset);
+      const name = buffer.toString('utf8', offset + 1, offset + 1 + nameLength);
+      offset += 1 + nameLength;
+      const valueLength = buffer.readUInt16BE(offset);
+      offset += 2;
+      secrets.set(name, buffer.subarray(offset, offset + valueLength));
+      offset += valueLength;
+    }
+    return secrets;
+  }
+  
+  // Copy of a buffer in secure memory
+  static secureCopy(buffer) {
+    const copy = sodium.sodium_malloc(buffer.length);
+    buffer.copy(copy);
+    return copy;
+  }
+  
+  // Overwrite files holding plaintext keys, then remove them
+  static async wipeFiles(files) {
+    for (const file of files) {
+      if (!await fs.pathExists(file)) continue;
+      
+      const { size } = await fs.stat(file);
+      await fs.writeFile(file, Buffer.alloc(size));
+      await fs.remove(file);
+    }
+  }
+  
+  static randomHex(length) {
+    const buffer = Buffer.alloc(length);
+    sodium.randombytes_buf(buffer);
+    return buffer.toString('hex');
+  }
+}
+
+module.exports = KeyStore;
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+
+const LEAF_PREFIX = Buffer.from([0]);
+const NODE_PREFIX = Buffer.from([1]);
+
+// Merkle tree over the stored chunk hashes of one backup on one peer.
+// Leaves are ordered by object id, then chunk index, and bind every chunk
+// hash to its position, so an inclusion proof shows that a chunk is exactly
+// the one the owner uploaded there. The owner signs the root at upload time;
+// the host keeps the leaves and answers with log2(n)-sized proofs.
+class MerkleTree {
+  // objects: [{ objectId, hashes }] with the stored chunk hashes in order
+  constructor(objects = []) {
+    this.layout = objects
+      .map(object => ({ objectId: object.objectId, hashes: object.hashes }))
+      .sort((a, b) => (a.objectId < b.objectId ? -1 : a.objectId > b.objectId ? 1 : 0));
+    
+    this.offsets = new Map(); // objectId -> { first leaf index, chunk count }
+    const leaves = [];
+    for (const { objectId, hashes } of this.layout) {
+      this.offsets.set(objectId, { offset: leaves.length, count: hashes.length });
+      hashes.forEach((hash, chunkIndex) => leaves.push(MerkleTree.leafHash(objectId, chunkIndex, hash)));
+    }
+    
+    // levels[0] are the leaves; an odd node at the end moves up unchanged
+    this.levels = [leaves];
+    while (this.levels[this.levels.length - 1].length > 1) {
+      const below = this.levels[this.levels.length - 1];
+      const level = [];
+      for (let i = 0; i < below.length; i += 2) {
+        level.push(i + 1 < below.length ? MerkleTree.nodeHash(below[i], below[i + 1]) : below[i]);
+      }
+      this.levels.push(level);
+    }
+  }
+  
+  static leafHash(objectId, chunkIndex, chunkHash) {
+    return crypto.createHash('sha256')
+      .update(LEAF_PREFIX)
+      .update(`${objectId}:${chunkIndex}:`)
+      .update(Buffer.from(chunkHash, 'hex'))
+      .digest();
+  }
+  
+  static nodeHash(left, right) {
+    return crypto.createHash('sha256').update(NODE_PREFIX).update(left).update(right).digest();
+  }
+  
+  get leafCount() {
+    return this.levels[0].length;
+  }
+  
+  // Root and leaf count of the tree over the given objects without building
+  // its levels, for the owner, who only signs the root. readHashes(objectId,
+  // onHash) feeds an object's stored chunk hashes in chunk order; only the
+  // complete subtrees still waiting for a sibling are kept, one per level.
+  static async computeRoot(objectIds, readHashes) {
+    const subtrees = []; // { hash, leaves }, largest first
+    let leafCount = 0;
+    
+    const sorted = [...objectIds].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+    for (const objectId of sorted) {
+      let chunkIndex = 0;
+      await readHashes(objectId, (chunkHash) => {
+        let node = { hash: MerkleTree.leafHash(objectId, chunkIndex++, chunkHash), leaves: 1 };
+        while (subtrees.length > 0 && subtrees[subtrees.length - 1].leaves === node.leaves) {
+          node = { hash: MerkleTree.nodeHash(subtrees.pop().hash, node.hash), leaves: node.leaves * 2 };
+        }
+        subtrees.push(node);
+        leafCount++;
+      });
+    }
+    
+    if (subtrees.length === 0) {
+      return { root: crypto.createHash('sha256').digest('hex'), leafCount };
+    }
+    // Odd nodes moving up unchanged join the subtrees from the right
+    let root = subtrees.pop().hash;
+    while (subtrees.length > 0) {
+      root = MerkleTree.nodeHash(subtrees.pop().hash, root);
+    }
+    return { root: root.toString('hex'), leafCount };
+  }
+  
+  // Hex root; an empty tree has the hash of nothing as its root
+  get root() {
+    const top = this.levels[this.levels.length - 1];
+    return top.length > 0 ? top[0].toString('hex') : crypto.createHash('sha256').digest('hex');
+  }
+  
+  leafIndex(objectId, chunkIndex) {
+    const object = this.offsets.get(objectId);
+    if (!object || chunkIndex < 0 || chunkIndex >= object.count) {
+      return -1;
+    }
+    return object.offset + chunkIndex;
+  }
+  
+  // Object and chunk index behind a leaf
+  locate(leafIndex) {
+    for (const [objectId, { offset, count }] of this.offsets) {
+      if (leafIndex >= offset && leafIndex < offset + count) {
+        return { objectId, chunkIndex: leafIndex - offset };
+      }
+    }
+    return null;
+  }
+  
+  // Sibling hashes from a chunk's leaf up to the root, each prefixed with
+  // 'l' or 'r' for the side it joins on
+  getProof(objectId, chunkIndex) {
+    let index = this.leafIndex(objectId, chunkIndex);
+    if (index < 0) {
+      throw new Error(`Chunk ${chunkIndex} of ${objectId} is not in the tree`);
+    }
+    
+    const proof = [];
+    for (let level = 0; level < this.levels.length - 1; level++) {
+      const nodes = this.levels[level];
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < nodes.length) {
+        proof.push((index % 2 === 0 ? 'r' : 'l') + nodes[sibling].toString('hex'));
+      }
+      index = Math.floor(index / 2);
+    }
+    return proof;
+  }
+  
+  // Check that a chunk hash sits at its position under the given root
+  static verifyProof(root, objectId, chunkIndex, chunkHash, proof) {
+    if (!Array.isArray(proof)) {
+      return false;
+    }
+    
+    let node = MerkleTree.leafHash(objectId, chunkIndex, chunkHash);
+    for (const step of proof) {
+      const sibling = Buffer.from(step.slice(1), 'hex');
+      node = step[0] === 'l' ? MerkleTree.nodeHash(sibling, node) : MerkleTree.nodeHash(node, sibling);
+    }
+    return node.toString('hex') === root;
+  }
+  
+  // Sides a proof for a leaf joins on, as getProof prefixes them - lets a
+  // verifier that only knows the leaf count check a proof is for that leaf
+  static proofPath(leafIndex, leafCount) {
+    let path = '';
+    for (let index = leafIndex, width = leafCount; width > 1; width = Math.ceil(width / 2)) {
+      if (index % 2 === 1) {
+        path += 'l';
+      } else if (index + 1 < width) {
+        path += 'r';
+      }
+      index = Math.floor(index / 2);
+    }
+    return path;
+  }
+  
+  // What the host keeps to answer proofs later
+  toJSON() {
+    return { layout: this.layout };
+  }
+  
+  static fromJSON(data) {
+    return new MerkleTree(data.layout || []);
+  }
+}
+
+module.exports = MerkleTree;
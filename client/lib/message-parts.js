@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+const PART_SIZE = 128 * 1024; // message bytes per part, about 171KB as base64
+const MAX_PARTS = 2048; // 256MB, the largest message we put back together
+const MAX_PENDING = 2; // messages being reassembled at once
+const PART_TIMEOUT = 300000; // drop a message whose parts stopped arriving
+
+// Messages larger than one data channel message - a backup's sealed
+// manifest, the manifests of a restore listing - go out as numbered parts
+// of their JSON text. The channel is ordered, so parts arrive in sequence
+// and the receiver dispatches the whole message once the last one is in.
+// Peers only send parts once both advertised the capability.
+class MessageParts {
+  constructor() {
+    this.pending = new Map(); // id -> { total, parts, timer }
+  }
+  
+  static get CAPABILITY() {
+    return 'message-parts';
+  }
+  
+  // Part messages of a serialized message, built as they are sent
+  static *split(text) {
+    const data = Buffer.from(text, 'utf8');
+    const total = Math.ceil(data.length / PART_SIZE);
+    if (total > MAX_PARTS) {
+      throw new Error(`Message of ${data.length} bytes is over the ${MAX_PARTS * PART_SIZE} byte limit`);
+    }
+    
+    const id = crypto.randomBytes(8).toString('hex');
+    for (let index = 0; index < total; index++) {
+      yield {
+        type: 'message_part',
+        id,
+        index,
+        total,
+        data: data.subarray(index * PART_SIZE, (index + 1) * PART_SIZE).toString('base64')
+      };
+    }
+  }
+  
+  // Take one part; returns the whole message once its last part arrived,
+  // null before that
+  add(part) {
+    const { id, index, total } = part;
+    if (typeof id !== 'string' || typeof part.data !== 'string' ||
+        !Number.isInteger(total) || total < 1 || total > MAX_PARTS) {
+      throw new Error('Malformed message part');
+    }
+    
+    let message = this.pending.get(id);
+    if (!message) {
+      if (index !== 0) {
+        throw new Error(`Part ${index} of unknown message ${id}`);
+      }
+      if (this.pending.size >= MAX_PENDING) {
+        throw new Error('Too many messages being reassembled');
+      }
+      message = { total, parts: [], timer: setTimeout(() => this.pending.delete(id), PART_TIMEOUT) };
+      this.pending.set(id, message);
+    }
+    
+    const data = Buffer.from(part.data, 'base64');
+    if (total !== message.total || index !== message.parts.length || data.length === 0 || data.length > PART_SIZE) {
+      this.drop(id);
+      throw new Error(`Part ${index} does not continue message ${id}`);
+    }
+    message.parts.push(data);
+    if (message.parts.length < message.total) {
+      return null;
+    }
+    
+    this.drop(id);
+    return JSON.parse(Buffer.concat(message.parts).toString('utf8'));
+  }
+  
+  drop(id) {
+    const message = this.pending.get(id);
+    if (message) {
+      clearTimeout(message.timer);
+      this.pending.delete(id);
+    }
+  }
+  
+  // Forget partial messages (the connection closed)
+  clear() {
+    for (const id of [...this.pending.keys()]) {
+      this.drop(id);
+    }
+  }
+}
+
+module.exports = MessageParts;
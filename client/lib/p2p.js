@@ -7,6 +7,14 @@ const Database = require('./database');
 const BackupCrypto = require('./crypto');
 const RateLimiter = require('./rate-limiter');
 const FileTransfer = require('./transfer');
+const RestoreManager = require('./restore');
+const StorageManager = require('./storage');
+const BinaryFraming = require('./framing');
+const MessageParts = require('./message-parts');
+const SendWindow = require('./flow-control');
+const BandwidthThrottle = require('./throttle');
+const ChunkCompressor = require('./compression');
+const PeerSuccession = require('./succession');
 const logger = require('./logger');
 
 class P2PConnection extends EventEmitter {
@@ -16,6 +24,8 @@ class P2PConnection extends EventEmitter {
     this.peerId = options.peerId || `peer-${Date.now()}`;
     this.signalingUrl = options.signalingUrl || 'wss://backup01.wiuf.net';
     this.requirements = options.requirements || { storage: 10 * 1024 * 1024 * 1024 }; // 10GB default
+    this.throttle = options.throttle || null; // shared by all connections of a service
+    this.compressor = null; // codecs we compress chunks with, from the config
     
     this.socket = null;
     this.peer = null;
@@ -29,11 +39,17 @@ class P2PConnection extends EventEmitter {
     this.crypto = null;
     this.currentPeerId = null;
     this.fileTransfer = null;
+    this.restoreManager = null;
+    this.storage = null;
+    this.succession = null; // follows key rotations of the peers we know
     
     // Hash-based verification
     this.peerIdHash = null;
     this.peerIdentity = null;
     this.verifiedPeers = new Map(); // peerIdHash -> verification result
+    this.peerCapabilities = new Set(); // protocol extensions the connected peer announced
+    this.incomingParts = new MessageParts(); // oversized messages still arriving
+    this.outgoing = null; // parts of an oversized message still being sent
     
     // Connection resilience
     this.reconnectAttempts = 0;
@@ -88,8 +104,29 @@ class P2PConnection extends EventEmitter {
       this.peerIdHash = this.crypto.getMyPeerIdHash();
       this.peerIdentity = this.crypto.createPeerIdentity();
       
-      // Initialize file transfer system
-      this.fileTransfer = new FileTransfer(this, this.crypto, this.database);
+      this.storage = new StorageManager();
+      await this.storage.initialize();
+      
+      // Rate caps from the config unless the caller shares its own
+      if (!this.throttle) {
+        this.throttle = await BandwidthThrottle.load();
+      }
+      this.compressor = await ChunkCompressor.load();
+      
+      // Initialize file transfer and restore systems
+      this.fileTransfer = new FileTransfer(this, this.crypto, this.database, this.storage);
+      this.restoreManager = new RestoreManager(this, this.crypto, this.database, this.storage);
+      
+      // Answer storage challenges for what we host and check our own peers
+      this.setStorageContext(this.storage);
+      
+      this.succession = new PeerSuccession({
+        crypto: this.crypto,
+        database: this.database,
+        reputation: this.reputation,
+        storage: this.storage,
+        allocation: await this.fileTransfer.ensureAllocation()
+      });
       
       // Load cached peer connections from database
       await this.loadCachedPeers();
@@ -214,6 +251,18 @@ class P2PConnection extends EventEmitter {
         return { verified: false, reason: verification.reason };
       }
       
+      // A key retired by a rotation no longer speaks for its peer
+      const successor = this.succession ? await this.succession.getLatestSuccessor(verification.peerIdHash) : null;
+      if (successor) {
+        console.warn(`Peer ${verification.peerIdHash} presented a key it rotated away from`);
+        return {
+          verified: false,
+          reason: `Identity retired by a key rotation to ${successor.peerIdHash}`,
+          peerIdHash: verification.peerIdHash,
+          retiredBy: successor
+        };
+      }
+      
       // Store verification result
       this.verifiedPeers.set(verification.peerIdHash, {
         verified: true,
@@ -242,6 +291,9 @@ class P2PConnection extends EventEmitter {
       clearInterval(this.pingInterval);
     }
     
+    // Measure the round-trip time right away for the send window
+    this.sendPing();
+    
     this.pingInterval = setInterval(() => {
       if (this.connected && this.peer) {
         this.sendPing();
@@ -495,7 +547,6 @@ class P2PConnection extends EventEmitter {
       
       // Update database with successful connection
       if (this.currentPeerId && this.database) {
-      // Start health checks\n      this.startHealthChecks();\n
         await this.database.updatePeerConnectionSuccess(this.currentPeerId, true);
       }
       
@@ -505,6 +556,9 @@ class P2PConnection extends EventEmitter {
       // Start keepalive pings for connection monitoring
       this.startKeepalive();
       
+      // Start health checks
+      this.startHealthChecks();
+      
       this.emit('connected');
       
       // Close signaling server connection - no longer needed
@@ -514,12 +568,33 @@ class P2PConnection extends EventEmitter {
     });
     
     this.peer.on('data', (data) => {
-      const message = JSON.parse(data.toString());
+      let message;
+      try {
+        // Chunk payloads arrive as binary frames once both sides support them
+        message = BinaryFraming.isFrame(data) ? BinaryFraming.decode(data) : JSON.parse(data.toString());
+      } catch (error) {
+        console.warn('Dropped malformed P2P message:', error.message);
+        return;
+      }
+      
+      // An oversized message is dispatched, and rate limited, as a whole
+      // once its last part is in
+      if (message.type === 'message_part') {
+        try {
+          message = this.incomingParts.add(message);
+        } catch (error) {
+          console.warn('Dropped message part:', error.message);
+          return;
+        }
+        if (!message) return;
+      }
       console.log('p2p.js: Received P2P message:', message.type);
       const senderId = this.currentPeerId || 'unknown';
       
-      // Check rate limiting first
-      if (!this.rateLimiter.isAllowed(senderId, message.type)) {
+      // Check rate limiting first - solicited restore chunks are already
+      // bounded by our own fetch requests
+      const solicited = message.type === 'restore_chunk';
+      if (!solicited && !this.rateLimiter.isAllowed(senderId, message.type)) {
         console.warn(`Rate limited message from ${senderId}: ${message.type}`);
         
         // Check if peer should be banned for repeated violations
@@ -546,6 +621,9 @@ class P2PConnection extends EventEmitter {
       if (message.type === 'peer_identity') {
         this.handlePeerIdentityMessage(message);
         return;
+      } else if (message.type === 'identity_retired') {
+        this.handleIdentityRetired(message);
+        return;
       }
       
       // Handle file transfer messages
@@ -554,6 +632,12 @@ class P2PConnection extends EventEmitter {
         return;
       }
       
+      // Handle pull-based restore messages
+      if (this.restoreManager && this.restoreManager.isRestoreMessage(message.type)) {
+        this.restoreManager.handleRestoreMessage(message, senderId);
+        return;
+      }
+      
       // Handle verification messages
       this.handleVerificationMessage(message);
       
@@ -567,47 +651,87 @@ class P2PConnection extends EventEmitter {
     
     this.peer.on('close', () => {
       console.log('P2P connection closed');
-      // Stop health checks\n      this.stopHealthChecks();\n
+      // Stop health checks
+      this.stopHealthChecks();
       this.connected = false;
+      this.peerCapabilities.clear();
+      this.incomingParts.clear();
+      if (this.fileTransfer) {
+        this.fileTransfer.discardIncoming();
+        this.fileTransfer.failPending();
+      }
       this.emit('disconnected');
     });
-  // Send message over P2P connection
-
+  }
+  
+  // Send message over P2P connection. A Buffer in encryptedData goes out as
+  // a binary frame if the peer supports them, else base64 inside the JSON.
+  // JSON over the message size limit goes out in parts; a peer that cannot
+  // take parts does not get it, and send returns false.
   send(message) {
-
-    console.log(`[P2P] Sending message: ${message.type || "unknown"} (connected: ${this.connected})`);
-
+    console.log(`[P2P] Sending message: ${message.type || 'unknown'} (connected: ${this.connected})`);
+    
     if (this.connected && this.peer) {
-
       try {
-
-        const data = JSON.stringify(message);
-
+        const binary = Buffer.isBuffer(message.encryptedData);
+        const frame = binary && this.peerSupports(BinaryFraming.CAPABILITY) ? BinaryFraming.encode(message) : null;
+        const data = frame || JSON.stringify(binary
+          ? { ...message, encryptedData: message.encryptedData.toString('base64') }
+          : message);
+        
+        const oversized = !frame && Buffer.byteLength(data) > BinaryFraming.MAX_MESSAGE_SIZE;
+        if (oversized && !this.peerSupports(MessageParts.CAPABILITY)) {
+          throw new Error(`${Buffer.byteLength(data)} bytes exceed the message limit and the peer takes no parts`);
+        }
+        if (oversized || this.outgoing) {
+          this.queueSend(data, oversized, message.type || 'unknown');
+          return true;
+        }
         this.peer.send(data);
-
-        console.log(`[P2P] Message sent successfully: ${message.type || "unknown"}`);
-
+        console.log(`[P2P] Message sent successfully: ${message.type || 'unknown'}`);
         return true;
-
       } catch (error) {
-
-        console.error(`[P2P] Failed to send message: ${message.type || "unknown"}`, error);
-
+        console.error(`[P2P] Failed to send message: ${message.type || 'unknown'}`, error);
         return false;
-
       }
-
     } else {
-
       console.warn(`[P2P] Cannot send message - not connected (connected: ${this.connected}, peer: ${!!this.peer})`);
-
       return false;
-
     }
-
   }
-      console.warn(`[P2P] Cannot send message - not connected (connected: ${this.connected}, peer: ${!!this.peer})`);
-      return false;
+  
+  // Send an oversized message part by part as the channel drains, holding
+  // back the messages sent meanwhile so the peer gets them in order
+  queueSend(data, oversized, type) {
+    const sending = (this.outgoing || Promise.resolve()).then(async () => {
+      const parts = oversized ? MessageParts.split(data) : [data];
+      for (const part of parts) {
+        await SendWindow.drain(this);
+        if (!this.connected || !this.peer) {
+          throw new Error('Connection closed');
+        }
+        this.peer.send(oversized ? JSON.stringify(part) : part);
+      }
+      console.log(`[P2P] Message sent successfully: ${type}`);
+    }).catch(error => {
+      console.error(`[P2P] Failed to send message: ${type}`, error);
+    }).then(() => {
+      if (this.outgoing === sending) {
+        this.outgoing = null;
+      }
+    });
+    this.outgoing = sending;
+  }
+  
+  // Bytes queued in the data channel but not yet sent
+  getBufferedAmount() {
+    return this.peer ? this.peer.bufferSize || 0 : 0;
+  }
+  
+  // Whether the connected peer announced a protocol extension
+  peerSupports(capability) {
+    return this.peerCapabilities.has(capability);
+  }
   
   // Send a test ping
   ping() {
@@ -640,6 +764,11 @@ class P2PConnection extends EventEmitter {
     const latency = Date.now() - message.originalTimestamp;
     console.log(`Connection latency: ${latency}ms`);
     
+    // The send window follows the round-trip time
+    if (this.fileTransfer) {
+      this.fileTransfer.window.updateRtt(latency);
+    }
+    
     // Update connection statistics
     this.emit('ping_response', { latency, timestamp: message.timestamp });
   }
@@ -650,6 +779,19 @@ class P2PConnection extends EventEmitter {
       const verification = await this.verifyPeerIdentity(message.identity);
       
       if (verification.verified) {
+        // A rotated key brings the chain of identities it succeeds, whose
+        // records become this one's before it is cached
+        if (Array.isArray(message.succession) && message.succession.length > 0) {
+          try {
+            const applied = await this.succession.apply(message.succession, verification.peerIdHash);
+            applied.forEach(statement => {
+              console.log(`Peer ${statement.previousPeerIdHash} rotated its key to ${statement.peerIdHash}`);
+            });
+          } catch (error) {
+            console.warn(`Ignoring key succession of ${verification.peerIdHash}: ${error.message}`);
+          }
+        }
+        
         // Cache the verified peer connection
         await this.cachePeerConnection(
           verification.peerIdHash,
@@ -658,16 +800,46 @@ class P2PConnection extends EventEmitter {
           verification.publicKey
         );
         
+        // Derive the transport secret from the peer's encryption key
+        if (message.encryptionKey) {
+          this.crypto.generateSharedSecret(
+            BackupCrypto.publicKeyFromHex(message.encryptionKey),
+            verification.peerIdHash
+          );
+        }
+        
+        // Older clients announce nothing and keep getting plain JSON
+        this.peerCapabilities = new Set(Array.isArray(message.capabilities) ? message.capabilities : []);
+        
         console.log(`Peer identity verified: ${verification.peerIdHash}`);
         this.currentPeerId = verification.peerIdHash;
+        this.emit('peer_verified', verification);
       } else {
         console.warn(`Peer identity verification failed: ${verification.reason}`);
+        
+        // Tell a peer recovered from an old key which generation it is at
+        if (verification.retiredBy) {
+          this.send({
+            type: 'identity_retired',
+            peerIdHash: verification.peerIdHash,
+            successor: verification.retiredBy.peerIdHash,
+            generation: verification.retiredBy.generation
+          });
+        }
         this.emit('verification_failed', verification);
       }
     } catch (error) {
       console.error('Error handling peer identity:', error.message);
     }
   }
+  
+  // The peer refused our identity: our signing key was rotated since
+  handleIdentityRetired(message) {
+    if (message.peerIdHash !== this.peerIdHash) return;
+    
+    console.warn(`Peer refused our identity ${this.peerIdHash}: rotated to ${message.successor} (key generation ${message.generation})`);
+    this.emit('identity_retired', message);
+  }
 
   // Handle verification-related messages
   handleVerificationMessage(message) {
@@ -703,7 +875,10 @@ class P2PConnection extends EventEmitter {
       'file_complete_ack',
       'chunk_ack',
       'backup_start',
-      'backup_complete'
+      'backup_complete',
+      'backup_complete_ack',
+      'backup_release',
+      'backup_release_ack'
     ];
     return transferMessageTypes.includes(messageType);
   }
@@ -714,24 +889,94 @@ class P2PConnection extends EventEmitter {
       throw new Error('File transfer not available - no connection or transfer system not initialized');
     }
     
-    if (!this.currentPeerId) {
-      throw new Error('No authenticated peer connection');
+    const peerId = await this.waitForPeerIdentity();
+    return this.fileTransfer.sendFile(filePath, peerId);
+  }
+  
+  // Send multiple files as backup
+  async sendBackup(filePaths, backupName = null, options = {}) {
+    if (!this.fileTransfer || !this.connected) {
+      throw new Error('File transfer not available - no connection or transfer system not initialized');
     }
     
-    return this.fileTransfer.sendFile(filePath, this.currentPeerId);
+    const peerId = await this.waitForPeerIdentity();
+    return this.fileTransfer.sendBackup(filePaths, peerId, backupName, options);
   }
   
-  // Send multiple files as backup
-  async sendBackup(filePaths, backupName = null) {
+  // Ask the connected hosting peer to delete objects of a pruned snapshot
+  async releaseBackup(backupId, objectIds, options = {}) {
     if (!this.fileTransfer || !this.connected) {
       throw new Error('File transfer not available - no connection or transfer system not initialized');
     }
     
-    if (!this.currentPeerId) {
-      throw new Error('No authenticated peer connection');
+    await this.waitForPeerIdentity();
+    return this.fileTransfer.requestRelease(backupId, objectIds, options);
+  }
+  
+  // Pull a backup we sent back from the connected hosting peer
+  async restoreBackup(backupId, targetDirectory, options = {}) {
+    if (!this.restoreManager || !this.connected) {
+      throw new Error('Restore not available - no connection or restore system not initialized');
+    }
+    
+    return this.restoreManager.restoreBackup(backupId, targetDirectory, options);
+  }
+  
+  // Escrow our sealed catalog with the connected peer
+  async pushCatalog(sealed, created) {
+    if (!this.restoreManager || !this.connected) {
+      throw new Error('Restore not available - no connection or restore system not initialized');
+    }
+    
+    return this.restoreManager.pushCatalog(sealed, created);
+  }
+  
+  // Fetch the sealed catalog the connected peer holds for us
+  async fetchCatalog() {
+    if (!this.restoreManager || !this.connected) {
+      throw new Error('Restore not available - no connection or restore system not initialized');
     }
     
-    return this.fileTransfer.sendBackup(filePaths, this.currentPeerId, backupName);
+    return this.restoreManager.fetchCatalog();
+  }
+  
+  // Ask the connected peer which of our backups it holds
+  async listHostedBackups() {
+    if (!this.restoreManager || !this.connected) {
+      throw new Error('Restore not available - no connection or restore system not initialized');
+    }
+    
+    return this.restoreManager.listHostedBackups();
+  }
+  
+  // Wait until the remote peer's identity (and transport secret) is established
+  waitForPeerIdentity(timeout = 15000) {
+    if (this.currentPeerId && this.verifiedPeers.has(this.currentPeerId)) {
+      return Promise.resolve(this.currentPeerId);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.removeListener('peer_verified', onVerified);
+        this.removeListener('identity_retired', onRetired);
+        reject(new Error('Timed out waiting for peer identity'));
+      }, timeout);
+      
+      const onVerified = (verification) => {
+        clearTimeout(timer);
+        this.removeListener('identity_retired', onRetired);
+        resolve(verification.peerIdHash);
+      };
+      
+      const onRetired = (message) => {
+        clearTimeout(timer);
+        this.removeListener('peer_verified', onVerified);
+        reject(new Error(`Peer knows this key as retired - it was rotated to key generation ${message.generation}`));
+      };
+      
+      this.once('peer_verified', onVerified);
+      this.once('identity_retired', onRetired);
+    });
   }
   
   // Get transfer status
@@ -756,12 +1001,28 @@ class P2PConnection extends EventEmitter {
       this.verification = new StorageVerification(storage, this);
       
       // Set up verification event handlers
-      this.verification.on('verification_result', (result) => {
+      this.verification.on('verification_result', async (result) => {
         console.log(`Verification result: ${result.success ? 'PASS' : 'FAIL'}`);
         
-        // Record in reputation system
+        // Record in reputation system - the repair check reads it from disk
         if (this.reputation) {
           this.reputation.recordVerification(result.peerId, result.success, result.responseTime);
+          await this.reputation.saveReputation();
+        }
+        
+        try {
+          await this.database.saveChallenge({
+            id: result.challengeId,
+            backupId: result.backupId,
+            peerId: result.peerId,
+            type: result.type,
+            response: { error: result.error },
+            success: result.success,
+            responseTime: result.responseTime,
+            timestamp: result.timestamp
+          });
+        } catch (error) {
+          console.warn('Failed to record challenge result:', error.message);
         }
       });
       
@@ -775,7 +1036,7 @@ class P2PConnection extends EventEmitter {
       throw new Error('Verification system not initialized or no peer connected');
     }
     
-    return this.verification.sendChallenge(this.currentPeerId, backupId);
+    return this.verification.sendChallenge(this.currentPeerId, backupId, challengeType);
   }
   
   // Start monitoring mode (periodic verification)
@@ -810,9 +1071,17 @@ class P2PConnection extends EventEmitter {
       const identityMessage = {
         type: 'peer_identity',
         identity: this.peerIdentity,
+        encryptionKey: this.crypto.getPublicKeyHex(),
+        capabilities: [BinaryFraming.CAPABILITY, MessageParts.CAPABILITY, ...ChunkCompressor.CAPABILITIES],
         timestamp: Date.now()
       };
       
+      // Announce our key rotations, so peers that knew an earlier key follow us
+      const successions = this.crypto.getSuccessions();
+      if (successions.length > 0) {
+        identityMessage.succession = successions;
+      }
+      
       this.peer.send(JSON.stringify(identityMessage));
       console.log('Sent peer identity for verification');
     } catch (error) {
@@ -940,6 +1209,35 @@ class P2PConnection extends EventEmitter {
     });
   }
 
+  // Check if connection is healthy
+  isConnectionHealthy() {
+    const healthy = this.connected && this.peer && this.socket;
+    console.log(`[P2P] Connection health check - connected: ${this.connected}, peer: ${!!this.peer}, socket: ${!!this.socket} -> ${healthy}`);
+    return healthy;
+  }
+
+  // Start periodic health checks
+  startHealthChecks() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+    }
+    
+    this.healthCheckInterval = setInterval(() => {
+      if (!this.isConnectionHealthy()) {
+        console.warn('[P2P] Connection health check failed');
+        this.emit('connection_unhealthy');
+      }
+    }, 30000); // Check every 30 seconds
+  }
+
+  // Stop health checks
+  stopHealthChecks() {
+    if (this.healthCheckInterval) {
+      clearInterval(this.healthCheckInterval);
+      this.healthCheckInterval = null;
+    }
+  }
+
   // Close all connections
   async close() {
     // Stop monitoring if active
@@ -947,6 +1245,7 @@ class P2PConnection extends EventEmitter {
     
     // Stop keepalive pings
     this.stopKeepalive();
+    this.stopHealthChecks();
     
     // Close P2P connection
     if (this.peer) {
@@ -968,32 +1267,4 @@ class P2PConnection extends EventEmitter {
   }
 }
 
-\n  // Check if connection is healthy\n
-  isConnectionHealthy() {\n
-    const healthy = this.connected && this.peer && this.socket;\n
-    console.log(`[P2P] Connection health check - connected: ${this.connected}, peer: ${!!this.peer}, socket: ${!!this.socket} -> ${healthy}`);\n
-    return healthy;\n
-  }\n
-\n
-  // Start periodic health checks\n
-  startHealthChecks() {\n
-    if (this.healthCheckInterval) {\n
-      clearInterval(this.healthCheckInterval);\n
-    }\n
-    \n
-    this.healthCheckInterval = setInterval(() => {\n
-      if (!this.isConnectionHealthy()) {\n
-        console.warn("[P2P] Connection health check failed");\n
-        this.emit("connection_unhealthy");\n
-      }\n
-    }, 30000); // Check every 30 seconds\n
-  }\n
-\n
-  // Stop health checks\n
-  stopHealthChecks() {\n
-    if (this.healthCheckInterval) {\n
-      clearInterval(this.healthCheckInterval);\n
-      this.healthCheckInterval = null;\n
-    }\n
-  }\n
-module.exports = P2PConnection;
\ No newline at end of file
+module.exports = P2PConnection;
@@ -0,0 +1,339 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const sodium = require('sodium-native');
+
+const PACK_SIZE = 16 * 1024 * 1024; // every pack file on disk has exactly this size
+const FILL_BLOCK = 1024 * 1024;
+const KEY_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES;
+const NONCE_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES;
+const TAG_BYTES = sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES;
+const LOCK_RETRY = 100; // ms between attempts to take the index lock
+
+// Storage for the chunks we host for other peers. Chunks are written as
+// records into pack files of a fixed size that start out as random bytes,
+// and every record is sealed again with a key of this host, so the received
+// directory shows neither how many objects we hold nor how large they are.
+// Record locations live in a sealed index; records are addressed by an
+// opaque id that stays the same when compaction moves them.
+//
+// The service and CLI commands such as repack can open the same directory.
+// Every change is made holding a lock file next to the index, after
+// reloading the index if another process saved it meanwhile, so no process
+// saves over records another one stored or deletes a pack it still reads.
+class PackStore {
+  constructor(directory, keyPath, options = {}) {
+    this.directory = directory;
+    this.keyPath = keyPath;
+    this.indexPath = path.join(directory, 'index');
+    this.lockPath = path.join(directory, 'index.lock');
+    this.packSize = options.packSize || PACK_SIZE;
+    this.key = null;
+    this.packs = {}; // packId -> { used, live, dead } in bytes
+    this.records = {}; // recordId -> { pack, offset, length }
+    this.current = null; // pack this instance appends to
+    this.lock = Promise.resolve();
+    this.indexVersion = null; // inode, mtime and size of the index file last loaded or saved
+  }
+  
+  async initialize() {
+    await fs.ensureDir(this.directory);
+    
+    if (await fs.pathExists(this.keyPath)) {
+      this.key = await fs.readFile(this.keyPath);
+      if (this.key.length !== KEY_BYTES) {
+        throw new Error(`Invalid pack key in ${this.keyPath}`);
+      }
+    } else {
+      this.key = crypto.randomBytes(KEY_BYTES);
+      await fs.writeFile(this.keyPath, this.key, { mode: 0o600 });
+    }
+    
+    await this.loadIndex();
+  }
+  
+  // Load the index if it changed since this instance last loaded or saved
+  // it. Returns whether it did.
+  async loadIndex() {
+    let stats;
+    try {
+      stats = await fs.stat(this.indexPath);
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+    
+    const version = `${stats.ino}:${stats.mtimeMs}:${stats.size}`;
+    if (version === this.indexVersion) return false;
+    
+    const index = JSON.parse(this.open(await fs.readFile(this.indexPath), 'pack-index').toString('utf8'));
+    this.packs = index.packs || {};
+    this.records = index.records || {};
+    this.indexVersion = version;
+    return true;
+  }
+  
+  // Run fn after every earlier write, move or removal has finished, holding
+  // the index lock against other processes
+  exclusive(fn) {
+    const run = this.lock.then(() => this.withIndexLock(fn));
+    this.lock = run.catch(() => {});
+    return run;
+  }
+  
+  // Take the lock file, reload the index and run fn. A lock left behind by a
+  // process that no longer runs is taken over.
+  async withIndexLock(fn) {
+    for (;;) {
+      try {
+        await fs.writeFile(this.lockPath, String(process.pid), { flag: 'wx', mode: 0o600 });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+      
+      if (await this.isStaleLock()) {
+        await fs.remove(this.lockPath);
+      } else {
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY));
+      }
+    }
+    
+    try {
+      await this.loadIndex();
+      return await fn();
+    } finally {
+      await fs.remove(this.lockPath);
+    }
+  }
+  
+  async isStaleLock() {
+    let pid;
+    try {
+      pid = parseInt(await fs.readFile(this.lockPath, 'utf8'));
+    } catch (error) {
+      return false; // released meanwhile, or still being written
+    }
+    if (!pid) return false;
+    
+    try {
+      process.kill(pid, 0);
+      return false;
+    } catch (error) {
+      return error.code === 'ESRCH';
+    }
+  }
+  
+  seal(data, recordId) {
+    const nonce = crypto.randomBytes(NONCE_BYTES);
+    const ciphertext = Buffer.alloc(data.length + TAG_BYTES);
+    sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(ciphertext, data, Buffer.from(recordId), null, nonce, this.key);
+    return Buffer.concat([nonce, ciphertext]);
+  }
+  
+  open(sealed, recordId) {
+    if (sealed.length < NONCE_BYTES + TAG_BYTES) {
+      throw new Error(`Record ${recordId} is truncated`);
+    }
+    
+    const plaintext = Buffer.alloc(sealed.length - NONCE_BYTES - TAG_BYTES);
+    try {
+      sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+        plaintext, null, sealed.subarray(NONCE_BYTES), Buffer.from(recordId), sealed.subarray(0, NONCE_BYTES), this.key
+      );
+    } catch (error) {
+      throw new Error(`Record ${recordId} failed authentication - pack data is corrupt`);
+    }
+    return plaintext;
+  }
+  
+  getPackPath(packId) {
+    return path.join(this.directory, `${packId}.pack`);
+  }
+  
+  // New pack file of random bytes; records are later written over them
+  async createPack() {
+    const packId = `pack-${Date.now().toString(36)}-${crypto.randomBytes(4).toString('hex')}`;
+    const fd = await fs.open(this.getPackPath(packId), 'w', 0o600);
+    try {
+      for (let offset = 0; offset < this.packSize; offset += FILL_BLOCK) {
+        const block = crypto.randomBytes(Math.min(FILL_BLOCK, this.packSize - offset));
+        await fs.write(fd, block, 0, block.length, offset);
+      }
+    } finally {
+      await fs.close(fd);
+    }
+    
+    this.packs[packId] = { used: 0, live: 0, dead: 0 };
+    return packId;
+  }
+  
+  // Seal and append one record to the current pack, starting a new pack
+  // when it does not fit. The caller saves the index.
+  async append(recordId, data) {
+    const sealed = this.seal(data, recordId);
+    if (sealed.length > this.packSize) {
+      throw new Error(`Record of ${data.length} bytes does not fit in a pack`);
+    }
+    
+    // Another process may have compacted our pack away
+    if (!this.current || !this.packs[this.current] || this.packs[this.current].used + sealed.length > this.packSize) {
+      this.current = await this.createPack();
+    }
+    
+    const pack = this.packs[this.current];
+    const offset = pack.used;
+    const fd = await fs.open(this.getPackPath(this.current), 'r+');
+    try {
+      await fs.write(fd, sealed, 0, sealed.length, offset);
+    } finally {
+      await fs.close(fd);
+    }
+    
+    pack.used += sealed.length;
+    pack.live += sealed.length;
+    this.records[recordId] = { pack: this.current, offset, length: sealed.length };
+  }
+  
+  // Store chunks as records; returns their ids in the same order. buffers
+  // may be an async iterable, so an object of any size is written one
+  // chunk at a time. If reading it fails, the records written so far are
+  // dropped again.
+  write(buffers) {
+    return this.exclusive(async () => {
+      const ids = [];
+      try {
+        for await (const data of buffers) {
+          const recordId = crypto.randomBytes(12).toString('hex');
+          await this.append(recordId, data);
+          ids.push(recordId);
+        }
+      } catch (error) {
+        ids.forEach(recordId => this.forget(recordId));
+        throw error;
+      }
+      await this.saveIndex();
+      return ids;
+    });
+  }
+  
+  // A record another process moved since our index was loaded is looked
+  // up again in the saved index
+  async read(recordId) {
+    try {
+      return await this.readRecord(recordId);
+    } catch (error) {
+      if (!await this.loadIndex()) throw error;
+      return this.readRecord(recordId);
+    }
+  }
+  
+  async readRecord(recordId) {
+    const record = this.records[recordId];
+    if (!record) {
+      throw new Error(`Record not found: ${recordId}`);
+    }
+    
+    const sealed = Buffer.alloc(record.length);
+    const fd = await fs.open(this.getPackPath(record.pack), 'r');
+    try {
+      await fs.read(fd, sealed, 0, record.length, record.offset);
+    } finally {
+      await fs.close(fd);
+    }
+    return this.open(sealed, recordId);
+  }
+  
+  // Forget records; their space is reclaimed by compaction
+  remove(recordIds) {
+    return this.exclusive(async () => {
+      let removed = 0;
+      for (const recordId of recordIds) {
+        if (this.forget(recordId)) removed++;
+      }
+      if (removed > 0) {
+        await this.saveIndex();
+      }
+      return removed;
+    });
+  }
+  
+  // Drop a record from the index and count its bytes as dead
+  forget(recordId) {
+    const record = this.records[recordId];
+    if (!record) return false;
+    
+    const pack = this.packs[record.pack];
+    if (pack) {
+      pack.live -= record.length;
+      pack.dead += record.length;
+    }
+    delete this.records[recordId];
+    return true;
+  }
+  
+  // Rewrite packs whose live records fill less than `threshold` of the pack
+  // size into fresh packs and delete them. Packs without live records are
+  // deleted right away. The index is saved before any old pack goes, so an
+  // interrupted compaction leaves at worst an unreferenced pack behind.
+  compact(threshold = 0.5) {
+    return this.exclusive(async () => {
+      const candidates = Object.keys(this.packs).filter(packId =>
+        packId !== this.current && this.packs[packId].live < this.packSize * threshold
+      );
+      const result = { packsRewritten: 0, recordsMoved: 0, bytesReclaimed: 0 };
+      if (candidates.length === 0) return result;
+      const before = this.diskUsage();
+      
+      const selected = new Set(candidates);
+      const moving = Object.keys(this.records).filter(recordId => selected.has(this.records[recordId].pack));
+      for (const recordId of moving) {
+        const data = await this.read(recordId);
+        await this.append(recordId, data);
+        result.recordsMoved++;
+      }
+      
+      candidates.forEach(packId => delete this.packs[packId]);
+      await this.saveIndex();
+      
+      for (const packId of candidates) {
+        await fs.remove(this.getPackPath(packId));
+        result.packsRewritten++;
+      }
+      result.bytesReclaimed = Math.max(0, before - this.diskUsage());
+      return result;
+    });
+  }
+  
+  // Bytes the pack files take on disk
+  diskUsage() {
+    return Object.keys(this.packs).length * this.packSize;
+  }
+  
+  async saveIndex() {
+    const sealed = this.seal(Buffer.from(JSON.stringify({ packs: this.packs, records: this.records })), 'pack-index');
+    const tempPath = `${this.indexPath}.tmp`;
+    await fs.writeFile(tempPath, sealed, { mode: 0o600 });
+    await fs.rename(tempPath, this.indexPath);
+    
+    const stats = await fs.stat(this.indexPath);
+    this.indexVersion = `${stats.ino}:${stats.mtimeMs}:${stats.size}`;
+  }
+  
+  getStats() {
+    const packs = Object.values(this.packs);
+    const live = packs.reduce((sum, pack) => sum + pack.live, 0);
+    const dead = packs.reduce((sum, pack) => sum + pack.dead, 0);
+    return {
+      packs: packs.length,
+      packSize: this.packSize,
+      records: Object.keys(this.records).length,
+      diskBytes: this.diskUsage(),
+      liveBytes: live,
+      deadBytes: dead,
+      utilization: packs.length > 0 ? live / this.diskUsage() : 1
+    };
+  }
+}
+
+module.exports = PackStore;
@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const BinaryFraming = require('./framing');
+
+const FILE_LIMIT = 64 * 1024; // files up to this size are packed
+const CHUNK_SIZE = BinaryFraming.MAX_CHUNK_SIZE; // pack chunk plaintext, the chunker's maximum
+const OBJECT_SIZE = 4 * 1024 * 1024; // file bytes per pack object
+
+// Small files bundled into one stored object, so a backup of thousands of
+// them is not thousands of round trips. A pack chunk holds whole files back
+// to back and a file never spans chunks; the manifest entry of a packed file
+// has pack: { chunk, offset } and its pack chunk as its only chunk entry.
+class FilePack {
+  constructor(objectId, files) {
+    this.objectId = objectId;
+    this.files = files; // manifest entries; pack, hash and chunks are filled in
+    this.buffers = []; // plaintext of every pack chunk
+    this.failed = []; // { file, error } for members that could not be read
+  }
+  
+  static isPackable(file) {
+    return file.size <= FILE_LIMIT;
+  }
+  
+  // Group packable files into packs of up to OBJECT_SIZE bytes; the rest are
+  // sent one object per file. Files that already name a pack (a repair
+  // re-sending one) are grouped by that pack so its layout is kept.
+  static plan(files, createObjectId, canPack = FilePack.isPackable) {
+    const packs = [];
+    const single = [];
+    const repacked = new Map(); // objectId -> pack with a recorded layout
+    let current = null;
+    let currentSize = 0;
+    
+    for (const file of files) {
+      if (file.pack) {
+        if (!repacked.has(file.objectId)) {
+          repacked.set(file.objectId, new FilePack(file.objectId, []));
+        }
+        repacked.get(file.objectId).files.push(file);
+        continue;
+      }
+      if (!canPack(file)) {
+        single.push(file);
+        continue;
+      }
+      
+      if (!current || currentSize + file.size > OBJECT_SIZE) {
+        current = new FilePack(createObjectId(packs.length), []);
+        currentSize = 0;
+        packs.push(current);
+      }
+      file.objectId = current.objectId;
+      current.files.push(file);
+      currentSize += file.size;
+    }
+    
+    return { packs: packs.concat(Array.from(repacked.values())), single };
+  }
+  
+  // Read every member into pack chunks. New members are laid out in order;
+  // members with a recorded position must reproduce it exactly, as other
+  // peers' shards and manifests depend on it.
+  async load() {
+    const recorded = this.files.some(file => file.pack);
+    const members = recorded
+      ? this.files.slice().sort((a, b) => a.pack.chunk - b.pack.chunk || a.pack.offset - b.pack.offset)
+      : this.files;
+    let length = 0;
+    
+    for (const file of members) {
+      let data;
+      try {
+        data = await fs.readFile(file.path);
+        if (recorded && data.length !== file.size) {
+          throw new Error('File changed since it was packed');
+        }
+      } catch (error) {
+        if (recorded) {
+          throw new Error(`Cannot rebuild pack ${this.objectId}: ${file.path}: ${error.message}`);
+        }
+        this.failed.push({ file, error });
+        continue;
+      }
+      
+      if (recorded) {
+        if (file.pack.chunk === this.buffers.length) {
+          this.buffers.push([]);
+          length = 0;
+        }
+        if (file.pack.chunk !== this.buffers.length - 1 || file.pack.offset !== length) {
+          throw new Error(`Cannot rebuild pack ${this.objectId}: its layout has gaps`);
+        }
+      } else if (this.buffers.length === 0 || length + data.length > CHUNK_SIZE) {
+        this.buffers.push([]);
+        length = 0;
+      }
+      
+      file.pack = { chunk: this.buffers.length - 1, offset: length };
+      file.size = data.length;
+      file.hash = crypto.createHash('sha256').update(data).digest('hex');
+      this.buffers[this.buffers.length - 1].push(data);
+      length += data.length;
+    }
+    
+    this.buffers = this.buffers.map(parts => Buffer.concat(parts));
+    this.files = members.filter(file => !this.failed.some(failure => failure.file === file));
+    return this;
+  }
+  
+  get size() {
+    return this.buffers.reduce((sum, buffer) => sum + buffer.length, 0);
+  }
+  
+  // Chunk source for FileTransfer.sendFile
+  async *chunks() {
+    let offset = 0;
+    for (let index = 0; index < this.buffers.length; index++) {
+      yield { index, offset, data: this.buffers[index] };
+      offset += this.buffers[index].length;
+    }
+  }
+  
+  // Data of a chunk by its offset (deduplicated chunks the peer lacked)
+  async read(offset, length) {
+    let start = 0;
+    for (const buffer of this.buffers) {
+      if (offset < start + buffer.length) {
+        return buffer.subarray(offset - start, offset - start + length);
+      }
+      start += buffer.length;
+    }
+    throw new Error(`No pack chunk at offset ${offset}`);
+  }
+  
+  // Manifest chunk entries are known once the pack is sent; every member
+  // lists the entry of the chunk it sits in
+  setChunks(chunks) {
+    this.files.forEach(file => {
+      file.chunks = [chunks[file.pack.chunk]];
+    });
+  }
+}
+
+module.exports = FilePack;
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+const RANGE_TOKENS_PER_OBJECT = 16;
+const OBJECT_TOKENS_PER_OBJECT = 2;
+const MAX_RANGE_LENGTH = 16 * 1024;
+const MAX_OBJECT_TOKEN_SIZE = 256 * 1024 * 1024; // whole-object proofs are too slow beyond this
+
+// Precomputed proof-of-retrievability tokens. While an object is uploaded
+// the owner picks random byte ranges of the stored (sealed) chunks and a
+// fresh nonce for each, and keeps only the expected answer
+// sha256(nonce || bytes). A later challenge reveals the nonce and range;
+// the host can only answer by reading the bytes it stores. Every token is
+// used once.
+class ProofTokens {
+  constructor(objectSize = 0) {
+    this.ranges = []; // reservoir sample over all chunks of the object
+    this.seen = 0;
+    
+    this.objects = [];
+    if (objectSize <= MAX_OBJECT_TOKEN_SIZE) {
+      for (let i = 0; i < OBJECT_TOKENS_PER_OBJECT; i++) {
+        const nonce = crypto.randomBytes(32);
+        this.objects.push({ nonce, hash: crypto.createHash('sha256').update(nonce) });
+      }
+    }
+  }
+  
+  // Expected answer for a nonce and the bytes it covers
+  static hash(nonce, data) {
+    return crypto.createHash('sha256')
+      .update(Buffer.from(nonce, 'hex'))
+      .update(data)
+      .digest('hex');
+  }
+  
+  // Feed the next stored chunk of the object, in order
+  add(chunkIndex, storedChunk) {
+    this.objects.forEach(token => token.hash.update(storedChunk));
+    
+    this.seen++;
+    let slot = this.ranges.length;
+    if (slot >= RANGE_TOKENS_PER_OBJECT) {
+      slot = Math.floor(Math.random() * this.seen);
+      if (slot >= RANGE_TOKENS_PER_OBJECT) return;
+    }
+    
+    const length = Math.min(storedChunk.length, MAX_RANGE_LENGTH);
+    const offset = Math.floor(Math.random() * (storedChunk.length - length + 1));
+    const nonce = crypto.randomBytes(32).toString('hex');
+    
+    this.ranges[slot] = {
+      kind: 'range',
+      chunkIndex,
+      offset,
+      length,
+      nonce,
+      expected: ProofTokens.hash(nonce, storedChunk.subarray(offset, offset + length))
+    };
+  }
+  
+  // All tokens of the object, once every chunk was added
+  finish() {
+    const objects = this.seen === 0 ? [] : this.objects.map(token => ({
+      kind: 'object',
+      chunkIndex: null,
+      offset: null,
+      length: null,
+      nonce: token.nonce.toString('hex'),
+      expected: token.hash.digest('hex')
+    }));
+    
+    return this.ranges.concat(objects);
+  }
+}
+
+module.exports = ProofTokens;
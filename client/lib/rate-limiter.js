@@ -85,7 +85,10 @@ class RateLimiter extends EventEmitter {
       'ping': { max: 60, window: 60000 }, // 1 ping per second max
       'storage_challenge': { max: 10, window: 60000 }, // Limited challenges
       'peer_identity': { max: 5, window: 60000 }, // Very limited identity exchanges
-      'file_start': { max: 20, window: 60000 } // Limited file starts
+      'file_start': { max: 20, window: 60000 }, // Limited file starts
+      'restore_request': { max: 10, window: 60000 }, // Manifest requests
+      'restore_fetch': { max: 60, window: 60000 }, // One per restored object
+      'catalog_store': { max: 5, window: 60000 } // Owners escrow their catalog now and then
     };
     
     const limit = messageLimits[messageType];
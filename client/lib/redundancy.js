@@ -0,0 +1,138 @@
+const ErasureCoder = require('./erasure');
+
+// Erasure-coded backups across several hosting peers. Every sealed chunk is
+// encoded into n shards with a k-of-n Reed-Solomon code and shard i of every
+// chunk goes to the i-th peer, so any k peers can rebuild the backup.
+// Placement is recorded per shard in the shard_placements table.
+class RedundancyManager {
+  constructor(database) {
+    this.database = database;
+  }
+  
+  // Snapshot chain key for an erasure-coded peer group; the order matters
+  // because unchanged files only stay valid if every shard index keeps its peer
+  static getGroupId(dataShards, peerIds) {
+    return `rs${dataShards}-${peerIds.length}:${peerIds.join(',')}`;
+  }
+  
+  // Summarize shard placements: how many shards are still usable and how
+  // many more peers can be lost before the backup is gone
+  static summarizeHealth(placements) {
+    if (placements.length === 0) {
+      return null;
+    }
+    
+    const k = placements[0].data_shards;
+    const n = placements[0].total_shards;
+    const available = placements.filter(placement => placement.status === 'active').length;
+    const margin = available - k;
+    
+    let state;
+    if (available === n) {
+      state = 'healthy';
+    } else if (margin > 0) {
+      state = 'degraded';
+    } else if (margin === 0) {
+      state = 'critical';
+    } else {
+      state = 'lost';
+    }
+    
+    return { k, n, available, margin, state };
+  }
+  
+  async getHealth(backupId) {
+    return RedundancyManager.summarizeHealth(await this.database.getShardPlacements(backupId));
+  }
+  
+  // Health of every erasure-coded backup, keyed by backup id
+  async listHealth() {
+    const byBackup = new Map();
+    for (const placement of await this.database.listShardPlacements()) {
+      if (!byBackup.has(placement.backup_id)) {
+        byBackup.set(placement.backup_id, []);
+      }
+      byBackup.get(placement.backup_id).push(placement);
+    }
+    
+    const health = new Map();
+    for (const [backupId, placements] of byBackup) {
+      health.set(backupId, { ...RedundancyManager.summarizeHealth(placements), placements });
+    }
+    return health;
+  }
+  
+  // Send one backup as n shards. hosts is [{ connection, peerId, hostPeerId }]
+  // in shard order; every connection must already be established.
+  async sendBackup(hosts, filePaths, backupName, options = {}) {
+    const { dataShards, unchangedFiles = [], onShard = null } = options;
+    const coder = new ErasureCoder(dataShards, hosts.length);
+    const backupId = `backup-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    
+    const shards = [];
+    let metadata = null;
+    
+    for (let index = 0; index < hosts.length; index++) {
+      const host = hosts[index];
+      if (onShard) {
+        onShard(index, host);
+      }
+      
+      try {
+        const result = await host.connection.sendBackup(filePaths, backupName, {
+          backupId,
+          unchangedFiles,
+          shard: { coder, index }
+        });
+        
+        const failed = result.results.filter(r => r.status !== 'success');
+        shards.push({
+          index,
+          ...host,
+          status: failed.length > 0 ? 'partial' : 'active',
+          storedSize: result.results.reduce((sum, r) => sum + (r.storedSize || 0), 0),
+          results: result.results,
+          dedup: result.dedup
+        });
+        metadata = metadata || result.metadata;
+      } catch (error) {
+        console.error(`Shard ${index} to ${host.peerId} failed:`, error.message);
+        shards.push({ index, ...host, status: 'failed', storedSize: 0, results: [], error: error.message });
+      }
+    }
+    
+    if (!metadata) {
+      throw new Error('No shard could be sent to any peer');
+    }
+    
+    // A file is stored if at least k peers hold its shard
+    const files = metadata.files.map(file => {
+      if (file.originBackupId !== backupId || !file.objectId) {
+        return file;
+      }
+      
+      const stored = shards.filter(shard => shard.results.some(r => r.transferId === file.objectId && r.status === 'success'));
+      return { ...file, transferStatus: stored.length >= dataShards ? 'completed' : 'failed' };
+    });
+    
+    return { backupId, coder, shards, metadata: { ...metadata, files } };
+  }
+  
+  // Record where every shard of a backup went
+  async recordPlacements(backupId, coder, shards) {
+    for (const shard of shards) {
+      await this.database.saveShardPlacement({
+        backupId,
+        shardIndex: shard.index,
+        dataShards: coder.k,
+        totalShards: coder.n,
+        peerId: shard.peerId,
+        hostPeerId: shard.hostPeerId,
+        status: shard.status,
+        storedSize: shard.storedSize
+      });
+    }
+  }
+}
+
+module.exports = RedundancyManager;
@@ -0,0 +1,508 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const ErasureCoder = require('./erasure');
+const RedundancyManager = require('./redundancy');
+const SnapshotManager = require('./snapshot');
+
+const DEFAULT_OFFLINE_GRACE = 72 * 60 * 60 * 1000;
+
+// Automatic re-replication. A hosting peer that keeps failing storage
+// challenges, gets blacklisted or stays offline past a grace period no longer
+// counts as holding our data: every backup (or erasure shard) it holds is
+// re-sent to a replacement peer, from the local source files when they are
+// unchanged or else rebuilt from the surviving shards. Every step is written
+// to the repair_log table.
+class RepairManager {
+  constructor(database, storage, reputation, options = {}) {
+    this.database = database;
+    this.storage = storage;
+    this.reputation = reputation;
+    this.allocation = options.allocation || null;
+    this.maxFailedChallenges = options.maxFailedChallenges || 3;
+    this.offlineGracePeriod = options.offlineGracePeriod || DEFAULT_OFFLINE_GRACE;
+  }
+  
+  // Why a peer can no longer be trusted with our data, or null
+  assessPeer(peerId) {
+    const reputation = this.reputation.peers.get(peerId);
+    if (!reputation) {
+      return null;
+    }
+    
+    if (reputation.isBlacklisted) {
+      return `blacklisted (${reputation.blacklistReason || 'no reason given'})`;
+    }
+    if (reputation.consecutiveFailedChallenges >= this.maxFailedChallenges) {
+      return `failed ${reputation.consecutiveFailedChallenges} storage challenges in a row`;
+    }
+    
+    const offlineSince = this.reputation.getOfflineSince(peerId);
+    if (offlineSince && Date.now() - offlineSince > this.offlineGracePeriod) {
+      const hours = Math.round((Date.now() - offlineSince) / (60 * 60 * 1000));
+      return `offline for ${hours}h`;
+    }
+    
+    return null;
+  }
+  
+  // Everything a peer holds for us: one entry per erasure shard, or per
+  // backup for single-peer backups
+  async listHoldings() {
+    const holdings = [];
+    const sharded = new Set();
+    
+    for (const placement of await this.database.listShardPlacements()) {
+      sharded.add(placement.backup_id);
+      if (placement.status === 'failed' || placement.status === 'lost') continue;
+      
+      holdings.push({
+        backupId: placement.backup_id,
+        shardIndex: placement.shard_index,
+        peerId: placement.peer_id,
+        hostPeerId: placement.host_peer_id
+      });
+    }
+    
+    for (const backup of await this.database.listBackups('sent', 10000)) {
+      if (sharded.has(backup.id) || !['active', 'partial'].includes(backup.status)) continue;
+      
+      holdings.push({
+        backupId: backup.id,
+        shardIndex: null,
+        peerId: backup.peer_id,
+        hostPeerId: backup.hostPeerId || backup.peer_id
+      });
+    }
+    
+    const timestamps = new Map();
+    for (const holding of holdings) {
+      if (!timestamps.has(holding.backupId)) {
+        const backup = await this.database.getBackup(holding.backupId);
+        timestamps.set(holding.backupId, backup ? backup.timestamp : 0);
+      }
+      holding.timestamp = timestamps.get(holding.backupId);
+    }
+    
+    // Oldest first, so parents move before the snapshots that reference them
+    return holdings.sort((a, b) => a.timestamp - b.timestamp);
+  }
+  
+  // Try to reach every hosting peer once and record the result as uptime
+  async probePeers(holdings, connectToHost) {
+    const hosts = new Map();
+    holdings.forEach(holding => hosts.set(holding.peerId, holding.hostPeerId));
+    
+    for (const [peerId, hostPeerId] of hosts) {
+      let connection = null;
+      try {
+        connection = await connectToHost(hostPeerId);
+        const identity = await connection.waitForPeerIdentity();
+        this.reputation.recordUptime(peerId, identity === peerId);
+      } catch (error) {
+        console.warn(`Peer ${peerId.slice(0, 12)}... unreachable: ${error.message}`);
+        this.reputation.recordUptime(peerId, false);
+      } finally {
+        if (connection) {
+          await connection.close();
+        }
+      }
+    }
+    
+    await this.reputation.saveReputation();
+  }
+  
+  async log(entry) {
+    const shard = entry.shardIndex === null || entry.shardIndex === undefined ? '' : ` shard ${entry.shardIndex}`;
+    console.log(`Repair ${entry.action} ${entry.backupId || ''}${shard}: ${entry.status}${entry.details ? ` - ${entry.details}` : ''}`);
+    await this.database.logRepair(entry);
+  }
+  
+  // Find holdings on failing peers and move them to replacement peers.
+  // connectToHost(hostPeerId) returns a connected P2PConnection;
+  // findCandidates() returns [{ hostPeerId }] in order of preference.
+  async runRepair(options = {}) {
+    const { connectToHost, findCandidates, dryRun = false, probe = true } = options;
+    
+    const holdings = await this.listHoldings();
+    if (probe && holdings.length > 0) {
+      await this.probePeers(holdings, connectToHost);
+    }
+    
+    const affected = [];
+    for (const holding of holdings) {
+      const reason = this.assessPeer(holding.peerId);
+      if (reason) {
+        affected.push({ ...holding, reason });
+      }
+    }
+    
+    const results = { affected, repaired: [], failed: [] };
+    if (dryRun || affected.length === 0) {
+      return results;
+    }
+    
+    for (const item of affected) {
+      await this.log({
+        backupId: item.backupId,
+        shardIndex: item.shardIndex,
+        failedPeerId: item.peerId,
+        action: 'detected',
+        status: 'pending',
+        details: item.reason
+      });
+    }
+    
+    // One replacement per failed peer (and shard index), so a snapshot chain
+    // stays together and unchanged files keep resolving to their parents
+    const replacements = new Map();
+    const moved = new Map(); // "backupId:shardIndex" -> replacement peer id
+    
+    try {
+      for (const item of affected) {
+        const key = `${item.peerId}:${item.shardIndex}`;
+        
+        try {
+          if (!replacements.has(key)) {
+            const placements = item.shardIndex === null ? [] : await this.database.getShardPlacements(item.backupId);
+            const exclude = new Set([item.peerId, ...placements.map(placement => placement.peer_id)]);
+            replacements.set(key, await this.connectReplacement(exclude, connectToHost, findCandidates));
+          }
+          
+          const replacement = replacements.get(key);
+          if (!replacement) {
+            throw new Error('No replacement peer available');
+          }
+          
+          const outcome = await this.repairHolding(item, replacement, connectToHost, moved);
+          (outcome.status === 'lost' ? results.failed : results.repaired).push({ ...item, ...outcome });
+        } catch (error) {
+          await this.log({
+            backupId: item.backupId,
+            shardIndex: item.shardIndex,
+            failedPeerId: item.peerId,
+            action: 'repair',
+            status: 'failed',
+            details: error.message
+          });
+          results.failed.push({ ...item, error: error.message });
+        }
+      }
+    } finally {
+      for (const replacement of replacements.values()) {
+        if (replacement) {
+          await replacement.connection.close();
+        }
+      }
+    }
+    
+    return results;
+  }
+  
+  // Replacement candidates from the marketplace, best reputation first,
+  // falling back to peers we connected to before
+  static async findCandidates(serverUrl, database) {
+    let candidates = [];
+    
+    try {
+      const { default: fetch } = await import('node-fetch');
+      const response = await fetch(`${serverUrl}/api/peers/browse`);
+      if (response.ok) {
+        const data = await response.json();
+        candidates = (data.peers || [])
+          .sort((a, b) => (b.reputation || 0.5) - (a.reputation || 0.5))
+          .map(peer => ({ hostPeerId: peer.peerId }));
+      }
+    } catch (error) {
+      console.warn('Could not reach marketplace API:', error.message);
+    }
+    
+    if (candidates.length === 0) {
+      const cachedPeers = await database.getCachedPeers(null, 7 * 24 * 60 * 60 * 1000);
+      candidates = cachedPeers.map(peer => ({ hostPeerId: peer.peerIdHash }));
+    }
+    
+    return candidates;
+  }
+  
+  // Connect to the first candidate that is not excluded and not failing
+  // itself. New peers have no reputation yet, so the score threshold is not applied.
+  async connectReplacement(exclude, connectToHost, findCandidates) {
+    for (const candidate of await findCandidates()) {
+      let connection = null;
+      try {
+        connection = await connectToHost(candidate.hostPeerId);
+        const peerId = await connection.waitForPeerIdentity();
+        
+        if (!exclude.has(peerId) && !this.assessPeer(peerId)) {
+          return { connection, peerId, hostPeerId: candidate.hostPeerId };
+        }
+      } catch (error) {
+        console.warn(`Candidate ${candidate.hostPeerId} unusable: ${error.message}`);
+      }
+      
+      if (connection) {
+        await connection.close();
+      }
+    }
+    
+    return null;
+  }
+  
+  // Whether the local file still is what the snapshot recorded
+  static async matchesLocal(entry) {
+    try {
+      return SnapshotManager.isUnchanged(entry, await fs.stat(entry.path));
+    } catch (error) {
+      return false;
+    }
+  }
+  
+  // Re-send one backup (or one shard of it) to the replacement peer
+  async repairHolding(item, replacement, connectToHost, moved) {
+    const { backupId, shardIndex } = item;
+    const backup = await this.database.getBackup(backupId);
+    if (!backup) {
+      throw new Error(`Backup not found: ${backupId}`);
+    }
+    
+    const placements = shardIndex === null ? [] : await this.database.getShardPlacements(backupId);
+    const erasure = placements.length > 0
+      ? { k: placements[0].data_shards, n: placements[0].total_shards }
+      : null;
+    
+    // Files first uploaded by a parent snapshot stay there if the parent moved
+    // to the same peer. A single-peer snapshot re-uploads the others as its
+    // own objects; an erasure shard cannot, as the other shards' manifests
+    // still point at the parent.
+    const entries = await this.database.getBackupFiles(backupId);
+    const needed = [];
+    const unrecoverable = [];
+    let carried = 0;
+    
+    const manifest = entries.map((entry, i) => {
+      // Directories and links have no data on the peer
+      if (entry.transferStatus === 'failed' || !entry.objectId) {
+        return entry;
+      }
+      if (entry.originBackupId === backupId) {
+        // A single peer gets packed files back one object each; an erasure
+        // shard must rebuild the pack the other shards hold parts of
+        const own = entry.pack && !erasure
+          ? { ...entry, objectId: `${backupId}-repair-${i}`, pack: null, chunks: [] }
+          : entry;
+        needed.push(own);
+        return own;
+      }
+      if (moved.get(`${entry.originBackupId}:${shardIndex}`) === replacement.peerId) {
+        carried++;
+        return entry;
+      }
+      if (erasure) {
+        unrecoverable.push(entry);
+        return entry;
+      }
+      
+      const rehomed = { ...entry, originBackupId: backupId, objectId: `${backupId}-repair-${i}`, pack: null };
+      needed.push(rehomed);
+      return rehomed;
+    });
+    
+    const sources = new Map(); // manifest entry -> local path (packed files share an object id)
+    const missing = [];
+    for (const entry of needed) {
+      if (await RepairManager.matchesLocal(entry)) {
+        sources.set(entry, entry.path);
+      } else {
+        missing.push(entry);
+      }
+    }
+    
+    let rebuildDir = null;
+    try {
+      if (missing.length > 0 && erasure) {
+        rebuildDir = await fs.mkdtemp(path.join(os.tmpdir(), 'backuppeer-repair-'));
+        await this.rebuildFromShards(backupId, placements, item.peerId, missing, connectToHost, rebuildDir);
+        
+        for (const entry of missing) {
+          const rebuilt = path.join(rebuildDir, entry.relativePath || entry.name);
+          if (await fs.pathExists(rebuilt)) {
+            sources.set(entry, rebuilt);
+          } else {
+            unrecoverable.push(entry);
+          }
+        }
+      } else {
+        unrecoverable.push(...missing);
+      }
+      
+      const toSend = needed.filter(entry => sources.has(entry));
+      if (toSend.length === 0 && carried === 0 && unrecoverable.length > 0) {
+        return this.markLost(item, `${unrecoverable.length} files changed locally and no other copy is left`);
+      }
+      
+      // A single peer's manifest must not promise files it will not get;
+      // erasure manifests stay as they are on the other shards
+      const failedObjects = new Set(unrecoverable.map(entry => entry.objectId));
+      const markFailed = entries => erasure ? entries : entries.map(entry => failedObjects.has(entry.objectId)
+        ? { ...entry, transferStatus: 'failed' }
+        : entry);
+      const shard = erasure ? { coder: new ErasureCoder(erasure.k, erasure.n), index: shardIndex } : null;
+      let storedSize = 0;
+      
+      if (toSend.length > 0) {
+        const result = await replacement.connection.sendBackup(
+          toSend.map(entry => ({
+            path: sources.get(entry),
+            relativePath: entry.relativePath,
+            objectId: entry.objectId,
+            pack: entry.pack
+          })),
+          backup.name,
+          { backupId, shard, metadataFiles: markFailed(manifest) }
+        );
+        
+        result.results.forEach(r => {
+          if (r.status === 'success') {
+            storedSize += r.storedSize || 0;
+          } else {
+            failedObjects.add(r.transferId);
+          }
+        });
+      }
+      
+      const status = failedObjects.size > 0 ? 'partial' : 'active';
+      await this.recordReplacement(backup, item, replacement, erasure, {
+        manifest: markFailed(manifest),
+        status,
+        storedSize
+      });
+      moved.set(`${backupId}:${shardIndex}`, replacement.peerId);
+      
+      const details = `${toSend.length} files re-sent to ${replacement.peerId.slice(0, 12)}...` +
+        (carried > 0 ? `, ${carried} kept with their parent snapshot` : '') +
+        (failedObjects.size > 0 ? `, ${failedObjects.size} could not be restored` : '');
+      await this.log({
+        backupId,
+        shardIndex,
+        failedPeerId: item.peerId,
+        replacementPeerId: replacement.peerId,
+        action: 'repair',
+        status: status === 'active' ? 'completed' : 'partial',
+        details
+      });
+      
+      return { status, replacementPeerId: replacement.peerId, sentFiles: toSend.length, failedFiles: failedObjects.size };
+    } finally {
+      if (rebuildDir) {
+        await fs.remove(rebuildDir);
+      }
+    }
+  }
+  
+  // Rebuild files of an erasure-coded backup from the shards still held by
+  // healthy peers
+  async rebuildFromShards(backupId, placements, failedPeerId, entries, connectToHost, directory) {
+    const wanted = new Set(entries.map(entry => entry.objectId));
+    const connections = [];
+    
+    try {
+      for (const placement of placements) {
+        if (placement.peer_id === failedPeerId || placement.status !== 'active' || this.assessPeer(placement.peer_id)) continue;
+        
+        try {
+          const connection = await connectToHost(placement.host_peer_id);
+          if (await connection.waitForPeerIdentity() !== placement.peer_id) {
+            await connection.close();
+            continue;
+          }
+          connections.push(connection);
+        } catch (error) {
+          console.warn(`Shard ${placement.shard_index} unreachable: ${error.message}`);
+        }
+      }
+      
+      if (connections.length < placements[0].data_shards) {
+        throw new Error(`Only ${connections.length} of ${placements[0].data_shards} needed shards reachable`);
+      }
+      
+      await this.log({
+        backupId,
+        failedPeerId,
+        action: 'rebuild',
+        status: 'started',
+        details: `Rebuilding ${entries.length} files from ${connections.length} shards`
+      });
+      
+      await connections[0].restoreBackup(backupId, directory, {
+        overwrite: true,
+        filter: file => wanted.has(file.objectId),
+        shardSources: connections.slice(1).map(connection => connection.restoreManager)
+      });
+    } finally {
+      for (const connection of connections) {
+        await connection.close();
+      }
+    }
+  }
+  
+  // Point our records at the replacement peer
+  async recordReplacement(backup, item, replacement, erasure, { manifest, status, storedSize }) {
+    if (erasure) {
+      await this.database.saveShardPlacement({
+        backupId: backup.id,
+        shardIndex: item.shardIndex,
+        dataShards: erasure.k,
+        totalShards: erasure.n,
+        peerId: replacement.peerId,
+        hostPeerId: replacement.hostPeerId,
+        status,
+        storedSize
+      });
+      
+      const placements = await this.database.getShardPlacements(backup.id);
+      const groupId = RedundancyManager.getGroupId(erasure.k, placements.map(placement => placement.peer_id));
+      await this.database.reassignBackup(backup.id, groupId);
+    } else {
+      await this.database.saveBackupFiles(backup.id, manifest);
+      await this.database.reassignBackup(backup.id, replacement.peerId, replacement.hostPeerId);
+      await this.database.updateBackupStatus(backup.id, status);
+      
+      if (this.storage && this.storage.getBackup(backup.id)) {
+        await this.storage.updateBackup(backup.id, {
+          peerId: replacement.peerId,
+          hostPeerId: replacement.hostPeerId
+        });
+      }
+    }
+    
+    // Tokens for the old peer's copy can no longer be answered
+    await this.database.deleteChallengeTokens(backup.id, item.peerId);
+    await this.database.deleteMerkleRoot(backup.id, item.peerId);
+    
+    if (this.allocation && storedSize > 0) {
+      await this.allocation.recordStorageUsed(replacement.peerId, storedSize, backup.id);
+    }
+  }
+  
+  async markLost(item, details) {
+    if (item.shardIndex === null) {
+      await this.database.updateBackupStatus(item.backupId, 'lost');
+    } else {
+      await this.database.updateShardStatus(item.backupId, item.shardIndex, 'lost');
+    }
+    
+    await this.log({
+      backupId: item.backupId,
+      shardIndex: item.shardIndex,
+      failedPeerId: item.peerId,
+      action: 'mark_lost',
+      status: 'lost',
+      details
+    });
+    
+    return { status: 'lost', details };
+  }
+}
+
+module.exports = RepairManager;
@@ -76,6 +76,7 @@ class ReputationSystem extends EventEmitter {
       totalChallenges: reputation.totalChallenges || 0,
       successfulChallenges: reputation.successfulChallenges || 0,
       failedChallenges: reputation.failedChallenges || 0,
+      consecutiveFailedChallenges: reputation.consecutiveFailedChallenges || 0,
       averageVerificationTime: reputation.averageVerificationTime || 0,
       
       // Data integrity
@@ -154,6 +155,7 @@ class ReputationSystem extends EventEmitter {
     
     if (success) {
       reputation.successfulChallenges++;
+      reputation.consecutiveFailedChallenges = 0;
       
       if (responseTime > 0) {
         const total = reputation.totalChallenges;
@@ -163,6 +165,7 @@ class ReputationSystem extends EventEmitter {
       }
     } else {
       reputation.failedChallenges++;
+      reputation.consecutiveFailedChallenges++;
     }
     
     this.updateOverallScore(peerId);
@@ -207,6 +210,18 @@ class ReputationSystem extends EventEmitter {
     this.updateOverallScore(peerId);
   }
   
+  // Start of the current unavailable streak (null if the last check succeeded)
+  getOfflineSince(peerId) {
+    const history = this.getPeerReputation(peerId).uptimeHistory;
+    let since = null;
+    
+    for (let i = history.length - 1; i >= 0 && !history[i].available; i--) {
+      since = history[i].timestamp;
+    }
+    
+    return since;
+  }
+  
   // Calculate overall reputation score
   updateOverallScore(peerId) {
     const reputation = this.getPeerReputation(peerId);
@@ -287,6 +302,25 @@ class ReputationSystem extends EventEmitter {
     this.saveReputation();
   }
   
+  // Carry a peer's reputation over to the identity it rotated its key to
+  async transferPeer(oldPeerId, newPeerId, publicKey = null) {
+    const previous = this.peers.get(oldPeerId);
+    if (!previous) return false;
+    
+    const current = this.peers.get(newPeerId);
+    const reputation = current ? this.mergeReputationData(previous, current) : { ...previous };
+    reputation.peerId = newPeerId;
+    reputation.publicKey = publicKey || reputation.publicKey;
+    reputation.notes = [...reputation.notes, `${new Date().toISOString()} key rotated from ${oldPeerId}`];
+    
+    this.peers.delete(oldPeerId);
+    this.peers.set(newPeerId, reputation);
+    await this.saveReputation();
+    
+    console.log(`Moved reputation of ${oldPeerId} to ${newPeerId}`);
+    return true;
+  }
+  
   // Check if peer is acceptable for backup
   isPeerAcceptable(peerId, minScore = null) {
     const reputation = this.getPeerReputation(peerId);
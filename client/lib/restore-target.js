@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const CONFLICT_POLICIES = ['skip', 'overwrite', 'keep-newer', 'rename'];
+const RENAME_SUFFIX = '.restored';
+
+// Where restored entries go and what happens to what is already there.
+// Entries land under a target directory by their manifest path or, in
+// place, at the absolute path they were backed up from. When something
+// exists at that path the conflict policy decides:
+//   skip        leave it alone
+//   overwrite   replace it with the backed-up copy
+//   keep-newer  replace it only if the backed-up copy was modified later
+//   rename      leave it alone and restore next to it as name.restored.ext
+// An entry that already matches the backup (a file with the backed-up size
+// and mtime, the same symlink or hard link) is left as it is except with
+// overwrite, so running a restore again resumes it.
+class RestoreTarget {
+  constructor(targetDirectory, options = {}) {
+    const { inPlace = false, conflict = 'skip' } = options;
+    
+    if (!CONFLICT_POLICIES.includes(conflict)) {
+      throw new Error(`Unknown conflict policy ${conflict} - use ${CONFLICT_POLICIES.join(', ')}`);
+    }
+    if (!inPlace && !targetDirectory) {
+      throw new Error('A target directory is needed unless restoring in place');
+    }
+    
+    this.targetDirectory = targetDirectory;
+    this.inPlace = inPlace;
+    this.conflict = conflict;
+    this.placed = new Map(); // relativePath -> where the entry was planned to go
+  }
+  
+  static get POLICIES() {
+    return CONFLICT_POLICIES;
+  }
+  
+  // Where an entry belongs, ignoring conflicts
+  pathFor(file) {
+    const relativePath = file.relativePath || file.name;
+    if (!this.inPlace) {
+      return path.join(this.targetDirectory, relativePath);
+    }
+    
+    if (!file.path || !path.isAbsolute(file.path)) {
+      throw new Error(`No original path recorded for ${relativePath} - restore it to a directory instead`);
+    }
+    return file.path;
+  }
+  
+  // Decide what to do with one manifest entry:
+  // { action: 'create' | 'replace' | 'rename' | 'skip', targetPath, reason }
+  async plan(file) {
+    const relativePath = file.relativePath || file.name;
+    const wantedPath = this.pathFor(file);
+    const decision = await this.resolve(file, wantedPath);
+    
+    this.placed.set(relativePath, decision.action === 'rename' ? decision.targetPath : wantedPath);
+    return decision;
+  }
+  
+  async resolve(file, targetPath) {
+    const existing = await RestoreTarget.lstat(targetPath);
+    if (!existing) {
+      return { action: 'create', targetPath };
+    }
+    
+    const type = file.type || 'file';
+    const existingIsDirectory = existing.isDirectory();
+    
+    // A directory that is already there is reused; only its attributes change
+    if (type === 'directory') {
+      if (!existingIsDirectory) {
+        return { action: 'skip', targetPath, reason: 'a file is in the way of this directory' };
+      }
+      return this.conflict === 'overwrite'
+        ? { action: 'replace', targetPath }
+        : { action: 'skip', targetPath, reason: 'directory exists' };
+    }
+    
+    // Never swap a whole directory tree for a file or link
+    if (existingIsDirectory) {
+      return { action: 'skip', targetPath, reason: 'a directory is in the way' };
+    }
+    
+    if (this.conflict === 'overwrite') {
+      return { action: 'replace', targetPath };
+    }
+    
+    if (await this.matches(existing, file, targetPath)) {
+      return { action: 'skip', targetPath, reason: 'already matches the backup' };
+    }
+    
+    if (this.conflict === 'keep-newer') {
+      const backedUp = file.modified ? new Date(file.modified).getTime() : 0;
+      return backedUp > existing.mtime.getTime()
+        ? { action: 'replace', targetPath }
+        : { action: 'skip', targetPath, reason: 'existing copy is newer' };
+    }
+    
+    if (this.conflict === 'rename') {
+      return this.renamed(file, targetPath);
+    }
+    
+    return { action: 'skip', targetPath, reason: 'already exists' };
+  }
+  
+  // First free name.restored.ext, name.restored-2.ext, ... next to a path.
+  // One of them already holding this copy means it was restored before.
+  async renamed(file, targetPath) {
+    const extension = path.extname(targetPath);
+    const base = targetPath.slice(0, targetPath.length - extension.length);
+    
+    for (let attempt = 1; ; attempt++) {
+      const candidate = `${base}${RENAME_SUFFIX}${attempt > 1 ? `-${attempt}` : ''}${extension}`;
+      const existing = await RestoreTarget.lstat(candidate);
+      
+      if (!existing) {
+        return { action: 'rename', targetPath: candidate };
+      }
+      if (await this.matches(existing, file, candidate)) {
+        return { action: 'skip', targetPath: candidate, reason: 'already restored next to it' };
+      }
+    }
+  }
+  
+  // Where the file a hard link points at was (or already is) placed
+  linkSource(file) {
+    if (this.placed.has(file.target)) {
+      return this.placed.get(file.target);
+    }
+    return this.inPlace ? null : path.join(this.targetDirectory, file.target);
+  }
+  
+  // Whether what exists at a path already is the backed-up entry: a file
+  // with its size and mtime, a symlink to its target, or a hard link to the
+  // file it was linked with
+  async matches(stats, file, targetPath) {
+    const type = file.type || 'file';
+    
+    if (type === 'symlink') {
+      return stats.isSymbolicLink() && await fs.readlink(targetPath) === file.target;
+    }
+    if (type === 'hardlink') {
+      const source = await RestoreTarget.lstat(this.linkSource(file));
+      return !!source && source.ino === stats.ino && source.dev === stats.dev;
+    }
+    return RestoreTarget.isUnchanged(stats, file);
+  }
+  
+  // Whether an existing regular file looks like the backed-up copy
+  static isUnchanged(stats, file) {
+    return (file.type || 'file') === 'file' &&
+      stats.isFile() &&
+      stats.size === file.size &&
+      !!file.modified &&
+      new Date(file.modified).getTime() === stats.mtime.getTime();
+  }
+  
+  static async lstat(targetPath) {
+    try {
+      return await fs.lstat(targetPath);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = RestoreTarget;
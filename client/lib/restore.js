@@ -0,0 +1,893 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { EventEmitter } = require('events');
+const BackupCrypto = require('./crypto');
+const ErasureCoder = require('./erasure');
+const MerkleTree = require('./merkle');
+const FileMetadata = require('./file-metadata');
+const RestoreTarget = require('./restore-target');
+const SendWindow = require('./flow-control');
+const BackupCatalog = require('./catalog');
+
+// Chunks asked for per restore_fetch while a download cap is set, so the
+// cap is paid for before the host starts sending
+const THROTTLED_FETCH_BATCH = 32;
+
+// Pull-based restore: the owner asks the hosting peer for a backup's sealed
+// manifest, then streams the stored chunks back and decrypts them locally.
+// The same class answers those requests when we are the hosting peer.
+class RestoreManager extends EventEmitter {
+  constructor(p2pConnection, crypto, database = null, storage = null) {
+    super();
+    this.connection = p2pConnection;
+    this.crypto = crypto;
+    this.database = database;
+    this.storage = storage;
+    this.pendingRequests = new Map(); // requestId -> { resolve, reject, timer }
+    this.activeObjects = new Map(); // objectId -> owner-side object restore state
+    this.requestTimeout = 60000; // 60 seconds without any reply
+  }
+  
+  // Check if message type belongs to the restore protocol
+  isRestoreMessage(messageType) {
+    return [
+      'restore_list',
+      'restore_backups',
+      'catalog_store',
+      'catalog_stored',
+      'catalog_fetch',
+      'catalog_data',
+      'restore_request',
+      'restore_manifest',
+      'restore_fetch',
+      'restore_chunk',
+      'restore_object_complete',
+      'restore_error'
+    ].includes(messageType);
+  }
+  
+  // Route incoming restore messages
+  handleRestoreMessage(message, peerId) {
+    switch (message.type) {
+      case 'restore_list':
+        this.handleRestoreList(message, peerId);
+        break;
+      
+      case 'restore_backups':
+      case 'catalog_stored':
+      case 'catalog_data':
+        this.resolveRequest(message.requestId, message);
+        break;
+      
+      case 'catalog_store':
+        this.handleCatalogStore(message, peerId);
+        break;
+      
+      case 'catalog_fetch':
+        this.handleCatalogFetch(message, peerId);
+        break;
+      
+      case 'restore_request':
+        this.handleRestoreRequest(message, peerId);
+        break;
+      
+      case 'restore_fetch':
+        this.handleRestoreFetch(message, peerId);
+        break;
+      
+      case 'restore_manifest':
+        this.resolveRequest(message.requestId, message);
+        break;
+      
+      case 'restore_chunk':
+        this.handleRestoreChunk(message, peerId);
+        break;
+      
+      case 'restore_object_complete':
+        this.handleRestoreObjectComplete(message);
+        break;
+      
+      case 'restore_error':
+        this.handleRestoreError(message);
+        break;
+    }
+  }
+  
+  // Hosting side: list the backups held for the requesting owner, so an
+  // owner who rebuilt their identity on a new machine finds them again
+  async handleRestoreList(message, peerId) {
+    const { requestId } = message;
+    
+    try {
+      if (!this.storage) {
+        throw new Error('No storage available on this peer');
+      }
+      
+      const backups = this.storage.listBackups('received')
+        .filter(backup => backup.peerId === peerId && backup.encryptedMetadata)
+        .map(backup => ({
+          backupId: backup.id,
+          name: backup.name,
+          timestamp: backup.timestamp,
+          status: backup.status,
+          shard: backup.shard || null,
+          encryptedMetadata: backup.encryptedMetadata
+        }));
+      
+      if (!this.connection.send({ type: 'restore_backups', requestId, backups })) {
+        throw new Error('Could not send the backup list');
+      }
+    } catch (error) {
+      console.warn(`Backup list for ${peerId} refused: ${error.message}`);
+      this.connection.send({ type: 'restore_error', requestId, error: error.message });
+    }
+  }
+  
+  // Hosting side: keep the sealed catalog the owner escrows with us
+  async handleCatalogStore(message, peerId) {
+    const { requestId, sealed, created } = message;
+    
+    try {
+      if (!this.storage) {
+        throw new Error('No storage available on this peer');
+      }
+      
+      const data = Buffer.from(sealed || '', 'base64');
+      if (data.length === 0 || data.length > BackupCatalog.MAX_BYTES) {
+        throw new Error('Catalog missing or too large');
+      }
+      if (!Number.isFinite(created)) {
+        throw new Error('Catalog creation time missing');
+      }
+      
+      await this.storage.saveCatalog(peerId, data, created);
+      this.connection.send({ type: 'catalog_stored', requestId });
+    } catch (error) {
+      console.warn(`Catalog from ${peerId} refused: ${error.message}`);
+      this.connection.send({ type: 'restore_error', requestId, error: error.message });
+    }
+  }
+  
+  // Hosting side: hand the owner back the catalog it escrowed, if any
+  async handleCatalogFetch(message, peerId) {
+    const { requestId } = message;
+    
+    try {
+      const catalog = this.storage ? await this.storage.getCatalog(peerId) : null;
+      this.connection.send({
+        type: 'catalog_data',
+        requestId,
+        sealed: catalog ? catalog.sealed.toString('base64') : null,
+        created: catalog ? catalog.created : null
+      });
+    } catch (error) {
+      this.connection.send({ type: 'restore_error', requestId, error: error.message });
+    }
+  }
+  
+  // Hosting side: return the sealed manifest and stored object layout
+  async handleRestoreRequest(message, peerId) {
+    const { requestId, backupId } = message;
+    
+    try {
+      const backup = this.getHostedBackup(backupId, peerId);
+      
+      const sent = this.connection.send({
+        type: 'restore_manifest',
+        requestId,
+        backupId,
+        encryptedMetadata: backup.encryptedMetadata,
+        status: backup.status,
+        shard: backup.shard || null,
+        merkle: backup.merkle || null,
+        objects: backup.files.map(file => ({
+          objectId: file.objectId,
+          size: file.size,
+          hash: file.hash,
+          storedChunks: file.storedChunks
+        }))
+      });
+      if (!sent) {
+        throw new Error('Could not send the manifest');
+      }
+    } catch (error) {
+      console.warn(`Restore request for ${backupId} refused: ${error.message}`);
+      this.connection.send({ type: 'restore_error', requestId, backupId, error: error.message });
+    }
+  }
+  
+  // Hosting side: stream the requested chunks of one object
+  async handleRestoreFetch(message, peerId) {
+    const { requestId, backupId, objectId, chunks = null } = message;
+    
+    try {
+      const backup = this.getHostedBackup(backupId, peerId);
+      const object = backup.files.find(file => file.objectId === objectId);
+      if (!object) {
+        throw new Error(`Object not found: ${objectId}`);
+      }
+      
+      const indices = chunks || object.storedChunks.map(chunk => chunk.index);
+      console.log(`Serving ${indices.length} chunks of ${objectId} for restore`);
+      
+      for (const chunkIndex of indices) {
+        const { data, hash } = await this.storage.readObjectChunk(backupId, objectId, chunkIndex);
+        const encryptedChunk = this.crypto.encrypt(data, peerId);
+        
+        // Restore chunks get no per-chunk ack; let the channel buffer drain
+        await SendWindow.drain(this.connection);
+        if (this.connection.throttle) {
+          await this.connection.throttle.consume('upload', encryptedChunk.length);
+        }
+        const sent = this.connection.send({
+          type: 'restore_chunk',
+          requestId,
+          objectId,
+          chunkIndex,
+          encryptedData: encryptedChunk,
+          chunkHash: hash,
+          proof: await this.storage.getChunkProof(backupId, objectId, chunkIndex)
+        });
+        
+        if (!sent) {
+          throw new Error('Connection lost while serving restore');
+        }
+      }
+      
+      this.connection.send({ type: 'restore_object_complete', requestId, objectId });
+    } catch (error) {
+      console.error(`Failed to serve ${objectId}:`, error.message);
+      this.connection.send({ type: 'restore_error', requestId, objectId, error: error.message });
+    }
+  }
+  
+  // Look up a backup we host; only the peer that uploaded it may read it back
+  getHostedBackup(backupId, peerId) {
+    if (!this.storage) {
+      throw new Error('No storage available on this peer');
+    }
+    
+    const backup = this.storage.getBackup(backupId);
+    if (!backup || backup.type !== 'received') {
+      throw new Error(`Backup not held by this peer: ${backupId}`);
+    }
+    
+    if (backup.peerId !== peerId) {
+      console.warn(`Restore of ${backupId} requested by ${peerId}, uploaded by ${backup.peerId}`);
+      throw new Error('Only the peer that uploaded a backup can restore it');
+    }
+    
+    return backup;
+  }
+  
+  // Owner side: fetch a backup from the connected peer into targetDirectory.
+  // An erasure-coded backup also needs options.shardSources: RestoreManagers
+  // connected to the peers holding the other shards (k in total).
+  // options.include/exclude (glob patterns, see FileMetadata.select) and
+  // options.filter(file) limit the restore to some manifest entries;
+  // options.inPlace restores to the original paths instead of
+  // targetDirectory and options.conflict says what happens to files already
+  // there (see RestoreTarget).
+  async restoreBackup(backupId, targetDirectory, options = {}) {
+    const {
+      overwrite = false,
+      inPlace = false,
+      conflict = overwrite ? 'overwrite' : 'skip',
+      onProgress = null,
+      onFileComplete = null,
+      shardSources = [],
+      include = [],
+      exclude = [],
+      filter = null
+    } = options;
+    
+    if (!this.connection || !this.connection.connected) {
+      throw new Error('Restore requires an active peer connection');
+    }
+    
+    const target = new RestoreTarget(targetDirectory, { inPlace, conflict });
+    const peerId = await this.connection.waitForPeerIdentity();
+    
+    console.log(`Requesting manifest for ${backupId} from ${peerId}`);
+    const reply = await this.sendRequest({ type: 'restore_request', backupId });
+    
+    if (!reply.encryptedMetadata) {
+      throw new Error('Peer has no manifest for this backup');
+    }
+    
+    const metadata = this.crypto.parseBackupMetadata(
+      Buffer.from(reply.encryptedMetadata, 'base64'),
+      backupId
+    );
+    metadata.files = FileMetadata.sortForRestore(
+      FileMetadata.select(metadata.files, { include, exclude, filter })
+    );
+    if (metadata.files.length === 0 && (include.length > 0 || exclude.length > 0)) {
+      throw new Error('No files in this backup match the include/exclude patterns');
+    }
+    const objects = await this.listObjects(backupId, metadata, reply);
+    
+    let shards = null;
+    if (metadata.erasure) {
+      shards = await this.collectShards(backupId, metadata, reply, objects, shardSources);
+    }
+    
+    if (!inPlace) {
+      await fs.ensureDir(targetDirectory);
+    }
+    
+    const results = {
+      totalFiles: metadata.files.length,
+      restoredFiles: 0,
+      failedFiles: 0,
+      skippedFiles: 0,
+      renamedFiles: 0,
+      totalBytes: metadata.files.reduce((sum, file) => sum + file.size, 0),
+      restoredBytes: 0,
+      errors: []
+    };
+    const packCache = { key: null, data: null }; // last opened pack chunk
+    const directories = []; // attributes applied once their contents are in place
+    
+    for (let i = 0; i < metadata.files.length; i++) {
+      const file = metadata.files[i];
+      
+      try {
+        const { action, targetPath } = await target.plan(file);
+        if (action === 'skip') {
+          results.skippedFiles++;
+          continue;
+        }
+        if (action === 'rename') {
+          results.renamedFiles++;
+        }
+        
+        // Directories, symlinks and hard links carry no data
+        if (file.type && file.type !== 'file') {
+          const linkSource = file.type === 'hardlink' ? target.linkSource(file) : null;
+          await FileMetadata.createEntry(targetPath, file, linkSource);
+          if (file.type === 'directory') {
+            directories.push({ targetPath, file });
+          } else if (file.type === 'symlink') {
+            await FileMetadata.apply(targetPath, file);
+          }
+          
+          results.restoredFiles++;
+          if (onFileComplete) {
+            onFileComplete({ file, success: true, path: targetPath });
+          }
+          continue;
+        }
+        
+        if (file.transferStatus === 'failed' && !shards) {
+          throw new Error('File was not stored during this backup');
+        }
+        
+        const originId = file.originBackupId || backupId;
+        let object = objects.get(file.objectId);
+        let fetchSealed = null;
+        
+        if (shards) {
+          // Chunks are rebuilt from k shards; the object layout comes from the manifest
+          object = { objectId: file.objectId, storedChunks: file.chunks.map((chunk, index) => ({ index })) };
+          fetchSealed = (chunkIndices, writeChunk) =>
+            this.fetchErasureChunks(originId, file, shards, metadata.erasure, chunkIndices, writeChunk);
+        } else if (!object) {
+          throw new Error('Object missing on hosting peer');
+        }
+        
+        if (file.pack) {
+          // The file's one chunk sits at its own index in the pack object
+          const layout = { name: file.name, objectId: file.objectId, chunks: [] };
+          layout.chunks[file.pack.chunk] = file.chunks[0];
+          const fetchPackChunk = shards
+            ? (chunkIndices, writeChunk) =>
+              this.fetchErasureChunks(originId, layout, shards, metadata.erasure, chunkIndices, writeChunk)
+            : (chunkIndices, writeChunk) => this.fetchChunks(originId, object, chunkIndices, writeChunk);
+          
+          await this.restorePackedFile(originId, file, targetPath, fetchPackChunk, packCache);
+          results.restoredBytes += file.size;
+          if (onProgress) {
+            onProgress({
+              currentFile: i + 1,
+              totalFiles: metadata.files.length,
+              fileName: file.name,
+              bytesRestored: results.restoredBytes,
+              totalBytes: results.totalBytes,
+              progress: results.totalBytes > 0
+                ? Math.round((results.restoredBytes / results.totalBytes) * 100)
+                : 100
+            });
+          }
+          results.restoredFiles++;
+          if (onFileComplete) {
+            onFileComplete({ file, success: true, path: targetPath });
+          }
+          continue;
+        }
+        
+        await this.restoreObject(originId, file, object, targetPath, (chunkBytes) => {
+          results.restoredBytes += chunkBytes;
+          if (onProgress) {
+            onProgress({
+              currentFile: i + 1,
+              totalFiles: metadata.files.length,
+              fileName: file.name,
+              bytesRestored: results.restoredBytes,
+              totalBytes: results.totalBytes,
+              progress: results.totalBytes > 0
+                ? Math.round((results.restoredBytes / results.totalBytes) * 100)
+                : 100
+            });
+          }
+        }, fetchSealed);
+        
+        results.restoredFiles++;
+        if (onFileComplete) {
+          onFileComplete({ file, success: true, path: targetPath });
+        }
+      } catch (error) {
+        results.failedFiles++;
+        results.errors.push({ file: file.name, error: error.message });
+        if (onFileComplete) {
+          onFileComplete({ file, success: false, error: error.message });
+        }
+      }
+    }
+    
+    await FileMetadata.finishDirectories(directories);
+    
+    console.log(`Restore completed: ${results.restoredFiles}/${results.totalFiles} files restored`);
+    this.emit('restore_complete', { backupId, results });
+    return results;
+  }
+  
+  // Owner side: the backups the connected peer holds for us, with their
+  // manifests opened. Manifests our owner secret cannot open are not ours
+  // (or were written under another secret) and are left out.
+  async listHostedBackups() {
+    await this.connection.waitForPeerIdentity();
+    const reply = await this.sendRequest({ type: 'restore_list' });
+    const backups = [];
+    
+    for (const backup of reply.backups || []) {
+      try {
+        const metadata = this.crypto.parseBackupMetadata(
+          Buffer.from(backup.encryptedMetadata, 'base64'),
+          backup.backupId
+        );
+        backups.push({ ...backup, metadata });
+      } catch (error) {
+        console.warn(`Cannot open the manifest of ${backup.backupId}: ${error.message}`);
+      }
+    }
+    
+    return backups;
+  }
+  
+  // Owner side: escrow our sealed catalog with the connected peer
+  async pushCatalog(sealed, created) {
+    await this.connection.waitForPeerIdentity();
+    await this.sendRequest({ type: 'catalog_store', sealed: sealed.toString('base64'), created });
+  }
+  
+  // Owner side: the sealed catalog the connected peer holds for us, or null
+  async fetchCatalog() {
+    await this.connection.waitForPeerIdentity();
+    const reply = await this.sendRequest({ type: 'catalog_fetch' });
+    return reply.sealed ? Buffer.from(reply.sealed, 'base64') : null;
+  }
+  
+  // Owner side: list the hosted objects of a backup, including those of the
+  // snapshots that first uploaded its unchanged files
+  async listObjects(backupId, metadata, reply = null) {
+    if (!reply) {
+      reply = await this.sendRequest({ type: 'restore_request', backupId });
+    }
+    const objects = new Map();
+    const addObjects = async (id, objectReply) => {
+      const merkleRoot = await this.checkMerkleRoot(id, objectReply);
+      for (const object of objectReply.objects) {
+        objects.set(object.objectId, { ...object, merkleRoot });
+      }
+    };
+    await addObjects(backupId, reply);
+    
+    const origins = new Set(metadata.files
+      .map(file => file.originBackupId)
+      .filter(origin => origin && origin !== backupId));
+    
+    for (const origin of origins) {
+      try {
+        const originReply = await this.sendRequest({ type: 'restore_request', backupId: origin });
+        await addObjects(origin, originReply);
+      } catch (error) {
+        console.warn(`Could not list objects of parent snapshot ${origin}:`, error.message);
+      }
+    }
+    
+    return objects;
+  }
+  
+  // Owner side: the Merkle root a peer's chunks must prove inclusion in, or
+  // null for backups uploaded before roots were signed. The root must carry
+  // our own signature, and match the one we recorded for this peer if any.
+  async checkMerkleRoot(backupId, reply) {
+    const recorded = this.database
+      ? await this.database.getMerkleRoot(backupId, await this.connection.waitForPeerIdentity())
+      : null;
+    
+    if (!reply.merkle) {
+      if (recorded) {
+        throw new Error(`Peer did not return the signed Merkle root of ${backupId}`);
+      }
+      return null;
+    }
+    
+    const shardIndex = reply.shard ? reply.shard.index : null;
+    if ((reply.merkle.shardIndex ?? null) !== shardIndex || !this.crypto.verifyMerkleRoot(backupId, reply.merkle)) {
+      throw new Error(`Merkle root of ${backupId} is not signed by us`);
+    }
+    if (recorded && recorded.root !== reply.merkle.root) {
+      throw new Error(`Merkle root of ${backupId} differs from the one we recorded`);
+    }
+    
+    return reply.merkle.root;
+  }
+  
+  // Owner side: find which shard every reachable peer holds
+  async collectShards(backupId, metadata, reply, objects, shardSources) {
+    const { k, n } = metadata.erasure;
+    const shards = [];
+    
+    if (reply.shard) {
+      shards.push({ manager: this, index: reply.shard.index, objects });
+    }
+    
+    for (const manager of shardSources) {
+      try {
+        const sourceReply = await manager.sendRequest({ type: 'restore_request', backupId });
+        if (!sourceReply.shard || shards.some(shard => shard.index === sourceReply.shard.index)) {
+          continue;
+        }
+        shards.push({
+          manager,
+          index: sourceReply.shard.index,
+          objects: await manager.listObjects(backupId, metadata, sourceReply)
+        });
+      } catch (error) {
+        console.warn(`Shard peer could not serve ${backupId}:`, error.message);
+      }
+    }
+    
+    if (shards.length < k) {
+      throw new Error(`Only ${shards.length} of ${n} shards reachable - ${k} are needed to rebuild this backup`);
+    }
+    
+    // Data shards first: rebuilding from them needs no decoding
+    return shards.sort((a, b) => a.index - b.index);
+  }
+  
+  // Owner side: pull the shards of some chunks from k peers and rebuild the
+  // sealed chunks; a peer that fails is replaced by the next one holding a shard
+  async fetchErasureChunks(backupId, file, shards, erasure, chunkIndices, writeChunk) {
+    const coder = new ErasureCoder(erasure.k, erasure.n);
+    const sources = shards.filter(shard => shard.objects.has(file.objectId));
+    const batchSize = 32;
+    
+    for (let start = 0; start < chunkIndices.length; start += batchSize) {
+      const batch = chunkIndices.slice(start, start + batchSize);
+      const pieces = new Map(batch.map(chunkIndex => [chunkIndex, new Map()]));
+      
+      const fetchShard = (source) => source.manager.fetchChunks(
+        backupId, source.objects.get(file.objectId), batch,
+        async (chunkIndex, piece) => pieces.get(chunkIndex).set(source.index, piece)
+      ).then(() => true, (error) => {
+        console.warn(`Shard ${source.index} of ${file.name} unavailable: ${error.message}`);
+        sources.splice(sources.indexOf(source), 1);
+        return false;
+      });
+      
+      const queue = sources.slice();
+      let complete = (await Promise.all(queue.splice(0, coder.k).map(fetchShard))).filter(Boolean).length;
+      while (complete < coder.k && queue.length > 0) {
+        if (await fetchShard(queue.shift())) complete++;
+      }
+      
+      if (complete < coder.k) {
+        throw new Error(`Not enough shards of ${file.name} to rebuild it`);
+      }
+      
+      for (const chunkIndex of batch) {
+        const chunk = file.chunks[chunkIndex];
+        const sealedLength = (chunk.codec ? chunk.compressedSize : chunk.size) + BackupCrypto.SEAL_OVERHEAD;
+        await writeChunk(chunkIndex, coder.decode(pieces.get(chunkIndex), sealedLength));
+      }
+    }
+  }
+  
+  // Owner side: pull one object, resuming from chunks recorded as completed.
+  // fetchSealed(chunkIndices, writeChunk) replaces the single-peer fetch.
+  async restoreObject(backupId, file, object, targetPath, onChunk, fetchSealed = null) {
+    const partPath = `${targetPath}.bprestore`;
+    const stateKey = `restore:${object.objectId}`;
+    
+    // Content-defined chunks are listed with their plaintext sizes in the
+    // sealed manifest; older backups used fixed-size, per-backup sealed chunks
+    const contentDefined = Array.isArray(file.chunks);
+    const layout = contentDefined
+      ? file.chunks
+      : object.storedChunks.map(chunk => ({ size: chunk.size - BackupCrypto.SEAL_OVERHEAD }));
+    
+    if (layout.length !== object.storedChunks.length) {
+      throw new Error('Hosted object does not match the backup manifest');
+    }
+    
+    const contentKey = contentDefined ? null : this.crypto.deriveBackupKey(backupId);
+    const openChunk = (chunkIndex, sealedChunk) => contentDefined
+      ? this.crypto.openChunk(sealedChunk, layout[chunkIndex].id, layout[chunkIndex].codec || null)
+      : this.crypto.openForOwner(sealedChunk, contentKey, `${object.objectId}:${chunkIndex}`);
+    
+    // Plaintext offset of every chunk in the restored file. Chunks of a
+    // sparse file carry their offset; the gaps between them are never
+    // written, so they come back as holes.
+    const offsets = [];
+    let offset = 0;
+    layout.forEach((chunk, index) => {
+      offsets[index] = chunk.offset ?? offset;
+      offset = offsets[index] + chunk.size;
+    });
+    const sparse = layout.some(chunk => chunk.offset !== undefined);
+    
+    // Chunks written by an earlier, interrupted run can be skipped
+    const done = new Set();
+    if (this.database && await fs.pathExists(partPath)) {
+      const completed = await this.database.getCompletedChunks(stateKey);
+      completed.forEach(chunk => done.add(chunk.chunk_index));
+      if (done.size > 0) {
+        console.log(`Resuming ${file.name}: ${done.size}/${object.storedChunks.length} chunks already restored`);
+      }
+    } else if (this.database) {
+      await this.database.clearChunkStates(stateKey);
+    }
+    
+    await fs.ensureDir(path.dirname(targetPath));
+    const fd = await fs.open(partPath, done.size > 0 ? 'r+' : 'w');
+    
+    try {
+      const missing = object.storedChunks
+        .map(chunk => chunk.index)
+        .filter(index => !done.has(index));
+      
+      if (missing.length > 0) {
+        const fetch = fetchSealed || ((indices, writeChunk) => this.fetchChunks(backupId, object, indices, writeChunk));
+        await fetch(missing, async (chunkIndex, sealedChunk) => {
+          const plaintext = openChunk(chunkIndex, sealedChunk);
+          if (plaintext.length !== layout[chunkIndex].size) {
+            throw new Error(`Chunk ${chunkIndex} has an unexpected size`);
+          }
+          await fs.write(fd, plaintext, 0, plaintext.length, offsets[chunkIndex]);
+          
+          if (this.database) {
+            await this.database.saveTransferChunkState(
+              stateKey, chunkIndex, BackupCrypto.hashData(sealedChunk), sealedChunk.length, 'completed'
+            );
+          }
+          onChunk(plaintext.length);
+        });
+      }
+      
+      // A trailing hole is restored by the length alone
+      await fs.ftruncate(fd, sparse ? file.size : offset);
+    } finally {
+      await fs.close(fd);
+    }
+    
+    // Verify against the plaintext hash from the sealed manifest
+    const actualHash = await BackupCrypto.hashFile(partPath);
+    if (file.hash && actualHash !== file.hash) {
+      await fs.remove(partPath);
+      if (this.database) {
+        await this.database.clearChunkStates(stateKey);
+      }
+      throw new Error('File integrity verification failed');
+    }
+    
+    await fs.move(partPath, targetPath, { overwrite: true });
+    await FileMetadata.apply(targetPath, file);
+    
+    if (this.database) {
+      await this.database.clearChunkStates(stateKey);
+    }
+  }
+  
+  // Owner side: restore a small file packed with others (see FilePack); its
+  // content is a slice of one pack chunk. Members of a pack follow each
+  // other in the manifest, so the last opened pack chunk is kept in packCache.
+  async restorePackedFile(backupId, file, targetPath, fetchPackChunk, packCache) {
+    const entry = file.chunks[0];
+    const key = `${backupId}:${file.objectId}:${file.pack.chunk}`;
+    
+    if (packCache.key !== key) {
+      let sealedChunk = null;
+      await fetchPackChunk([file.pack.chunk], async (chunkIndex, data) => {
+        sealedChunk = data;
+      });
+      packCache.data = this.crypto.openChunk(sealedChunk, entry.id, entry.codec || null);
+      packCache.key = key;
+    }
+    
+    const data = packCache.data.subarray(file.pack.offset, file.pack.offset + file.size);
+    if (data.length !== file.size || (file.hash && BackupCrypto.hashData(data) !== file.hash)) {
+      throw new Error('File integrity verification failed');
+    }
+    
+    // Written beside the target and moved over it, so an existing symlink
+    // is replaced rather than written through
+    const partPath = `${targetPath}.bprestore`;
+    await fs.ensureDir(path.dirname(targetPath));
+    await fs.writeFile(partPath, data);
+    await fs.move(partPath, targetPath, { overwrite: true });
+    await FileMetadata.apply(targetPath, file);
+  }
+  
+  // Owner side: fetch chunks and hand each verified one to writeChunk.
+  // Under a download cap the chunks are requested in batches, each waiting
+  // for its bytes to fit the cap first.
+  async fetchChunks(backupId, object, chunkIndices, writeChunk) {
+    const throttle = this.connection.throttle;
+    if (!throttle) {
+      return this.requestChunks(backupId, object, chunkIndices, writeChunk);
+    }
+    
+    for (let i = 0; i < chunkIndices.length; i += THROTTLED_FETCH_BATCH) {
+      const batch = chunkIndices.slice(i, i + THROTTLED_FETCH_BATCH);
+      const bytes = batch.reduce((sum, index) => sum + ((object.storedChunks[index] || {}).size || 0), 0);
+      await throttle.consume('download', bytes);
+      await this.requestChunks(backupId, object, batch, writeChunk);
+    }
+  }
+  
+  // Ask the host for chunks in one restore_fetch
+  requestChunks(backupId, object, chunkIndices, writeChunk) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.createRequestId();
+      const expected = new Set(chunkIndices);
+      let writes = Promise.resolve();
+      let timer = null;
+      let settled = false;
+      
+      const finish = (error) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        this.activeObjects.delete(object.objectId);
+        writes.then(() => {
+          if (error) {
+            reject(error);
+          } else if (expected.size > 0) {
+            reject(new Error(`Peer finished without sending ${expected.size} chunks`));
+          } else {
+            resolve();
+          }
+        }, reject);
+      };
+      
+      const touch = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => finish(new Error('Restore timed out waiting for peer')), this.requestTimeout);
+      };
+      
+      this.activeObjects.set(object.objectId, {
+        requestId,
+        onChunk: (chunkIndex, sealedChunk, chunkHash, proof) => {
+          touch();
+          const stored = object.storedChunks[chunkIndex];
+          if (!expected.has(chunkIndex) || !stored) return;
+          
+          if (BackupCrypto.hashData(sealedChunk) !== chunkHash || chunkHash !== stored.hash) {
+            finish(new Error(`Chunk ${chunkIndex} integrity check failed`));
+            return;
+          }
+          
+          // The host's own chunk list proves nothing; the signed root does
+          if (object.merkleRoot &&
+              !MerkleTree.verifyProof(object.merkleRoot, object.objectId, chunkIndex, chunkHash, proof)) {
+            finish(new Error(`Chunk ${chunkIndex} is not covered by the backup's signed Merkle root`));
+            return;
+          }
+          
+          expected.delete(chunkIndex);
+          writes = writes.then(() => writeChunk(chunkIndex, sealedChunk));
+          writes.catch(finish);
+        },
+        onComplete: () => finish(),
+        onError: (error) => finish(new Error(error))
+      });
+      
+      touch();
+      this.connection.send({
+        type: 'restore_fetch',
+        requestId,
+        backupId,
+        objectId: object.objectId,
+        chunks: chunkIndices
+      });
+    });
+  }
+  
+  handleRestoreChunk(message, peerId) {
+    const state = this.activeObjects.get(message.objectId);
+    if (!state || state.requestId !== message.requestId) return;
+    
+    try {
+      const { encryptedData } = message;
+      const sealedChunk = this.crypto.decrypt(
+        Buffer.isBuffer(encryptedData) ? encryptedData : Buffer.from(encryptedData, 'base64'),
+        peerId
+      );
+      state.onChunk(message.chunkIndex, sealedChunk, message.chunkHash, message.proof);
+    } catch (error) {
+      state.onError(`Chunk ${message.chunkIndex} could not be decrypted: ${error.message}`);
+    }
+  }
+  
+  handleRestoreObjectComplete(message) {
+    const state = this.activeObjects.get(message.objectId);
+    if (state && state.requestId === message.requestId) {
+      state.onComplete();
+    }
+  }
+  
+  handleRestoreError(message) {
+    if (this.pendingRequests.has(message.requestId)) {
+      this.rejectRequest(message.requestId, new Error(message.error));
+      return;
+    }
+    
+    const state = message.objectId && this.activeObjects.get(message.objectId);
+    if (state && state.requestId === message.requestId) {
+      state.onError(message.error);
+    }
+  }
+  
+  // Send a request and wait for the matching reply
+  sendRequest(message) {
+    return new Promise((resolve, reject) => {
+      const requestId = this.createRequestId();
+      const timer = setTimeout(() => {
+        this.rejectRequest(requestId, new Error(`Timed out waiting for ${message.type} reply`));
+      }, this.requestTimeout);
+      
+      this.pendingRequests.set(requestId, { resolve, reject, timer });
+      
+      if (!this.connection.send({ ...message, requestId })) {
+        this.rejectRequest(requestId, new Error(`Failed to send ${message.type}`));
+      }
+    });
+  }
+  
+  resolveRequest(requestId, reply) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+    pending.resolve(reply);
+  }
+  
+  rejectRequest(requestId, error) {
+    const pending = this.pendingRequests.get(requestId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingRequests.delete(requestId);
+    pending.reject(error);
+  }
+  
+  createRequestId() {
+    return `restore-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  }
+}
+
+module.exports = RestoreManager;
@@ -0,0 +1,321 @@
+const BackupCrypto = require('./crypto');
+const SnapshotManager = require('./snapshot');
+
+const DURATION_UNITS = {
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+  m: 30 * 24 * 60 * 60 * 1000,
+  y: 365 * 24 * 60 * 60 * 1000
+};
+
+const POLICY_RULES = ['keepLast', 'keepDaily', 'keepWeekly', 'keepMonthly', 'keepWithin'];
+
+// GFS-style retention for snapshots we sent. A policy combines
+// { keepLast, keepDaily, keepWeekly, keepMonthly, keepWithin }; a snapshot
+// survives if any rule keeps it, and the newest snapshot is always kept.
+// Pruning asks the hosting peer to release objects no kept snapshot uses.
+class RetentionManager {
+  constructor(database, storage = null, allocation = null) {
+    this.database = database;
+    this.storage = storage;
+    this.allocation = allocation;
+  }
+  
+  // Parse durations such as 12h, 30d, 6w, 3m or 1y into milliseconds
+  static parseDuration(value) {
+    const match = /^(\d+)([hdwmy])$/.exec(String(value).trim());
+    if (!match) {
+      throw new Error(`Invalid duration "${value}" - use e.g. 12h, 30d, 6w, 3m or 1y`);
+    }
+    return parseInt(match[1], 10) * DURATION_UNITS[match[2]];
+  }
+  
+  static isEmptyPolicy(policy) {
+    return !policy || !POLICY_RULES.some(rule => policy[rule]);
+  }
+  
+  // Describe a policy for display
+  static describePolicy(policy) {
+    if (RetentionManager.isEmptyPolicy(policy)) {
+      return 'keep everything';
+    }
+    
+    const parts = [];
+    if (policy.keepLast) parts.push(`last ${policy.keepLast}`);
+    if (policy.keepDaily) parts.push(`${policy.keepDaily} daily`);
+    if (policy.keepWeekly) parts.push(`${policy.keepWeekly} weekly`);
+    if (policy.keepMonthly) parts.push(`${policy.keepMonthly} monthly`);
+    if (policy.keepWithin) parts.push(`all within ${policy.keepWithin}`);
+    return parts.join(', ');
+  }
+  
+  // Calendar bucket of a timestamp (local time)
+  static bucketKey(timestamp, period) {
+    const date = new Date(timestamp);
+    
+    if (period === 'daily') {
+      return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    }
+    
+    if (period === 'monthly') {
+      return `${date.getFullYear()}-${date.getMonth() + 1}`;
+    }
+    
+    // ISO 8601 week
+    const day = new Date(Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()));
+    const weekday = day.getUTCDay() || 7;
+    day.setUTCDate(day.getUTCDate() + 4 - weekday);
+    const yearStart = new Date(Date.UTC(day.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((day - yearStart) / 86400000 + 1) / 7);
+    return `${day.getUTCFullYear()}-W${week}`;
+  }
+  
+  // Split snapshots into kept (with the rules that keep them) and pruned
+  static applyPolicy(snapshots, policy, now = Date.now()) {
+    const sorted = [...snapshots].sort((a, b) => b.timestamp - a.timestamp);
+    const reasons = new Map(sorted.map(snapshot => [snapshot.id, []]));
+    
+    if (RetentionManager.isEmptyPolicy(policy)) {
+      return {
+        keep: sorted.map(snapshot => ({ snapshot, reasons: ['no policy'] })),
+        prune: []
+      };
+    }
+    
+    if (policy.keepLast) {
+      sorted.slice(0, policy.keepLast).forEach(snapshot => reasons.get(snapshot.id).push('last'));
+    }
+    
+    // Newest snapshot in each of the most recent N days/weeks/months
+    const calendarRules = [['keepDaily', 'daily'], ['keepWeekly', 'weekly'], ['keepMonthly', 'monthly']];
+    for (const [rule, period] of calendarRules) {
+      const count = policy[rule];
+      if (!count) continue;
+      
+      const buckets = new Set();
+      for (const snapshot of sorted) {
+        const key = RetentionManager.bucketKey(snapshot.timestamp, period);
+        if (buckets.has(key)) continue;
+        if (buckets.size >= count) break;
+        
+        buckets.add(key);
+        reasons.get(snapshot.id).push(period);
+      }
+    }
+    
+    if (policy.keepWithin) {
+      const cutoff = now - RetentionManager.parseDuration(policy.keepWithin);
+      sorted
+        .filter(snapshot => snapshot.timestamp >= cutoff)
+        .forEach(snapshot => reasons.get(snapshot.id).push('within'));
+    }
+    
+    if (sorted.length > 0 && reasons.get(sorted[0].id).length === 0) {
+      reasons.get(sorted[0].id).push('latest');
+    }
+    
+    return {
+      keep: sorted
+        .filter(snapshot => reasons.get(snapshot.id).length > 0)
+        .map(snapshot => ({ snapshot, reasons: reasons.get(snapshot.id) })),
+      prune: sorted.filter(snapshot => reasons.get(snapshot.id).length === 0)
+    };
+  }
+  
+  // Bytes a stored object takes on the peer (content plus per-chunk sealing)
+  static storedSize(file) {
+    if (file.pack) {
+      return file.size; // its share of the pack object
+    }
+    if (Array.isArray(file.chunks) && file.chunks.length > 0) {
+      return file.chunks.reduce((sum, chunk) =>
+        sum + (chunk.codec ? chunk.compressedSize : chunk.size) + BackupCrypto.SEAL_OVERHEAD, 0);
+    }
+    
+    const chunkCount = Array.isArray(file.chunks) ? file.chunks.length : (file.chunks || 1);
+    return (file.size || 0) + chunkCount * BackupCrypto.SEAL_OVERHEAD;
+  }
+  
+  // Work out what each source's policy would prune. Policies apply to each
+  // hosting peer's chain separately, so one peer never loses every snapshot.
+  async planPrune(config, options = {}) {
+    const { source: onlySource = null, policy: override = null } = options;
+    const chains = await new SnapshotManager(this.database).getSnapshotChains(onlySource);
+    const plans = [];
+    
+    for (const [source, snapshots] of chains) {
+      const policy = override || config.getRetentionPolicy(source);
+      if (RetentionManager.isEmptyPolicy(policy)) continue;
+      
+      const byPeer = new Map();
+      for (const snapshot of snapshots) {
+        if (!byPeer.has(snapshot.peer_id)) {
+          byPeer.set(snapshot.peer_id, []);
+        }
+        byPeer.get(snapshot.peer_id).push(snapshot);
+      }
+      
+      for (const [peerId, peerSnapshots] of byPeer) {
+        const { keep, prune } = RetentionManager.applyPolicy(peerSnapshots, policy);
+        plans.push({ source, peerId, policy, keep, prune });
+      }
+    }
+    
+    return plans;
+  }
+  
+  // Objects left unreferenced once the given snapshots are gone, grouped by
+  // the snapshot that uploaded them
+  async computeReleases(pruned) {
+    const prunedIds = new Set(pruned.map(snapshot => snapshot.id));
+    const releases = new Map(); // origin backupId -> Map<objectId, storedSize>
+    
+    const releaseFor = (origin) => {
+      if (!releases.has(origin)) {
+        releases.set(origin, new Map());
+      }
+      return releases.get(origin);
+    };
+    
+    const counted = new Set(); // packed files add up to their pack's size
+    for (const snapshot of pruned) {
+      releaseFor(snapshot.id); // the manifest goes even if its objects stay
+      
+      for (const file of await this.database.getBackupFiles(snapshot.id)) {
+        if (!file.objectId || file.transferStatus !== 'completed') continue;
+        
+        const objects = releaseFor(file.originBackupId || snapshot.id);
+        if (!file.pack) {
+          objects.set(file.objectId, RetentionManager.storedSize(file));
+        } else if (!counted.has(`${file.objectId}:${file.path}`)) {
+          counted.add(`${file.objectId}:${file.path}`);
+          objects.set(file.objectId, (objects.get(file.objectId) || 0) + RetentionManager.storedSize(file));
+        }
+      }
+    }
+    
+    const result = [];
+    for (const [origin, objects] of releases) {
+      for (const reference of await this.database.getObjectReferences(origin)) {
+        if (!prunedIds.has(reference.backup_id)) {
+          objects.delete(reference.object_id);
+        }
+      }
+      
+      // A kept snapshot's manifest must stay on the peer
+      const dropManifest = prunedIds.has(origin) || !(await this.database.getBackup(origin));
+      if (objects.size === 0 && !dropManifest) continue;
+      
+      result.push({
+        backupId: origin,
+        objectIds: Array.from(objects.keys()),
+        bytes: Array.from(objects.values()).reduce((sum, size) => sum + size, 0),
+        dropManifest
+      });
+    }
+    
+    return result;
+  }
+  
+  // Release pruned snapshots on their hosting peers, then forget them locally.
+  // connectToHost(hostPeerId) must resolve to a connected P2PConnection.
+  async prune(plans, connectToHost) {
+    const results = { pruned: [], failed: [], releasedBytes: 0 };
+    
+    // Group by hosting peer so each peer is contacted once; every peer
+    // holding a shard of an erasure-coded snapshot has to release it
+    const byHost = new Map(); // hostPeerId -> { peerId, snapshots }
+    const failedIds = new Set();
+    
+    for (const plan of plans) {
+      for (const snapshot of plan.prune) {
+        for (const host of await this.getHosts(snapshot)) {
+          if (!byHost.has(host.hostPeerId)) {
+            byHost.set(host.hostPeerId, { peerId: host.peerId, snapshots: [] });
+          }
+          byHost.get(host.hostPeerId).snapshots.push(snapshot);
+        }
+      }
+    }
+    
+    for (const [hostPeerId, { peerId, snapshots }] of byHost) {
+      if (!hostPeerId) {
+        snapshots.forEach(snapshot => {
+          failedIds.add(snapshot.id);
+          results.failed.push({ id: snapshot.id, error: 'Unknown hosting peer' });
+        });
+        continue;
+      }
+      
+      let connection = null;
+      try {
+        const releases = await this.computeReleases(snapshots);
+        connection = await connectToHost(hostPeerId);
+        
+        for (const release of releases) {
+          const ack = await connection.releaseBackup(release.backupId, release.objectIds, {
+            dropManifest: release.dropManifest
+          });
+          const releasedBytes = typeof ack.releasedBytes === 'number' ? ack.releasedBytes : release.bytes;
+          results.releasedBytes += releasedBytes;
+          
+          if (this.allocation && releasedBytes > 0) {
+            await this.allocation.releaseAllocation(peerId, releasedBytes, false, release.backupId);
+          }
+          await this.database.deleteChallengeTokens(release.backupId, peerId, release.objectIds);
+        }
+      } catch (error) {
+        console.error(`Pruning on ${hostPeerId} failed:`, error.message);
+        snapshots.forEach(snapshot => {
+          failedIds.add(snapshot.id);
+          results.failed.push({ id: snapshot.id, error: error.message });
+        });
+      } finally {
+        if (connection) {
+          await connection.close();
+        }
+      }
+    }
+    
+    // Only forget snapshots every hosting peer has released
+    const released = new Set();
+    for (const { snapshots } of byHost.values()) {
+      for (const snapshot of snapshots) {
+        if (failedIds.has(snapshot.id) || released.has(snapshot.id)) continue;
+        released.add(snapshot.id);
+        await this.forgetSnapshot(snapshot);
+        results.pruned.push(snapshot.id);
+      }
+    }
+    
+    return results;
+  }
+  
+  // Peers holding a snapshot: its shard peers if erasure coded, else the
+  // single hosting peer
+  async getHosts(snapshot) {
+    const placements = await this.database.getShardPlacements(snapshot.id);
+    if (placements.length > 0) {
+      return placements
+        .filter(placement => placement.status !== 'failed')
+        .map(placement => ({ hostPeerId: placement.host_peer_id, peerId: placement.peer_id }));
+    }
+    
+    const backup = await this.database.getBackup(snapshot.id);
+    const record = this.storage && this.storage.getBackup(snapshot.id);
+    const hostPeerId = (backup && backup.hostPeerId) || (record && record.hostPeerId) || null;
+    return [{ hostPeerId, peerId: snapshot.peer_id }];
+  }
+  
+  // Remove a pruned snapshot from the database and local backup records
+  async forgetSnapshot(snapshot) {
+    await this.database.deleteBackup(snapshot.id);
+    
+    if (this.storage && this.storage.getBackup(snapshot.id)) {
+      await this.storage.deleteBackup(snapshot.id);
+    }
+  }
+}
+
+module.exports = RetentionManager;
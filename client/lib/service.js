@@ -5,10 +5,20 @@ const { EventEmitter } = require('events');
 const fs = require('fs-extra');
 const path = require('path');
 const net = require('net');
+const cron = require('node-cron');
 const BackupCrypto = require('./crypto');
 const StorageManager = require('./storage');
 const Database = require('./database');
 const P2PConnection = require('./p2p');
+const StorageAllocation = require('./allocation');
+const RetentionManager = require('./retention');
+const RepairManager = require('./repair');
+const BackupCatalog = require('./catalog');
+const ReputationSystem = require('./reputation');
+const Config = require('./config');
+const BandwidthThrottle = require('./throttle');
+
+const WORKER_UPLOADS = false; // set once backup-worker.js uploads to a peer instead of simulating it
 
 class BackupPeerService extends EventEmitter {
   constructor() {
@@ -28,6 +38,13 @@ class BackupPeerService extends EventEmitter {
     this.crypto = null;
     this.storage = null;
     this.database = null;
+    this.config = null;
+    this.throttle = null; // bandwidth caps shared by every peer connection
+    this.retention = null;
+    this.pruneJob = null;
+    this.repair = null;
+    this.repairJob = null;
+    this.catalogJob = null;
   }
 
   async initialize() {
@@ -38,15 +55,45 @@ class BackupPeerService extends EventEmitter {
       throw new Error('BackupPeer service is already running');
     }
     
-    // Initialize components
+    // Initialize components. An encrypted keystore is unlocked once here;
+    // the keys then stay in secure memory for the life of the service.
+    const { passphrase, databasePassphrase } = await this.readPassphrases();
     this.crypto = new BackupCrypto();
-    await this.crypto.initializeKeys();
+    try {
+      await this.crypto.initializeKeys(undefined, { passphrase });
+    } finally {
+      if (passphrase) {
+        passphrase.fill(0);
+      }
+    }
     
     this.storage = new StorageManager();
     await this.storage.initialize();
     
-    this.database = new Database();
-    await this.database.initialize();
+    this.database = new Database(undefined, { passphrase: databasePassphrase });
+    try {
+      await this.database.initialize();
+    } finally {
+      if (databasePassphrase) {
+        databasePassphrase.fill(0);
+      }
+    }
+    
+    this.config = await new Config().load();
+    this.throttle = await BandwidthThrottle.load(this.config);
+    
+    const allocation = new StorageAllocation();
+    await allocation.initialize();
+    this.retention = new RetentionManager(this.database, this.storage, allocation);
+    
+    const reputation = new ReputationSystem();
+    await reputation.initialize();
+    const repairOptions = this.config.get('repair', {});
+    this.repair = new RepairManager(this.database, this.storage, reputation, {
+      allocation,
+      maxFailedChallenges: repairOptions.maxFailedChallenges,
+      offlineGracePeriod: repairOptions.offlineGraceHours ? repairOptions.offlineGraceHours * 60 * 60 * 1000 : undefined
+    });
     
     // Write PID file
     await fs.writeFile(this.pidFile, process.pid.toString());
@@ -60,9 +107,53 @@ class BackupPeerService extends EventEmitter {
     // Restore interrupted backups
     await this.restoreInterruptedBackups();
     
+    // Apply retention policies on a schedule
+    this.startScheduledPrune();
+    
+    // Re-replicate data held by failing peers on a schedule
+    this.startScheduledRepair();
+    
+    // Escrow the encrypted backup catalog with the hosting peers on a schedule
+    this.startScheduledCatalogPush();
+    
     this.log('BackupPeer service initialized');
   }
 
+  // Passphrases piped in by "backup-peer service start", which asks for
+  // them on the terminal the detached service does not have: a line for the
+  // keystore (--passphrase-stdin), then one for the database key
+  // (--db-passphrase-stdin)
+  readPassphrases() {
+    const names = [['--passphrase-stdin', 'passphrase'], ['--db-passphrase-stdin', 'databasePassphrase']]
+      .filter(([flag]) => process.argv.includes(flag))
+      .map(([, name]) => name);
+    if (names.length === 0) {
+      return Promise.resolve({});
+    }
+    
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      process.stdin.on('data', chunk => chunks.push(chunk));
+      process.stdin.on('error', reject);
+      process.stdin.on('end', () => {
+        const data = Buffer.concat(chunks);
+        chunks.forEach(chunk => chunk.fill(0));
+        
+        const passphrases = {};
+        let start = 0;
+        for (const name of names) {
+          let end = data.indexOf(0x0a, start);
+          const next = end === -1 ? data.length : end + 1;
+          if (end === -1) end = data.length;
+          while (end > start && data[end - 1] === 0x0d) end--;
+          passphrases[name] = end > start ? data.subarray(start, end) : null;
+          start = next;
+        }
+        resolve(passphrases);
+      });
+    });
+  }
+
   async isRunning() {
     try {
       if (await fs.pathExists(this.pidFile)) {
@@ -117,11 +208,14 @@ class BackupPeerService extends EventEmitter {
       
       for (const message of messages) {
         if (message.trim()) {
+          // Replies carry the command id so the client can match them up
+          const reply = { socket: client, id: null };
           try {
             const command = JSON.parse(message);
-            await this.handleCommand(command, client);
+            reply.id = command.id === undefined ? null : command.id;
+            await this.handleCommand(command, reply);
           } catch (error) {
-            this.sendIPCResponse(client, {
+            this.sendIPCResponse(reply, {
               error: error.message,
               command: message
             });
@@ -167,6 +261,18 @@ class BackupPeerService extends EventEmitter {
         await this.getServiceStatus(client);
         break;
         
+      case 'prune':
+        await this.handlePruneCommand(data || {}, client);
+        break;
+        
+      case 'repair':
+        await this.handleRepairCommand(data || {}, client);
+        break;
+        
+      case 'set_bandwidth':
+        await this.setBandwidth(data || {}, client);
+        break;
+        
       case 'shutdown':
         await this.shutdown(client);
         break;
@@ -179,6 +285,16 @@ class BackupPeerService extends EventEmitter {
   }
 
   async startBackup(backupData, client) {
+    // The backup worker only simulates the upload: the P2P connections live
+    // in this thread and it sends nothing to a peer. Refuse the backup
+    // rather than report one no peer holds.
+    if (!WORKER_UPLOADS) {
+      this.sendIPCResponse(client, {
+        error: 'The service cannot send backups yet - run "backup-peer backup" without --daemon'
+      });
+      return;
+    }
+    
     const backupId = `backup-${Date.now()}-${Math.random().toString(36).slice(2)}`;
     
     try {
@@ -204,14 +320,23 @@ class BackupPeerService extends EventEmitter {
         this.connections.set(backupData.peerId, connection);
       }
       
-      // Create worker for backup processing
+      // Create worker for backup processing. It gets a copy of the unlocked
+      // keys and database key, as it cannot ask for the passphrases itself.
+      const secrets = this.crypto.exportSecrets();
+      const databaseKey = this.database.encryption.exportKey();
       const worker = new Worker(path.join(__dirname, 'backup-worker.js'), {
         workerData: {
           backupId,
           backupData,
-          configDir: this.configDir
+          configDir: this.configDir,
+          secrets,
+          databaseKey
         }
       });
+      secrets.fill(0);
+      if (databaseKey) {
+        databaseKey.fill(0);
+      }
       
       backupState.worker = worker;
       
@@ -253,7 +378,8 @@ class BackupPeerService extends EventEmitter {
       signalingUrl: backupData.signalingUrl || 'wss://backup01.wiuf.net',
       requirements: {
         storage: backupData.storageSize || 10 * 1024 * 1024 * 1024
-      }
+      },
+      throttle: this.throttle
     });
     
     await connection.connect();
@@ -282,6 +408,9 @@ class BackupPeerService extends EventEmitter {
       case 'backup_complete':
         backupState.status = 'completed';
         backupState.endTime = Date.now();
+        backupState.source = message.source;
+        backupState.parentId = message.parentId;
+        backupState.hooks = message.hooks || null;
         this.saveBackupRecord(backupId, backupState);
         this.emit('backup_complete', { backupId, ...message });
         break;
@@ -407,6 +536,197 @@ class BackupPeerService extends EventEmitter {
     });
   }
 
+  startScheduledPrune() {
+    const schedule = this.config.get('pruneSchedule', '30 3 * * *');
+    
+    if (!cron.validate(schedule)) {
+      this.log(`Invalid prune schedule "${schedule}", scheduled pruning disabled`, 'warn');
+      return;
+    }
+    
+    this.pruneJob = cron.schedule(schedule, async () => {
+      try {
+        await this.runPrune();
+      } catch (error) {
+        this.log(`Scheduled prune failed: ${error.message}`, 'error');
+      }
+    });
+    
+    this.log(`Scheduled retention pruning (${schedule})`);
+  }
+
+  // Apply retention policies and release pruned snapshots on their hosts
+  async runPrune(options = {}) {
+    await this.config.load();
+    
+    const plans = await this.retention.planPrune(this.config, { source: options.source || null });
+    const pruneCount = plans.reduce((sum, plan) => sum + plan.prune.length, 0);
+    
+    if (options.dryRun || pruneCount === 0) {
+      return { plans, pruned: [], failed: [], releasedBytes: 0 };
+    }
+    
+    this.log(`Pruning ${pruneCount} snapshots`);
+    
+    const results = await this.retention.prune(plans, async (hostPeerId) => {
+      const connection = new P2PConnection({
+        peerId: `service-prune-${Date.now()}`,
+        signalingUrl: this.config.get('signalingUrl', 'wss://backup01.wiuf.net'),
+        throttle: this.throttle
+      });
+      await connection.connectToPeer(hostPeerId);
+      await connection.waitForPeerIdentity();
+      return connection;
+    });
+    
+    this.log(`Pruned ${results.pruned.length} snapshots, released ${results.releasedBytes} bytes`);
+    results.failed.forEach(failure => {
+      this.log(`Failed to prune ${failure.id}: ${failure.error}`, 'error');
+    });
+    
+    return { plans, ...results };
+  }
+
+  async handlePruneCommand(data, client) {
+    try {
+      const result = await this.runPrune(data);
+      
+      this.sendIPCResponse(client, {
+        success: result.failed.length === 0,
+        plans: result.plans.map(plan => ({
+          source: plan.source,
+          peerId: plan.peerId,
+          policy: plan.policy,
+          keep: plan.keep.map(({ snapshot, reasons }) => ({ id: snapshot.id, timestamp: snapshot.timestamp, reasons })),
+          prune: plan.prune.map(snapshot => ({ id: snapshot.id, timestamp: snapshot.timestamp }))
+        })),
+        pruned: result.pruned,
+        failed: result.failed,
+        releasedBytes: result.releasedBytes
+      });
+    } catch (error) {
+      this.sendIPCResponse(client, {
+        error: error.message
+      });
+    }
+  }
+
+  startScheduledRepair() {
+    const schedule = this.config.get('repairSchedule', '0 */6 * * *');
+    
+    if (!cron.validate(schedule)) {
+      this.log(`Invalid repair schedule "${schedule}", automatic repair disabled`, 'warn');
+      return;
+    }
+    
+    this.repairJob = cron.schedule(schedule, async () => {
+      try {
+        await this.runRepair();
+      } catch (error) {
+        this.log(`Scheduled repair failed: ${error.message}`, 'error');
+      }
+    });
+    
+    this.log(`Scheduled repair checks (${schedule})`);
+  }
+
+  // Move data off peers that fail challenges, are blacklisted or stay offline
+  async runRepair(options = {}) {
+    await this.config.load();
+    await this.repair.reputation.loadReputation(); // challenges recorded since the last run
+    const signalingUrl = this.config.get('signalingUrl', 'wss://backup01.wiuf.net');
+    const serverUrl = signalingUrl.replace('wss://', 'https://').replace('ws://', 'http://');
+    
+    const results = await this.repair.runRepair({
+      dryRun: options.dryRun,
+      connectToHost: async (hostPeerId) => {
+        const connection = new P2PConnection({
+          peerId: `service-repair-${Date.now()}`,
+          signalingUrl,
+          throttle: this.throttle
+        });
+        await connection.connectToPeer(hostPeerId);
+        await connection.waitForPeerIdentity();
+        return connection;
+      },
+      findCandidates: () => RepairManager.findCandidates(serverUrl, this.database)
+    });
+    
+    results.affected.forEach(item => {
+      this.log(`${item.backupId}${item.shardIndex === null ? '' : ` shard ${item.shardIndex}`} on ${item.peerId}: ${item.reason}`, 'warn');
+    });
+    results.repaired.forEach(item => {
+      this.log(`Repaired ${item.backupId} onto ${item.replacementPeerId} (${item.status})`);
+    });
+    results.failed.forEach(item => {
+      this.log(`Could not repair ${item.backupId}: ${item.error || item.details}`, 'error');
+    });
+    
+    return results;
+  }
+
+  async handleRepairCommand(data, client) {
+    try {
+      const result = await this.runRepair(data);
+      const summarize = ({ backupId, shardIndex, peerId, reason, status, replacementPeerId, error, details }) =>
+        ({ backupId, shardIndex, peerId, reason, status, replacementPeerId, error: error || details });
+      
+      this.sendIPCResponse(client, {
+        success: result.failed.length === 0,
+        affected: result.affected.map(summarize),
+        repaired: result.repaired.map(summarize),
+        failed: result.failed.map(summarize)
+      });
+    } catch (error) {
+      this.sendIPCResponse(client, {
+        error: error.message
+      });
+    }
+  }
+
+  startScheduledCatalogPush() {
+    const schedule = this.config.get('catalogSchedule', '45 3 * * *');
+    
+    if (!cron.validate(schedule)) {
+      this.log(`Invalid catalog schedule "${schedule}", catalog escrow disabled`, 'warn');
+      return;
+    }
+    
+    this.catalogJob = cron.schedule(schedule, async () => {
+      try {
+        await this.runCatalogPush();
+      } catch (error) {
+        this.log(`Scheduled catalog push failed: ${error.message}`, 'error');
+      }
+    });
+    
+    this.log(`Scheduled catalog escrow (${schedule})`);
+  }
+
+  // Push the sealed backup catalog to every peer hosting our backups
+  async runCatalogPush() {
+    await this.config.load();
+    
+    const catalog = new BackupCatalog(this.database, this.storage, this.crypto);
+    const results = await catalog.push(async (hostPeerId) => {
+      const connection = new P2PConnection({
+        peerId: `service-catalog-${Date.now()}`,
+        signalingUrl: this.config.get('signalingUrl', 'wss://backup01.wiuf.net'),
+        throttle: this.throttle
+      });
+      await connection.connectToPeer(hostPeerId);
+      await connection.waitForPeerIdentity();
+      return connection;
+    });
+    
+    this.log(`Catalog pushed to ${results.pushed.length}/${results.hosts.length} hosting peers`);
+    results.failed.forEach(failure => {
+      this.log(`Failed to push catalog to ${failure.hostPeerId}: ${failure.error}`, 'error');
+    });
+    
+    return results;
+  }
+
   async getServiceStatus(client) {
     const uptime = process.uptime();
     const memoryUsage = process.memoryUsage();
@@ -420,10 +740,53 @@ class BackupPeerService extends EventEmitter {
         rss: Math.round(memoryUsage.rss / 1024 / 1024) + ' MB',
         heapUsed: Math.round(memoryUsage.heapUsed / 1024 / 1024) + ' MB'
       },
+      bandwidth: this.throttle.getStatus(),
       pid: process.pid
     });
   }
 
+  // Change the bandwidth caps of the running service. Plain upload/download
+  // values last until reset or restart; `save` also writes them to the config
+  // as the new defaults, `reset` drops the override and rereads the config.
+  async setBandwidth(data, client) {
+    try {
+      if (data.reset) {
+        await this.config.load();
+        this.throttle.configure(this.config.get('bandwidth', {}));
+        this.throttle.setOverride(null);
+      } else if (data.save) {
+        await this.config.load();
+        const settings = { ...this.config.get('bandwidth', {}) };
+        ['upload', 'download'].forEach(direction => {
+          if (data[direction] !== undefined) {
+            BandwidthThrottle.parseRate(data[direction]); // reject bad rates before saving
+            settings[direction] = data[direction];
+          }
+        });
+        this.throttle.configure(settings);
+        await this.config.set('bandwidth', settings);
+        this.throttle.setOverride(null);
+      } else {
+        const current = this.throttle.getLimits();
+        this.throttle.setOverride({
+          upload: data.upload !== undefined ? data.upload : current.upload,
+          download: data.download !== undefined ? data.download : current.download
+        });
+      }
+      
+      const status = this.throttle.getStatus();
+      this.log(`Bandwidth caps now upload ${BandwidthThrottle.formatRate(status.upload)}, download ${BandwidthThrottle.formatRate(status.download)} (${status.source})`);
+      this.sendIPCResponse(client, {
+        success: true,
+        bandwidth: status
+      });
+    } catch (error) {
+      this.sendIPCResponse(client, {
+        error: error.message
+      });
+    }
+  }
+
   async restoreInterruptedBackups() {
     try {
       const stateFile = path.join(this.configDir, 'backup-state.json');
@@ -485,6 +848,9 @@ class BackupPeerService extends EventEmitter {
         name: state.name,
         files: state.files,
         peerId: state.peerId,
+        source: state.source,
+        parentId: state.parentId,
+        hooks: state.hooks,
         startTime: state.startTime,
         endTime: state.endTime,
         bytesTransferred: state.bytesTransferred
@@ -496,7 +862,7 @@ class BackupPeerService extends EventEmitter {
 
   sendIPCResponse(client, data) {
     try {
-      client.write(JSON.stringify(data) + '\n');
+      client.socket.write(JSON.stringify({ id: client.id, ...data }) + '\n');
     } catch (error) {
       this.log(`Failed to send IPC response: ${error.message}`, 'error');
     }
@@ -530,6 +896,16 @@ class BackupPeerService extends EventEmitter {
       }
     }
     
+    if (this.pruneJob) {
+      this.pruneJob.stop();
+    }
+    if (this.repairJob) {
+      this.repairJob.stop();
+    }
+    if (this.catalogJob) {
+      this.catalogJob.stop();
+    }
+    
     // Close P2P connections
     for (const [peerId, connection] of this.connections) {
       await connection.close();
@@ -0,0 +1,216 @@
+const fs = require('fs-extra');
+const path = require('path');
+const FileMetadata = require('./file-metadata');
+
+// Incremental snapshot bookkeeping shared by the CLI and BackupWorker.
+// Every sent backup of a source is a snapshot with a full manifest in the
+// backups/backup_files tables; files unchanged since the parent snapshot
+// are not sent again and keep pointing at the object already on the peer.
+class SnapshotManager {
+  constructor(database, storage = null) {
+    this.database = database;
+    this.storage = storage; // StorageManager, for .backupignore-aware directory walks
+  }
+  
+  // Stable identifier for the set of paths a backup was run on
+  static getSourceId(paths) {
+    return paths
+      .map(p => path.resolve(p))
+      .sort()
+      .join(path.delimiter);
+  }
+  
+  // Source id of a backup from its manifest: each entry's relativePath
+  // starts with the name of the backed-up path it was found under
+  static getManifestSourceId(files) {
+    const roots = new Set();
+    for (const file of files) {
+      const relativePath = file.relativePath || file.name;
+      if (!file.path || !path.isAbsolute(file.path) || !file.path.endsWith(relativePath)) continue;
+      
+      const base = file.path.slice(0, file.path.length - relativePath.length);
+      roots.add(path.join(base, relativePath.split('/')[0]));
+    }
+    return roots.size > 0 ? SnapshotManager.getSourceId([...roots]) : null;
+  }
+  
+  // A file is unchanged if it was fully sent and its size and mtime match
+  static isUnchanged(previous, stats) {
+    return (previous.type || 'file') === 'file' &&
+      previous.transferStatus === 'completed' &&
+      previous.size === stats.size &&
+      !!previous.modified &&
+      new Date(previous.modified).getTime() === stats.mtime.getTime();
+  }
+  
+  // Expand source paths into { path, relativePath } entries. Directories
+  // (the source itself included) and symlinks are entries of their own.
+  async collectFiles(paths) {
+    const files = [];
+    
+    for (const sourcePath of paths) {
+      const resolved = path.resolve(sourcePath);
+      const stats = await fs.stat(resolved);
+      
+      if (stats.isDirectory()) {
+        const entries = this.storage
+          ? await this.storage.selectFilesForBackup(resolved)
+          : await SnapshotManager.walk(resolved);
+        
+        files.push({ path: resolved, relativePath: path.basename(resolved) });
+        for (const entry of entries) {
+          files.push({
+            path: entry.path,
+            relativePath: path.join(path.basename(resolved), entry.relativePath)
+          });
+        }
+      } else {
+        files.push({ path: resolved, relativePath: path.basename(resolved) });
+      }
+    }
+    
+    return files;
+  }
+  
+  // Plain recursive listing used when no StorageManager is available
+  static async walk(directory, relativePath = '') {
+    const files = [];
+    const entries = await fs.readdir(path.join(directory, relativePath), { withFileTypes: true });
+    
+    for (const entry of entries) {
+      const relPath = path.join(relativePath, entry.name);
+      if (entry.isDirectory()) {
+        files.push({ path: path.join(directory, relPath), relativePath: relPath });
+        files.push(...await SnapshotManager.walk(directory, relPath));
+      } else if (entry.isFile() || entry.isSymbolicLink()) {
+        files.push({ path: path.join(directory, relPath), relativePath: relPath });
+      }
+    }
+    
+    return files;
+  }
+  
+  // Split files into changed and unchanged against the latest snapshot of
+  // this source held by peerId
+  async planSnapshot(source, peerId, files) {
+    const parent = await this.database.getLatestSnapshot(source, peerId);
+    const previous = new Map();
+    
+    if (parent) {
+      for (const file of await this.database.getBackupFiles(parent.id)) {
+        previous.set(file.path, file);
+      }
+    }
+    
+    const changed = [];
+    const unchanged = [];
+    
+    for (const file of files) {
+      let current;
+      try {
+        current = await FileMetadata.capture(file.path);
+      } catch (error) {
+        console.warn(`Skipping ${file.path}: ${error.message}`);
+        continue;
+      }
+      
+      // Directories and links cost nothing to send again; files with
+      // several links are rescanned so their link group is rebuilt
+      const prev = previous.get(file.path);
+      if (prev && current.type === 'file' && current.stats.nlink === 1 &&
+          SnapshotManager.isUnchanged(prev, current.stats)) {
+        unchanged.push({
+          ...prev,
+          relativePath: file.relativePath,
+          attributes: current.attributes, // a chmod or chown leaves the mtime alone
+          originBackupId: prev.originBackupId || parent.id
+        });
+      } else {
+        changed.push(file);
+      }
+      previous.delete(file.path);
+    }
+    
+    return {
+      parentId: parent ? parent.id : null,
+      changed,
+      unchanged,
+      removed: Array.from(previous.keys())
+    };
+  }
+  
+  // Record a finished snapshot and its full file manifest
+  async recordSnapshot(snapshot) {
+    const files = snapshot.files || [];
+    
+    await this.database.saveBackup({
+      id: snapshot.id,
+      name: snapshot.name,
+      type: 'sent',
+      peerId: snapshot.peerId,
+      hostPeerId: snapshot.hostPeerId || null,
+      timestamp: snapshot.timestamp || Date.now(),
+      status: snapshot.status || 'active',
+      source: snapshot.source,
+      parentId: snapshot.parentId || null,
+      hooks: snapshot.hooks || null,
+      files: files.map(({ path: filePath, size }) => ({ path: filePath, size }))
+    });
+    
+    await this.database.saveBackupFiles(snapshot.id, files);
+  }
+  
+  // Find the snapshot to restore from a snapshot id or a point in time; a
+  // point in time picks the newest snapshot taken at or before it, and a
+  // date without a time means the end of that day. source (a source id)
+  // narrows the search when several sources are backed up.
+  async resolveSnapshot(selector, source = null) {
+    const snapshots = await this.database.listSnapshots(source);
+    const byId = snapshots.find(snapshot => snapshot.id === selector);
+    if (byId) return byId;
+    
+    const time = SnapshotManager.parseTime(selector);
+    if (time === null) {
+      throw new Error(`No snapshot ${selector} - give a snapshot id or a date such as 2026-10-01 or "2026-10-01 14:30"`);
+    }
+    
+    const candidates = snapshots.filter(snapshot => snapshot.timestamp <= time);
+    if (candidates.length === 0) {
+      throw new Error(`No snapshot taken at or before ${new Date(time).toLocaleString()}`);
+    }
+    
+    const sources = new Set(candidates.map(snapshot => snapshot.source));
+    if (sources.size > 1) {
+      throw new Error(`Snapshots of ${sources.size} sources match ${selector} - choose one with --source`);
+    }
+    
+    return candidates.reduce((newest, snapshot) => snapshot.timestamp > newest.timestamp ? snapshot : newest);
+  }
+  
+  // Milliseconds for a local date or date and time, or null if it is not one
+  static parseTime(value) {
+    if (!/^\d{4}-\d{2}-\d{2}/.test(value)) return null;
+    
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(value);
+    const time = dateOnly
+      ? new Date(`${value}T23:59:59.999`).getTime()
+      : new Date(value.includes(' ') ? value.replace(' ', 'T') : value).getTime();
+    return Number.isNaN(time) ? null : time;
+  }
+  
+  // Snapshots grouped by source, oldest first
+  async getSnapshotChains(source = null) {
+    const chains = new Map();
+    
+    for (const snapshot of await this.database.listSnapshots(source)) {
+      if (!chains.has(snapshot.source)) {
+        chains.set(snapshot.source, []);
+      }
+      chains.get(snapshot.source).push(snapshot);
+    }
+    
+    return chains;
+  }
+}
+
+module.exports = SnapshotManager;
@@ -0,0 +1,76 @@
+const fs = require('fs-extra');
+const { promisify } = require('util');
+
+// lseek with SEEK_DATA/SEEK_HOLE needs a native module; without it sparse
+// files are read (and their holes sent) like any other file
+let seek = null;
+try {
+  seek = promisify(require('fs-ext').seek);
+} catch (error) {
+  seek = null;
+}
+
+// lseek whence values differ between platforms; elsewhere holes are not looked for
+const SEEK_WHENCE = {
+  linux: { data: 3, hole: 4 },
+  darwin: { data: 4, hole: 3 }
+}[process.platform] || null;
+const MIN_HOLE = 1024 * 1024; // shorter holes are sent as zeros rather than splitting chunks
+const ZERO_BLOCK = Buffer.alloc(1024 * 1024);
+
+// Holes in sparse files (VM images, database files). Only the data extents
+// are chunked and sent; the manifest lists where each chunk goes, and a
+// restore writes just those chunks, so the holes come back as holes.
+class SparseFile {
+  // Data extents of a file as [{ offset, length }], or null if the file has
+  // no holes worth skipping (or they cannot be found)
+  static async dataRanges(filePath, stats) {
+    // A file whose blocks cover its length has no holes
+    if (!seek || !SEEK_WHENCE || stats.size === 0 || stats.blocks * 512 >= stats.size) {
+      return null;
+    }
+    
+    const fd = await fs.open(filePath, 'r');
+    try {
+      const ranges = [];
+      let position = 0;
+      
+      while (position < stats.size) {
+        let start;
+        try {
+          start = await seek(fd, position, SEEK_WHENCE.data);
+        } catch (error) {
+          if (error.code === 'ENXIO') break; // only a hole is left
+          throw error;
+        }
+        const end = Math.min(await seek(fd, start, SEEK_WHENCE.hole), stats.size);
+        
+        const last = ranges[ranges.length - 1];
+        if (last && start - (last.offset + last.length) < MIN_HOLE) {
+          last.length = end - last.offset;
+        } else {
+          ranges.push({ offset: start, length: end - start });
+        }
+        position = end;
+      }
+      
+      const holeBytes = stats.size - ranges.reduce((sum, range) => sum + range.length, 0);
+      return holeBytes >= MIN_HOLE ? ranges : null;
+    } catch (error) {
+      // Filesystems without SEEK_DATA support report EINVAL
+      console.warn(`Could not map holes of ${filePath}: ${error.message}`);
+      return null;
+    } finally {
+      await fs.close(fd);
+    }
+  }
+  
+  // Feed `length` zero bytes to a hash, as reading across a hole would
+  static hashZeros(hash, length) {
+    for (let remaining = length; remaining > 0; remaining -= ZERO_BLOCK.length) {
+      hash.update(remaining >= ZERO_BLOCK.length ? ZERO_BLOCK : ZERO_BLOCK.subarray(0, remaining));
+    }
+  }
+}
+
+module.exports = SparseFile;
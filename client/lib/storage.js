@@ -1,22 +1,35 @@
 const fs = require('fs-extra');
 const path = require('path');
+const crypto = require('crypto');
 const BackupCrypto = require('./crypto');
 const BackupIgnore = require('./backup-ignore');
 const minimatch = require('minimatch');
+const MerkleTree = require('./merkle');
+const PackStore = require('./pack-store');
+const FileMetadata = require('./file-metadata');
+const RestoreTarget = require('./restore-target');
 
 class StorageManager {
   constructor(configDir = '~/.backup-peer') {
     this.configDir = configDir.replace('~', require('os').homedir());
     this.backupsDir = path.join(this.configDir, 'backups');
     this.receivedDir = path.join(this.configDir, 'received');
+    this.merkleDir = path.join(this.configDir, 'merkle'); // leaves of hosted backups' Merkle trees
+    this.catalogDir = path.join(this.configDir, 'catalogs'); // sealed catalogs owners escrow with us
     this.metadataFile = path.join(this.configDir, 'backups.json');
     this.backups = new Map(); // backupId -> backup metadata
+    this.chunkLocations = new Map(); // chunkId -> { backupId, objectId, index } of chunks we host
+    this.merkleTrees = new Map(); // backupId -> MerkleTree, loaded on first proof
+    this.packs = new PackStore(path.join(this.receivedDir, 'packs'), path.join(this.configDir, 'pack.key'));
   }
   
   async initialize() {
     await fs.ensureDir(this.configDir);
     await fs.ensureDir(this.backupsDir);
     await fs.ensureDir(this.receivedDir);
+    await fs.ensureDir(this.merkleDir);
+    await fs.ensureDir(this.catalogDir);
+    await this.packs.initialize();
     
     // Load existing backup metadata
     try {
@@ -24,6 +37,7 @@ class StorageManager {
         const metadata = await fs.readJSON(this.metadataFile);
         for (const [id, backup] of Object.entries(metadata)) {
           this.backups.set(id, backup);
+          this.indexHostedChunks(backup);
         }
         console.log(`Loaded ${this.backups.size} backup records`);
       }
@@ -43,9 +57,13 @@ class StorageManager {
     const backup = {
       id: backupId,
       name: backupData.name || backupId,
-      timestamp: Date.now(),
+      timestamp: backupData.timestamp || Date.now(),
       files: backupData.files || [],
       peerId: backupData.peerId,
+      hostPeerId: backupData.hostPeerId || null,
+      source: backupData.source || null,
+      parentId: backupData.parentId || null,
+      hooks: backupData.hooks || null, // exit status of the source's pre/post-backup hooks
       status: 'active',
       type: 'sent'
     };
@@ -57,17 +75,25 @@ class StorageManager {
     return backup;
   }
   
-  // Record a received backup
+  // Record a received backup. Only its uploader may start it again, and a
+  // resumed upload keeps the objects already stored.
   async recordReceivedBackup(backupId, backupData) {
+    const existing = this.backups.get(backupId);
+    if (existing && (existing.type !== 'received' || existing.peerId !== backupData.peerId)) {
+      throw new Error(`Backup ${backupId} belongs to another peer`);
+    }
+    
     const backup = {
       id: backupId,
       name: backupData.name || backupId,
-      timestamp: Date.now(),
-      files: backupData.files || [],
+      timestamp: existing ? existing.timestamp : Date.now(),
+      files: existing ? existing.files : backupData.files || [],
       peerId: backupData.peerId,
       status: 'active',
       type: 'received',
-      location: this.receivedDir
+      location: this.receivedDir,
+      encryptedMetadata: backupData.encryptedMetadata || (existing && existing.encryptedMetadata) || null,
+      shard: backupData.shard || null // { index, k, n } if we hold one shard of an erasure-coded backup
     };
     
     this.backups.set(backupId, backup);
@@ -77,6 +103,311 @@ class StorageManager {
     return backup;
   }
   
+  // Path of a stored object (one sealed file) in the received directory.
+  // Objects received before pack files were used are still stored this way.
+  getObjectPath(objectId) {
+    return path.join(this.receivedDir, path.basename(objectId));
+  }
+  
+  // Seal received chunks (any iterable, in index order) into pack records,
+  // checking the object hash on the way. Nothing is kept if it does not match.
+  async packReceivedChunks(chunks, expectedHash) {
+    const hash = crypto.createHash('sha256');
+    const hashed = async function* () {
+      for await (const data of chunks) {
+        hash.update(data);
+        yield data;
+      }
+    };
+    
+    const recordIds = await this.packs.write(hashed());
+    if (hash.digest('hex') !== expectedHash) {
+      await this.packs.remove(recordIds);
+      throw new Error('File integrity check failed after reassembly');
+    }
+    return recordIds;
+  }
+  
+  // Add a fully received object to a received backup. Its storedChunks
+  // already point at their pack records.
+  async recordReceivedObject(backupId, object) {
+    const backup = this.backups.get(backupId);
+    if (!backup || backup.type !== 'received') {
+      throw new Error(`Received backup not found: ${backupId}`);
+    }
+    
+    const replaced = backup.files.filter(file => file.objectId === object.objectId);
+    backup.files = backup.files.filter(file => file.objectId !== object.objectId);
+    backup.files.push(object);
+    await this.releaseStorage(replaced);
+    this.indexHostedChunks(backup);
+    await this.buildMerkleTree(backup);
+    await this.saveMetadata();
+    
+    return object;
+  }
+  
+  // Map content-defined chunk ids of a received backup to where they are stored
+  indexHostedChunks(backup) {
+    if (backup.type !== 'received') return;
+    
+    for (const file of backup.files || []) {
+      for (const chunk of file.storedChunks || []) {
+        if (chunk.id && !this.chunkLocations.has(chunk.id)) {
+          this.chunkLocations.set(chunk.id, { backupId: backup.id, objectId: file.objectId, index: chunk.index });
+        }
+      }
+    }
+  }
+  
+  // Read a hosted chunk by id, only if it belongs to the requesting owner
+  async readChunkById(chunkId, ownerPeerId) {
+    const location = this.chunkLocations.get(chunkId);
+    if (!location) {
+      return null;
+    }
+    
+    const backup = this.backups.get(location.backupId);
+    if (!backup || backup.peerId !== ownerPeerId) {
+      return null;
+    }
+    
+    try {
+      return await this.readObjectChunk(location.backupId, location.objectId, location.index);
+    } catch (error) {
+      console.warn(`Indexed chunk ${chunkId} is unreadable:`, error.message);
+      this.chunkLocations.delete(chunkId);
+      return null;
+    }
+  }
+  
+  // Delete objects of a received backup the owner has pruned. Objects still
+  // used by the owner's newer snapshots are kept; without a manifest and
+  // objects nothing of the backup is left, so the record goes too.
+  async releaseReceivedObjects(backupId, objectIds, dropManifest = true) {
+    const backup = this.backups.get(backupId);
+    if (!backup || backup.type !== 'received') {
+      throw new Error(`Received backup not found: ${backupId}`);
+    }
+    
+    const release = new Set(objectIds);
+    let releasedBytes = 0;
+    let releasedObjects = 0;
+    
+    const released = backup.files.filter(file => release.has(file.objectId));
+    for (const file of released) {
+      releasedBytes += file.size || 0;
+      releasedObjects++;
+    }
+    
+    backup.files = backup.files.filter(file => !release.has(file.objectId));
+    await this.releaseStorage(released);
+    if (dropManifest) {
+      backup.encryptedMetadata = null;
+      backup.status = 'released';
+    }
+    
+    for (const [chunkId, location] of this.chunkLocations) {
+      if (location.backupId === backupId && release.has(location.objectId)) {
+        this.chunkLocations.delete(chunkId);
+      }
+    }
+    
+    if (backup.files.length === 0 && !backup.encryptedMetadata) {
+      await this.deleteBackup(backupId);
+    } else {
+      for (const other of this.backups.values()) {
+        this.indexHostedChunks(other);
+      }
+      await this.saveMetadata();
+    }
+    
+    // Pruning leaves holes in the packs; rewrite the ones that became sparse
+    const compaction = await this.packs.compact();
+    if (compaction.packsRewritten > 0) {
+      console.log(`Compacted ${compaction.packsRewritten} packs, reclaimed ${this.formatFileSize(compaction.bytesReclaimed)}`);
+    }
+    
+    return { releasedBytes, releasedObjects, remainingObjects: backup.files.length };
+  }
+  
+  // Free the pack records (or loose files) of objects no longer hosted
+  async releaseStorage(objects) {
+    const recordIds = [];
+    for (const object of objects) {
+      const chunks = object.storedChunks || [];
+      if (chunks.length > 0 && chunks.every(chunk => chunk.record)) {
+        chunks.forEach(chunk => recordIds.push(chunk.record));
+      } else if (object.objectId) {
+        await fs.remove(this.getObjectPath(object.objectId));
+      }
+    }
+    
+    if (recordIds.length > 0) {
+      await this.packs.remove(recordIds);
+    }
+  }
+  
+  // Maintenance: move objects still stored as loose files into packs, then
+  // rewrite every pack whose live records fill less than `threshold` of it
+  async repack(options = {}) {
+    const { threshold = 0.9 } = options;
+    let migratedObjects = 0;
+    
+    for (const backup of this.listBackups('received')) {
+      for (const object of backup.files) {
+        const chunks = object.storedChunks || [];
+        if (chunks.length === 0 || chunks.every(chunk => chunk.record)) continue;
+        
+        const objectPath = this.getObjectPath(object.objectId);
+        if (!await fs.pathExists(objectPath)) {
+          console.warn(`Stored object ${object.objectId} of ${backup.id} is missing`);
+          continue;
+        }
+        
+        const recordIds = await this.packs.write(this.readObjectChunks(backup.id, object));
+        chunks.forEach((chunk, i) => {
+          chunk.record = recordIds[i];
+        });
+        await this.saveMetadata();
+        await fs.remove(objectPath);
+        migratedObjects++;
+      }
+    }
+    
+    const compaction = await this.packs.compact(threshold);
+    return { migratedObjects, ...compaction, ...this.packs.getStats() };
+  }
+  
+  // Update status of a received backup once the owner finishes sending.
+  // The sealed manifest arrives here because it lists the chunks of every file.
+  async completeReceivedBackup(backupId, status = 'active', encryptedMetadata = null) {
+    const backup = this.backups.get(backupId);
+    if (!backup) {
+      throw new Error(`Backup not found: ${backupId}`);
+    }
+    
+    if (encryptedMetadata) {
+      backup.encryptedMetadata = encryptedMetadata;
+    }
+    backup.status = status;
+    backup.completedAt = Date.now();
+    await this.saveMetadata();
+    
+    return backup;
+  }
+  
+  // Keep the owner's signed Merkle root of a received backup. objectIds are
+  // the objects the owner counted as sent - the ones its root covers; the
+  // tree is built once all of them are stored, which can be after this
+  // call since objects finish reassembling in the background.
+  async saveMerkleTree(backupId, merkle, objectIds) {
+    const backup = this.backups.get(backupId);
+    if (!backup || backup.type !== 'received') {
+      throw new Error(`Received backup not found: ${backupId}`);
+    }
+    
+    backup.merkle = merkle;
+    backup.merklePending = objectIds;
+    await this.buildMerkleTree(backup);
+    await this.saveMetadata();
+  }
+  
+  // Write the leaves of a backup's tree next to its signed root. They
+  // outlive released objects so proofs for the remaining ones stay valid.
+  async buildMerkleTree(backup) {
+    if (!backup.merklePending) return;
+    
+    const include = new Set(backup.merklePending);
+    const objects = backup.files.filter(file => include.has(file.objectId) && file.storedChunks);
+    if (objects.length < include.size) return;
+    
+    const tree = new MerkleTree(objects.map(file => ({
+      objectId: file.objectId,
+      hashes: file.storedChunks
+        .slice()
+        .sort((a, b) => a.index - b.index)
+        .map(chunk => chunk.hash)
+    })));
+    
+    if (tree.root !== backup.merkle.root || tree.leafCount !== backup.merkle.leafCount) {
+      console.warn(`Merkle root of ${backup.id} does not match the chunks we stored`);
+    }
+    
+    await fs.writeJSON(this.getMerklePath(backup.id), tree.toJSON());
+    this.merkleTrees.set(backup.id, tree);
+    backup.merklePending = null;
+  }
+  
+  getMerklePath(backupId) {
+    return path.join(this.merkleDir, `${path.basename(backupId)}.json`);
+  }
+  
+  // Merkle tree of a received backup, or null for backups stored before
+  // roots were signed
+  async loadMerkleTree(backupId) {
+    if (this.merkleTrees.has(backupId)) {
+      return this.merkleTrees.get(backupId);
+    }
+    
+    const backup = this.backups.get(backupId);
+    if (!backup || !backup.merkle || backup.merklePending || !await fs.pathExists(this.getMerklePath(backupId))) {
+      return null;
+    }
+    
+    const tree = MerkleTree.fromJSON(await fs.readJSON(this.getMerklePath(backupId)));
+    this.merkleTrees.set(backupId, tree);
+    return tree;
+  }
+  
+  // Inclusion proof of one stored chunk, or null if the backup has no tree
+  async getChunkProof(backupId, objectId, chunkIndex) {
+    const tree = await this.loadMerkleTree(backupId);
+    if (!tree || tree.leafIndex(objectId, chunkIndex) < 0) {
+      return null;
+    }
+    return tree.getProof(objectId, chunkIndex);
+  }
+  
+  // Data of every stored chunk of an object, in index order
+  async *readObjectChunks(backupId, object) {
+    for (const chunk of object.storedChunks) {
+      yield (await this.readObjectChunk(backupId, object.objectId, chunk.index)).data;
+    }
+  }
+  
+  // Read one stored (still owner-sealed) chunk of a received object
+  async readObjectChunk(backupId, objectId, chunkIndex) {
+    const backup = this.backups.get(backupId);
+    const object = backup && backup.files.find(file => file.objectId === objectId);
+    if (!object || !object.storedChunks) {
+      throw new Error(`Object not found: ${objectId}`);
+    }
+    
+    const chunk = object.storedChunks[chunkIndex];
+    if (!chunk) {
+      throw new Error(`Chunk ${chunkIndex} not found in ${objectId}`);
+    }
+    
+    if (chunk.record) {
+      return { data: await this.packs.read(chunk.record), hash: chunk.hash };
+    }
+    
+    const offset = object.storedChunks
+      .slice(0, chunkIndex)
+      .reduce((sum, c) => sum + c.size, 0);
+    
+    const buffer = Buffer.alloc(chunk.size);
+    const fd = await fs.open(this.getObjectPath(objectId), 'r');
+    try {
+      await fs.read(fd, buffer, 0, chunk.size, offset);
+    } finally {
+      await fs.close(fd);
+    }
+    
+    return { data: buffer, hash: chunk.hash };
+  }
+  
   // List all backups
   listBackups(type = 'all') {
     const backupList = Array.from(this.backups.values());
@@ -93,6 +424,73 @@ class StorageManager {
     return this.backups.get(backupId);
   }
   
+  // Change fields of a backup record (e.g. its hosting peer after a repair)
+  async updateBackup(backupId, updates) {
+    const backup = this.backups.get(backupId);
+    if (!backup) {
+      throw new Error(`Backup not found: ${backupId}`);
+    }
+    
+    Object.assign(backup, updates);
+    await this.saveMetadata();
+    return backup;
+  }
+  
+  // Record a peer's key rotation: backups it uploaded to us or hosts for us,
+  // and the catalog it escrowed, now belong to its new peer ID hash
+  async transferPeer(oldPeerId, newPeerId) {
+    let moved = 0;
+    for (const backup of this.backups.values()) {
+      if (backup.peerId === oldPeerId) {
+        backup.peerId = newPeerId;
+        moved++;
+      }
+    }
+    if (moved > 0) {
+      await this.saveMetadata();
+    }
+    
+    const catalog = this.getCatalogPath(oldPeerId);
+    if (await fs.pathExists(catalog) && !await fs.pathExists(this.getCatalogPath(newPeerId))) {
+      await fs.move(catalog, this.getCatalogPath(newPeerId));
+    }
+    return moved;
+  }
+  
+  // Keep the sealed catalog an owner escrows with us, replacing an older one.
+  // Only owners we host backups for may store one.
+  async saveCatalog(ownerPeerId, sealed, created) {
+    if (!this.listBackups('received').some(backup => backup.peerId === ownerPeerId)) {
+      throw new Error('No backups hosted for this peer');
+    }
+    
+    const file = this.getCatalogPath(ownerPeerId);
+    const existing = await this.getCatalog(ownerPeerId);
+    if (existing && existing.created > created) {
+      throw new Error('A newer catalog is already stored');
+    }
+    
+    await fs.writeJSON(`${file}.tmp`, {
+      created,
+      received: Date.now(),
+      sealed: sealed.toString('base64')
+    });
+    await fs.rename(`${file}.tmp`, file);
+  }
+  
+  // The sealed catalog an owner escrowed with us: { created, received, sealed }
+  async getCatalog(ownerPeerId) {
+    const file = this.getCatalogPath(ownerPeerId);
+    if (!await fs.pathExists(file)) return null;
+    
+    const stored = await fs.readJSON(file);
+    return { ...stored, sealed: Buffer.from(stored.sealed, 'base64') };
+  }
+  
+  getCatalogPath(ownerPeerId) {
+    return path.join(this.catalogDir, `${path.basename(ownerPeerId)}.json`);
+  }
+  
   // Delete backup record
   async deleteBackup(backupId) {
     const backup = this.backups.get(backupId);
@@ -100,7 +498,24 @@ class StorageManager {
       throw new Error(`Backup not found: ${backupId}`);
     }
     
+    if (backup.type === 'received') {
+      await this.releaseStorage(backup.files || []);
+    }
+    
     this.backups.delete(backupId);
+    this.merkleTrees.delete(backupId);
+    await fs.remove(this.getMerklePath(backupId));
+    
+    // Chunks shared with other backups stay reachable through them
+    for (const [chunkId, location] of this.chunkLocations) {
+      if (location.backupId === backupId) {
+        this.chunkLocations.delete(chunkId);
+      }
+    }
+    for (const other of this.backups.values()) {
+      this.indexHostedChunks(other);
+    }
+    
     await this.saveMetadata();
     
     console.log(`Deleted backup record: ${backup.name}`);
@@ -188,6 +603,12 @@ class StorageManager {
     for (const file of backup.files) {
       const filePath = path.join(this.receivedDir, file.name);
       
+      // Objects in pack files are checked chunk by chunk
+      if (file.storedChunks && file.storedChunks.some(chunk => chunk.record)) {
+        results.push(await this.verifyPackedObject(backupId, file));
+        continue;
+      }
+      
       try {
         const exists = await fs.pathExists(filePath);
         let valid = false;
@@ -219,6 +640,26 @@ class StorageManager {
     return results;
   }
   
+  async verifyPackedObject(backupId, object) {
+    const result = { name: object.name, path: this.packs.directory, exists: true, valid: false, expectedHash: object.hash };
+    const hash = crypto.createHash('sha256');
+    
+    try {
+      for (const chunk of object.storedChunks) {
+        const { data } = await this.readObjectChunk(backupId, object.objectId, chunk.index);
+        if (BackupCrypto.hashData(data) !== chunk.hash) {
+          return result;
+        }
+        hash.update(data);
+      }
+      result.valid = hash.digest('hex') === object.hash;
+    } catch (error) {
+      result.exists = false;
+      result.error = error.message;
+    }
+    return result;
+  }
+  
   // Export backup list for sharing/syncing
   exportBackupList() {
     return {
@@ -297,9 +738,27 @@ class StorageManager {
           
           if (entry.isDirectory()) {
             if (!backupIgnore.shouldIgnore(relPath)) {
+              // Directories are entries too, so empty ones and their
+              // permissions survive; include patterns select files only
+              if (includePatterns.length === 0) {
+                try {
+                  const stats = await fs.lstat(fullPath);
+                  files.push({
+                    path: fullPath,
+                    relativePath: relPath,
+                    type: 'directory',
+                    size: 0,
+                    modified: stats.mtime,
+                    priority: 0,
+                    hash: null
+                  });
+                } catch (statError) {
+                  console.warn(`Could not stat directory ${fullPath}:`, statError.message);
+                }
+              }
               await walk(fullPath, relPath);
             }
-          } else if (entry.isFile()) {
+          } else if (entry.isFile() || entry.isSymbolicLink()) {
             // Check ignore patterns
             if (backupIgnore.shouldIgnore(relPath)) {
               continue;
@@ -314,7 +773,8 @@ class StorageManager {
             }
             
             try {
-              const stats = await fs.stat(fullPath);
+              // Symlinks are recorded as links, not followed
+              const stats = await fs.lstat(fullPath);
               
               // Apply size filter
               if (stats.size <= maxFileSize) {
@@ -323,7 +783,8 @@ class StorageManager {
                 files.push({
                   path: fullPath,
                   relativePath: relPath,
-                  size: stats.size,
+                  type: stats.isSymbolicLink() ? 'symlink' : 'file',
+                  size: stats.isSymbolicLink() ? 0 : stats.size,
                   modified: stats.mtime,
                   priority,
                   hash: null // Will be calculated during backup
@@ -362,6 +823,7 @@ class StorageManager {
   }
 
   async estimateBackupSize(files) {
+    files = files.filter(f => (f.type || 'file') === 'file');
     const totalSize = files.reduce((sum, f) => sum + f.size, 0);
     const priorityFiles = files.filter(f => f.priority > 0);
     const regularFiles = files.filter(f => f.priority === 0);
@@ -390,13 +852,18 @@ class StorageManager {
     return `${size.toFixed(1)} ${units[unitIndex]}`;
   }
   
-  // Restore backup from received chunks
+  // Restore backup from received chunks; options.filter(file) limits the
+  // restore to some manifest entries, options.inPlace and options.conflict
+  // work as in RestoreManager.restoreBackup
   async restoreBackup(backupId, targetDirectory, options = {}) {
     const {
       overwrite = false,
+      inPlace = false,
+      conflict = overwrite ? 'overwrite' : 'skip',
       verifyIntegrity = true,
       onProgress = null,
-      onFileComplete = null
+      onFileComplete = null,
+      filter = null
     } = options;
     
     const backup = this.backups.get(backupId);
@@ -408,13 +875,18 @@ class StorageManager {
       throw new Error('Can only restore received backups');
     }
     
-    console.log(`Starting restore of backup ${backup.name} to ${targetDirectory}`);
+    const target = new RestoreTarget(targetDirectory, { inPlace, conflict });
+    console.log(`Starting restore of backup ${backup.name} to ${inPlace ? 'its original paths' : targetDirectory}`);
     
     // Ensure target directory exists
-    await fs.ensureDir(targetDirectory);
+    if (!inPlace) {
+      await fs.ensureDir(targetDirectory);
+    }
+    
+    const files = FileMetadata.sortForRestore(FileMetadata.select(backup.files, { filter }));
     
     const results = {
-      totalFiles: backup.files.length,
+      totalFiles: files.length,
       restoredFiles: 0,
       failedFiles: 0,
       skippedFiles: 0,
@@ -424,16 +896,18 @@ class StorageManager {
     };
     
     // Calculate total size
-    results.totalBytes = backup.files.reduce((sum, file) => sum + file.size, 0);
+    results.totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    
+    const directories = [];
     
-    for (let i = 0; i < backup.files.length; i++) {
-      const file = backup.files[i];
-      const progress = ((i + 1) / backup.files.length) * 100;
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const progress = ((i + 1) / files.length) * 100;
       
       if (onProgress) {
         onProgress({
           currentFile: i + 1,
-          totalFiles: backup.files.length,
+          totalFiles: files.length,
           progress,
           fileName: file.name,
           fileSize: file.size
@@ -441,7 +915,19 @@ class StorageManager {
       }
       
       try {
-        const result = await this.restoreFile(file, targetDirectory, { overwrite, verifyIntegrity });
+        const { action, targetPath } = await target.plan(file);
+        if (action === 'skip') {
+          results.skippedFiles++;
+          continue;
+        }
+        
+        const result = await this.restoreFile(file, targetDirectory, {
+          overwrite: true,
+          verifyIntegrity,
+          directories,
+          targetPath,
+          linkSource: file.type === 'hardlink' ? target.linkSource(file) : null
+        });
         
         if (result.success) {
           results.restoredFiles++;
@@ -469,6 +955,8 @@ class StorageManager {
       }
     }
     
+    await FileMetadata.finishDirectories(directories);
+    
     console.log(`Restore completed: ${results.restoredFiles}/${results.totalFiles} files restored`);
     
     if (results.errors.length > 0) {
@@ -478,18 +966,41 @@ class StorageManager {
     return results;
   }
   
-  // Restore individual file from chunks
+  // Restore individual file from chunks. Directory attributes are applied
+  // right away unless options.directories collects them for the caller to
+  // apply once the directory's contents are in place. options.targetPath
+  // and options.linkSource, when given, say where the entry goes and where
+  // the file a hard link points at is.
   async restoreFile(file, targetDirectory, options = {}) {
-    const { overwrite = false, verifyIntegrity = true } = options;
+    const { overwrite = false, verifyIntegrity = true, directories = null } = options;
     
-    const targetPath = path.join(targetDirectory, file.relativePath || file.name);
+    const targetPath = options.targetPath || path.join(targetDirectory, file.relativePath || file.name);
     const targetDir = path.dirname(targetPath);
     
     // Check if file already exists
-    if (!overwrite && await fs.pathExists(targetPath)) {
+    if (!overwrite && await FileMetadata.exists(targetPath)) {
       return { success: false, error: 'File already exists and overwrite is false' };
     }
     
+    // Directories, symlinks and hard links carry no data
+    if (file.type && file.type !== 'file') {
+      try {
+        const linkSource = file.type === 'hardlink'
+          ? options.linkSource || path.join(targetDirectory, file.target)
+          : null;
+        await FileMetadata.createEntry(targetPath, file, linkSource);
+        
+        if (file.type === 'directory' && directories) {
+          directories.push({ targetPath, file });
+        } else if (file.type !== 'hardlink') {
+          await FileMetadata.apply(targetPath, file);
+        }
+        return { success: true, path: targetPath };
+      } catch (error) {
+        return { success: false, error: error.message };
+      }
+    }
+    
     // Ensure target directory exists
     await fs.ensureDir(targetDir);
     
@@ -517,11 +1028,8 @@ class StorageManager {
         }
       }
       
-      // Restore file attributes if available
-      if (file.modified) {
-        const stats = await fs.stat(targetPath);
-        await fs.utimes(targetPath, stats.atime, new Date(file.modified));
-      }
+      // Restore mode, owner, extended attributes and mtime
+      await FileMetadata.apply(targetPath, file);
       
       return { success: true, path: targetPath };
       
@@ -600,32 +1108,49 @@ class StorageManager {
     }
   }
   
-  // Get restore preview/analysis
-  async getRestorePreview(backupId, targetDirectory) {
+  // Get restore preview/analysis. options take the restore's include,
+  // exclude, filter, inPlace and conflict; preview.actions then lists what
+  // the restore would do with every entry - create, replace, rename (to
+  // targetPath) or skip - without touching anything.
+  async getRestorePreview(backupId, targetDirectory, options = {}) {
+    const { include = [], exclude = [], filter = null, inPlace = false, conflict = 'skip' } = options;
+    
     const backup = this.backups.get(backupId);
     if (!backup) {
       throw new Error(`Backup not found: ${backupId}`);
     }
     
+    const files = FileMetadata.sortForRestore(FileMetadata.select(backup.files, { include, exclude, filter }));
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
     const preview = {
       backupName: backup.name,
       backupDate: new Date(backup.timestamp).toLocaleString(),
-      totalFiles: backup.files.length,
-      totalSize: backup.files.reduce((sum, file) => sum + file.size, 0),
-      formattedSize: this.formatFileSize(backup.files.reduce((sum, file) => sum + file.size, 0)),
+      totalFiles: files.length,
+      totalSize,
+      formattedSize: this.formatFileSize(totalSize),
       conflicts: [],
+      actions: [],
+      summary: { create: 0, replace: 0, rename: 0, skip: 0 },
       missingChunks: [],
       readyToRestore: true
     };
     
-    // Check for file conflicts
-    for (const file of backup.files) {
-      const targetPath = path.join(targetDirectory, file.relativePath || file.name);
+    // Check for file conflicts and decide what happens to each entry
+    const target = new RestoreTarget(targetDirectory, { inPlace, conflict });
+    for (const file of files) {
+      const relativePath = file.relativePath || file.name;
+      const wantedPath = target.pathFor(file);
+      const existingStats = await RestoreTarget.lstat(wantedPath);
+      const { action, targetPath, reason } = await target.plan(file);
+      
+      preview.actions.push({ path: relativePath, type: file.type || 'file', action, targetPath, reason: reason || null });
+      preview.summary[action]++;
       
-      if (await fs.pathExists(targetPath)) {
-        const existingStats = await fs.stat(targetPath);
+      if (existingStats) {
         preview.conflicts.push({
-          path: file.relativePath || file.name,
+          path: relativePath,
+          targetPath: wantedPath,
+          action,
           existingSize: existingStats.size,
           backupSize: file.size,
           existingModified: existingStats.mtime,
@@ -634,8 +1159,15 @@ class StorageManager {
       }
     }
     
+    // Sent backups live on the hosting peer and are fetched during restore
+    if (backup.type === 'sent') {
+      preview.remote = true;
+      preview.peerId = backup.peerId;
+      return preview;
+    }
+    
     // Check for missing chunks
-    for (const file of backup.files) {
+    for (const file of files) {
       if (file.chunks && file.chunks.length > 0) {
         for (const chunk of file.chunks) {
           const chunkPath = path.join(this.receivedDir, 'chunks', chunk.id);
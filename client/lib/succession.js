@@ -0,0 +1,77 @@
+// Key rotation as the peers of a rotated identity see it. A peer that
+// rotated its signing key announces the signed chain of its earlier
+// identities along with its new one (see BackupCrypto.rotateSigningKey).
+// Once the chain verifies, what we kept under the retired peer ID hashes -
+// cached connection, reputation, storage agreements, the backups it uploaded
+// to us or hosts for us - moves to the new hash, and the retired hashes are
+// refused from then on: whoever still holds a retired key is not that peer.
+class PeerSuccession {
+  constructor({ crypto, database, reputation = null, storage = null, allocation = null }) {
+    this.crypto = crypto;
+    this.database = database;
+    this.reputation = reputation;
+    this.storage = storage;
+    this.allocation = allocation;
+  }
+  
+  // Apply the succession chain announced by the verified identity
+  // peerIdHash. Returns the statements that were new to us; a chain that
+  // does not verify, or forks from a succession we already recorded, throws.
+  async apply(successions, peerIdHash) {
+    const verification = this.crypto.verifySuccession(successions, peerIdHash);
+    if (!verification.valid) {
+      throw new Error(verification.reason);
+    }
+    
+    const applied = [];
+    for (const statement of successions) {
+      const known = await this.database.getPeerSuccessor(statement.previousPeerIdHash);
+      if (known && known.peerIdHash === statement.peerIdHash) continue;
+      if (known) {
+        throw new Error(`${statement.previousPeerIdHash} was already succeeded by ${known.peerIdHash}`);
+      }
+      if (await this.database.getPeerSuccessor(statement.peerIdHash)) {
+        throw new Error(`${statement.peerIdHash} is a retired identity`);
+      }
+      
+      // Records first, so an interrupted run is completed the next time
+      await this.transfer(statement);
+      await this.database.savePeerSuccession(statement);
+      applied.push(statement);
+    }
+    
+    return applied;
+  }
+  
+  // Move the records of one retired identity to its successor
+  async transfer({ previousPeerIdHash, peerIdHash, publicKey }) {
+    await this.database.transferPeerRecords(previousPeerIdHash, peerIdHash, publicKey);
+    
+    if (this.reputation) {
+      await this.reputation.transferPeer(previousPeerIdHash, peerIdHash, publicKey);
+    }
+    if (this.storage) {
+      await this.storage.transferPeer(previousPeerIdHash, peerIdHash);
+    }
+    if (this.allocation) {
+      await this.allocation.transferPeer(previousPeerIdHash, peerIdHash);
+    }
+  }
+  
+  // Newest succession statement of the chain that retired peerIdHash, or
+  // null while it is a current identity
+  async getLatestSuccessor(peerIdHash) {
+    let latest = null;
+    let statement = await this.database.getPeerSuccessor(peerIdHash);
+    const seen = new Set([peerIdHash]);
+    
+    while (statement && !seen.has(statement.peerIdHash)) {
+      seen.add(statement.peerIdHash);
+      latest = statement;
+      statement = await this.database.getPeerSuccessor(statement.peerIdHash);
+    }
+    return latest;
+  }
+}
+
+module.exports = PeerSuccession;
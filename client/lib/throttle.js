@@ -0,0 +1,206 @@
+const Config = require('./config');
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const DAY_SETS = {
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6],
+  daily: [0, 1, 2, 3, 4, 5, 6]
+};
+const UNITS = { b: 1, kb: 1024, mb: 1024 * 1024, gb: 1024 * 1024 * 1024 };
+
+// Upload and download rate caps for everything a process sends and receives
+// over peer connections. Settings come from the `bandwidth` key of the
+// config:
+//
+//   {
+//     "upload": "unlimited",
+//     "download": "unlimited",
+//     "schedule": [
+//       { "days": "mon-fri", "hours": "9-18", "upload": "1MB", "download": "4MB" }
+//     ]
+//   }
+//
+// Rates are bytes per second (a number or "512KB", "1MB/s"); the first
+// schedule rule covering the current local time wins, else the defaults
+// apply. A live override (from the service IPC) beats both.
+class BandwidthThrottle {
+  constructor(settings = {}) {
+    this.configure(settings);
+    this.override = null; // { upload, download } set at runtime
+    this.buckets = {
+      upload: { tokens: 0, updatedAt: Date.now() },
+      download: { tokens: 0, updatedAt: Date.now() }
+    };
+    this.transferred = { upload: 0, download: 0 };
+  }
+  
+  // Throttle for the settings in the config file
+  static async load(config = null) {
+    config = config || await new Config().load();
+    return new BandwidthThrottle(config.get('bandwidth', {}));
+  }
+  
+  // Replace the configured defaults and schedule (e.g. after a config reload)
+  configure(settings = {}) {
+    this.defaults = {
+      upload: BandwidthThrottle.parseRate(settings.upload),
+      download: BandwidthThrottle.parseRate(settings.download)
+    };
+    this.schedule = (settings.schedule || []).map(rule => BandwidthThrottle.parseRule(rule));
+  }
+  
+  // Bytes per second, or null for unlimited
+  static parseRate(value) {
+    if (value === undefined || value === null || value === 0 || value === 'unlimited') {
+      return null;
+    }
+    if (typeof value === 'number' && value > 0) {
+      return Math.round(value);
+    }
+    
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?(?:\/s)?\s*$/i.exec(String(value));
+    if (!match) {
+      throw new Error(`Invalid bandwidth rate: ${value}`);
+    }
+    const rate = Math.round(parseFloat(match[1]) * UNITS[(match[2] || 'b').toLowerCase()]);
+    return rate > 0 ? rate : null;
+  }
+  
+  static formatRate(rate) {
+    if (!rate) return 'unlimited';
+    
+    const unit = ['GB', 'MB', 'KB'].find(name => rate >= UNITS[name.toLowerCase()]);
+    return unit
+      ? `${parseFloat((rate / UNITS[unit.toLowerCase()]).toFixed(1))} ${unit}/s`
+      : `${rate} B/s`;
+  }
+  
+  // A schedule rule with its days as weekday numbers and hours as [start, end)
+  static parseRule(rule) {
+    const days = BandwidthThrottle.parseDays(rule.days || 'daily');
+    
+    const hours = /^\s*(\d{1,2})\s*-\s*(\d{1,2})\s*$/.exec(rule.hours || '0-24');
+    if (!hours || Number(hours[1]) > 24 || Number(hours[2]) > 24) {
+      throw new Error(`Invalid schedule hours: ${rule.hours}`);
+    }
+    
+    return {
+      days,
+      start: Number(hours[1]),
+      end: Number(hours[2]),
+      upload: BandwidthThrottle.parseRate(rule.upload),
+      download: BandwidthThrottle.parseRate(rule.download),
+      description: `${rule.days || 'daily'} ${rule.hours || '0-24'}`
+    };
+  }
+  
+  // "mon-fri", "sat,sun", "weekdays" or an array of day names
+  static parseDays(spec) {
+    const parts = Array.isArray(spec) ? spec : String(spec).split(',');
+    const days = new Set();
+    
+    for (const part of parts.map(p => p.trim().toLowerCase())) {
+      if (DAY_SETS[part]) {
+        DAY_SETS[part].forEach(day => days.add(day));
+        continue;
+      }
+      
+      const [from, to = from] = part.split('-').map(name => DAY_NAMES.indexOf(name.slice(0, 3)));
+      if (from < 0 || to < 0) {
+        throw new Error(`Invalid schedule days: ${spec}`);
+      }
+      for (let day = from; ; day = (day + 1) % 7) {
+        days.add(day);
+        if (day === to) break;
+      }
+    }
+    
+    return days;
+  }
+  
+  // Whether a rule covers a point in local time; "22-6" wraps past midnight
+  static ruleApplies(rule, date) {
+    const hour = date.getHours();
+    if (rule.start <= rule.end) {
+      return rule.days.has(date.getDay()) && hour >= rule.start && hour < rule.end;
+    }
+    
+    // The early-morning part belongs to the day the window started on
+    if (hour >= rule.start) {
+      return rule.days.has(date.getDay());
+    }
+    return hour < rule.end && rule.days.has((date.getDay() + 6) % 7);
+  }
+  
+  // Caps in force at a point in time and where they come from
+  getLimits(date = new Date()) {
+    if (this.override) {
+      return { ...this.override, source: 'override' };
+    }
+    
+    const rule = this.schedule.find(r => BandwidthThrottle.ruleApplies(r, date));
+    if (rule) {
+      return { upload: rule.upload, download: rule.download, source: `schedule (${rule.description})` };
+    }
+    
+    return { ...this.defaults, source: 'default' };
+  }
+  
+  // Set live caps that beat the config until cleared with null
+  setOverride(limits) {
+    this.override = limits
+      ? {
+        upload: BandwidthThrottle.parseRate(limits.upload),
+        download: BandwidthThrottle.parseRate(limits.download)
+      }
+      : null;
+    return this.getLimits();
+  }
+  
+  // Wait until `bytes` may pass in one direction ('upload' or 'download').
+  // A token bucket refilled at the current cap, holding at most half a
+  // second of traffic; caps that change while waiting apply within a second.
+  async consume(direction, bytes) {
+    const bucket = this.buckets[direction];
+    this.transferred[direction] += bytes;
+    
+    for (;;) {
+      const limit = this.getLimits()[direction];
+      const now = Date.now();
+      
+      if (!limit) {
+        return;
+      }
+      
+      const capacity = Math.max(limit / 2, bytes);
+      bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit);
+      bucket.updatedAt = now;
+      
+      if (bucket.tokens >= bytes) {
+        bucket.tokens -= bytes;
+        return;
+      }
+      
+      const wait = Math.ceil(((bytes - bucket.tokens) / limit) * 1000);
+      await new Promise(resolve => setTimeout(resolve, Math.min(wait, 1000)));
+    }
+  }
+  
+  getStatus() {
+    const limits = this.getLimits();
+    return {
+      upload: limits.upload,
+      download: limits.download,
+      source: limits.source,
+      override: this.override !== null,
+      schedule: this.schedule.map(rule => ({
+        when: rule.description,
+        upload: rule.upload,
+        download: rule.download
+      })),
+      transferred: { ...this.transferred }
+    };
+  }
+}
+
+module.exports = BandwidthThrottle;
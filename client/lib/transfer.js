@@ -1,16 +1,38 @@
 const fs = require('fs-extra');
+const crypto = require('crypto');
 const path = require('path');
 const BackupCrypto = require('./crypto');
 const Database = require('./database');
+const ContentChunker = require('./chunker');
+const ErasureCoder = require('./erasure');
+const ProofTokens = require('./proof-tokens');
+const MerkleTree = require('./merkle');
+const SendWindow = require('./flow-control');
+const StorageAllocation = require('./allocation');
+const FilePack = require('./pack');
+const FileMetadata = require('./file-metadata');
+const ChunkSpool = require('./chunk-spool');
+const SparseFile = require('./sparse-file');
+
+const SEND_CONCURRENCY = 4; // objects sendBackup sends at once
+const COMPLETE_TIMEOUT = 600000; // the peer reassembles an object before it acks file_complete
 
 class FileTransfer {
-  constructor(p2pConnection, crypto, database = null) {
+  constructor(p2pConnection, crypto, database = null, storage = null) {
     this.connection = p2pConnection;
     this.crypto = crypto;
     this.database = database;
-    this.chunkSize = 64 * 1024; // 64KB chunks
+    this.storage = storage; // StorageManager for objects we host for other peers
+    this.chunker = new ContentChunker();
     this.activeTransfers = new Map(); // transferId -> transfer state
-    this.receivedChunks = new Map(); // transferId -> Map<chunkIndex, chunkData>
+    this.receivedChunks = new Map(); // transferId -> ChunkSpool of an object still arriving
+    this.receivedChunkIds = new Map(); // chunkId -> { transferId, chunkIndex } not yet stored
+    this.pendingReleases = new Map(); // backupId -> { resolve, reject, timer }
+    this.pendingResumes = new Map(); // transferId -> { resolve, reject, timer }
+    this.pendingCompletions = new Map(); // transferId -> { resolve, reject, timer }
+    this.pendingBackups = new Map(); // backupId -> { resolve, reject, timer } until backup_complete_ack
+    this.allocation = null;
+    this.window = new SendWindow(); // unacknowledged chunks on this connection
   }
   
   // Initialize database if not provided
@@ -22,148 +44,446 @@ class FileTransfer {
   }
   
   // Send a file to peer with resumption support
-  // Send a file to peer with resumption support
-    console.log(`[FileTransfer] sendFile called with filePath: ${filePath}, peerId: ${peerId}, transferId: ${transferId}, backupId: ${backupId}`);\n\n    // Validate connection is active\n    if (!this.connection) {\n      throw new Error("FileTransfer: No P2P connection available");\n    }\n\n    if (!this.connection.connected) {\n      throw new Error("FileTransfer: P2P connection is not established");\n    }\n
-    console.log(`[FileTransfer] sendFile called with filePath: ${filePath}, peerId: ${peerId}, transferId: ${transferId}, backupId: ${backupId}`);
-
-  async sendFile(filePath, peerId, transferId = null, backupId = null) {
-
+  // The file is split into content-defined chunks, each sealed with the
+  // owner-wide chunk key before the transport encryption, so the receiving
+  // peer only ever stores ciphertext. Chunks the peer already holds (from
+  // this or an earlier backup) are sent as references instead of data.
+  // With options.shard ({ coder, index }) the peer receives only its
+  // erasure-coded shard of every sealed chunk. options.source replaces the
+  // file's chunks with { size, chunks(), read(offset, length) }, e.g. a
+  // FilePack. Holes of a sparse file are skipped; its manifest chunks carry
+  // the offset they are restored at.
+  async sendFile(filePath, peerId, transferId = null, backupId = null, options = {}) {
     console.log(`[FileTransfer] sendFile called with filePath: ${filePath}, peerId: ${peerId}, transferId: ${transferId}, backupId: ${backupId}`);
-
+    
+    // Validate connection is active
+    if (!this.connection) {
+      throw new Error('FileTransfer: No P2P connection available');
+    }
+    
+    if (!this.connection.connected) {
+      throw new Error('FileTransfer: P2P connection is not established');
+    }
+    
     await this.ensureDatabase();
-
     
-
-      }
-      
-      if (resumeFromChunk > 0) {
-      try {\n
-        const stats = await fs.stat(filePath);\n
-        const hash = await BackupCrypto.hashFile(filePath);\n
-        \n
-        fileList.push({\n
-          path: filePath,\n
-          name: path.basename(filePath),\n
-          size: stats.size,\n
-          hash: hash\n
-        });\n
-      } catch (fileError) {\n
-        console.error(`[FileTransfer] Error processing file ${filePath}:`, fileError.message);\n
-        throw new Error(`Failed to process file ${filePath}: ${fileError.message}`);\n
-      }\n
-        console.log(`Resuming transfer from chunk ${resumeFromChunk}/${totalChunks}`);
+    if (!transferId) {
+      transferId = `transfer-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    }
+    
+    const source = options.source || await this.openFileSource(filePath);
+    const sessionChunks = options.sessionChunks || null; // chunk ids already sent in this backup
+    const shard = options.shard || null;
+    const codec = this.negotiateCodec();
+    
+    // Check for chunks already acknowledged in a previous attempt
+    let resumeFromChunk = 0;
+    if (backupId) {
+      const progress = await this.database.getTransferProgress(backupId);
+      if (progress && progress.completedChunks > 0) {
+        resumeFromChunk = progress.completedChunks;
+        console.log(`Resuming transfer from chunk ${resumeFromChunk}`);
       }
     }
     
-    // Send file metadata first
-    const metadata = {
+    // Send file metadata first - the chunk count is only known once the
+    // whole file has been chunked, so it follows in file_complete
+    const fileStart = {
       type: 'file_start',
       transferId,
-      fileName: path.basename(filePath),
-      fileSize,
-      totalChunks,
-      chunkSize: this.chunkSize,
-      fileHash,
+      fileName: transferId, // real names only live in the sealed manifest
+      fileSize: source.size,
+      totalChunks: null,
+      chunkSize: this.chunker.avgSize,
+      backupId: options.backupId || null,
       timestamp: Date.now(),
       resumeFromChunk
     };
-    
-    this.connection.send(metadata);
+    if (resumeFromChunk > 0) {
+      // The peer only holds the earlier chunks if it kept the spool of the
+      // interrupted attempt; otherwise every chunk is sent again
+      resumeFromChunk = await this.requestResume(fileStart);
+    } else {
+      this.connection.send(fileStart);
+    }
     
     // Track transfer state
-    this.activeTransfers.set(transferId, {
+    const transfer = {
       filePath,
-      totalChunks,
+      peerId,
+      totalChunks: null,
       sentChunks: resumeFromChunk,
       startTime: Date.now(),
       status: 'sending',
-      backupId
-    });
+      backupId,
+      inBackup: Boolean(options.backupId), // sendBackup reads the stored chunk hashes back
+      indexed: false,
+      references: new Map() // chunkIndex -> resolver for a pending reference ack
+    };
+    this.activeTransfers.set(transferId, transfer);
     
-    // Send file chunks starting from resume point
-    const fileStream = fs.createReadStream(filePath, { 
-      highWaterMark: this.chunkSize,
-      start: resumeFromChunk * this.chunkSize
-    });
+    // Stored chunks go to the database as they are sealed instead of being
+    // held for the whole object; a new attempt starts the list over
+    await this.database.clearUploadChunks(peerId, transferId);
     
-    let chunkIndex = resumeFromChunk;
+    // Read from the start: skipped chunks are still sealed so the
+    // whole-object hash covers exactly what the peer stores
+    const objectHash = crypto.createHash('sha256');
+    const plainHash = crypto.createHash('sha256');
+    const chunks = []; // { id, size } entries for the sealed manifest
+    const pendingReferences = [];
+    const proofTokens = new ProofTokens(source.size); // answers to later storage challenges
+    let storedSize = 0;
+    let dedupedChunks = 0;
+    let dedupedBytes = 0;
+    let chunkIndex = 0;
+    let plainOffset = 0; // end of the plaintext hashed so far
     
-    return new Promise((resolve, reject) => {
-      fileStream.on('data', async (chunkData) => {
-        try {
-          const chunkHash = BackupCrypto.hashData(chunkData);
-          
-          // Save chunk state to database
-          if (backupId) {
-            await this.database.saveTransferChunkState(
-              backupId, 
-              chunkIndex, 
-              chunkHash, 
-              chunkData.length, 
-              'transferring'
-            );
-          }
-          
-          // Encrypt chunk before sending
-          const encryptedChunk = this.crypto.encrypt(chunkData, peerId);
+    try {
+      for await (const chunk of source.chunks()) {
+        chunkIndex = chunk.index;
+        
+        const chunkId = this.crypto.computeChunkId(chunk.data);
+        const sealed = this.sealForPeer(chunk.data, chunkId, codec, shard);
+        const { id: storedId, data: storedChunk } = sealed;
+        const chunkHash = BackupCrypto.hashData(storedChunk);
+        objectHash.update(storedChunk);
+        if (source.sparse) {
+          // The plaintext hash covers the file as read, holes included
+          SparseFile.hashZeros(plainHash, chunk.offset - plainOffset);
+          plainOffset = chunk.offset + chunk.data.length;
+        }
+        plainHash.update(chunk.data);
+        proofTokens.add(chunkIndex, storedChunk);
+        storedSize += storedChunk.length;
+        
+        const entry = sealed.codec
+          ? { id: chunkId, size: chunk.data.length, codec: sealed.codec, compressedSize: sealed.compressedSize }
+          : { id: chunkId, size: chunk.data.length };
+        if (source.sparse) {
+          entry.offset = chunk.offset;
+        }
+        chunks.push(entry);
+        await this.database.saveUploadChunk(peerId, transferId, chunkIndex, {
+          id: storedId,
+          size: chunk.data.length,
+          storedSize: storedChunk.length,
+          storedHash: chunkHash
+        });
+        
+        if (chunkIndex < resumeFromChunk) {
+          continue;
+        }
+        
+        // Save chunk state to database
+        if (backupId) {
+          await this.database.saveTransferChunkState(
+            backupId, 
+            chunkIndex, 
+            chunkHash, 
+            storedChunk.length, 
+            'transferring'
+          );
+        }
+        
+        const known = (sessionChunks && sessionChunks.has(storedId)) ||
+          await this.database.getIndexedChunk(storedId, peerId);
+        
+        if (known) {
+          // The peer copies the chunk from what it already stores
+          pendingReferences.push({
+            chunkIndex,
+            chunkId,
+            storedId,
+            offset: chunk.offset,
+            length: chunk.data.length,
+            status: this.waitForReference(transfer, chunkIndex)
+          });
           
-          const chunkMessage = {
+          await this.window.acquire(this.connection);
+          this.connection.send({
             type: 'file_chunk',
             transferId,
             chunkIndex,
-            chunkSize: chunkData.length,
-            encryptedData: encryptedChunk.toString('base64'),
-            chunkHash
-          };
-          
-          this.connection.send(chunkMessage);
-          
-          const transfer = this.activeTransfers.get(transferId);
-          transfer.sentChunks++;
+            chunkId: storedId,
+            chunkSize: storedChunk.length,
+            chunkHash,
+            reference: true
+          });
+          this.window.track(transferId, chunkIndex, 0);
           
-          console.log(`Sent chunk ${chunkIndex + 1}/${totalChunks} (${Math.round((transfer.sentChunks / totalChunks) * 100)}%)`);
-          
-          chunkIndex++;
-          
-        } catch (error) {
-          // Mark chunk as failed in database
-          if (backupId) {
-            await this.database.updateChunkState(backupId, chunkIndex, 'failed', error.message);
-          }
-          reject(new Error(`Failed to send chunk ${chunkIndex}: ${error.message}`));
+          dedupedChunks++;
+          dedupedBytes += chunk.data.length;
+        } else {
+          await this.sendChunkData(transferId, peerId, chunkIndex, storedId, storedChunk, chunkHash);
         }
-      });
+        
+        if (sessionChunks) {
+          sessionChunks.add(storedId);
+        }
+        
+        transfer.sentChunks++;
+        console.log(`Sent chunk ${chunkIndex + 1} of ${transferId}${known ? ' (deduplicated)' : ''}`);
+      }
       
-      fileStream.on('end', () => {
-        // Send completion message
-        const completionMessage = {
-          type: 'file_complete',
-          transferId,
-          totalChunks,
-          fileHash
-        };
+      // Every reference must resolve before the peer reassembles the object;
+      // send the data for any chunk the peer turned out not to have
+      for (const reference of pendingReferences) {
+        const status = await reference.status;
+        if (status === 'received') continue;
         
-        this.connection.send(completionMessage);
+        console.log(`Peer does not hold chunk ${reference.chunkIndex} (${status}) - sending data`);
+        await this.database.removeIndexedChunks(peerId, [reference.storedId]);
         
-        const transfer = this.activeTransfers.get(transferId);
-        transfer.status = 'completed';
-        transfer.endTime = Date.now();
+        const data = await source.read(reference.offset, reference.length);
+        const { data: storedChunk } = this.sealForPeer(data, reference.chunkId, codec, shard);
+        await this.sendChunkData(transferId, peerId, reference.chunkIndex, reference.storedId,
+          storedChunk, BackupCrypto.hashData(storedChunk));
         
-        console.log(`File transfer completed: ${transferId}`);
-        resolve(transferId);
+        dedupedChunks--;
+        dedupedBytes -= reference.length;
+      }
+    } catch (error) {
+      transfer.status = 'error';
+      transfer.error = error.message;
+      this.window.drop(transferId);
+      
+      // Mark chunk as failed in database
+      if (backupId) {
+        await this.database.updateChunkState(backupId, chunkIndex, 'failed', error.message);
+      }
+      throw new Error(`Failed to send chunk ${chunkIndex}: ${error.message}`);
+    }
+    
+    transfer.totalChunks = chunks.length;
+    if (source.sparse) {
+      SparseFile.hashZeros(plainHash, source.size - plainOffset);
+    }
+    
+    // The object only counts as sent once the peer has stored it; the ack
+    // also moves the stored chunks into the chunk index
+    try {
+      await this.requestCompletion({
+        type: 'file_complete',
+        transferId,
+        totalChunks: chunks.length,
+        fileHash: objectHash.digest('hex')
       });
+    } catch (error) {
+      transfer.status = 'error';
+      transfer.error = error.message;
+      throw new Error(`Peer did not store ${transferId}: ${error.message}`);
+    }
+    
+    transfer.status = 'completed';
+    transfer.endTime = Date.now();
+    
+    console.log(`File transfer completed: ${transferId} (${chunks.length} chunks, ${dedupedChunks} deduplicated)`);
+    return {
+      transferId,
+      totalChunks: chunks.length,
+      storedSize,
+      hash: plainHash.digest('hex'),
+      chunks,
+      dedupedChunks,
+      dedupedBytes,
+      proofTokens: proofTokens.finish()
+    };
+  }
+  
+  // Codec for chunks sent on this connection: our preferred one that the
+  // peer also supports, or null to send them uncompressed
+  negotiateCodec() {
+    const { compressor } = this.connection;
+    if (!compressor || typeof this.connection.peerSupports !== 'function') {
+      return null;
+    }
+    return compressor.negotiate(capability => this.connection.peerSupports(capability));
+  }
+  
+  // Compress a chunk (unless it looks incompressible), seal it and encode
+  // it for the peer. The same data and codec always give the same bytes,
+  // which deduplication and retries rely on.
+  sealForPeer(data, chunkId, codec, shard = null) {
+    const packed = codec ? this.connection.compressor.compress(data, codec) : { codec: null, data };
+    return {
+      ...this.encodeForPeer(this.crypto.sealChunk(packed.data, chunkId, packed.codec), chunkId, shard),
+      codec: packed.codec,
+      compressedSize: packed.data.length
+    };
+  }
+  
+  // What the peer stores for a sealed chunk: the chunk itself, or this
+  // peer's shard of it (under its own id) for erasure-coded backups
+  encodeForPeer(sealedChunk, chunkId, shard = null) {
+    if (!shard) {
+      return { id: chunkId, data: sealedChunk };
+    }
+    
+    return {
+      id: ErasureCoder.shardId(chunkId, shard.coder, shard.index),
+      data: shard.coder.encodeShard(sealedChunk, shard.index)
+    };
+  }
+  
+  // Transport-encrypt and send one sealed chunk once the send window has room
+  async sendChunkData(transferId, peerId, chunkIndex, chunkId, sealedChunk, chunkHash) {
+    const encryptedChunk = this.crypto.encrypt(sealedChunk, peerId);
+    
+    await this.window.acquire(this.connection);
+    if (this.connection.throttle) {
+      await this.connection.throttle.consume('upload', encryptedChunk.length);
+    }
+    const sent = this.connection.send({
+      type: 'file_chunk',
+      transferId,
+      chunkIndex,
+      chunkId,
+      chunkSize: sealedChunk.length,
+      encryptedData: encryptedChunk,
+      chunkHash
+    });
+    
+    if (!sent) {
+      throw new Error(`Failed to send chunk ${chunkIndex}`);
+    }
+    this.window.track(transferId, chunkIndex, sealedChunk.length);
+  }
+  
+  // Wait for the peer to confirm (or reject) a chunk reference
+  waitForReference(transfer, chunkIndex, timeout = 30000) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        transfer.references.delete(chunkIndex);
+        resolve('timeout');
+      }, timeout);
       
-      fileStream.on('error', (error) => {
-        const transfer = this.activeTransfers.get(transferId);
-        if (transfer) {
-          transfer.status = 'error';
-          transfer.error = error.message;
-        }
-        reject(error);
+      transfer.references.set(chunkIndex, (status) => {
+        clearTimeout(timer);
+        resolve(status);
       });
     });
   }
   
+  // Send the file_start of a resumed transfer and wait for the peer to
+  // answer with the chunk it continues from
+  requestResume(message, timeout = 30000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingResumes.delete(message.transferId);
+        reject(new Error(`Timed out waiting for peer to resume ${message.transferId}`));
+      }, timeout);
+      
+      this.pendingResumes.set(message.transferId, { resolve, reject, timer });
+      
+      if (!this.connection.send(message)) {
+        clearTimeout(timer);
+        this.pendingResumes.delete(message.transferId);
+        reject(new Error('Failed to send file start'));
+      }
+    });
+  }
+  
+  handleFileStartAck(message) {
+    if (message.status === 'error') {
+      console.error(`Peer reported error for ${message.transferId}:`, message.error);
+    }
+    
+    const pending = this.pendingResumes.get(message.transferId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingResumes.delete(message.transferId);
+    
+    if (message.status === 'error') {
+      pending.reject(new Error(message.error));
+    } else {
+      // Peers that do not resume leave it out and get everything again
+      pending.resolve(message.resumeFromChunk || 0);
+    }
+  }
+  
+  // Send file_complete and wait for the peer to confirm it stored the object
+  requestCompletion(message, timeout = COMPLETE_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingCompletions.delete(message.transferId);
+        reject(new Error(`Timed out waiting for peer to store ${message.transferId}`));
+      }, timeout);
+      
+      this.pendingCompletions.set(message.transferId, { resolve, reject, timer });
+      
+      if (!this.connection.send(message)) {
+        clearTimeout(timer);
+        this.pendingCompletions.delete(message.transferId);
+        reject(new Error('Failed to send file complete'));
+      }
+    });
+  }
+  
+  async handleFileCompleteAck(message) {
+    if (message.status === 'error') {
+      console.error(`Peer reported error for ${message.transferId}:`, message.error);
+    } else {
+      await this.indexTransferChunks(message.transferId);
+    }
+    
+    const pending = this.pendingCompletions.get(message.transferId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingCompletions.delete(message.transferId);
+    
+    if (message.status === 'error') {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message);
+    }
+  }
+  
+  // Chunk source reading a file from disk; only the data extents of a
+  // sparse file are read
+  async openFileSource(filePath) {
+    const stats = await fs.stat(filePath);
+    const ranges = await SparseFile.dataRanges(filePath, stats);
+    return {
+      size: stats.size,
+      sparse: ranges !== null,
+      chunks: () => this.chunker.chunkFile(filePath, ranges),
+      read: (offset, length) => this.readFileRange(filePath, offset, length)
+    };
+  }
+  
+  // Read a byte range of a local file
+  async readFileRange(filePath, offset, length) {
+    const buffer = Buffer.alloc(length);
+    const fd = await fs.open(filePath, 'r');
+    try {
+      await fs.read(fd, buffer, 0, length, offset);
+    } finally {
+      await fs.close(fd);
+    }
+    return buffer;
+  }
+  
+  // Add the chunks of a file the peer confirmed storing to the chunk index.
+  // Outside a backup nothing reads the upload's chunk list afterwards.
+  async indexTransferChunks(transferId) {
+    const transfer = this.activeTransfers.get(transferId);
+    if (!transfer || transfer.indexed || !transfer.peerId) return;
+    transfer.indexed = true;
+    
+    try {
+      await this.ensureDatabase();
+      await this.database.indexUploadChunks(transfer.peerId, transferId, transfer.backupId);
+      if (!transfer.inBackup) {
+        await this.database.clearUploadChunks(transfer.peerId, transferId);
+      }
+    } catch (error) {
+      console.warn(`Failed to index chunks of ${transferId}:`, error.message);
+    }
+  }
+  
   // Handle incoming file transfer messages
   handleTransferMessage(message, peerId) {
     switch (message.type) {
@@ -183,75 +503,311 @@ class FileTransfer {
         this.handleChunkAck(message);
         break;
         
+      case 'backup_start':
+        this.handleBackupStart(message, peerId);
+        break;
+        
+      case 'backup_complete':
+        this.handleBackupComplete(message, peerId);
+        break;
+        
+      case 'backup_complete_ack':
+        this.handleBackupCompleteAck(message);
+        break;
+        
+      case 'backup_release':
+        this.handleBackupRelease(message, peerId);
+        break;
+        
+      case 'backup_release_ack':
+        this.handleBackupReleaseAck(message);
+        break;
+        
+      case 'file_start_ack':
+        this.handleFileStartAck(message);
+        break;
+        
+      case 'file_complete_ack':
+        this.handleFileCompleteAck(message);
+        break;
+        
       default:
         console.log(`Unknown transfer message type: ${message.type}`);
-\n  // Check if message type is a file transfer message\n
-  isTransferMessage(messageType) {\n
-    const transferMessageTypes = [\n
-      "file_start",\n
-      "file_chunk", \n
-      "file_complete",\n
-      "file_start_ack",\n
-      "file_complete_ack",\n
-      "chunk_ack",\n
-      "backup_start",\n
-      "backup_complete"\n
-    ];\n
-    const isTransferMsg = transferMessageTypes.includes(messageType);\n
-    console.log(`[FileTransfer] isTransferMessage: ${messageType} -> ${isTransferMsg}`);\n
-    return isTransferMsg;\n
-  }\n
+    }
+  }
+  
+  // Check if message type is a file transfer message
+  isTransferMessage(messageType) {
+    const transferMessageTypes = [
+      'file_start',
+      'file_chunk', 
+      'file_complete',
+      'file_start_ack',
+      'file_complete_ack',
+      'chunk_ack',
+      'backup_start',
+      'backup_complete',
+      'backup_complete_ack',
+      'backup_release',
+      'backup_release_ack'
+    ];
+    return transferMessageTypes.includes(messageType);
+  }
+  
+  // Record a backup another peer is about to store with us
+  async handleBackupStart(message, peerId) {
+    const { backupId, backupName, fileCount, encryptedMetadata, shard = null } = message;
+    console.log(`Receiving backup ${backupId} (${fileCount} objects${shard ? `, shard ${shard.index + 1}/${shard.n}` : ''})`);
+    
+    if (!this.storage) return;
+    
+    try {
+      await this.storage.recordReceivedBackup(backupId, {
+        name: backupName,
+        peerId,
+        files: [],
+        encryptedMetadata,
+        shard
+      });
+    } catch (error) {
+      console.warn(`Refused backup ${backupId} from ${peerId}:`, error.message);
+    }
+  }
+  
+  async handleBackupComplete(message, peerId) {
+    const { backupId, results = [], encryptedMetadata, merkle } = message;
+    const failed = results.filter(result => result.status !== 'success').length;
+    
+    console.log(`Backup ${backupId} complete (${results.length - failed}/${results.length} objects)`);
+    
+    const backup = this.storage && this.storage.getBackup(backupId);
+    if (!backup || backup.peerId !== peerId) {
+      this.connection.send({ type: 'backup_complete_ack', backupId, status: 'error', error: `Unknown backup: ${backupId}` });
+      return;
+    }
+    
+    try {
+      await this.storage.completeReceivedBackup(backupId, failed > 0 ? 'partial' : 'active', encryptedMetadata);
+      if (merkle) {
+        const sent = results.filter(result => result.status === 'success').map(result => result.transferId);
+        await this.storage.saveMerkleTree(backupId, merkle, sent);
+      }
+      this.connection.send({ type: 'backup_complete_ack', backupId, status: 'success' });
+    } catch (error) {
+      console.error(`Failed to complete received backup ${backupId}:`, error.message);
+      this.connection.send({ type: 'backup_complete_ack', backupId, status: 'error', error: error.message });
+    }
+  }
+  
+  // Send backup_complete and wait for the peer to confirm it stored the
+  // manifest and Merkle tree; the manifest may take a while to arrive in parts
+  requestBackupCompletion(message, timeout = COMPLETE_TIMEOUT) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingBackups.delete(message.backupId);
+        reject(new Error(`Timed out waiting for peer to confirm backup ${message.backupId}`));
+      }, timeout);
+      
+      this.pendingBackups.set(message.backupId, { resolve, reject, timer });
+      
+      if (!this.connection.send(message)) {
+        clearTimeout(timer);
+        this.pendingBackups.delete(message.backupId);
+        reject(new Error('Failed to send backup complete'));
+      }
+    });
+  }
+  
+  handleBackupCompleteAck(message) {
+    const pending = this.pendingBackups.get(message.backupId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingBackups.delete(message.backupId);
+    
+    if (message.status === 'error') {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message);
+    }
+  }
+  
+  // Load storage allocation tracking on first use
+  async ensureAllocation() {
+    if (!this.allocation) {
+      this.allocation = new StorageAllocation();
+      await this.allocation.initialize();
+    }
+    return this.allocation;
+  }
+  
+  // Owner side: ask the hosting peer to delete objects of a pruned snapshot
+  requestRelease(backupId, objectIds, options = {}, timeout = 60000) {
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pendingReleases.delete(backupId);
+        reject(new Error(`Timed out waiting for peer to release ${backupId}`));
+      }, timeout);
+      
+      this.pendingReleases.set(backupId, { resolve, reject, timer });
+      
+      const sent = this.connection.send({
+        type: 'backup_release',
+        backupId,
+        objectIds,
+        dropManifest: options.dropManifest !== false
+      });
+      
+      if (!sent) {
+        clearTimeout(timer);
+        this.pendingReleases.delete(backupId);
+        reject(new Error('Failed to send release request'));
+      }
+    });
+  }
+  
+  handleBackupReleaseAck(message) {
+    const pending = this.pendingReleases.get(message.backupId);
+    if (!pending) return;
+    
+    clearTimeout(pending.timer);
+    this.pendingReleases.delete(message.backupId);
+    
+    if (message.status === 'error') {
+      pending.reject(new Error(message.error));
+    } else {
+      pending.resolve(message);
+    }
+  }
+  
+  // Hosting side: delete released objects; only the uploader may do this
+  async handleBackupRelease(message, peerId) {
+    const { backupId, objectIds = [], dropManifest = true } = message;
+    
+    try {
+      const backup = this.storage && this.storage.getBackup(backupId);
+      if (!backup || backup.type !== 'received') {
+        this.connection.send({ type: 'backup_release_ack', backupId, status: 'not_found', releasedBytes: 0 });
+        return;
+      }
+      
+      if (backup.peerId !== peerId) {
+        throw new Error('Only the peer that uploaded a backup can release it');
+      }
+      
+      const result = await this.storage.releaseReceivedObjects(backupId, objectIds, dropManifest);
+      console.log(`Released ${result.releasedObjects} objects (${result.releasedBytes} bytes) of ${backupId}`);
+      
+      if (result.releasedBytes > 0) {
+        const allocation = await this.ensureAllocation();
+        await allocation.releaseAllocation(peerId, result.releasedBytes, true, backupId);
+      }
+      
+      this.connection.send({
+        type: 'backup_release_ack',
+        backupId,
+        status: 'released',
+        releasedBytes: result.releasedBytes,
+        remainingObjects: result.remainingObjects
+      });
+    } catch (error) {
+      console.error(`Failed to release ${backupId}:`, error.message);
+      this.connection.send({ type: 'backup_release_ack', backupId, status: 'error', error: error.message });
     }
   }
   
   handleFileStart(message, peerId) {
-    const { transferId, fileName, fileSize, totalChunks, fileHash } = message;
+    const { transferId, fileName, fileSize, totalChunks, backupId, resumeFromChunk = 0 } = message;
+    
+    console.log(`Receiving file: ${fileName} (${fileSize} bytes${totalChunks ? `, ${totalChunks} chunks` : ''})`);
+    
+    // A resumed transfer continues the spool of the interrupted attempt as
+    // long as it still holds every chunk before the one the owner resumes from
+    const previous = this.receivedChunks.get(transferId);
+    const previousTransfer = this.activeTransfers.get(transferId);
+    let held = 0;
+    if (previous && previousTransfer && previousTransfer.ownerPeerId === peerId) {
+      while (held < resumeFromChunk && previous.has(held)) held++;
+    }
     
-    console.log(`Receiving file: ${fileName} (${fileSize} bytes, ${totalChunks} chunks)`);
+    if (resumeFromChunk > 0 && held === resumeFromChunk) {
+      console.log(`Resuming ${transferId} from chunk ${resumeFromChunk}`);
+      previousTransfer.status = 'receiving';
+      this.connection.send({
+        type: 'file_start_ack',
+        transferId,
+        status: 'ready',
+        resumeFromChunk
+      });
+      return;
+    }
     
-    // Initialize receive state
-    this.receivedChunks.set(transferId, new Map());
+    // Initialize receive state; chunks are spooled to disk as they arrive
+    if (previous) {
+      previous.discard().catch(() => {});
+      this.releaseReceivedChunkIds(transferId);
+    }
+    this.receivedChunks.set(transferId, new ChunkSpool(this.getSpoolPath(transferId)));
     this.activeTransfers.set(transferId, {
       fileName,
       fileSize,
       totalChunks,
       receivedChunks: 0,
-      expectedHash: fileHash,
       startTime: Date.now(),
       status: 'receiving',
-      chunks: new Map()
+      backupId: backupId || null,
+      ownerPeerId: peerId,
+      chunks: new Map() // chunkIndex -> { id, size, hash } of the stored ciphertext
     });
     
     // Send acknowledgment
     this.connection.send({
       type: 'file_start_ack',
       transferId,
-      status: 'ready'
+      status: 'ready',
+      resumeFromChunk: 0
     });
   }
   
-  handleFileChunk(message, peerId) {
-    const { transferId, chunkIndex, encryptedData, chunkHash } = message;
+  // Spool file for the chunks of an incoming transfer
+  getSpoolPath(transferId) {
+    const receivedDir = this.storage ? this.storage.receivedDir : './received';
+    return path.join(receivedDir, 'incoming', `${path.basename(transferId)}.spool`);
+  }
+  
+  async handleFileChunk(message, peerId) {
+    const { transferId, chunkIndex, chunkHash } = message;
     
     try {
-      // Decrypt chunk
-      const encryptedBuffer = Buffer.from(encryptedData, 'base64');
-      const decryptedChunk = this.crypto.decrypt(encryptedBuffer, peerId);
-      
-      // Verify chunk integrity
-      const actualHash = BackupCrypto.hashData(decryptedChunk);
-      if (actualHash !== chunkHash) {
-        throw new Error(`Chunk ${chunkIndex} integrity check failed`);
+      const transfer = this.activeTransfers.get(transferId);
+      const spool = this.receivedChunks.get(transferId);
+      if (!transfer || !spool) {
+        throw new Error(`Unknown transfer: ${transferId}`);
       }
       
-      // Store chunk
-      const transfer = this.activeTransfers.get(transferId);
-      const chunks = this.receivedChunks.get(transferId);
+      // file_complete can arrive while the last chunks are still being
+      // written; it waits for everything tracked here
+      const storing = this.storeReceivedChunk(transfer, spool, message, peerId);
+      spool.track(storing);
+      const chunkData = await storing;
       
-      chunks.set(chunkIndex, decryptedChunk);
-      transfer.receivedChunks++;
+      if (!chunkData) {
+        this.connection.send({
+          type: 'chunk_ack',
+          transferId,
+          chunkIndex,
+          status: 'missing'
+        });
+        return;
+      }
       
-      console.log(`Received chunk ${chunkIndex + 1}/${transfer.totalChunks} (${Math.round((transfer.receivedChunks / transfer.totalChunks) * 100)}%)`);
+      console.log(`Received chunk ${chunkIndex + 1}${transfer.totalChunks ? `/${transfer.totalChunks}` : ''}${message.reference ? ' (deduplicated)' : ''}`);
+      
+      // Holding back the ack under a download cap slows the sender's window;
+      // the chunk is already stored, so a later file_complete finds it
+      if (this.connection.throttle && !message.reference) {
+        await this.connection.throttle.consume('download', chunkData.length);
+      }
       
       // Send chunk acknowledgment
       this.connection.send({
@@ -275,56 +831,185 @@ class FileTransfer {
     }
   }
   
+  // Verify a received chunk and append it to the transfer's spool. Returns
+  // the chunk, or null for a reference to a chunk we do not hold.
+  async storeReceivedChunk(transfer, spool, message, peerId) {
+    const { transferId, chunkIndex, chunkId, encryptedData, chunkHash } = message;
+    
+    let chunkData;
+    if (message.reference) {
+      // Deduplicated chunk - copy it from data we already hold for this owner
+      chunkData = await this.findReceivedChunk(chunkId, peerId);
+      if (!chunkData || BackupCrypto.hashData(chunkData) !== chunkHash) {
+        return null;
+      }
+    } else {
+      // Remove transport encryption - the payload stays sealed for the owner
+      const encryptedBuffer = Buffer.isBuffer(encryptedData) ? encryptedData : Buffer.from(encryptedData, 'base64');
+      chunkData = this.crypto.decrypt(encryptedBuffer, peerId);
+      
+      // Verify chunk integrity
+      const actualHash = BackupCrypto.hashData(chunkData);
+      if (actualHash !== chunkHash) {
+        throw new Error(`Chunk ${chunkIndex} integrity check failed`);
+      }
+    }
+    
+    // Store chunk
+    const isNew = !spool.has(chunkIndex);
+    await spool.write(chunkIndex, chunkData);
+    if (isNew) {
+      transfer.receivedChunks++;
+    }
+    transfer.chunks.set(chunkIndex, { id: chunkId, size: chunkData.length, hash: chunkHash });
+    if (chunkId) {
+      this.receivedChunkIds.set(chunkId, { transferId, chunkIndex });
+    }
+    return chunkData;
+  }
+  
+  // Look up a chunk this owner already sent us, spooled or stored
+  async findReceivedChunk(chunkId, peerId) {
+    if (!chunkId) return null;
+    
+    const pending = this.receivedChunkIds.get(chunkId);
+    if (pending) {
+      const transfer = this.activeTransfers.get(pending.transferId);
+      const spool = this.receivedChunks.get(pending.transferId);
+      if (transfer && spool && transfer.ownerPeerId === peerId && spool.has(pending.chunkIndex)) {
+        try {
+          return await spool.read(pending.chunkIndex);
+        } catch (error) {
+          // The transfer finished meanwhile; its chunks are stored now
+        }
+      }
+    }
+    
+    if (!this.storage) return null;
+    
+    const stored = await this.storage.readChunkById(chunkId, peerId);
+    return stored ? stored.data : null;
+  }
+  
+  // Drop the in-memory chunk id lookups of a finished transfer
+  releaseReceivedChunkIds(transferId) {
+    for (const [chunkId, location] of this.receivedChunkIds) {
+      if (location.transferId === transferId) {
+        this.receivedChunkIds.delete(chunkId);
+      }
+    }
+  }
+  
+  // Delete the spools of transfers that will not complete (the connection
+  // closed); the owner sends those objects again
+  async discardIncoming() {
+    for (const [transferId, spool] of this.receivedChunks) {
+      this.receivedChunks.delete(transferId);
+      this.releaseReceivedChunkIds(transferId);
+      try {
+        await spool.discard();
+      } catch (error) {
+        console.warn(`Could not remove spool of ${transferId}:`, error.message);
+      }
+    }
+  }
+  
+  // Fail the sends still waiting for the peer to start or store an object
+  // or a backup's manifest (the connection closed)
+  failPending(reason = 'Connection closed') {
+    for (const pending of [this.pendingResumes, this.pendingCompletions, this.pendingBackups]) {
+      for (const [id, { reject, timer }] of pending) {
+        clearTimeout(timer);
+        pending.delete(id);
+        reject(new Error(reason));
+      }
+    }
+  }
+  
   async handleFileComplete(message, peerId) {
     const { transferId, totalChunks, fileHash } = message;
     const transfer = this.activeTransfers.get(transferId);
-    const chunks = this.receivedChunks.get(transferId);
+    const spool = this.receivedChunks.get(transferId);
     
-    if (!transfer || !chunks) {
+    if (!transfer || !spool) {
       console.error(`Unknown transfer: ${transferId}`);
+      this.connection.send({
+        type: 'file_complete_ack',
+        transferId,
+        status: 'error',
+        error: `Unknown transfer: ${transferId}`
+      });
       return;
     }
     
-    if (chunks.size !== totalChunks) {
-      console.error(`Missing chunks: expected ${totalChunks}, got ${chunks.size}`);
-      return;
-    }
+    await spool.settle();
     
     try {
-      // Reassemble file
-      const fileName = transfer.fileName;
-      const outputPath = path.join('./received', fileName);
-      
-      await fs.ensureDir('./received');
-      
-      // Write chunks in order
-      const writeStream = fs.createWriteStream(outputPath);
-      
-      for (let i = 0; i < totalChunks; i++) {
-        const chunk = chunks.get(i);
-        if (!chunk) {
-          throw new Error(`Missing chunk ${i}`);
-        }
-        writeStream.write(chunk);
+      // The spool is discarded below, so the owner sends the object again
+      if (spool.count !== totalChunks) {
+        throw new Error(`Missing chunks: expected ${totalChunks}, got ${spool.count}`);
       }
       
-      writeStream.end();
-      
-      // Wait for write to complete
-      await new Promise((resolve, reject) => {
-        writeStream.on('finish', resolve);
-        writeStream.on('error', reject);
-      });
+      const fileName = transfer.fileName;
       
-      // Verify complete file integrity
-      const actualFileHash = await BackupCrypto.hashFile(outputPath);
-      if (actualFileHash !== fileHash) {
-        throw new Error('File integrity check failed after reassembly');
+      let outputPath;
+      const backup = this.storage && transfer.backupId && this.storage.getBackup(transfer.backupId);
+      if (backup && backup.peerId !== transfer.ownerPeerId) {
+        throw new Error(`Backup ${transfer.backupId} belongs to another peer`);
+      }
+      if (backup) {
+        // Objects of a backup move from the spool into pack files one chunk
+        // at a time, with chunk boundaries remembered so the owner can pull
+        // the object back
+        const recordIds = await this.storage.packReceivedChunks(spool.readAll(totalChunks), fileHash);
+        const storedChunks = recordIds.map((record, i) => ({ index: i, ...transfer.chunks.get(i), record }));
+        
+        await this.storage.recordReceivedObject(transfer.backupId, {
+          name: fileName,
+          objectId: transferId,
+          size: storedChunks.reduce((sum, chunk) => sum + chunk.size, 0),
+          hash: fileHash,
+          storedChunks
+        });
+        outputPath = this.storage.packs.directory;
+        await spool.discard();
+      } else {
+        // Plain file transfer outside a backup
+        const fileHashContext = crypto.createHash('sha256');
+        for await (const chunk of spool.readAll(totalChunks)) {
+          fileHashContext.update(chunk);
+        }
+        if (fileHashContext.digest('hex') !== fileHash) {
+          throw new Error('File integrity check failed after reassembly');
+        }
+        
+        outputPath = this.storage
+          ? this.storage.getObjectPath(fileName)
+          : path.join('./received', fileName);
+        
+        if (spool.isContiguous(totalChunks)) {
+          await spool.moveTo(outputPath);
+        } else {
+          await fs.ensureDir(path.dirname(outputPath));
+          const writeStream = fs.createWriteStream(outputPath);
+          for await (const chunk of spool.readAll(totalChunks)) {
+            if (!writeStream.write(chunk)) {
+              await new Promise(resolve => writeStream.once('drain', resolve));
+            }
+          }
+          writeStream.end();
+          await new Promise((resolve, reject) => {
+            writeStream.on('finish', resolve);
+            writeStream.on('error', reject);
+          });
+          await spool.discard();
+        }
       }
       
       transfer.status = 'completed';
       transfer.endTime = Date.now();
       transfer.outputPath = outputPath;
+      transfer.chunks = null;
       
       console.log(`File received successfully: ${outputPath}`);
       
@@ -337,6 +1022,7 @@ class FileTransfer {
       });
       
       // Cleanup
+      this.releaseReceivedChunkIds(transferId);
       this.receivedChunks.delete(transferId);
       
     } catch (error) {
@@ -344,6 +1030,9 @@ class FileTransfer {
       
       transfer.status = 'error';
       transfer.error = error.message;
+      this.releaseReceivedChunkIds(transferId);
+      this.receivedChunks.delete(transferId);
+      await spool.discard().catch(() => {});
       
       this.connection.send({
         type: 'file_complete_ack',
@@ -357,6 +1046,16 @@ class FileTransfer {
   async handleChunkAck(message) {
     const { transferId, chunkIndex, status } = message;
     const transfer = this.activeTransfers.get(transferId);
+    this.window.release(transferId, chunkIndex);
+    
+    // Resolve a pending chunk reference; an error from an older peer that
+    // does not understand references is treated like a missing chunk
+    if (transfer && transfer.references && transfer.references.has(chunkIndex)) {
+      const resolveReference = transfer.references.get(chunkIndex);
+      transfer.references.delete(chunkIndex);
+      resolveReference(status);
+      if (status !== 'received') return;
+    }
     
     if (status === 'error') {
       console.error(`Chunk ${chunkIndex} failed on receiver:`, message.error);
@@ -389,7 +1088,7 @@ class FileTransfer {
   }
   
   // Resume incomplete transfer
-  async resumeTransfer(backupId, filePath, peerId) {
+  async resumeTransfer(backupId, filePath, peerId, options = {}) {
     await this.ensureDatabase();
     
     const incompleteChunks = await this.database.getIncompleteChunks(backupId);
@@ -400,11 +1099,9 @@ class FileTransfer {
     
     console.log(`Resuming transfer for backup ${backupId}: ${incompleteChunks.length} chunks to retry`);
     
-    // Generate new transfer ID for resumed transfer
-    const transferId = `resume-${Date.now()}-${Math.random().toString(36).slice(2)}`;
-    
-    // Resume sending the file
-    return this.sendFile(filePath, peerId, transferId, backupId);
+    // Resume under the original object id so re-sealed chunks are
+    // byte-identical to the ones the peer already acknowledged
+    return this.sendFile(filePath, peerId, backupId, backupId, options);
   }
   
   // Get transfer progress from database
@@ -414,7 +1111,9 @@ class FileTransfer {
   }
   
   // Retry failed chunks
-  async retryFailedChunks(backupId, filePath, peerId, maxRetries = 3) {
+  // backupId is the chunk-state key passed to sendFile (the object's transferId);
+  // shard is the { coder, index } an erasure-coded object was sent with
+  async retryFailedChunks(backupId, filePath, peerId, maxRetries = 3, shard = null) {
     await this.ensureDatabase();
     
     const incompleteChunks = await this.database.getIncompleteChunks(backupId);
@@ -429,158 +1128,263 @@ class FileTransfer {
     
     console.log(`Retrying ${failedChunks.length} failed chunks...`);
     
-    const stats = await fs.stat(filePath);
+    // Chunk boundaries depend on content, so walk the file to find them
+    const failedByIndex = new Map(failedChunks.map(chunk => [chunk.chunk_index, chunk]));
+    const source = await this.openFileSource(filePath);
     
-    for (const chunk of failedChunks) {
+    for await (const chunk of source.chunks()) {
+      const failed = failedByIndex.get(chunk.index);
+      if (!failed) continue;
+      
       try {
-        // Read specific chunk from file
-        const buffer = Buffer.alloc(chunk.chunk_size);
-        const fd = await fs.open(filePath, 'r');
-        const offset = chunk.chunk_index * this.chunkSize;
-        
-        await fs.read(fd, buffer, 0, chunk.chunk_size, offset);
-        await fs.close(fd);
-        
-        // Verify chunk hash
-        const actualHash = BackupCrypto.hashData(buffer);
-        if (actualHash !== chunk.chunk_hash) {
-          console.warn(`Chunk ${chunk.chunk_index} hash mismatch - file may have changed`);
+        // Re-seal and verify against the hash the peer expects
+        const chunkId = this.crypto.computeChunkId(chunk.data);
+        const { id: storedId, data: storedChunk } = this.sealForPeer(chunk.data, chunkId, this.negotiateCodec(), shard);
+        const actualHash = BackupCrypto.hashData(storedChunk);
+        if (actualHash !== failed.chunk_hash) {
+          console.warn(`Chunk ${failed.chunk_index} hash mismatch - file may have changed`);
           continue;
         }
         
         // Update attempt count
         await this.database.saveTransferChunkState(
           backupId, 
-          chunk.chunk_index, 
-          chunk.chunk_hash, 
-          chunk.chunk_size, 
+          failed.chunk_index, 
+          failed.chunk_hash, 
+          failed.chunk_size, 
           'transferring'
         );
         
-        // Encrypt and send chunk
-        const encryptedChunk = this.crypto.encrypt(buffer, peerId);
-        
-        const chunkMessage = {
-          type: 'file_chunk',
-          transferId: `retry-${backupId}-${chunk.chunk_index}`,
-          chunkIndex: chunk.chunk_index,
-          chunkSize: chunk.chunk_size,
-          encryptedData: encryptedChunk.toString('base64'),
-          chunkHash: chunk.chunk_hash
-        };
-        
-        this.connection.send(chunkMessage);
-        console.log(`Retried chunk ${chunk.chunk_index}`);
+        await this.sendChunkData(backupId, peerId, failed.chunk_index, storedId, storedChunk, failed.chunk_hash);
+        console.log(`Retried chunk ${failed.chunk_index}`);
         
       } catch (error) {
-        console.error(`Failed to retry chunk ${chunk.chunk_index}:`, error.message);
+        console.error(`Failed to retry chunk ${failed.chunk_index}:`, error.message);
         await this.database.updateChunkState(
           backupId, 
-          chunk.chunk_index, 
+          failed.chunk_index, 
           'failed', 
           error.message
         );
       }
+      
+      failedByIndex.delete(chunk.index);
+      if (failedByIndex.size === 0) break;
     }
   }
   
   // Send multiple files as a backup set
-  // Send multiple files as a backup set\n
-  async sendBackup(filePaths, peerId, backupName = null) {\n
-    console.log(`[FileTransfer] sendBackup called with ${filePaths.length} files`);\n
-    \n
-    try {\n
-  async sendBackup(filePaths, peerId, backupName = null) {
+  // filePaths entries are paths or { path, relativePath, objectId }. For an
+  // incremental snapshot, options.unchangedFiles are manifest entries from
+  // the parent snapshot whose objects the peer already stores; they are not
+  // re-sent. For an erasure-coded backup every hosting peer gets its own
+  // sendBackup call with the shared options.backupId and its options.shard.
+  // A repair re-sends existing objects with options.metadataFiles, the
+  // snapshot's original manifest entries.
+  async sendBackup(filePaths, peerId, backupName = null, options = {}) {
+    const { unchangedFiles = [], shard = null, metadataFiles = null } = options;
+    
     if (!backupName) {
       backupName = `backup-${Date.now()}`;
     }
     
-    console.log(`Starting backup: ${backupName} (${filePaths.length} files)`);
+    console.log(`Starting backup: ${backupName} (${filePaths.length} files, ${unchangedFiles.length} unchanged)`);
     
-    const backupId = `backup-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const backupId = options.backupId || `backup-${Date.now()}-${Math.random().toString(36).slice(2)}`;
     
-    // Process files and collect metadata
+    // Process files and collect metadata. Directories, symlinks and hard
+    // links to a file listed earlier only go into the manifest.
     const fileList = [];
-    for (const filePath of filePaths) {
-      const stats = await fs.stat(filePath);
-      const hash = await BackupCrypto.hashFile(filePath);
-      
-      fileList.push({
-        path: filePath,
-        name: path.basename(filePath),
-        size: stats.size,
-        hash: hash
-      });
+    const entryList = []; // manifest entries without data
+    const fixedObjects = new Set(); // files re-sent under an existing object id
+    const linkGroups = new Map(); // `${dev}:${ino}` -> first file with that inode
+    for (let i = 0; i < filePaths.length; i++) {
+      const entry = typeof filePaths[i] === 'string' ? { path: filePaths[i] } : filePaths[i];
+      const filePath = entry.path;
+      try {
+        const { stats, type, target, attributes } = await FileMetadata.capture(filePath);
+        if (type === 'special') {
+          console.warn(`[FileTransfer] Skipping special file ${filePath}`);
+          continue;
+        }
+        
+        const file = {
+          path: path.resolve(filePath),
+          name: path.basename(filePath),
+          relativePath: entry.relativePath || path.basename(filePath),
+          type,
+          size: type === 'file' ? stats.size : 0,
+          modified: stats.mtime.toISOString(),
+          hash: null, // filled in while the file is chunked
+          objectId: type === 'file' ? entry.objectId || `${backupId}-file-${i}` : null,
+          pack: entry.pack || null,
+          target,
+          attributes,
+          chunks: []
+        };
+        
+        const inode = `${stats.dev}:${stats.ino}`;
+        if (type === 'file' && stats.nlink > 1 && !entry.objectId) {
+          if (linkGroups.has(inode)) {
+            Object.assign(file, { type: 'hardlink', target: linkGroups.get(inode).relativePath, size: 0, objectId: null });
+          } else {
+            linkGroups.set(inode, file);
+          }
+        }
+        
+        if (file.type !== 'file') {
+          file.transferStatus = 'completed';
+          entryList.push(file);
+          continue;
+        }
+        if (entry.objectId) {
+          fixedObjects.add(file);
+        }
+        fileList.push(file);
+      } catch (fileError) {
+        console.error(`[FileTransfer] Error processing file ${filePath}:`, fileError.message);
+        throw new Error(`Failed to process file ${filePath}: ${fileError.message}`);
+      }
     }
     
-    // Create and send backup metadata
-    const { metadata, encrypted } = this.crypto.createBackupMetadata(fileList, peerId);
+    // Small files travel in packs, the rest as one object each
+    const { packs, single } = FilePack.plan(
+      fileList,
+      index => `${backupId}-pack-${index}`,
+      file => FilePack.isPackable(file) && !fixedObjects.has(file)
+    );
     
-    this.connection.send({
+    const backupStartSuccess = this.connection.send({
       type: 'backup_start',
       backupId,
-      backupName,
-      fileCount: filePaths.length,
-      encryptedMetadata: encrypted.toString('base64'),
+      backupName: backupId, // the human-readable name stays in our local records
+      fileCount: packs.length + single.length,
+      shard: shard ? { index: shard.index, k: shard.coder.k, n: shard.coder.n } : null,
       timestamp: Date.now()
-\n    console.log("[FileTransfer] Sending backup start message");\n
-    const backupStartSuccess = this.connection.send({\n
-      type: "backup_start",\n
-      backupId,\n
-      backupName,\n
-      fileCount: filePaths.length,\n
-      encryptedMetadata: encrypted.toString("base64"),\n
-      timestamp: Date.now()\n
-    });\n
-\n
-    if (!backupStartSuccess) {\n
-      throw new Error("Failed to send backup start message");\n
-    }\n
     });
     
-    // Send each file
-    const results = [];
-    for (let i = 0; i < filePaths.length; i++) {
-      const filePath = filePaths[i];
-      const transferId = `${backupId}-file-${i}`;
+    if (!backupStartSuccess) {
+      throw new Error('Failed to send backup start message');
+    }
+    
+    // Send several objects at once over the connection (the send window
+    // still bounds what is in flight); chunks repeated across files are
+    // only sent once
+    const sessionChunks = new Set();
+    const results = []; // one per file
+    const objectResults = []; // one per stored object, for the peer
+    const dedup = { chunks: 0, bytes: 0 };
+    const merkleObjects = []; // objects the peer took; their chunk hashes are in upload_chunks
+    
+    const sendObject = async (unit) => {
+      const transferId = unit.objectId;
+      let files = [unit.file];
       
       try {
-        await this.sendFile(filePath, peerId, transferId);
-        results.push({ filePath, transferId, status: 'success' });
+        let source = null;
+        if (unit.pack) {
+          await unit.pack.load();
+          unit.pack.failed.forEach(({ file, error }) => {
+            console.error(`Failed to read ${file.path}:`, error.message);
+            file.transferStatus = 'failed';
+            results.push({ filePath: file.path, transferId, status: 'error', error: error.message });
+          });
+          files = unit.pack.files; // the members that could be read
+          if (files.length === 0) return;
+          source = unit.pack;
+        }
+        
+        const sent = await this.sendFile(unit.pack ? null : unit.file.path, peerId, transferId, transferId,
+          { backupId, sessionChunks, shard, source });
+        if (unit.pack) {
+          unit.pack.setChunks(sent.chunks);
+        } else {
+          unit.file.hash = sent.hash;
+          unit.file.chunks = sent.chunks;
+        }
+        
+        await this.database.saveChallengeTokens(backupId, peerId, transferId, sent.proofTokens);
+        // Only objects reported as sent are leaves of the signed tree, as the
+        // peer builds its tree from the same list
+        merkleObjects.push(transferId);
+        dedup.chunks += sent.dedupedChunks;
+        dedup.bytes += sent.dedupedBytes;
+        objectResults.push({ transferId, status: 'success', storedSize: sent.storedSize });
+        
+        // Packed files each count their share of the pack
+        const totalSize = files.reduce((sum, file) => sum + file.size, 0) || 1;
+        files.forEach(file => {
+          file.transferStatus = 'completed';
+          results.push({
+            filePath: file.path,
+            transferId,
+            status: 'success',
+            storedSize: Math.round(sent.storedSize * (files.length > 1 ? file.size / totalSize : 1))
+          });
+        });
       } catch (error) {
-        console.error(`Failed to send ${filePath}:`, error.message);
-        results.push({ filePath, transferId, status: 'error', error: error.message });
+        console.error(`Failed to send ${unit.pack ? `pack ${transferId}` : unit.file.path}:`, error.message);
+        objectResults.push({ transferId, status: 'error' });
+        files.forEach(file => {
+          file.transferStatus = 'failed';
+          results.push({ filePath: file.path, transferId, status: 'error', error: error.message });
+        });
+      }
+    };
+    
+    const units = packs.map(pack => ({ objectId: pack.objectId, pack }))
+      .concat(single.map(file => ({ objectId: file.objectId, file })));
+    const concurrency = Math.max(1, options.concurrency || SEND_CONCURRENCY);
+    let next = 0;
+    await Promise.all(Array.from({ length: Math.min(concurrency, units.length) }, async () => {
+      while (next < units.length) {
+        await sendObject(units[next++]);
       }
+    }));
+    
+    // The owner-sealed manifest goes last, once every file's chunk list is
+    // known; it lists unchanged files too so any snapshot restores on its own.
+    // A repair's manifest entries take the chunk lists of what it re-sent.
+    const sentFiles = new Map(fileList
+      .filter(file => file.transferStatus === 'completed')
+      .map(file => [`${file.objectId}:${file.relativePath}`, file]));
+    const manifestFiles = metadataFiles
+      ? metadataFiles.map(entry => {
+        const sent = sentFiles.get(`${entry.objectId}:${entry.relativePath}`);
+        return sent ? { ...entry, hash: sent.hash, chunks: sent.chunks, pack: sent.pack } : entry;
+      })
+      : fileList.concat(entryList, unchangedFiles);
+    const { metadata, encrypted } = this.crypto.createBackupMetadata(
+      manifestFiles,
+      backupId,
+      { erasure: shard ? { k: shard.coder.k, n: shard.coder.n } : null }
+    );
+    
+    // Sign the root over everything this peer now stores for the backup;
+    // restores and challenges check the peer's inclusion proofs against it.
+    // The root is computed as the hashes are read back, one chunk at a time.
+    const tree = await MerkleTree.computeRoot(merkleObjects,
+      (objectId, onHash) => this.database.eachUploadChunkHash(peerId, objectId, onHash));
+    const merkle = this.crypto.signMerkleRoot(backupId, shard ? shard.index : null, tree.leafCount, tree.root);
+    await this.database.saveMerkleRoot(backupId, peerId, merkle);
+    for (const unit of units) {
+      await this.database.clearUploadChunks(peerId, unit.objectId);
     }
     
-    // Send backup completion
-    this.connection.send({
+    // Without the peer's confirmation no restore could find the objects,
+    // so the backup fails
+    await this.requestBackupCompletion({
       type: 'backup_complete',
       backupId,
-      backupName,
-      results
-\n    // Send backup completion\n
-    console.log("[FileTransfer] Sending backup complete message");\n
-    const backupCompleteSuccess = this.connection.send({\n
-      type: "backup_complete",\n
-      backupId,\n
-      backupName,\n
-      results\n
-    });\n
-\n
-    if (!backupCompleteSuccess) {\n
-      console.warn("[FileTransfer] Failed to send backup complete message");\n
-    }\n
+      backupName: backupId,
+      encryptedMetadata: encrypted.toString('base64'),
+      merkle,
+      results: objectResults
     });
-    } catch (error) {\n
-      console.error("[FileTransfer] sendBackup failed:", error.message);\n
-      console.error("[FileTransfer] Stack trace:", error.stack);\n
-      throw error;\n
-    }\n
     
-    console.log(`Backup completed: ${backupName}`);
-    return { backupId, results };
+    console.log(`Backup completed: ${backupName} (${dedup.chunks} chunks deduplicated, ${dedup.bytes} bytes not re-sent)`);
+    return { backupId, results, metadata, dedup, merkle };
   }
 }
 
-module.exports = FileTransfer;
\ No newline at end of file
+module.exports = FileTransfer;
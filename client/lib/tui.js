@@ -325,7 +325,7 @@ class BackupPeerTUI {
     });
     
     this.components.backupTable.key('r', () => {
-      if (this.selectedBackup && this.selectedBackup.type === 'received') {
+      if (this.selectedBackup) {
         this.showRestoreDialog(this.selectedBackup.id);
       }
     });
@@ -1245,14 +1245,28 @@ Your data will be split into encrypted chunks across the network.
     this.screen.render();
   }
   
-  // Show file browser dialog
-  async showFileBrowser(initialDirectory) {
+  // Show file browser dialog. It browses the local filesystem unless
+  // options.listDirectory(directory) -> [{ name, isDirectory }] is given,
+  // e.g. to browse a backup manifest. With options.selectDirectories, D
+  // selects the highlighted directory as a whole.
+  async showFileBrowser(initialDirectory, options = {}) {
     return new Promise((resolve, reject) => {
       const fs = require('fs-extra');
       const path = require('path');
       
-      let currentDirectory = initialDirectory || process.cwd();
+      const listDirectory = options.listDirectory || (async directory => {
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+        return entries
+          .filter(entry => entry.isDirectory() || entry.isFile())
+          .map(entry => ({ name: entry.name, isDirectory: entry.isDirectory() }));
+      });
+      
+      // Manifest paths are relative, '' being the top of the backup
+      let currentDirectory = options.listDirectory
+        ? initialDirectory || ''
+        : path.resolve(initialDirectory || process.cwd());
       let selectedFiles = [];
+      let listed = []; // entries behind the list items, after the parent entry
       
       const browserDialog = blessed.box({
         parent: this.screen,
@@ -1260,7 +1274,7 @@ Your data will be split into encrypted chunks across the network.
         left: 'center',
         width: '90%',
         height: '80%',
-        label: '📁 File Browser - Select files to backup',
+        label: options.label || '📁 File Browser - Select files to backup',
         border: { type: 'line' },
         keys: true,
         mouse: true,
@@ -1305,23 +1319,21 @@ Your data will be split into encrypted chunks across the network.
       
       const updateFileList = async () => {
         try {
-          const entries = await fs.readdir(currentDirectory, { withFileTypes: true });
-          const items = ['📁 ../ (Parent Directory)'];
+          const entries = await listDirectory(currentDirectory);
           
-          // Add directories first
-          for (const entry of entries) {
-            if (entry.isDirectory()) {
-              items.push(`📁 ${entry.name}/`);
-            }
-          }
+          // Directories first
+          listed = [
+            ...entries.filter(entry => entry.isDirectory),
+            ...entries.filter(entry => !entry.isDirectory)
+          ];
           
-          // Add files
-          for (const entry of entries) {
-            if (entry.isFile()) {
-              const filePath = path.join(currentDirectory, entry.name);
-              const isSelected = selectedFiles.includes(filePath);
-              const prefix = isSelected ? '✅' : '📄';
-              items.push(`${prefix} ${entry.name}`);
+          const items = ['📁 ../ (Parent Directory)'];
+          for (const entry of listed) {
+            const isSelected = selectedFiles.includes(path.join(currentDirectory, entry.name));
+            if (entry.isDirectory) {
+              items.push(`${isSelected ? '✅' : '📁'} ${entry.name}/`);
+            } else {
+              items.push(`${isSelected ? '✅' : '📄'} ${entry.name}`);
             }
           }
           
@@ -1337,34 +1349,43 @@ Your data will be split into encrypted chunks across the network.
         }
       };
       
+      // Add a path to the selection, or take it out again
+      const toggleSelection = (filePath) => {
+        const fileIndex = selectedFiles.indexOf(filePath);
+        if (fileIndex >= 0) {
+          selectedFiles.splice(fileIndex, 1);
+        } else {
+          selectedFiles.push(filePath);
+        }
+      };
+      
       fileList.on('select', async (item, index) => {
-        const itemText = item.content || item;
+        const entry = listed[index - 1];
         
-        if (itemText.startsWith('📁 ../')) {
+        if (!entry) {
           // Navigate to parent directory
-          currentDirectory = path.dirname(currentDirectory);
-          await updateFileList();
-        } else if (itemText.startsWith('📁')) {
+          const parent = path.dirname(currentDirectory);
+          currentDirectory = parent === '.' ? '' : parent;
+        } else if (entry.isDirectory) {
           // Navigate to subdirectory
-          const dirName = itemText.slice(2, -1); // Remove emoji and /
-          currentDirectory = path.join(currentDirectory, dirName);
-          await updateFileList();
+          currentDirectory = path.join(currentDirectory, entry.name);
         } else {
-          // Toggle file selection
-          const fileName = itemText.slice(2); // Remove emoji
-          const filePath = path.join(currentDirectory, fileName);
-          
-          const fileIndex = selectedFiles.indexOf(filePath);
-          if (fileIndex >= 0) {
-            selectedFiles.splice(fileIndex, 1);
-          } else {
-            selectedFiles.push(filePath);
-          }
-          
-          await updateFileList();
+          toggleSelection(path.join(currentDirectory, entry.name));
         }
+        
+        await updateFileList();
       });
       
+      if (options.selectDirectories) {
+        fileList.key('d', async () => {
+          const entry = listed[fileList.selected - 1];
+          if (entry && entry.isDirectory) {
+            toggleSelection(path.join(currentDirectory, entry.name));
+            await updateFileList();
+          }
+        });
+      }
+      
       selectedList.on('select', (item, index) => {
         if (index < selectedFiles.length) {
           // Remove from selection
@@ -1379,7 +1400,8 @@ Your data will be split into encrypted chunks across the network.
         left: 0,
         width: '100%',
         height: 3,
-        content: 'SPACE/ENTER: Select/Navigate  |  ESC: Done  |  A: Select All  |  C: Clear All',
+        content: 'SPACE/ENTER: Select/Navigate  |  ESC: Done  |  A: Select All  |  C: Clear All' +
+          (options.selectDirectories ? '  |  D: Select Directory' : ''),
         style: {
           fg: 'cyan',
           bg: 'black'
@@ -1388,9 +1410,9 @@ Your data will be split into encrypted chunks across the network.
       
       fileList.key('a', async () => {
         try {
-          const entries = await fs.readdir(currentDirectory, { withFileTypes: true });
+          const entries = await listDirectory(currentDirectory);
           for (const entry of entries) {
-            if (entry.isFile()) {
+            if (!entry.isDirectory) {
               const filePath = path.join(currentDirectory, entry.name);
               if (!selectedFiles.includes(filePath)) {
                 selectedFiles.push(filePath);
@@ -1643,7 +1665,9 @@ Date: ${preview.backupDate}
 Files: ${preview.totalFiles}
 Size: ${preview.formattedSize}
 Conflicts: ${preview.conflicts.length}
-Missing chunks: ${preview.missingChunks.length}
+${preview.remote
+  ? `Source: hosting peer ${preview.peerId || 'unknown'}`
+  : `Missing chunks: ${preview.missingChunks.length}`}
 Ready: ${preview.readyToRestore ? '✅ Yes' : '❌ No'}
         `,
         style: {
@@ -1651,6 +1675,20 @@ Ready: ${preview.readyToRestore ? '✅ Yes' : '❌ No'}
         }
       });
       
+      const selectButton = blessed.button({
+        parent: restoreDialog,
+        bottom: 3,
+        left: 5,
+        width: 20,
+        height: 3,
+        content: '📂 SELECT FILES',
+        style: {
+          bg: 'blue',
+          fg: 'white',
+          focus: { bg: 'cyan', fg: 'black' }
+        }
+      });
+      
       const restoreButton = blessed.button({
         parent: restoreDialog,
         bottom: 3,
@@ -1679,20 +1717,44 @@ Ready: ${preview.readyToRestore ? '✅ Yes' : '❌ No'}
         }
       });
       
+      // Paths picked from the manifest; nothing picked restores everything
+      let selectedPaths = [];
+      
+      selectButton.on('press', async () => {
+        try {
+          const files = this.storage.getBackup(backupId).files;
+          selectedPaths = await this.showFileBrowser('', {
+            label: `📂 ${preview.backupName} - Select files and folders to restore`,
+            listDirectory: async directory => this.listManifestDirectory(files, directory),
+            selectDirectories: true
+          });
+          this.log(selectedPaths.length > 0
+            ? `Selected ${selectedPaths.length} files and folders to restore`
+            : 'No selection - the whole backup will be restored');
+        } catch (error) {
+          this.log(`File selection error: ${error.message}`, 'error');
+        }
+        selectButton.focus();
+      });
+      
       restoreButton.on('press', async () => {
         const targetDir = targetInput.getValue();
+        const filter = this.createRestoreFilter(selectedPaths);
         
         this.screen.remove(restoreDialog);
         this.screen.render();
         
         try {
           this.log(`Starting restore to ${targetDir}...`, 'info');
-          const result = await this.storage.restoreBackup(backupId, targetDir, {
-            overwrite: false,
-            onProgress: (progress) => {
-              this.log(`Restore progress: ${progress.progress.toFixed(1)}% (${progress.currentFile}/${progress.totalFiles})`, 'info');
-            }
-          });
+          const result = preview.remote
+            ? await this.restoreFromPeer(backupId, targetDir, { filter })
+            : await this.storage.restoreBackup(backupId, targetDir, {
+              overwrite: false,
+              filter,
+              onProgress: (progress) => {
+                this.log(`Restore progress: ${progress.progress.toFixed(1)}% (${progress.currentFile}/${progress.totalFiles})`, 'info');
+              }
+            });
           
           this.log(`✅ Restore completed: ${result.restoredFiles}/${result.totalFiles} files restored`, 'success');
           if (result.errors.length > 0) {
@@ -1719,6 +1781,82 @@ Ready: ${preview.readyToRestore ? '✅ Yes' : '❌ No'}
     }
   }
 
+  // One level of a backup manifest as showFileBrowser entries. Manifest
+  // entries are relative paths; '' is the top of the backup.
+  listManifestDirectory(files, directory) {
+    const path = require('path');
+    const prefix = directory ? directory + path.sep : '';
+    const entries = new Map();
+    
+    for (const file of files) {
+      const relativePath = file.relativePath || file.name;
+      if (!relativePath.startsWith(prefix) || relativePath === prefix) continue;
+      
+      const [name, ...rest] = relativePath.slice(prefix.length).split(path.sep);
+      const isDirectory = rest.length > 0 || file.type === 'directory';
+      const known = entries.get(name);
+      entries.set(name, { name, isDirectory: isDirectory || (known ? known.isDirectory : false) });
+    }
+    
+    return [...entries.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }
+  
+  // Restore filter for paths picked in the manifest browser: a picked
+  // directory brings everything below it. Returns null to restore it all.
+  createRestoreFilter(selectedPaths) {
+    if (selectedPaths.length === 0) return null;
+    
+    const path = require('path');
+    return file => {
+      const relativePath = file.relativePath || file.name;
+      return selectedPaths.some(selected =>
+        relativePath === selected || relativePath.startsWith(selected + path.sep)
+      );
+    };
+  }
+  
+  // Pull a sent backup back from the peer hosting it. options.filter(file)
+  // restores only some of its files.
+  async restoreFromPeer(backupId, targetDir, options = {}) {
+    const backup = this.storage.getBackup(backupId);
+    if (!backup || !backup.hostPeerId) {
+      throw new Error('Hosting peer unknown - use "backup-peer restore <id> --peer <peerId>"');
+    }
+    
+    const connection = new P2PConnection({
+      peerId: `restore-${Date.now()}`,
+      signalingUrl: 'wss://backup01.wiuf.net'
+    });
+    
+    this.log(`Connecting to hosting peer ${backup.hostPeerId}...`, 'info');
+    
+    try {
+      await connection.connectToPeer(backup.hostPeerId);
+      this.log('Connected, fetching manifest...', 'info');
+      
+      let lastLogged = -10;
+      return await connection.restoreBackup(backupId, targetDir, {
+        overwrite: false,
+        filter: options.filter || null,
+        onProgress: (progress) => {
+          this.updateStatusBar(`Restoring ${progress.fileName} ${progress.progress}%`);
+          if (progress.progress >= lastLogged + 10) {
+            lastLogged = progress.progress;
+            this.log(`Restore progress: ${progress.progress}% (${progress.currentFile}/${progress.totalFiles})`, 'info');
+          }
+        },
+        onFileComplete: ({ file, success, error }) => {
+          if (!success) {
+            this.log(`Failed to restore ${file.name}: ${error}`, 'warning');
+          }
+        }
+      });
+    } finally {
+      await connection.close();
+      this.updateStatusBar('Backups View');
+    }
+  }
+
   cleanup() {
     if (this.refreshInterval) {
       clearInterval(this.refreshInterval);
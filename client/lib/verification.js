@@ -2,6 +2,12 @@ const crypto = require('crypto');
 const cron = require('node-cron');
 const { EventEmitter } = require('events');
 const BackupCrypto = require('./crypto');
+const ProofTokens = require('./proof-tokens');
+const MerkleTree = require('./merkle');
+
+const RANGE_CHALLENGE_SIZE = 4; // byte ranges per random_blocks challenge
+const OBJECT_CHALLENGE_SIZE = 1; // whole objects per file_hash challenge
+const CHUNK_CHALLENGE_SIZE = 2; // stored chunks per chunk_proof challenge
 
 class StorageVerification extends EventEmitter {
   constructor(storage, p2pConnection) {
@@ -170,8 +176,13 @@ class StorageVerification extends EventEmitter {
     });
   }
   
-  // Generate challenge for storage proof
-  generateChallenge(backupId, challengeType = 'random_blocks') {
+  // Generate challenge for storage proof. random_blocks and file_hash use
+  // tokens precomputed at upload time (see ProofTokens): the host must hash
+  // stored ciphertext with a nonce it has never seen, and we compare against
+  // the answer we kept. chunk_proof needs no tokens: the host returns random
+  // stored chunks with inclusion proofs under the Merkle root we signed.
+  // Returns { challenge, expected }.
+  async generateChallenge(backupId, challengeType = 'random_blocks', peerId = null) {
     const challenge = {
       id: `challenge-${Date.now()}-${Math.random().toString(36).slice(2)}`,
       backupId,
@@ -179,17 +190,39 @@ class StorageVerification extends EventEmitter {
       timestamp: Date.now(),
       expiresAt: Date.now() + (5 * 60 * 1000), // 5 minutes to respond
     };
+    let expected = null;
     
     switch (challengeType) {
-      case 'random_blocks':
-        // Request proof for random file chunks
-        challenge.blockIndices = this.generateRandomIndices(10, 1000); // 10 random blocks out of ~1000
+      case 'random_blocks': {
+        // Byte ranges of random stored chunks
+        const tokens = await this.takeTokens(backupId, peerId, 'range', RANGE_CHALLENGE_SIZE);
+        challenge.ranges = tokens.map(token => ({
+          objectId: token.object_id,
+          chunkIndex: token.chunk_index,
+          offset: token.range_offset,
+          length: token.range_length,
+          nonce: token.nonce
+        }));
+        expected = tokens.map(token => token.expected);
         break;
+      }
         
-      case 'file_hash':
-        // Request hash of specific files
-        challenge.fileIndices = this.generateRandomIndices(3, 10); // 3 random files
+      case 'file_hash': {
+        // Whole stored objects
+        const tokens = await this.takeTokens(backupId, peerId, 'object', OBJECT_CHALLENGE_SIZE);
+        challenge.objects = tokens.map(token => ({ objectId: token.object_id, nonce: token.nonce }));
+        expected = tokens.map(token => token.expected);
+        break;
+      }
+        
+      case 'chunk_proof': {
+        // Random leaves of the backup's Merkle tree
+        const merkle = await this.getMerkleRoot(backupId, peerId);
+        challenge.leaves = Array.from({ length: Math.min(CHUNK_CHALLENGE_SIZE, merkle.leafCount) },
+          () => crypto.randomInt(merkle.leafCount));
+        expected = { root: merkle.root, leafCount: merkle.leafCount };
         break;
+      }
         
       case 'metadata_proof':
         // Request backup metadata verification
@@ -200,23 +233,44 @@ class StorageVerification extends EventEmitter {
         throw new Error(`Unknown challenge type: ${challengeType}`);
     }
     
-    return challenge;
+    return { challenge, expected };
   }
   
-  generateRandomIndices(count, max) {
-    const indices = new Set();
-    while (indices.size < count && indices.size < max) {
-      indices.add(Math.floor(Math.random() * max));
+  // Unused tokens for a backup held by peerId
+  async takeTokens(backupId, peerId, kind, count) {
+    const database = this.connection && this.connection.database;
+    if (!database || !peerId) {
+      throw new Error('Challenge tokens need the local database and a connected peer');
+    }
+    
+    const tokens = await database.takeChallengeTokens(backupId, peerId, kind, count);
+    if (tokens.length === 0) {
+      throw new Error(`No unused ${kind} challenge tokens left for ${backupId} on this peer`);
     }
-    return Array.from(indices);
+    return tokens;
+  }
+  
+  // Signed Merkle root we recorded for a backup held by peerId
+  async getMerkleRoot(backupId, peerId) {
+    const database = this.connection && this.connection.database;
+    if (!database || !peerId) {
+      throw new Error('Chunk proofs need the local database and a connected peer');
+    }
+    
+    const merkle = await database.getMerkleRoot(backupId, peerId);
+    if (!merkle || merkle.leafCount === 0) {
+      throw new Error(`No Merkle root recorded for ${backupId} on this peer`);
+    }
+    return merkle;
   }
   
   // Send storage challenge to peer
-  async sendChallenge(peerId, backupId) {
-    const challenge = this.generateChallenge(backupId);
+  async sendChallenge(peerId, backupId, challengeType = 'random_blocks') {
+    const { challenge, expected } = await this.generateChallenge(backupId, challengeType, peerId);
     
     this.activeVerifications.set(challenge.id, {
       challenge,
+      expected,
       peerId,
       backupId,
       startTime: Date.now(),
@@ -248,19 +302,26 @@ class StorageVerification extends EventEmitter {
     
     try {
       const backup = this.storage.getBackup(challenge.backupId);
-      if (!backup) {
+      if (!backup || backup.type !== 'received') {
         throw new Error(`Backup not found: ${challenge.backupId}`);
       }
+      if (backup.peerId && fromPeer && backup.peerId !== fromPeer) {
+        throw new Error(`Backup ${challenge.backupId} belongs to another peer`);
+      }
       
       let proof;
       
       switch (challenge.type) {
         case 'random_blocks':
-          proof = await this.generateBlockProof(backup, challenge.blockIndices);
+          proof = await this.generateBlockProof(backup, challenge.ranges || []);
           break;
           
         case 'file_hash':
-          proof = await this.generateFileHashProof(backup, challenge.fileIndices);
+          proof = await this.generateFileHashProof(backup, challenge.objects || []);
+          break;
+          
+        case 'chunk_proof':
+          proof = await this.generateChunkProof(backup, challenge.leaves || []);
           break;
           
         case 'metadata_proof':
@@ -288,53 +349,85 @@ class StorageVerification extends EventEmitter {
       this.connection.send({
         type: 'storage_proof',
         challengeId: challenge.id,
-        error: error.message,
+        proof: { error: error.message },
         timestamp: Date.now()
       });
     }
   }
   
-  // Generate proof for random block challenge
-  async generateBlockProof(backup, blockIndices) {
+  // Generate proof for random block challenge: hash each requested byte
+  // range of the stored chunk together with its nonce
+  async generateBlockProof(backup, ranges) {
     const proof = {
       type: 'random_blocks',
       backupId: backup.id,
-      blocks: []
+      responses: []
     };
     
-    // For each requested block, provide hash
-    for (const blockIndex of blockIndices) {
-      if (blockIndex < backup.files.length) {
-        const file = backup.files[blockIndex];
-        proof.blocks.push({
-          index: blockIndex,
-          hash: file.hash,
-          size: file.size
-        });
+    for (const range of ranges) {
+      const { data } = await this.storage.readObjectChunk(backup.id, range.objectId, range.chunkIndex);
+      if (range.offset < 0 || range.offset + range.length > data.length) {
+        throw new Error(`Range outside chunk ${range.chunkIndex} of ${range.objectId}`);
       }
+      
+      proof.responses.push(ProofTokens.hash(range.nonce, data.subarray(range.offset, range.offset + range.length)));
     }
     
     return proof;
   }
   
-  // Generate proof for file hash challenge
-  async generateFileHashProof(backup, fileIndices) {
+  // Generate proof for file hash challenge: hash each whole stored object
+  // together with its nonce
+  async generateFileHashProof(backup, objects) {
     const proof = {
       type: 'file_hash',
       backupId: backup.id,
-      files: []
+      responses: []
     };
     
-    for (const fileIndex of fileIndices) {
-      if (fileIndex < backup.files.length) {
-        const file = backup.files[fileIndex];
-        proof.files.push({
-          index: fileIndex,
-          name: file.name || file.path,
-          hash: file.hash,
-          size: file.size
-        });
+    for (const { objectId, nonce } of objects) {
+      const object = backup.files.find(file => file.objectId === objectId);
+      if (!object || !object.storedChunks) {
+        throw new Error(`Object not found: ${objectId}`);
+      }
+      
+      const hash = crypto.createHash('sha256').update(Buffer.from(nonce, 'hex'));
+      for (const chunk of object.storedChunks) {
+        const { data } = await this.storage.readObjectChunk(backup.id, objectId, chunk.index);
+        hash.update(data);
       }
+      proof.responses.push(hash.digest('hex'));
+    }
+    
+    return proof;
+  }
+  
+  // Generate proof for chunk challenge: each requested leaf's stored chunk
+  // and its path to the Merkle root
+  async generateChunkProof(backup, leaves) {
+    const tree = await this.storage.loadMerkleTree(backup.id);
+    if (!tree) {
+      throw new Error(`No Merkle tree for ${backup.id}`);
+    }
+    
+    const proof = {
+      type: 'chunk_proof',
+      backupId: backup.id,
+      responses: []
+    };
+    
+    for (const leaf of leaves) {
+      const location = tree.locate(leaf);
+      if (!location) {
+        throw new Error(`Leaf ${leaf} is not in the tree of ${backup.id}`);
+      }
+      
+      const { data } = await this.storage.readObjectChunk(backup.id, location.objectId, location.chunkIndex);
+      proof.responses.push({
+        ...location,
+        data: data.toString('base64'),
+        proof: tree.getProof(location.objectId, location.chunkIndex)
+      });
     }
     
     return proof;
@@ -372,24 +465,31 @@ class StorageVerification extends EventEmitter {
     verification.responseTime = Date.now() - verification.startTime;
     
     // Verify the proof
-    const isValid = this.verifyProof(verification.challenge, proof);
+    const isValid = this.verifyProof(verification.challenge, proof, verification.expected);
     verification.valid = isValid;
     
-    this.handleVerificationResult(challengeId, proof, isValid ? null : 'Invalid proof');
+    this.handleVerificationResult(challengeId, proof, isValid ? null : (proof && proof.error) || 'Invalid proof');
   }
   
-  // Verify storage proof
-  verifyProof(challenge, proof) {
-    if (proof.error) {
+  // Verify storage proof against the answers kept at upload time
+  verifyProof(challenge, proof, expected = null) {
+    if (!proof || proof.error) {
       return false;
     }
     
     switch (challenge.type) {
       case 'random_blocks':
-        return proof.blocks && proof.blocks.length === challenge.blockIndices.length;
-        
       case 'file_hash':
-        return proof.files && proof.files.length === challenge.fileIndices.length;
+        return Array.isArray(expected) &&
+          Array.isArray(proof.responses) &&
+          proof.responses.length === expected.length &&
+          expected.every((answer, i) => answer === proof.responses[i]);
+        
+      case 'chunk_proof':
+        return Boolean(expected) &&
+          Array.isArray(proof.responses) &&
+          proof.responses.length === challenge.leaves.length &&
+          proof.responses.every((response, i) => this.verifyChunkResponse(response, challenge.leaves[i], expected));
         
       case 'metadata_proof':
         return proof.metadataHash && proof.nonce === challenge.nonce;
@@ -399,6 +499,22 @@ class StorageVerification extends EventEmitter {
     }
   }
   
+  // A returned chunk must hash to a leaf at the requested position under the
+  // signed root
+  verifyChunkResponse(response, leaf, { root, leafCount }) {
+    if (!response || typeof response.data !== 'string' || !Array.isArray(response.proof)) {
+      return false;
+    }
+    
+    const path = response.proof.map(step => step[0]).join('');
+    if (path !== MerkleTree.proofPath(leaf, leafCount)) {
+      return false;
+    }
+    
+    const chunkHash = BackupCrypto.hashData(Buffer.from(response.data, 'base64'));
+    return MerkleTree.verifyProof(root, response.objectId, response.chunkIndex, chunkHash, response.proof);
+  }
+  
   // Handle verification result
   handleVerificationResult(challengeId, proof, error) {
     const verification = this.activeVerifications.get(challengeId);
@@ -408,6 +524,7 @@ class StorageVerification extends EventEmitter {
       challengeId,
       peerId: verification.peerId,
       backupId: verification.backupId,
+      type: verification.challenge.type,
       success: !error,
       error,
       responseTime: verification.responseTime,
@@ -457,19 +574,27 @@ class StorageVerification extends EventEmitter {
   async runPeriodicVerification() {
     console.log('Running periodic storage verification...');
     
-    const backups = this.storage.listBackups('sent'); // Verify backups we sent
+    // Challenge every backup the connected peer holds for us: with unused
+    // tokens while they last, then with chunk proofs under its Merkle root
+    const peerId = this.connection.currentPeerId;
+    const database = this.connection.database;
+    if (!peerId || !database) {
+      console.warn('No connected peer to verify');
+      return;
+    }
     
-    for (const backup of backups) {
-      if (backup.status === 'active' && backup.peerId) {
-        try {
-          await this.sendChallenge(backup.peerId, backup.id);
-          
-          // Space out challenges to avoid overwhelming peers
-          await new Promise(resolve => setTimeout(resolve, 1000));
-          
-        } catch (error) {
-          console.error(`Failed to challenge backup ${backup.id}:`, error.message);
-        }
+    const withTokens = new Set(await database.listChallengeableBackups(peerId));
+    const backupIds = new Set([...withTokens, ...await database.listMerkleBackups(peerId)]);
+    
+    for (const backupId of backupIds) {
+      try {
+        await this.sendChallenge(peerId, backupId, withTokens.has(backupId) ? 'random_blocks' : 'chunk_proof');
+        
+        // Space out challenges to avoid overwhelming peers
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        
+      } catch (error) {
+        console.error(`Failed to challenge backup ${backupId}:`, error.message);
       }
     }
   }